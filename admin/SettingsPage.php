@@ -4,6 +4,9 @@ namespace WPEasyMigrate\Admin;
 
 use WPEasyMigrate\Logger;
 use WPEasyMigrate\CompatibilityChecker;
+use WPEasyMigrate\ExportHistory;
+use WPEasyMigrate\SiteBackups;
+use WPEasyMigrate\ImportPreview;
 
 /**
  * Settings Page Class
@@ -51,6 +54,10 @@ class SettingsPage
             class="nav-tab <?php echo $active_tab === 'import' ? 'nav-tab-active' : ''; ?>">
             <?php _e('Import', 'wp-easy-migrate'); ?>
         </a>
+        <a href="?page=wp-easy-migrate&tab=exports"
+            class="nav-tab <?php echo $active_tab === 'exports' ? 'nav-tab-active' : ''; ?>">
+            <?php _e('Exports', 'wp-easy-migrate'); ?>
+        </a>
         <a href="?page=wp-easy-migrate&tab=logs"
             class="nav-tab <?php echo $active_tab === 'logs' ? 'nav-tab-active' : ''; ?>">
             <?php _e('Logs', 'wp-easy-migrate'); ?>
@@ -70,6 +77,9 @@ class SettingsPage
                     case 'import':
                         $this->render_import_tab();
                         break;
+                    case 'exports':
+                        $this->render_exports_tab();
+                        break;
                     case 'logs':
                         $this->render_logs_tab();
                         break;
@@ -203,6 +213,500 @@ class SettingsPage
     color: #666;
 }
 
+/* Import File Selection */
+.wp-easy-migrate-dropzone {
+    border: 2px dashed #c3c4c7;
+    border-radius: 4px;
+    padding: 20px;
+    text-align: center;
+    transition: border-color 0.2s ease, background 0.2s ease;
+}
+
+.wp-easy-migrate-dropzone.is-dragover {
+    background: #f0f6fc;
+    border-color: #0073aa;
+}
+
+.wp-easy-migrate-import-files {
+    margin: 10px 0 0;
+}
+
+.wp-easy-migrate-import-files li {
+    font-family: monospace;
+    font-size: 12px;
+    margin: 2px 0;
+}
+
+.wp-easy-migrate-import-files .file-size {
+    color: #666;
+    margin-left: 10px;
+}
+
+.wp-easy-migrate-import-selection-errors {
+    color: #dc3232;
+}
+
+.wp-easy-migrate-import-selection-warnings {
+    color: #996800;
+}
+
+.wp-easy-migrate-import-preview {
+    background: #f8f9fa;
+    border: 1px solid #dee2e6;
+    border-radius: 4px;
+    margin-top: 10px;
+    max-width: 600px;
+    padding: 10px 15px;
+}
+
+.wp-easy-migrate-import-preview h4 {
+    margin: 0 0 10px;
+}
+
+.wp-easy-migrate-import-preview th {
+    padding: 4px 10px 4px 0;
+    text-align: left;
+    width: 40%;
+}
+
+.wp-easy-migrate-import-preview td {
+    padding: 4px 0;
+}
+
+/* Log Viewer Styles */
+.wp-easy-migrate-log-filters {
+    align-items: center;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin-bottom: 15px;
+}
+
+.wp-easy-migrate-log-size {
+    color: #666;
+    margin-left: auto;
+}
+
+.wp-easy-migrate-log-tailing {
+    color: #0073aa;
+    font-style: italic;
+}
+
+.wp-easy-migrate-log-viewer {
+    white-space: normal;
+}
+
+.wp-easy-migrate-log-viewer .log-entry {
+    border-bottom: 1px solid #eee;
+    padding: 3px 0;
+    white-space: pre-wrap;
+    word-break: break-word;
+}
+
+.wp-easy-migrate-log-viewer .log-timestamp {
+    color: #666;
+}
+
+.wp-easy-migrate-log-viewer .log-level {
+    font-weight: 600;
+}
+
+.wp-easy-migrate-log-viewer .log-level-warning .log-level {
+    color: #b26200;
+}
+
+.wp-easy-migrate-log-viewer .log-level-error .log-level,
+.wp-easy-migrate-log-viewer .log-level-critical .log-level {
+    color: #dc3232;
+}
+
+.wp-easy-migrate-log-viewer .log-level-debug {
+    color: #787c82;
+}
+
+.wp-easy-migrate-log-viewer details {
+    margin: 2px 0 0 20px;
+}
+
+.wp-easy-migrate-log-viewer summary {
+    color: #0073aa;
+    cursor: pointer;
+}
+
+.wp-easy-migrate-log-viewer pre {
+    background: #fff;
+    border: 1px solid #dee2e6;
+    margin: 4px 0;
+    overflow-x: auto;
+    padding: 6px;
+}
+
+/* Export History Styles */
+.wp-easy-migrate-export-history {
+    margin-top: 10px;
+}
+
+.wp-easy-migrate-export-history .column-size,
+.wp-easy-migrate-export-history .column-parts {
+    white-space: nowrap;
+}
+
+.wp-easy-migrate-export-history .column-actions .button {
+    margin: 0 4px 4px 0;
+}
+
+.wp-easy-migrate-export-history .export-id {
+    color: #666;
+    display: block;
+    font-family: monospace;
+    font-size: 11px;
+}
+
+.wp-easy-migrate-export-checks {
+    margin: 0;
+}
+
+.wp-easy-migrate-export-checks li.is-passed::before {
+    color: #46b450;
+    content: "\2713  ";
+}
+
+.wp-easy-migrate-export-checks li.is-failed {
+    color: #dc3232;
+}
+
+.wp-easy-migrate-export-checks li.is-failed::before {
+    content: "\2717  ";
+}
+
+.wp-easy-migrate-retention-form input[type="number"] {
+    width: 80px;
+}
+
+/* Import Compatibility Styles */
+.import-step .compatibility-results {
+    font-size: 12px;
+    margin-top: 8px;
+}
+
+.compatibility-results h5 {
+    font-size: 12px;
+    margin: 8px 0 4px;
+}
+
+.compatibility-results ul {
+    margin: 0;
+}
+
+.compatibility-results li {
+    margin: 2px 0;
+}
+
+.compatibility-results li .dashicons {
+    font-size: 16px;
+    height: 16px;
+    vertical-align: text-bottom;
+    width: 16px;
+}
+
+.compatibility-results .is-blocking {
+    color: #d63638;
+}
+
+.compatibility-results .is-warning {
+    color: #996800;
+}
+
+.compatibility-results .is-passed .dashicons {
+    color: #00a32a;
+}
+
+/* Import Confirmation Styles */
+.wp-easy-migrate-import-confirm {
+    background: #fff;
+    border: 1px solid #c3c4c7;
+    border-left: 4px solid #dba617;
+    margin-top: 20px;
+    max-width: 800px;
+    padding: 5px 20px 10px;
+}
+
+.wp-easy-migrate-import-confirm table {
+    margin-bottom: 10px;
+}
+
+.wp-easy-migrate-import-confirm th {
+    padding: 4px 10px 4px 0;
+    text-align: left;
+    vertical-align: top;
+    width: 25%;
+}
+
+.wp-easy-migrate-import-confirm td {
+    padding: 4px 0;
+}
+
+.wp-easy-migrate-import-confirm details {
+    margin-top: 4px;
+}
+
+.wp-easy-migrate-import-confirm details code {
+    display: inline-block;
+    margin: 2px 4px 2px 0;
+}
+
+.wp-easy-migrate-import-components label {
+    display: inline-block;
+    margin-right: 15px;
+}
+
+.wp-easy-migrate-import-confirm-error {
+    color: #d63638;
+}
+
+.wp-easy-migrate-import-confirm .wp-easy-migrate-replace-pairs {
+    border-collapse: collapse;
+    width: 100%;
+}
+
+.wp-easy-migrate-replace-pairs th {
+    width: 45%;
+}
+
+.wp-easy-migrate-replace-pairs input {
+    width: 100%;
+}
+
+/* Search and Replace Report Styles */
+.wp-easy-migrate-replace-report {
+    margin-top: 20px;
+    max-width: 600px;
+}
+
+.wp-easy-migrate-replace-report .column-count {
+    text-align: right;
+    width: 30%;
+}
+
+/* Rollback Styles */
+.wp-easy-migrate-rollback {
+    margin: 0 0 20px;
+    max-width: 600px;
+}
+
+/* Database Table Picker Styles */
+.wp-easy-migrate-db-tables {
+    max-height: 300px;
+    max-width: 700px;
+    overflow-y: auto;
+}
+
+.wp-easy-migrate-db-tables table {
+    margin-top: 0;
+}
+
+.wp-easy-migrate-db-tables td,
+.wp-easy-migrate-db-tables th {
+    padding: 6px 10px;
+    vertical-align: middle;
+}
+
+.wp-easy-migrate-db-tables .column-rows,
+.wp-easy-migrate-db-tables .column-size {
+    text-align: right;
+    white-space: nowrap;
+}
+
+.wp-easy-migrate-db-tables tr.is-excluded td {
+    color: #a7aaad;
+}
+
+/* Download Queue Styles */
+.wp-easy-migrate-download-panel {
+    background: #f0f8ff;
+    border: 1px solid #0073aa;
+    border-radius: 4px;
+    margin-top: 15px;
+    padding: 15px;
+}
+
+.wp-easy-migrate-download-panel h4 {
+    color: #0073aa;
+    margin: 0 0 10px 0;
+}
+
+.wp-easy-migrate-download-panel .download-row {
+    margin: 5px 0;
+}
+
+.wp-easy-migrate-download-panel .button {
+    margin-right: 10px;
+}
+
+.wp-easy-migrate-download-panel .download-all-parts {
+    margin-top: 10px;
+}
+
+.wp-easy-migrate-download-panel .download-file-name,
+.wp-easy-migrate-download-panel .download-note {
+    color: #666;
+    font-size: 12px;
+}
+
+.wp-easy-migrate-download-panel .download-note {
+    margin-top: 10px;
+}
+
+.wp-easy-migrate-download-panel .download-manifest-row {
+    border-top: 1px solid #ddd;
+    margin-top: 10px;
+    padding-top: 10px;
+}
+
+.wp-easy-migrate-download-queue {
+    margin: 10px 0 0;
+    max-width: 600px;
+}
+
+.wp-easy-migrate-download-item {
+    align-items: center;
+    display: flex;
+    gap: 10px;
+    margin: 6px 0;
+}
+
+.wp-easy-migrate-download-name {
+    flex: 0 0 40%;
+    font-family: monospace;
+    font-size: 12px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+
+.wp-easy-migrate-download-item .wp-easy-migrate-progress-bar {
+    flex: 1;
+    height: 8px;
+}
+
+.wp-easy-migrate-download-status {
+    color: #666;
+    flex: 0 0 30%;
+    font-size: 12px;
+}
+
+.wp-easy-migrate-download-item.is-verified .wp-easy-migrate-progress-fill,
+.wp-easy-migrate-download-item.is-done .wp-easy-migrate-progress-fill,
+.wp-easy-migrate-download-item.is-saved .wp-easy-migrate-progress-fill {
+    background: #46b450;
+}
+
+.wp-easy-migrate-download-item.is-failed .wp-easy-migrate-download-status {
+    color: #dc3232;
+}
+
+/* Migration Lock Styles */
+.wp-easy-migrate-lock-notice {
+    margin: 0 0 20px;
+    max-width: 600px;
+}
+
+/* Export Estimate Styles */
+.wp-easy-migrate-export-estimate {
+    background: #f8f9fa;
+    border: 1px solid #dee2e6;
+    border-left-width: 4px;
+    border-radius: 4px;
+    margin: 0 0 20px;
+    max-width: 600px;
+    padding: 10px 15px;
+}
+
+.wp-easy-migrate-export-estimate.is-warning {
+    border-left-color: #dba617;
+}
+
+.wp-easy-migrate-export-estimate.is-error {
+    border-left-color: #dc3232;
+}
+
+.wp-easy-migrate-export-estimate h4 {
+    margin: 0 0 10px;
+}
+
+.wp-easy-migrate-export-estimate th {
+    padding: 4px 10px 4px 0;
+    text-align: left;
+    width: 40%;
+}
+
+.wp-easy-migrate-export-estimate td {
+    padding: 4px 0;
+}
+
+/* Folder Tree Styles */
+.wp-easy-migrate-file-tree {
+    background: #fff;
+    border: 1px solid #c3c4c7;
+    max-height: 300px;
+    max-width: 700px;
+    overflow-y: auto;
+    padding: 8px 10px;
+}
+
+.wp-easy-migrate-tree,
+.wp-easy-migrate-tree ul {
+    list-style: none;
+    margin: 0;
+}
+
+.wp-easy-migrate-tree ul {
+    padding-left: 20px;
+}
+
+.wp-easy-migrate-tree li {
+    margin: 0;
+}
+
+.wp-easy-migrate-tree li.is-hidden {
+    display: none;
+}
+
+.wp-easy-migrate-tree-row {
+    align-items: center;
+    display: flex;
+    gap: 6px;
+    padding: 2px 0;
+}
+
+.wp-easy-migrate-tree-toggle {
+    background: none;
+    border: 0;
+    cursor: pointer;
+    padding: 0;
+    width: 16px;
+}
+
+.wp-easy-migrate-tree-spacer {
+    display: inline-block;
+    width: 16px;
+}
+
+.wp-easy-migrate-tree-size {
+    color: #646970;
+    margin-left: auto;
+    white-space: nowrap;
+}
+
+.wp-easy-migrate-tree-message {
+    color: #646970;
+    font-style: italic;
+}
+
+.wp-easy-migrate-tree-error {
+    color: #dc3232;
+}
+
 /* Import Checklist Styles */
 .wp-easy-migrate-import-checklist {
     background: #fff;
@@ -218,6 +722,10 @@ class SettingsPage
     color: #23282d;
 }
 
+.wp-easy-migrate-import-checklist .wp-easy-migrate-progress-bar {
+    margin-bottom: 16px;
+}
+
 .import-steps {
     display: grid;
     grid-template-columns: repeat(2, 1fr);
@@ -412,6 +920,10 @@ class SettingsPage
     <p><?php _e('Create a complete backup of your WordPress site including database, files, themes, and plugins.', 'wp-easy-migrate'); ?>
     </p>
 
+    <div id="export-lock-notice" class="notice notice-warning inline wp-easy-migrate-lock-notice" style="display: none;">
+        <p></p>
+    </div>
+
     <form id="wp-easy-migrate-export-form">
         <?php wp_nonce_field('wp_easy_migrate_nonce', 'nonce'); ?>
 
@@ -425,6 +937,17 @@ class SettingsPage
                     </label>
                 </td>
             </tr>
+            <tr id="wp-easy-migrate-db-tables-row">
+                <th scope="row"><?php _e('Database Tables', 'wp-easy-migrate'); ?></th>
+                <td>
+                    <div id="wp-easy-migrate-db-tables" class="wp-easy-migrate-db-tables">
+                        <p><?php _e('Loading tables...', 'wp-easy-migrate'); ?></p>
+                    </div>
+                    <p class="description" id="wp-easy-migrate-db-tables-summary">
+                        <?php _e('Exclude tables you do not need, or export only their structure to leave out large logs and caches.', 'wp-easy-migrate'); ?>
+                    </p>
+                </td>
+            </tr>
             <tr>
                 <th scope="row"><?php _e('Include Uploads', 'wp-easy-migrate'); ?></th>
                 <td>
@@ -452,6 +975,24 @@ class SettingsPage
                     </label>
                 </td>
             </tr>
+            <tr id="wp-easy-migrate-file-tree-row">
+                <th scope="row"><?php _e('Exclude Folders', 'wp-easy-migrate'); ?></th>
+                <td>
+                    <div id="wp-easy-migrate-file-tree" class="wp-easy-migrate-file-tree"></div>
+                    <p class="description" id="wp-easy-migrate-file-tree-summary">
+                        <?php _e('Expand a folder to see its subfolders and untick the ones to leave out of the export.', 'wp-easy-migrate'); ?>
+                    </p>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><?php _e('Exclude Patterns', 'wp-easy-migrate'); ?></th>
+                <td>
+                    <textarea name="exclude_patterns" rows="3" cols="50" class="large-text code" placeholder="*.mp4&#10;uploads/backups/*"></textarea>
+                    <p class="description">
+                        <?php _e('One pattern per line. Patterns are matched against file names and paths such as uploads/2024/01/video.mp4.', 'wp-easy-migrate'); ?>
+                    </p>
+                </td>
+            </tr>
             <tr>
                 <th scope="row"><?php _e('Split Archive Size', 'wp-easy-migrate'); ?></th>
                 <td>
@@ -472,14 +1013,15 @@ class SettingsPage
                 <th scope="row"><?php _e('Files Per Batch', 'wp-easy-migrate'); ?></th>
                 <td>
                     <select name="files_per_step">
+                        <option value="auto" selected><?php _e('Auto (Recommended)', 'wp-easy-migrate'); ?></option>
                         <option value="10">10 files (Slow servers)</option>
                         <option value="25">25 files (Conservative)</option>
-                        <option value="50" selected>50 files (Recommended)</option>
+                        <option value="50">50 files</option>
                         <option value="75">75 files (Fast servers)</option>
                         <option value="100">100 files (Maximum)</option>
                     </select>
                     <p class="description">
-                        <?php _e('Base number of files to process in each batch. The system uses adaptive sizing to optimize performance based on file sizes. Choose "50" for best overall performance, or lower values for slower servers.', 'wp-easy-migrate'); ?>
+                        <?php _e('Base number of files to process in each batch. Auto starts at 50 files and adjusts the file and database batch sizes after every step based on how long the server took, so exports neither time out on slow hosts nor crawl on fast ones. Fixed values use adaptive sizing based on file sizes.', 'wp-easy-migrate'); ?>
                     </p>
                 </td>
             </tr>
@@ -520,15 +1062,26 @@ class SettingsPage
             <button type="submit" class="button button-primary" id="start-export">
                 <?php _e('Start Export', 'wp-easy-migrate'); ?>
             </button>
+            <button type="button" class="button" id="estimate-export">
+                <?php _e('Estimate', 'wp-easy-migrate'); ?>
+            </button>
+            <button type="button" class="button" id="cancel-export" style="display: none;">
+                <?php _e('Cancel', 'wp-easy-migrate'); ?>
+            </button>
         </p>
     </form>
 
+    <div id="export-estimate" class="wp-easy-migrate-export-estimate" style="display: none;"></div>
+
     <div id="export-progress" class="wp-easy-migrate-progress">
-        <h3><?php _e('Export Progress', 'wp-easy-migrate'); ?></h3>
-        <div class="wp-easy-migrate-progress-bar">
+        <h3 id="export-progress-title"><?php _e('Export Progress', 'wp-easy-migrate'); ?></h3>
+        <div class="wp-easy-migrate-progress-bar" role="progressbar" aria-labelledby="export-progress-title"
+            aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
             <div class="wp-easy-migrate-progress-fill"></div>
         </div>
         <p id="export-status"><?php _e('Preparing export...', 'wp-easy-migrate'); ?></p>
+        <p id="export-progress-text" class="description"></p>
+        <p id="export-tuning" class="description" style="display: none;"></p>
     </div>
 
     <div id="export-result" class="wp-easy-migrate-status" style="display: none;"></div>
@@ -541,115 +1094,169 @@ class SettingsPage
      */
     private function render_import_tab(): void
     {
+        // Export picked with "Import" on the Exports tab
+        $source_export = null;
+        if (isset($_GET['export']) && preg_match('/^[a-zA-Z0-9_-]+$/', $_GET['export'])) {
+            $source_export = (new ExportHistory())->get_export($_GET['export']);
+        }
+
+        // Backup picked with "Restore" on the Exports tab
+        $restore_backup = null;
+        if (isset($_GET['restore'])) {
+            $restore_backup = (new SiteBackups())->get_backup(sanitize_file_name(wp_unslash($_GET['restore'])));
+        }
     ?>
 <div class="wp-easy-migrate-section">
     <h2><?php _e('Import WordPress Site', 'wp-easy-migrate'); ?></h2>
     <p><?php _e('Import a WordPress site from a previously exported archive.', 'wp-easy-migrate'); ?></p>
 
+    <div id="wp-easy-migrate-import-lock-notice" class="notice notice-warning inline wp-easy-migrate-lock-notice" style="display: none;">
+        <p></p>
+    </div>
+
+    <div id="wp-easy-migrate-rollback" class="notice notice-info inline wp-easy-migrate-rollback"
+        data-backup="<?php echo $restore_backup ? esc_attr($restore_backup['name']) : ''; ?>"
+        <?php echo $restore_backup ? '' : 'style="display: none;"'; ?>>
+        <p class="wp-easy-migrate-rollback-text">
+            <?php if ($restore_backup) {
+                printf(
+                    __('Backup taken on %1$s before an import (%2$s). Restoring it replaces the current %3$s with the backed up copy.', 'wp-easy-migrate'),
+                    esc_html($restore_backup['created_formatted']),
+                    esc_html(size_format($restore_backup['size'])),
+                    esc_html(implode(', ', $restore_backup['components']))
+                );
+            } ?>
+        </p>
+        <p>
+            <button type="button" class="button" id="wp-easy-migrate-restore-backup">
+                <?php _e('Restore Previous Site', 'wp-easy-migrate'); ?>
+            </button>
+        </p>
+    </div>
+
     <form id="wp-easy-migrate-import-form" enctype="multipart/form-data">
         <?php wp_nonce_field('wp_easy_migrate_nonce', 'nonce'); ?>
 
+        <?php if ($source_export) : ?>
+        <div id="wp-easy-migrate-source-export" class="notice notice-info inline">
+            <input type="hidden" name="source_export" value="<?php echo esc_attr($source_export['id']); ?>">
+            <p>
+                <?php printf(
+                    __('Importing export %1$s from %2$s (%3$s). Start the import to restore it, or choose another archive below.', 'wp-easy-migrate'),
+                    '<code>' . esc_html($source_export['id']) . '</code>',
+                    esc_html($source_export['created_formatted']),
+                    esc_html(size_format($source_export['size']))
+                ); ?>
+            </p>
+        </div>
+        <?php endif; ?>
+
         <table class="form-table">
             <tr>
+                <th scope="row"><?php _e('Archive Source', 'wp-easy-migrate'); ?></th>
+                <td>
+                    <fieldset id="wp-easy-migrate-import-source">
+                        <label>
+                            <input type="radio" name="import_source" value="upload" <?php checked(!$source_export); ?>>
+                            <?php _e('Upload from this computer', 'wp-easy-migrate'); ?>
+                        </label><br>
+                        <label>
+                            <input type="radio" name="import_source" value="server" <?php checked((bool) $source_export); ?>>
+                            <?php _e('Archive already on the server', 'wp-easy-migrate'); ?>
+                        </label><br>
+                        <label>
+                            <input type="radio" name="import_source" value="url">
+                            <?php _e('Download from a URL', 'wp-easy-migrate'); ?>
+                        </label>
+                    </fieldset>
+                </td>
+            </tr>
+            <tr class="wp-easy-migrate-import-source-row" data-source="server" <?php echo $source_export ? '' : 'style="display: none;"'; ?>>
+                <th scope="row"><?php _e('Server Archive', 'wp-easy-migrate'); ?></th>
+                <td>
+                    <select id="wp-easy-migrate-server-archive" name="server_archive">
+                        <option value=""><?php _e('Loading archives...', 'wp-easy-migrate'); ?></option>
+                    </select>
+                    <button type="button" class="button" id="wp-easy-migrate-refresh-server-archives">
+                        <?php _e('Refresh', 'wp-easy-migrate'); ?>
+                    </button>
+                    <p class="description">
+                        <?php printf(
+                            __('Lists finished exports and archives copied to %s, for example over SFTP. Copy the parts of a split archive together with its manifest.', 'wp-easy-migrate'),
+                            '<code>' . esc_html(str_replace(ABSPATH, '', WP_EASY_MIGRATE_UPLOADS_DIR . 'imports/')) . '</code>'
+                        ); ?>
+                    </p>
+                </td>
+            </tr>
+            <tr class="wp-easy-migrate-import-source-row" data-source="url" style="display: none;">
+                <th scope="row"><label for="wp-easy-migrate-remote-urls"><?php _e('Archive URL', 'wp-easy-migrate'); ?></label></th>
+                <td>
+                    <textarea id="wp-easy-migrate-remote-urls" name="remote_urls" rows="3" class="large-text code"
+                        placeholder="https://example.com/wp-export.zip"></textarea>
+                    <p class="description">
+                        <?php _e('One URL per line: the archive, or every part of a split archive together with its manifest (.json). The server downloads the files in steps and continues where it stopped if the connection drops.', 'wp-easy-migrate'); ?>
+                    </p>
+                </td>
+            </tr>
+            <tr class="wp-easy-migrate-import-source-row" data-source="upload" <?php echo $source_export ? 'style="display: none;"' : ''; ?>>
                 <th scope="row"><?php _e('Archive File', 'wp-easy-migrate'); ?></th>
                 <td>
-                    <input type="file" name="import_file" accept=".zip" required>
+                    <div id="wp-easy-migrate-dropzone" class="wp-easy-migrate-dropzone">
+                        <p><?php _e('Drop the archive or all of its parts here, or', 'wp-easy-migrate'); ?></p>
+                        <input type="file" name="import_file" accept=".zip,.json" multiple>
+                    </div>
                     <p class="description">
-                        <?php _e('Select the exported archive file (.zip) to import.', 'wp-easy-migrate'); ?></p>
+                        <?php _e('Select the exported archive file (.zip) to import. For split exports, select all parts (.partN.zip) together with the manifest (.json) so the parts can be verified before upload.', 'wp-easy-migrate'); ?>
+                    </p>
+                    <ul id="wp-easy-migrate-import-files" class="wp-easy-migrate-import-files"></ul>
+                    <div id="wp-easy-migrate-import-selection"></div>
+                    <div id="wp-easy-migrate-import-preview" class="wp-easy-migrate-import-preview" style="display: none;"></div>
                 </td>
             </tr>
         </table>
 
         <div class="wp-easy-migrate-import-actions">
             <input type="submit" class="button button-primary" value="<?php _e('Start Import', 'wp-easy-migrate'); ?>">
+            <button type="button" class="button" id="wp-easy-migrate-cancel-import" style="display: none;">
+                <?php _e('Cancel', 'wp-easy-migrate'); ?>
+            </button>
         </div>
     </form>
 
+    <!-- Upload Progress -->
+    <div id="wp-easy-migrate-upload-progress" class="wp-easy-migrate-progress">
+        <h3 id="wp-easy-migrate-upload-progress-title"><?php _e('Upload Progress', 'wp-easy-migrate'); ?></h3>
+        <div class="wp-easy-migrate-progress-bar" role="progressbar" aria-labelledby="wp-easy-migrate-upload-progress-title"
+            aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+            <div class="wp-easy-migrate-progress-fill"></div>
+        </div>
+        <p id="wp-easy-migrate-upload-text"><?php _e('Preparing upload...', 'wp-easy-migrate'); ?></p>
+    </div>
+
     <!-- Import Progress Steps -->
     <div id="wp-easy-migrate-import-progress" class="wp-easy-migrate-import-checklist"
         style="display: none; margin-top: 20px;">
-        <h3><?php _e('Import Progress', 'wp-easy-migrate'); ?></h3>
-        <div class="import-steps">
-            <div class="import-step" data-step="upload_file">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Upload File', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Processing uploaded archive file', 'wp-easy-migrate'); ?>
-                    </div>
-                </div>
-            </div>
-
-            <div class="import-step" data-step="extract_archive">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Extract Archive', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Extracting files from archive', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
-
-            <div class="import-step" data-step="validate_manifest">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Validate Manifest', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Checking import compatibility', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
-
-            <div class="import-step" data-step="backup_current_site">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Backup Current Site', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Creating safety backup', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
-
-            <div class="import-step" data-step="import_database">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Import Database', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Restoring database content', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
-
-            <div class="import-step" data-step="import_files">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Import Files', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Restoring media and files', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
-
-            <div class="import-step" data-step="update_urls">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Update URLs', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Updating site URLs', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
+        <h3 id="wp-easy-migrate-import-progress-title"><?php _e('Import Progress', 'wp-easy-migrate'); ?></h3>
+        <div class="wp-easy-migrate-progress-bar" role="progressbar" aria-labelledby="wp-easy-migrate-import-progress-title"
+            aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+            <div class="wp-easy-migrate-progress-fill"></div>
+        </div>
 
-            <div class="import-step" data-step="cleanup">
-                <div class="step-icon">
-                    <span class="dashicons"></span>
-                </div>
-                <div class="step-content">
-                    <div class="step-title"><?php _e('Cleanup', 'wp-easy-migrate'); ?></div>
-                    <div class="step-description"><?php _e('Cleaning up temporary files', 'wp-easy-migrate'); ?></div>
-                </div>
-            </div>
+        <!-- Filled from the step plan the server sends -->
+        <div class="import-steps" role="list"></div>
+
+        <div id="wp-easy-migrate-replace-report" class="wp-easy-migrate-replace-report" style="display: none;">
+            <h4><?php _e('Search and Replace', 'wp-easy-migrate'); ?></h4>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th scope="col"><?php _e('Table', 'wp-easy-migrate'); ?></th>
+                        <th scope="col" class="column-count"><?php _e('Replacements', 'wp-easy-migrate'); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p class="description"></p>
         </div>
     </div>
 
@@ -658,12 +1265,69 @@ class SettingsPage
         <!-- Status messages will be inserted here by JavaScript -->
     </div>
 
+    <!-- Import Confirmation -->
+    <div id="wp-easy-migrate-import-confirm" class="wp-easy-migrate-import-confirm" style="display: none;">
+        <h3><?php _e('Review the Import', 'wp-easy-migrate'); ?></h3>
+        <p><?php _e('Nothing has been changed yet. The import replaces the following on this site:', 'wp-easy-migrate'); ?></p>
+        <div class="wp-easy-migrate-import-confirm-details"></div>
+
+        <h4><?php _e('Components to Restore', 'wp-easy-migrate'); ?></h4>
+        <fieldset class="wp-easy-migrate-import-components"></fieldset>
+        <p class="description">
+            <?php _e('Unchecked components are left as they are on this site.', 'wp-easy-migrate'); ?>
+        </p>
+
+        <h4><?php _e('Search and Replace', 'wp-easy-migrate'); ?></h4>
+        <p class="description">
+            <?php _e('Applied to every table after the database is imported. Serialized values are rewritten with corrected lengths.', 'wp-easy-migrate'); ?>
+        </p>
+        <table class="wp-easy-migrate-replace-pairs">
+            <thead>
+                <tr>
+                    <th scope="col"><?php _e('Search for', 'wp-easy-migrate'); ?></th>
+                    <th scope="col"><?php _e('Replace with', 'wp-easy-migrate'); ?></th>
+                    <td></td>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <p>
+            <button type="button" class="button" id="wp-easy-migrate-add-replace-pair">
+                <?php _e('Add Pair', 'wp-easy-migrate'); ?>
+            </button>
+        </p>
+        <p class="wp-easy-migrate-import-warnings" style="display: none;">
+            <label>
+                <input type="checkbox" id="wp-easy-migrate-acknowledge-warnings" />
+                <?php _e('I have read the compatibility warnings in the checklist and want to import anyway.', 'wp-easy-migrate'); ?>
+            </label>
+        </p>
+        <p>
+            <label for="wp-easy-migrate-confirm-text">
+                <?php printf(
+                    __('Type %s to confirm that this site is replaced:', 'wp-easy-migrate'),
+                    '<code>' . esc_html(ImportPreview::get_confirmation_text()) . '</code>'
+                ); ?>
+            </label>
+        </p>
+        <p>
+            <input type="text" id="wp-easy-migrate-confirm-text" class="regular-text" autocomplete="off" spellcheck="false" />
+            <button type="button" class="button button-primary" id="wp-easy-migrate-confirm-import" disabled>
+                <?php _e('Confirm and Import', 'wp-easy-migrate'); ?>
+            </button>
+            <button type="button" class="button" id="wp-easy-migrate-reject-import">
+                <?php _e('Cancel Import', 'wp-easy-migrate'); ?>
+            </button>
+        </p>
+        <p class="wp-easy-migrate-import-confirm-error" style="display: none;"></p>
+    </div>
+
     <div class="wp-easy-migrate-import-info">
         <h3><?php _e('Important Notes', 'wp-easy-migrate'); ?></h3>
         <ul>
             <li><?php _e('The import process will overwrite your current database and files.', 'wp-easy-migrate'); ?>
             </li>
-            <li><?php _e('A backup of your current database will be created automatically.', 'wp-easy-migrate'); ?></li>
+            <li><?php _e('A backup of the parts of your site the import replaces is created automatically, so the import can be rolled back.', 'wp-easy-migrate'); ?></li>
             <li><?php _e('Large imports may take several minutes to complete.', 'wp-easy-migrate'); ?></li>
             <li><?php _e('Do not close this page or navigate away during the import process.', 'wp-easy-migrate'); ?>
             </li>
@@ -673,102 +1337,124 @@ class SettingsPage
 <?php
     }
 
+    /**
+     * Render exports tab
+     */
+    private function render_exports_tab(): void
+    {
+        $retention = (new ExportHistory())->get_retention();
+    ?>
+<div class="wp-easy-migrate-section">
+    <h2><?php _e('Exports', 'wp-easy-migrate'); ?></h2>
+    <p><?php _e('Finished exports stored on this server. Download, verify, import or delete them.', 'wp-easy-migrate'); ?></p>
+
+    <div id="wp-easy-migrate-export-history-notice" class="notice inline" style="display: none;">
+        <p></p>
+    </div>
+
+    <div id="wp-easy-migrate-export-history" class="wp-easy-migrate-export-history">
+        <p><?php _e('Loading exports...', 'wp-easy-migrate'); ?></p>
+    </div>
+</div>
+
+<div class="wp-easy-migrate-section">
+    <h2><?php _e('Pre-import Backups', 'wp-easy-migrate'); ?></h2>
+    <p><?php _e('Every import first backs up the parts of the site it replaces. Restore a backup to undo an import, and discard it once the imported site works as expected.', 'wp-easy-migrate'); ?></p>
+
+    <div id="wp-easy-migrate-backups" class="wp-easy-migrate-export-history">
+        <p><?php _e('Loading backups...', 'wp-easy-migrate'); ?></p>
+    </div>
+</div>
+
+<div class="wp-easy-migrate-section">
+    <h2><?php _e('Retention', 'wp-easy-migrate'); ?></h2>
+    <p><?php _e('Old exports are deleted automatically once a day and after every export. Leave a field at 0 for no limit.', 'wp-easy-migrate'); ?></p>
+
+    <form id="wp-easy-migrate-retention-form" class="wp-easy-migrate-retention-form">
+        <table class="form-table">
+            <tr>
+                <th scope="row">
+                    <label for="wp-easy-migrate-retention-count"><?php _e('Keep Exports', 'wp-easy-migrate'); ?></label>
+                </th>
+                <td>
+                    <input type="number" id="wp-easy-migrate-retention-count" name="max_count" min="0" step="1"
+                        value="<?php echo esc_attr($retention['max_count']); ?>">
+                    <p class="description"><?php _e('Number of most recent exports to keep.', 'wp-easy-migrate'); ?></p>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row">
+                    <label for="wp-easy-migrate-retention-age"><?php _e('Maximum Age', 'wp-easy-migrate'); ?></label>
+                </th>
+                <td>
+                    <input type="number" id="wp-easy-migrate-retention-age" name="max_age_days" min="0" step="1"
+                        value="<?php echo esc_attr($retention['max_age_days']); ?>">
+                    <?php _e('days', 'wp-easy-migrate'); ?>
+                    <p class="description"><?php _e('Exports older than this are deleted.', 'wp-easy-migrate'); ?></p>
+                </td>
+            </tr>
+        </table>
+
+        <p class="submit">
+            <input type="submit" class="button button-primary" value="<?php esc_attr_e('Save Retention', 'wp-easy-migrate'); ?>">
+        </p>
+    </form>
+</div>
+<?php
+    }
+
     /**
      * Render logs tab
      */
     private function render_logs_tab(): void
     {
-        $recent_logs = $this->logger->get_recent_logs(100);
+        $levels = [
+            '' => __('All levels', 'wp-easy-migrate'),
+            Logger::LEVEL_DEBUG => __('Debug', 'wp-easy-migrate'),
+            Logger::LEVEL_INFO => __('Info', 'wp-easy-migrate'),
+            Logger::LEVEL_WARNING => __('Warning', 'wp-easy-migrate'),
+            Logger::LEVEL_ERROR => __('Error', 'wp-easy-migrate'),
+            Logger::LEVEL_CRITICAL => __('Critical', 'wp-easy-migrate')
+        ];
     ?>
 <div class="wp-easy-migrate-section">
     <h2><?php _e('Activity Logs', 'wp-easy-migrate'); ?></h2>
     <p><?php _e('View recent plugin activity and troubleshoot issues.', 'wp-easy-migrate'); ?></p>
 
-    <div style="margin-bottom: 15px;">
+    <form id="wp-easy-migrate-log-filters" class="wp-easy-migrate-log-filters">
+        <label for="wp-easy-migrate-log-level" class="screen-reader-text"><?php _e('Level', 'wp-easy-migrate'); ?></label>
+        <select id="wp-easy-migrate-log-level" name="level">
+            <?php foreach ($levels as $level => $label) : ?>
+            <option value="<?php echo esc_attr($level); ?>"><?php echo esc_html($label); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <label for="wp-easy-migrate-log-search" class="screen-reader-text"><?php _e('Search logs', 'wp-easy-migrate'); ?></label>
+        <input type="search" id="wp-easy-migrate-log-search" name="search"
+            placeholder="<?php esc_attr_e('Search logs', 'wp-easy-migrate'); ?>">
+        <label>
+            <input type="checkbox" id="wp-easy-migrate-log-tail" checked>
+            <?php _e('Follow while a migration runs', 'wp-easy-migrate'); ?>
+        </label>
         <button type="button" class="button" id="refresh-logs">
             <?php _e('Refresh Logs', 'wp-easy-migrate'); ?>
         </button>
+        <button type="button" class="button" id="download-logs">
+            <?php _e('Download logs', 'wp-easy-migrate'); ?>
+        </button>
         <button type="button" class="button" id="clear-logs">
             <?php _e('Clear Logs', 'wp-easy-migrate'); ?>
         </button>
-        <span style="margin-left: 20px;">
+        <span class="wp-easy-migrate-log-size">
             <?php printf(__('Log file size: %s', 'wp-easy-migrate'), $this->logger->get_log_file_size_formatted()); ?>
         </span>
-    </div>
+    </form>
 
-    <div id="logs-container" class="wp-easy-migrate-log">
-        <?php
-                if (empty($recent_logs)) {
-                    echo __('No logs available.', 'wp-easy-migrate');
-                } else {
-                    foreach ($recent_logs as $log) {
-                        echo sprintf(
-                            "[%s] [%s] %s\n",
-                            esc_html($log['timestamp']),
-                            esc_html($log['level']),
-                            esc_html($log['message'])
-                        );
-                    }
-                }
-                ?>
+    <p class="wp-easy-migrate-log-tailing" style="display: none;"></p>
+
+    <div id="logs-container" class="wp-easy-migrate-log wp-easy-migrate-log-viewer">
+        <?php _e('Loading logs...', 'wp-easy-migrate'); ?>
     </div>
 </div>
-
-<script>
-jQuery(document).ready(function($) {
-    $('#refresh-logs').on('click', function() {
-        $.ajax({
-            url: ajaxurl,
-            type: 'POST',
-            data: {
-                action: 'wp_easy_migrate_get_logs',
-                nonce: '<?php echo wp_create_nonce('wp_easy_migrate_nonce'); ?>'
-            },
-            success: function(response) {
-                if (response.success) {
-                    var logsHtml = '';
-                    if (response.data.logs.length === 0) {
-                        logsHtml = '<?php _e('No logs available.', 'wp-easy-migrate'); ?>';
-                    } else {
-                        response.data.logs.forEach(function(log) {
-                            logsHtml += '[' + log.timestamp + '] [' + log.level +
-                                '] ' + log.message + '\n';
-                        });
-                    }
-                    $('#logs-container').html(logsHtml);
-                }
-            }
-        });
-    });
-
-    $('#clear-logs').on('click', function() {
-        if (confirm('<?php _e('Are you sure you want to clear all logs?', 'wp-easy-migrate'); ?>')) {
-            $.ajax({
-                url: ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'wp_easy_migrate_clear_logs',
-                    nonce: '<?php echo wp_create_nonce('wp_easy_migrate_nonce'); ?>'
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $('#logs-container').html(
-                            '<?php _e('No logs available.', 'wp-easy-migrate'); ?>');
-                        alert(
-                            '<?php _e('Logs cleared successfully.', 'wp-easy-migrate'); ?>'
-                            );
-                    } else {
-                        alert('<?php _e('Failed to clear logs.', 'wp-easy-migrate'); ?>');
-                    }
-                },
-                error: function() {
-                    alert('<?php _e('Failed to clear logs.', 'wp-easy-migrate'); ?>');
-                }
-            });
-        }
-    });
-});
-</script>
 <?php
     }
 
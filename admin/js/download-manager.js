@@ -0,0 +1,617 @@
+/**
+ * WP Easy Migrate Download Manager
+ *
+ * Downloads the parts of a split export one after another into a folder the
+ * user picked. Interrupted parts continue with HTTP Range requests, and every
+ * finished part is checked against the checksums in the export manifest.
+ * Browsers without folder access get a save link per part instead.
+ */
+
+(function ($, window, wp) {
+  "use strict";
+
+  const { __, sprintf } = wp.i18n;
+
+  // Attempts per part before it is marked as failed
+  const MAX_ATTEMPTS = 5;
+
+  // Delay before the first retry, doubled for each further one
+  const RETRY_DELAY = 2000;
+
+  /**
+   * Download Manager Class
+   */
+  class DownloadManager {
+    /**
+     * @param {jQuery} $container List element to render the queue into
+     * @param {Object} options ajaxUrl, nonce, formatSize(bytes) and
+     *   onFinish(items)
+     */
+    constructor($container, options) {
+      this.$container = $container;
+      this.options = options;
+      this.items = [];
+      this.expected = [];
+      this.directory = null;
+      this.isRunning = false;
+
+      this.$container.on("click", ".wp-easy-migrate-download-retry", (e) => {
+        e.preventDefault();
+
+        const $row = $(e.currentTarget).closest("li");
+
+        this.retry($row.attr("data-file"));
+
+        // The button is gone, keep the keyboard focus on its part
+        $row.find('[role="progressbar"]').trigger("focus");
+      });
+
+      // The browser downloads the part itself, from the user's own click
+      this.$container.on("click", ".wp-easy-migrate-download-save", (e) => {
+        this.markSaved($(e.currentTarget).closest("li").attr("data-file"));
+      });
+    }
+
+    /**
+     * Download files in order
+     *
+     * Must be called from a click handler, since the browser only shows the
+     * folder picker in response to one.
+     *
+     * @param {string[]} fileNames File names of the parts
+     * @param {string|null} manifestFile Standalone manifest with part checksums
+     */
+    start(fileNames, manifestFile) {
+      if (this.isRunning) {
+        return;
+      }
+
+      this.isRunning = true;
+      this.items = fileNames.map((fileName) => ({
+        fileName: fileName,
+        state: "waiting",
+        received: 0,
+        size: 0,
+        attempts: 0,
+        restart: false,
+        etag: null,
+        updatedAt: 0,
+        sink: null,
+        $row: null,
+      }));
+
+      this.render();
+
+      this.pickDirectory().then(() => {
+        if (!this.directory) {
+          this.offerLinks();
+          return;
+        }
+
+        this.loadManifest(manifestFile).then(() => this.next());
+      });
+    }
+
+    /**
+     * Let the user pick a folder to write the parts to
+     *
+     * Writing to disk keeps memory use flat and lets parts continue after a
+     * reload. Without the File System Access API, or when the user cancels,
+     * every part gets a link the user saves it with.
+     *
+     * @returns {Promise} Resolves once a folder was picked or declined
+     */
+    pickDirectory() {
+      if (typeof window.showDirectoryPicker !== "function") {
+        return Promise.resolve();
+      }
+
+      return window
+        .showDirectoryPicker({ mode: "readwrite" })
+        .then((handle) => {
+          this.directory = handle;
+        })
+        .catch(() => {
+          this.directory = null;
+        });
+    }
+
+    /**
+     * Let the user save each part with a regular download link
+     *
+     * Browsers block downloads that a script starts without a click, so each
+     * part needs a click of its own. The browser's download manager then
+     * writes the part to disk and resumes it; the checksums are verified on
+     * import.
+     */
+    offerLinks() {
+      this.items.forEach((item) => {
+        item.state = "ready";
+        this.updateRow(item);
+      });
+    }
+
+    /**
+     * Mark a part as handed to the browser, finishing once all are
+     *
+     * @param {string} fileName File name of the part
+     */
+    markSaved(fileName) {
+      const item = this.items.find(
+        (candidate) => candidate.fileName === fileName
+      );
+
+      if (!item || item.state !== "ready") {
+        return;
+      }
+
+      item.state = "saved";
+      this.updateRow(item);
+
+      if (this.items.every((candidate) => candidate.state === "saved")) {
+        this.isRunning = false;
+
+        if (this.options.onFinish) {
+          this.options.onFinish(this.items);
+        }
+      }
+    }
+
+    /**
+     * Load the part sizes and checksums from the export manifest
+     *
+     * @param {string|null} manifestFile Manifest file name
+     * @returns {Promise} Resolves when done, also if it could not be loaded
+     */
+    loadManifest(manifestFile) {
+      this.expected = [];
+
+      if (!manifestFile) {
+        return Promise.resolve();
+      }
+
+      return fetch(this.getUrl(manifestFile), { credentials: "same-origin" })
+        .then((response) => (response.ok ? response.json() : null))
+        .then((manifest) => {
+          if (manifest && manifest.archive_parts) {
+            this.expected = manifest.archive_parts.parts || [];
+          }
+        })
+        .catch(() => {
+          this.expected = [];
+        });
+    }
+
+    /**
+     * Get the download URL of a file
+     *
+     * @param {string} fileName File name
+     * @returns {string} URL
+     */
+    getUrl(fileName) {
+      return (
+        this.options.ajaxUrl +
+        "?action=wp_easy_migrate_download&file=" +
+        encodeURIComponent(fileName) +
+        "&nonce=" +
+        this.options.nonce
+      );
+    }
+
+    /**
+     * Render the queue
+     */
+    render() {
+      this.$container.empty();
+
+      this.items.forEach((item) => {
+        item.$row = $('<li class="wp-easy-migrate-download-item"></li>')
+          .attr("data-file", item.fileName)
+          .append(
+            $('<span class="wp-easy-migrate-download-name"></span>').text(
+              item.fileName
+            ),
+            $(
+              '<div class="wp-easy-migrate-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" tabindex="-1"><div class="wp-easy-migrate-progress-fill"></div></div>'
+            ).attr("aria-label", item.fileName),
+            '<span class="wp-easy-migrate-download-status"></span>'
+          );
+
+        this.$container.append(item.$row);
+        this.updateRow(item);
+      });
+
+      this.$container.show();
+    }
+
+    /**
+     * Show the state of a part
+     *
+     * @param {Object} item Queue item
+     * @param {string} message Optional status text overriding the default
+     */
+    updateRow(item, message = "") {
+      const percent = item.size
+        ? Math.min(100, Math.floor((item.received / item.size) * 100))
+        : 0;
+      let text = message;
+
+      if (!text) {
+        switch (item.state) {
+          case "waiting":
+            text = __("Waiting", "wp-easy-migrate");
+            break;
+          case "downloading":
+            text = item.size
+              ? sprintf(
+                  /* translators: 1: downloaded size, 2: total size, 3: percentage */
+                  __("%1$s of %2$s (%3$d%%)", "wp-easy-migrate"),
+                  this.options.formatSize(item.received),
+                  this.options.formatSize(item.size),
+                  percent
+                )
+              : this.options.formatSize(item.received);
+            break;
+          case "verifying":
+            text = __("Verifying checksum...", "wp-easy-migrate");
+            break;
+          case "verified":
+            text = __("Downloaded and verified", "wp-easy-migrate");
+            break;
+          case "done":
+            text = __(
+              "Downloaded, no checksum to verify against",
+              "wp-easy-migrate"
+            );
+            break;
+          case "ready":
+            text = __("Ready to save", "wp-easy-migrate");
+            break;
+          case "saved":
+            text = __(
+              "Saving in the browser, checked on import",
+              "wp-easy-migrate"
+            );
+            break;
+        }
+      }
+
+      item.$row
+        .removeClass(
+          "is-waiting is-downloading is-retrying is-verifying is-verified is-done is-failed is-ready is-saved"
+        )
+        .addClass("is-" + item.state);
+      const width = ["verified", "done", "saved"].includes(item.state)
+        ? 100
+        : percent;
+
+      item.$row.find(".wp-easy-migrate-progress-fill").css("width", width + "%");
+      item.$row
+        .find('[role="progressbar"]')
+        .attr({ "aria-valuenow": width, "aria-valuetext": text });
+      item.$row.find(".wp-easy-migrate-download-status").text(text);
+      item.$row.find(".wp-easy-migrate-download-retry").remove();
+
+      if (item.state === "failed") {
+        item.$row.append(
+          $(
+            '<button type="button" class="button button-small wp-easy-migrate-download-retry"></button>'
+          )
+            .text(__("Retry", "wp-easy-migrate"))
+            .attr(
+              "aria-label",
+              /* translators: %s: file name */
+              sprintf(__("Retry %s", "wp-easy-migrate"), item.fileName)
+            )
+        );
+      }
+
+      if (item.state === "ready" && !item.$row.find("a").length) {
+        item.$row.append(
+          $(
+            '<a class="button button-small wp-easy-migrate-download-save"></a>'
+          )
+            .attr({
+              href: this.getUrl(item.fileName),
+              download: item.fileName,
+              "aria-label": sprintf(
+                /* translators: %s: file name */
+                __("Save %s", "wp-easy-migrate"),
+                item.fileName
+              ),
+            })
+            .text(__("Save", "wp-easy-migrate"))
+        );
+      }
+    }
+
+    /**
+     * Download the next waiting part, or finish
+     */
+    next() {
+      const item = this.items.find((candidate) => candidate.state === "waiting");
+
+      if (!item) {
+        this.isRunning = false;
+
+        if (this.options.onFinish) {
+          this.options.onFinish(this.items);
+        }
+        return;
+      }
+
+      this.download(item);
+    }
+
+    /**
+     * Download a part, continuing where an earlier attempt stopped
+     *
+     * @param {Object} item Queue item
+     */
+    download(item) {
+      item.state = "downloading";
+      this.updateRow(item);
+
+      this.openSink(item)
+        .then((sink) => {
+          item.sink = sink;
+          return this.fetchPart(item, sink);
+        })
+        .then(() => this.verify(item))
+        .then(() => this.next())
+        .catch((error) => this.handleFailure(item, error));
+    }
+
+    /**
+     * Open the file of a part in the picked folder
+     *
+     * @param {Object} item Queue item
+     * @returns {Promise<Object>} Sink with write(), reset(), close() and getFile()
+     */
+    openSink(item) {
+      let fileHandle;
+      let writable;
+
+      return this.directory
+        .getFileHandle(item.fileName, { create: true })
+        .then((handle) => {
+          fileHandle = handle;
+          return handle.getFile();
+        })
+        .then((file) => {
+          // What is already on disk, possibly from before a reload
+          item.received = item.restart ? 0 : file.size;
+          item.restart = false;
+
+          return fileHandle.createWritable({ keepExistingData: true });
+        })
+        .then((stream) => {
+          writable = stream;
+          return writable.truncate(item.received);
+        })
+        .then(() => writable.seek(item.received))
+        .then(() => ({
+          write: (chunk) => writable.write(chunk),
+          reset: () => writable.truncate(0).then(() => writable.seek(0)),
+          // Closing keeps what was written so far, so a retry can resume
+          close: () => writable.close(),
+          getFile: () => fileHandle.getFile(),
+        }));
+    }
+
+    /**
+     * Fetch the missing bytes of a part
+     *
+     * @param {Object} item Queue item
+     * @param {Object} sink Destination from openSink()
+     * @returns {Promise} Resolves once the part is complete
+     */
+    fetchPart(item, sink) {
+      const headers = {};
+
+      if (item.received > 0) {
+        headers.Range = `bytes=${item.received}-`;
+
+        // Start over instead of appending if the file changed meanwhile
+        if (item.etag) {
+          headers["If-Range"] = item.etag;
+        }
+      }
+
+      const transfer = fetch(this.getUrl(item.fileName), {
+        credentials: "same-origin",
+        headers: headers,
+      }).then((response) => {
+        // Nothing left to fetch, the part was already complete
+        if (response.status === 416 && item.received > 0) {
+          item.size = item.received;
+          return;
+        }
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        item.etag = response.headers.get("ETag") || item.etag;
+
+        const range = /\/(\d+)$/.exec(
+          response.headers.get("Content-Range") || ""
+        );
+        let restart = Promise.resolve();
+
+        if (response.status === 206 && range) {
+          item.size = parseInt(range[1], 10);
+        } else {
+          // The server sent the whole file
+          item.size = parseInt(response.headers.get("Content-Length"), 10) || 0;
+
+          if (item.received > 0) {
+            item.received = 0;
+            restart = Promise.resolve(sink.reset());
+          }
+        }
+
+        const reader = response.body.getReader();
+        const pump = () =>
+          reader.read().then(({ done, value }) => {
+            if (done) {
+              return;
+            }
+
+            return Promise.resolve(sink.write(value)).then(() => {
+              item.received += value.length;
+
+              // Chunks arrive far more often than the row needs redrawing
+              if (Date.now() - item.updatedAt > 250) {
+                item.updatedAt = Date.now();
+                this.updateRow(item);
+              }
+
+              return pump();
+            });
+          });
+
+        return restart.then(pump).then(() => {
+          if (item.size && item.received < item.size) {
+            throw new Error(__("Connection closed early", "wp-easy-migrate"));
+          }
+        });
+      });
+
+      return transfer.then(
+        () => sink.close(),
+        (error) =>
+          Promise.resolve(sink.close()).then(() => {
+            throw error;
+          })
+      );
+    }
+
+    /**
+     * Check a downloaded part against the manifest
+     *
+     * @param {Object} item Queue item
+     * @returns {Promise} Rejects with a permanent error on a mismatch
+     */
+    verify(item) {
+      const info = this.expected.find(
+        (part) => part.filename === item.fileName
+      );
+
+      return item.sink.getFile().then((file) => {
+        if (info && info.size && file.size !== info.size) {
+          throw this.createPermanentError(
+            __(
+              "The size does not match the manifest. Download it again.",
+              "wp-easy-migrate"
+            )
+          );
+        }
+
+        if (!info || !info.sha256) {
+          item.state = "done";
+          this.updateRow(item);
+          return;
+        }
+
+        item.state = "verifying";
+        this.updateRow(item);
+
+        // Read back from disk a slice at a time, parts can be 1000 MB
+        return window.WPEasyMigrateSha256.hashBlob(file).then((hash) => {
+          if (hash !== info.sha256) {
+            throw this.createPermanentError(
+              __("Checksum mismatch. Download it again.", "wp-easy-migrate")
+            );
+          }
+
+          item.state = "verified";
+          this.updateRow(item);
+        });
+      });
+    }
+
+    /**
+     * Create an error that retrying the same bytes cannot fix
+     *
+     * @param {string} message Error message
+     * @returns {Error} Error
+     */
+    createPermanentError(message) {
+      const error = new Error(message);
+      error.permanent = true;
+      return error;
+    }
+
+    /**
+     * Retry a part after a failure, or give up on it
+     *
+     * @param {Object} item Queue item
+     * @param {Error} error What went wrong
+     */
+    handleFailure(item, error) {
+      item.attempts++;
+
+      if (!error.permanent && item.attempts < MAX_ATTEMPTS) {
+        item.state = "retrying";
+        this.updateRow(
+          item,
+          sprintf(
+            /* translators: 1: retry number, 2: number of retries */
+            __("Connection lost, retrying (%1$d/%2$d)...", "wp-easy-migrate"),
+            item.attempts,
+            MAX_ATTEMPTS - 1
+          )
+        );
+
+        setTimeout(() => {
+          this.download(item);
+        }, RETRY_DELAY * Math.pow(2, item.attempts - 1));
+        return;
+      }
+
+      // A corrupted part has to be fetched from the start
+      if (error.permanent) {
+        item.restart = true;
+      }
+
+      item.state = "failed";
+      this.updateRow(
+        item,
+        sprintf(
+          /* translators: %s: error message */
+          __("Failed: %s", "wp-easy-migrate"),
+          error.message || __("Unknown error", "wp-easy-migrate")
+        )
+      );
+
+      this.next();
+    }
+
+    /**
+     * Queue a failed part again
+     *
+     * @param {string} fileName File name of the part
+     */
+    retry(fileName) {
+      const item = this.items.find(
+        (candidate) => candidate.fileName === fileName
+      );
+
+      if (!item || item.state !== "failed") {
+        return;
+      }
+
+      item.state = "waiting";
+      item.attempts = 0;
+      this.updateRow(item);
+
+      if (!this.isRunning) {
+        this.isRunning = true;
+        this.next();
+      }
+    }
+  }
+
+  window.WPEasyMigrateDownloadManager = DownloadManager;
+})(jQuery, window, wp);
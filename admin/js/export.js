@@ -7,19 +7,49 @@
 (function ($) {
   "use strict";
 
+  const { __, _n, _x, sprintf } = wp.i18n;
+  const { speak } = wp.a11y;
+
   /**
    * Export Manager Class
    */
   class ExportManager {
     constructor() {
       this.isRunning = false;
+      this.isCancelling = false;
+      this.isEstimating = false;
+      this.currentRequest = null;
       this.pollInterval = null;
       this.pollDelay = 2000; // 2 seconds between polls
+      this.nextPollDelay = this.pollDelay;
+      this.autoTune = null; // Batch sizes tuned from step timings in auto mode
       this.maxRetries = 3;
       this.currentRetries = 0;
+      this.announcedStep = null; // Step last announced to screen readers
+      this.steps = []; // Steps of the export in order, as planned by the server
+      this.stepsSession = null; // Session the steps were planned for
+
+      // Following a migration that another tab or admin runs
+      this.coordinator = window.WPEasyMigrateCoordinator;
+      this.isObserving = false;
+      this.isCheckingSession = false;
+      this.observeTimer = null;
+      this.observeDelay = 5000;
+      this.lastBroadcast = 0;
+
+      this.stream = new WPEasyMigrateProgressStream({
+        ajaxUrl: wpEasyMigrate.ajaxUrl,
+        nonce: wpEasyMigrate.nonce,
+        action: "wpem_export_stream",
+        enabled: wpEasyMigrate.progressStream,
+        onProgress: (data) => this.handleStreamProgress(data),
+      });
 
       this.initElements();
       this.bindEvents();
+      this.coordinator.subscribe((message) => this.handleBroadcast(message));
+      this.coordinator.ready().then(() => this.checkExistingSession());
+      this.loadTables();
     }
 
     /**
@@ -28,11 +58,36 @@
     initElements() {
       this.$form = $("#wp-easy-migrate-export-form");
       this.$button = $("#start-export");
+      this.$cancelButton = $("#cancel-export");
+      this.$estimateButton = $("#estimate-export");
+      this.$estimate = $("#export-estimate");
       this.$progress = $("#export-progress");
       this.$progressBar = $(".wp-easy-migrate-progress-fill");
       this.$status = $("#export-status");
       this.$result = $("#export-result");
       this.$progressText = $("#export-progress-text");
+      this.$tuning = $("#export-tuning");
+      this.$lockNotice = $("#export-lock-notice");
+      this.$tablesRow = $("#wp-easy-migrate-db-tables-row");
+      this.$tables = $("#wp-easy-migrate-db-tables");
+      this.$tablesSummary = $("#wp-easy-migrate-db-tables-summary");
+      this.$fileTreeSummary = $("#wp-easy-migrate-file-tree-summary");
+      this.fileTreeHint = this.$fileTreeSummary.text().trim();
+      this.fileTree = new WPEasyMigrateFileTree(
+        $("#wp-easy-migrate-file-tree"),
+        {
+          ajaxUrl: wpEasyMigrate.ajaxUrl,
+          nonce: wpEasyMigrate.nonce,
+          strings: wpEasyMigrate.strings,
+          roots: [
+            { path: "uploads", label: __("Uploads", "wp-easy-migrate") },
+            { path: "plugins", label: __("Plugins", "wp-easy-migrate") },
+            { path: "themes", label: __("Themes", "wp-easy-migrate") },
+          ],
+          formatSize: (bytes) => this.formatFileSize(bytes),
+          onChange: () => this.updateFileTreeSummary(),
+        }
+      );
     }
 
     /**
@@ -44,12 +99,63 @@
         this.startExport();
       });
 
+      this.$estimateButton.on("click", (e) => {
+        e.preventDefault();
+        this.estimateExport();
+      });
+
+      this.$cancelButton.on("click", (e) => {
+        e.preventDefault();
+
+        // Stays focusable while cancelling, so it is only marked disabled
+        if (this.isCancelling) {
+          return;
+        }
+
+        if (
+          confirm(
+            __(
+              "Cancel the export and delete its partial files?",
+              "wp-easy-migrate"
+            )
+          )
+        ) {
+          this.stopExport();
+        }
+      });
+
+      this.$form.on("change", '[name="include_database"]', (e) => {
+        this.$tablesRow.toggle($(e.target).is(":checked"));
+      });
+
+      this.$form.on(
+        "change",
+        '[name="include_uploads"], [name="include_plugins"], [name="include_themes"]',
+        (e) => {
+          const $checkbox = $(e.target);
+
+          this.fileTree.setRootVisible(
+            $checkbox.attr("name").replace("include_", ""),
+            $checkbox.is(":checked")
+          );
+          this.updateFileTreeSummary();
+        }
+      );
+
+      this.$tables.on("change", "select", (e) => {
+        const $select = $(e.target);
+        $select
+          .closest("tr")
+          .toggleClass("is-excluded", $select.val() === "exclude");
+        this.updateTablesSummary();
+      });
+
       // Handle page unload during export
       $(window).on("beforeunload", () => {
         if (this.isRunning) {
-          return (
-            wpEasyMigrate.strings.exportInProgress ||
-            "Export is in progress. Are you sure you want to leave?"
+          return __(
+            "Export is in progress. Are you sure you want to leave?",
+            "wp-easy-migrate"
           );
         }
       });
@@ -59,12 +165,15 @@
      * Start export process
      */
     startExport() {
-      if (this.isRunning) {
+      if (this.isRunning || this.isObserving) {
         return;
       }
 
       this.isRunning = true;
       this.currentRetries = 0;
+      this.autoTune = null;
+      this.nextPollDelay = this.pollDelay;
+      this.$tuning.hide();
 
       // Update UI
       this.updateUI("starting");
@@ -73,49 +182,516 @@
       this.makeExportRequest(true);
     }
 
+    /**
+     * Reattach to an export that is still running on the server
+     *
+     * The export only advances while this screen polls it, so an export
+     * left behind by a reload or crash is picked up where it stopped.
+     */
+    checkExistingSession() {
+      this.isCheckingSession = true;
+
+      this.requestSessionStatus((data) => {
+        this.isCheckingSession = false;
+
+        if (this.isRunning || this.isObserving || !data) {
+          return;
+        }
+
+        // Another tab or admin runs a migration, follow it instead
+        if (data.lock && !data.lock.owned) {
+          this.startObserving(data);
+          return;
+        }
+
+        if (!data.in_progress) {
+          return;
+        }
+
+        this.isRunning = true;
+        this.currentRetries = 0;
+        this.updateUI("starting");
+        this.resumeSession(data);
+      });
+    }
+
+    /**
+     * Continue polling a reattached export
+     *
+     * @param {Object|null} data Session status, null if it could not be loaded
+     */
+    resumeSession(data) {
+      if (!this.isRunning) {
+        return;
+      }
+
+      if (data && !data.in_progress) {
+        // Finished while we were waiting, the step request reports the outcome
+        this.makeExportRequest();
+        return;
+      }
+
+      if (data) {
+        this.updateProgress(data.status);
+
+        const batch = data.status.batch_processing;
+        if (batch && batch.batch_mode === "auto" && !this.autoTune) {
+          this.autoTune = {
+            filesPerStep: batch.files_per_step,
+            dbRowsPerStep: batch.db_rows_per_step,
+          };
+        }
+      }
+
+      // A step from before the reload is still being processed
+      if (!data || data.step_running) {
+        this.$status.text(
+          __("Waiting for the current step to finish...", "wp-easy-migrate")
+        );
+        setTimeout(() => {
+          this.requestSessionStatus((next) => this.resumeSession(next));
+        }, this.pollDelay);
+        return;
+      }
+
+      this.makeExportRequest();
+    }
+
+    /**
+     * Request the state of the current export session
+     *
+     * @param {Function} callback Receives the status data, or null on failure
+     */
+    requestSessionStatus(callback) {
+      $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_export_status",
+          nonce: wpEasyMigrate.nonce,
+          lock_token: this.coordinator.token,
+          steps_session: this.stepsSession || "",
+        },
+        timeout: 30000,
+        success: (response) => {
+          if (response.success) {
+            this.setSteps(response.data);
+          }
+
+          callback(response.success ? response.data : null);
+        },
+        error: () => {
+          callback(null);
+        },
+      });
+    }
+
+    /**
+     * Load database tables for the table picker
+     */
+    loadTables() {
+      $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_export_tables",
+          nonce: wpEasyMigrate.nonce,
+        },
+        timeout: 30000,
+        success: (response) => {
+          if (response.success) {
+            this.renderTables(response.data.tables);
+          } else {
+            this.showTablesError();
+          }
+        },
+        error: () => {
+          this.showTablesError();
+        },
+      });
+    }
+
+    /**
+     * Render the table picker
+     *
+     * @param {Object[]} tables Tables with name, rows and size
+     */
+    renderTables(tables) {
+      const $table = $('<table class="widefat striped"></table>');
+      const $head = $("<tr></tr>")
+        .append($("<th></th>").text(__("Table", "wp-easy-migrate")))
+        .append(
+          $('<th class="column-rows"></th>').text(__("Rows", "wp-easy-migrate"))
+        )
+        .append(
+          $('<th class="column-size"></th>').text(__("Size", "wp-easy-migrate"))
+        )
+        .append($("<th></th>").text(__("Export", "wp-easy-migrate")));
+
+      $table.append($("<thead></thead>").append($head));
+
+      const $body = $("<tbody></tbody>");
+
+      tables.forEach((table) => {
+        const $select = $("<select></select>")
+          .attr("data-table", table.name)
+          .append(
+            $('<option value="full"></option>').text(
+              __("Structure and data", "wp-easy-migrate")
+            ),
+            $('<option value="structure"></option>').text(
+              __("Structure only", "wp-easy-migrate")
+            ),
+            $('<option value="exclude"></option>').text(
+              __("Exclude", "wp-easy-migrate")
+            )
+          );
+
+        $body.append(
+          $("<tr></tr>")
+            .append($("<td></td>").append($("<code></code>").text(table.name)))
+            .append(
+              $('<td class="column-rows"></td>').text(
+                // Row counts from SHOW TABLE STATUS are estimates for InnoDB
+                "~" + this.formatNumber(table.rows)
+              )
+            )
+            .append(
+              $('<td class="column-size"></td>').text(
+                this.formatFileSize(table.size)
+              )
+            )
+            .append($("<td></td>").append($select))
+        );
+      });
+
+      $table.append($body);
+      this.$tables.empty().append($table);
+      this.updateTablesSummary();
+    }
+
+    /**
+     * Show that the table list could not be loaded
+     */
+    showTablesError() {
+      this.$tables.empty().append(
+        $("<p></p>").text(
+          __(
+            "Could not load the database tables. All tables will be exported.",
+            "wp-easy-migrate"
+          )
+        )
+      );
+    }
+
+    /**
+     * Show how many tables the export will contain
+     */
+    updateTablesSummary() {
+      const $selects = this.$tables.find("select");
+      const selection = this.getTableSelection();
+      this.$tablesSummary.text(
+        sprintf(
+          /* translators: 1: exported tables, 2: all tables, 3: tables exported without rows */
+          _n(
+            "%1$s of %2$s table exported, %3$s structure only",
+            "%1$s of %2$s tables exported, %3$s structure only",
+            $selects.length,
+            "wp-easy-migrate"
+          ),
+          this.formatNumber($selects.length - selection.excluded.length),
+          this.formatNumber($selects.length),
+          this.formatNumber(selection.structureOnly.length)
+        )
+      );
+    }
+
+    /**
+     * Show how many folders are left out of the export
+     */
+    updateFileTreeSummary() {
+      const count = this.fileTree.getExcludedPaths().length;
+
+      this.$fileTreeSummary.text(
+        count
+          ? sprintf(
+              /* translators: %s: number of folders */
+              _n(
+                "%s folder excluded",
+                "%s folders excluded",
+                count,
+                "wp-easy-migrate"
+              ),
+              this.formatNumber(count)
+            )
+          : this.fileTreeHint
+      );
+    }
+
+    /**
+     * Get the tables to exclude and to export without rows
+     *
+     * @returns {Object} Table names in excluded and structureOnly
+     */
+    getTableSelection() {
+      const selection = { excluded: [], structureOnly: [] };
+
+      this.$tables.find("select").each((index, select) => {
+        const $select = $(select);
+
+        if ($select.val() === "exclude") {
+          selection.excluded.push($select.attr("data-table"));
+        } else if ($select.val() === "structure") {
+          selection.structureOnly.push($select.attr("data-table"));
+        }
+      });
+
+      return selection;
+    }
+
+    /**
+     * Read export options from the form
+     *
+     * @returns {Object} Options in the format expected by the server
+     */
+    getExportOptions() {
+      const options = {};
+
+      options.include_uploads = this.$form
+        .find('[name="include_uploads"]')
+        .is(":checked")
+        ? 1
+        : 0;
+      options.include_plugins = this.$form
+        .find('[name="include_plugins"]')
+        .is(":checked")
+        ? 1
+        : 0;
+      options.include_themes = this.$form
+        .find('[name="include_themes"]')
+        .is(":checked")
+        ? 1
+        : 0;
+      options.include_database = this.$form
+        .find('[name="include_database"]')
+        .is(":checked")
+        ? 1
+        : 0;
+      options.split_size = this.$form.find('[name="split_size"]').val() || 100;
+
+      let filesPerStepRaw = this.$form.find('[name="files_per_step"]').val();
+      let filesPerStep =
+        filesPerStepRaw === "" ? NaN : parseInt(filesPerStepRaw, 10);
+      options.files_per_step = isNaN(filesPerStep) ? 50 : filesPerStep;
+      options.batch_mode = filesPerStepRaw === "auto" ? "auto" : "fixed";
+
+      const selection = this.getTableSelection();
+      options.db_excluded_tables = selection.excluded;
+      options.db_structure_only_tables = selection.structureOnly;
+
+      options.exclude_paths = this.fileTree.getExcludedPaths();
+      options.exclude_patterns = (
+        this.$form.find('[name="exclude_patterns"]').val() || ""
+      )
+        .split("\n")
+        .map((pattern) => pattern.trim())
+        .filter((pattern) => pattern !== "");
+
+      return options;
+    }
+
+    /**
+     * Estimate the export with the current options
+     *
+     * Dry run that reports file count, database size, archive size, number
+     * of parts and whether the export fits on disk, without exporting.
+     */
+    estimateExport() {
+      if (this.isRunning || this.isObserving || this.isEstimating) {
+        return;
+      }
+
+      this.isEstimating = true;
+      this.$estimateButton
+        .prop("disabled", true)
+        .text(__("Estimating...", "wp-easy-migrate"));
+
+      $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: Object.assign(
+          {
+            action: "wpem_export_estimate",
+            nonce: wpEasyMigrate.nonce,
+          },
+          this.getExportOptions()
+        ),
+        // Scanning large uploads folders can take a while
+        timeout: 300000,
+        success: (response) => {
+          if (response.success) {
+            this.renderEstimate(response.data);
+          } else {
+            this.showEstimateError(
+              response.data && response.data.message
+                ? response.data.message
+                : __("Could not estimate the export", "wp-easy-migrate")
+            );
+          }
+        },
+        error: (xhr, status, error) => {
+          this.showEstimateError(
+            sprintf(
+              /* translators: %s: error message */
+              __("Could not estimate the export: %s", "wp-easy-migrate"),
+              error || status
+            )
+          );
+        },
+        complete: () => {
+          this.isEstimating = false;
+          this.$estimateButton
+            .prop("disabled", this.isRunning || this.isObserving)
+            .text(__("Estimate", "wp-easy-migrate"));
+        },
+      });
+    }
+
+    /**
+     * Render an export estimate
+     *
+     * @param {Object} estimate Estimate from the server
+     */
+    renderEstimate(estimate) {
+      const $table = $("<table></table>");
+      const addRow = (label, value) => {
+        $table.append(
+          $("<tr></tr>")
+            .append($("<th></th>").text(label))
+            .append($("<td></td>").text(value))
+        );
+      };
+
+      addRow(
+        __("Files", "wp-easy-migrate"),
+        sprintf(
+          /* translators: 1: number of files, 2: their size */
+          _n(
+            "%1$s file (%2$s)",
+            "%1$s files (%2$s)",
+            estimate.file_count,
+            "wp-easy-migrate"
+          ),
+          this.formatNumber(estimate.file_count),
+          this.formatFileSize(estimate.files_size)
+        )
+      );
+      addRow(
+        __("Database", "wp-easy-migrate"),
+        sprintf(
+          /* translators: 1: number of tables, 2: database size */
+          _n(
+            "%1$s table (%2$s)",
+            "%1$s tables (%2$s)",
+            estimate.table_count,
+            "wp-easy-migrate"
+          ),
+          this.formatNumber(estimate.table_count),
+          this.formatFileSize(estimate.database_size)
+        )
+      );
+      addRow(
+        __("Approximate archive size", "wp-easy-migrate"),
+        "~" + this.formatFileSize(estimate.archive_size)
+      );
+      addRow(
+        __("Archive parts", "wp-easy-migrate"),
+        estimate.split_size > 0
+          ? sprintf(
+              /* translators: 1: number of parts, 2: size of each part in MB */
+              _n(
+                "%1$s of up to %2$s MB",
+                "%1$s of up to %2$s MB each",
+                estimate.part_count,
+                "wp-easy-migrate"
+              ),
+              this.formatNumber(estimate.part_count),
+              this.formatNumber(estimate.split_size)
+            )
+          : __("1 (no splitting)", "wp-easy-migrate")
+      );
+
+      const disk = estimate.disk_space;
+      const free =
+        disk.available_bytes === null
+          ? "?"
+          : this.formatFileSize(disk.available_bytes);
+      const needed = this.formatFileSize(estimate.required_space);
+      const diskMessage = sprintf(
+        disk.passed
+          ? /* translators: 1: free disk space, 2: space the export needs */
+            __("Enough space: %1$s free, about %2$s needed", "wp-easy-migrate")
+          : /* translators: 1: free disk space, 2: space the export needs */
+            __(
+              "Not enough space: %1$s free, about %2$s needed. The export would fail.",
+              "wp-easy-migrate"
+            ),
+        free,
+        needed
+      );
+
+      addRow(__("Free disk space", "wp-easy-migrate"), diskMessage);
+
+      this.$estimate
+        .removeClass("is-error is-warning")
+        .toggleClass("is-warning", !disk.passed)
+        .empty()
+        .append($("<h4></h4>").text(__("Export estimate", "wp-easy-migrate")))
+        .append($table)
+        .show();
+    }
+
+    /**
+     * Show that the estimate failed
+     *
+     * @param {string} message Error message
+     */
+    showEstimateError(message) {
+      this.$estimate
+        .removeClass("is-warning")
+        .addClass("is-error")
+        .empty()
+        .append($("<p></p>").text(message))
+        .show();
+    }
+
     /**
      * Make AJAX request for export step
      *
      * @param {boolean} startExport Whether this is the initial export request
      */
     makeExportRequest(startExport = false) {
+      if (!this.isRunning) {
+        return;
+      }
+
       const data = {
         action: "wpem_export_step",
         nonce: wpEasyMigrate.nonce,
+        lock_token: this.coordinator.token,
+        steps_session: this.stepsSession || "",
       };
 
       // Add form data for initial request
       if (startExport) {
         data.start_export = true;
-        data.include_uploads = this.$form
-          .find('[name="include_uploads"]')
-          .is(":checked")
-          ? 1
-          : 0;
-        data.include_plugins = this.$form
-          .find('[name="include_plugins"]')
-          .is(":checked")
-          ? 1
-          : 0;
-        data.include_themes = this.$form
-          .find('[name="include_themes"]')
-          .is(":checked")
-          ? 1
-          : 0;
-        data.include_database = this.$form
-          .find('[name="include_database"]')
-          .is(":checked")
-          ? 1
-          : 0;
-        data.split_size = this.$form.find('[name="split_size"]').val() || 100;
-
-        let filesPerStepRaw = this.$form.find('[name="files_per_step"]').val();
-        let filesPerStep =
-          filesPerStepRaw === "" ? NaN : parseInt(filesPerStepRaw, 10);
-        data.files_per_step = isNaN(filesPerStep) ? 50 : filesPerStep;
+        Object.assign(data, this.getExportOptions());
+      } else if (this.autoTune) {
+        data.files_per_step = this.autoTune.filesPerStep;
+        data.db_rows_per_step = this.autoTune.dbRowsPerStep;
       }
 
-      $.ajax({
+      this.currentRequest = $.ajax({
         url: wpEasyMigrate.ajaxUrl,
         type: "POST",
         data: data,
@@ -136,22 +712,47 @@
      * @param {Object} response AJAX response
      */
     handleResponse(response) {
+      // Cancelled while the request was running
+      if (!this.isRunning) {
+        return;
+      }
+
       if (response.success) {
         const status = response.data.status;
 
         // Update progress
+        this.setSteps(response.data);
         this.updateProgress(status);
 
         if (status.completed) {
           if (status.error) {
             this.handleError(null, "export_error", status.error);
           } else {
+            this.coordinator.broadcast("export", "finished", {
+              state: "success",
+              message: response.data.message,
+              status: status,
+            });
             this.handleSuccess(response.data.message, status);
           }
         } else {
+          this.coordinator.broadcast("export", "progress", { status: status });
+          this.applyStepTiming(response.data.timing);
+
+          // Progress arrives over the stream from now on, if the host allows it
+          if (!this.stream.source) {
+            this.stream.start();
+          }
+
           // Continue polling for next step
           this.scheduleNextPoll();
         }
+      } else if (response.data && response.data.locked) {
+        // Another tab or admin got there first
+        this.isRunning = false;
+        this.clearPollInterval();
+        this.stream.stop();
+        this.startObserving(response.data);
       } else {
         this.handleError(null, "response_error", response.data.message);
       }
@@ -165,8 +766,28 @@
      * @param {string} error Error message
      */
     handleError(xhr, status, error) {
+      if (!this.isRunning) {
+        return;
+      }
+
       this.currentRetries++;
 
+      // A step that ran into the time limit needs a smaller batch next time
+      if (
+        this.autoTune &&
+        (status === "timeout" || (xhr && xhr.status >= 500))
+      ) {
+        this.autoTune.filesPerStep = Math.max(
+          1,
+          Math.floor(this.autoTune.filesPerStep / 2)
+        );
+        this.autoTune.dbRowsPerStep = Math.max(
+          100,
+          Math.floor(this.autoTune.dbRowsPerStep / 2)
+        );
+        this.nextPollDelay = this.pollDelay;
+      }
+
       if (this.currentRetries < this.maxRetries && status !== "export_error") {
         // Retry after delay
         console.log(
@@ -181,9 +802,12 @@
       // Max retries reached or permanent error
       this.isRunning = false;
       this.clearPollInterval();
+      this.stream.stop();
 
-      let errorMessage =
-        wpEasyMigrate.strings.error || "An error occurred during export.";
+      let errorMessage = __(
+        "An error occurred. Please check the logs.",
+        "wp-easy-migrate"
+      );
 
       if (error && typeof error === "string") {
         errorMessage = error;
@@ -196,6 +820,10 @@
         errorMessage = xhr.responseJSON.data.message;
       }
 
+      this.coordinator.broadcast("export", "finished", {
+        state: "error",
+        message: errorMessage,
+      });
       this.updateUI("error", errorMessage);
     }
 
@@ -208,117 +836,228 @@
     handleSuccess(message, status) {
       this.isRunning = false;
       this.clearPollInterval();
+      this.stream.stop();
 
-      let successMessage =
-        message ||
-        wpEasyMigrate.strings.success ||
-        "Export completed successfully!";
+      const $message = $("<span>").text(
+        message || __("Operation completed successfully!", "wp-easy-migrate")
+      );
 
       if (status.archive_path) {
-        const fileName = status.archive_path.split("/").pop();
-        successMessage += `<br><strong>${
-          wpEasyMigrate.strings.file || "File"
-        }:</strong> ${fileName}`;
+        $message.append(
+          $("<br>"),
+          $("<strong>").text(__("File:", "wp-easy-migrate")),
+          " ",
+          document.createTextNode(status.archive_path.split("/").pop())
+        );
       }
 
-      // Add download buttons
-      successMessage += this.createDownloadButtons(status);
-
-      this.updateUI("success", successMessage);
+      this.updateUI(
+        "success",
+        $message.add(this.createDownloadButtons(status))
+      );
     }
 
     /**
      * Create download buttons for completed export
      *
+     * File names come from the server and are only ever set as text or
+     * attribute values.
+     *
      * @param {Object} status Export status
-     * @returns {string} HTML for download buttons
+     * @returns {jQuery} Download panel
      */
     createDownloadButtons(status) {
-      let downloadHtml =
-        '<div style="margin-top: 15px; padding: 15px; background: #f0f8ff; border: 1px solid #0073aa; border-radius: 4px;">';
-      downloadHtml +=
-        '<h4 style="margin: 0 0 10px 0; color: #0073aa;">📥 Download Your Export</h4>';
+      const $panel = $("<div>")
+        .addClass("wp-easy-migrate-download-panel")
+        .append(
+          $("<h4>").append(
+            this.createIcon("📥"),
+            document.createTextNode(
+              __("Download Your Export", "wp-easy-migrate")
+            )
+          )
+        );
 
       if (status.archive_parts && status.archive_parts.length > 1) {
         // Split archive - multiple parts
-        downloadHtml +=
-          "<p>Your export has been split into " +
-          status.archive_parts.length +
-          " parts:</p>";
+        $panel.append(
+          $("<p>").text(
+            sprintf(
+              /* translators: %s: number of archive parts */
+              _n(
+                "Your export has been split into %s part:",
+                "Your export has been split into %s parts:",
+                status.archive_parts.length,
+                "wp-easy-migrate"
+              ),
+              this.formatNumber(status.archive_parts.length)
+            )
+          )
+        );
+
         status.archive_parts.forEach((part, index) => {
-          const partFileName = part.split("/").pop();
-          downloadHtml += `<div style="margin: 5px 0;">
-            <button class="button button-primary download-part" data-file="${partFileName}" style="margin-right: 10px;">
-              📁 Download Part ${index + 1}
-            </button>
-            <span style="font-size: 12px; color: #666;">${partFileName}</span>
-          </div>`;
+          $panel.append(
+            $("<div>")
+              .addClass("download-row")
+              .append(
+                this.createDownloadButton(
+                  part.split("/").pop(),
+                  "📁",
+                  sprintf(
+                    /* translators: %s: part number */
+                    __("Download Part %s", "wp-easy-migrate"),
+                    this.formatNumber(index + 1)
+                  ),
+                  "button-primary download-part"
+                ),
+                $("<span>")
+                  .addClass("download-file-name")
+                  .text(part.split("/").pop())
+              )
+          );
         });
 
-        downloadHtml +=
-          '<button class="button button-secondary download-all-parts" style="margin-top: 10px;">📦 Download All Parts</button>';
-        downloadHtml +=
-          '<p style="margin-top: 10px; font-size: 12px; color: #666;">⚠️ <strong>Important:</strong> You need ALL parts to restore your site. Download all parts and keep them together.</p>';
+        $panel.append(
+          $("<button>")
+            .attr("type", "button")
+            .addClass("button button-secondary download-all-parts")
+            .append(
+              this.createIcon("📦"),
+              document.createTextNode(
+                __("Download All Parts", "wp-easy-migrate")
+              )
+            )
+            .on("click", (e) => {
+              e.preventDefault();
+              this.downloadAllParts($(e.currentTarget));
+            }),
+          $("<ul>")
+            .attr("id", "export-download-queue")
+            .addClass("wp-easy-migrate-download-queue")
+            .hide(),
+          $("<p>")
+            .addClass("download-note")
+            .append(
+              this.createIcon("⚠️"),
+              $("<strong>").text(__("Important:", "wp-easy-migrate")),
+              " ",
+              __(
+                "You need ALL parts to restore your site. Download all parts and keep them together.",
+                "wp-easy-migrate"
+              )
+            )
+        );
       } else {
         // Single archive
         const fileName = status.archive_path
           ? status.archive_path.split("/").pop()
           : "export.zip";
-        downloadHtml += `<button class="button button-primary download-single" data-file="${fileName}" style="margin-right: 10px;">
-          📁 Download Export
-        </button>`;
-        downloadHtml += `<span style="font-size: 12px; color: #666;">${fileName}</span>`;
+
+        $panel.append(
+          this.createDownloadButton(
+            fileName,
+            "📁",
+            __("Download Export", "wp-easy-migrate"),
+            "button-primary download-single"
+          ),
+          $("<span>").addClass("download-file-name").text(fileName)
+        );
       }
 
       // Add manifest download if available
       if (status.standalone_manifest_path) {
-        const manifestFileName = status.standalone_manifest_path
-          .split("/")
-          .pop();
-        downloadHtml += `<div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #ddd;">
-          <button class="button download-manifest" data-file="${manifestFileName}" style="margin-right: 10px;">
-            📄 Download Manifest
-          </button>
-          <span style="font-size: 12px; color: #666;">Verification file (recommended for split archives)</span>
-        </div>`;
+        $panel.append(
+          $("<div>")
+            .addClass("download-manifest-row")
+            .append(
+              this.createDownloadButton(
+                status.standalone_manifest_path.split("/").pop(),
+                "📄",
+                __("Download Manifest", "wp-easy-migrate"),
+                "download-manifest"
+              ),
+              $("<span>")
+                .addClass("download-file-name")
+                .text(
+                  __(
+                    "Verification file (recommended for split archives)",
+                    "wp-easy-migrate"
+                  )
+                )
+            )
+        );
       }
 
-      downloadHtml += "</div>";
+      this.downloadStatus = status;
 
-      // Bind download button events
-      setTimeout(() => {
-        this.bindDownloadEvents();
-      }, 100);
+      return $panel;
+    }
 
-      return downloadHtml;
+    /**
+     * Create a button that downloads a file of the export
+     *
+     * @param {string} fileName File name
+     * @param {string} icon Icon shown before the label
+     * @param {string} label Button label
+     * @param {string} className Additional classes
+     * @returns {jQuery} Button
+     */
+    createDownloadButton(fileName, icon, label, className) {
+      return $("<button>")
+        .attr({ type: "button", "data-file": fileName })
+        .addClass("button " + className)
+        .append(this.createIcon(icon), document.createTextNode(label))
+        .on("click", (e) => {
+          e.preventDefault();
+          this.downloadFile(fileName);
+        });
     }
 
     /**
-     * Bind download button events
+     * Create an icon that screen readers skip
+     *
+     * @param {string} icon Emoji
+     * @returns {jQuery} Icon followed by a space
      */
-    bindDownloadEvents() {
-      const self = this;
+    createIcon(icon) {
+      return $("<span>").attr("aria-hidden", "true").text(icon + " ");
+    }
 
-      // Single file download
-      $(".download-single, .download-part, .download-manifest").on(
-        "click",
-        function (e) {
-          e.preventDefault();
-          const fileName = $(this).data("file");
-          self.downloadFile(fileName);
-        }
-      );
+    /**
+     * Download all parts of a split export through the download queue
+     *
+     * @param {jQuery} $button Download all button
+     */
+    downloadAllParts($button) {
+      const status = this.downloadStatus;
 
-      // Download all parts
-      $(".download-all-parts").on("click", function (e) {
-        e.preventDefault();
-        $(".download-part").each(function () {
-          const fileName = $(this).data("file");
-          setTimeout(() => {
-            self.downloadFile(fileName);
-          }, Math.random() * 1000); // Stagger downloads
-        });
-      });
+      if (!status || !status.archive_parts || $button.hasClass("disabled")) {
+        return;
+      }
+
+      // A previous export's queue points at a list that is no longer shown
+      if (!this.downloadManager || !this.downloadManager.isRunning) {
+        this.downloadManager = new WPEasyMigrateDownloadManager(
+          $("#export-download-queue"),
+          {
+            ajaxUrl: wpEasyMigrate.ajaxUrl,
+            nonce: wpEasyMigrate.nonce,
+            formatSize: (bytes) => this.formatFileSize(bytes),
+            onFinish: () =>
+              $button.removeClass("disabled").removeAttr("aria-disabled"),
+          }
+        );
+      }
+
+      // Disabling the button would drop the keyboard focus
+      $button.addClass("disabled").attr("aria-disabled", "true");
+
+      this.downloadManager.start(
+        status.archive_parts.map((part) => part.split("/").pop()),
+        status.standalone_manifest_path
+          ? status.standalone_manifest_path.split("/").pop()
+          : null
+      );
     }
 
     /**
@@ -349,9 +1088,209 @@
      * Schedule next poll
      */
     scheduleNextPoll() {
+      // The delay only paces progress updates, which the stream delivers
+      // without it. Auto mode keeps its delay when the server is busy.
+      const delay =
+        this.stream.isLive && !this.autoTune ? 0 : this.nextPollDelay;
+
       this.pollInterval = setTimeout(() => {
         this.makeExportRequest();
-      }, this.pollDelay);
+      }, delay);
+    }
+
+    /**
+     * Show progress pushed over the stream
+     *
+     * @param {Object} data Session status
+     */
+    handleStreamProgress(data) {
+      if (!this.isRunning || !data.in_progress) {
+        return;
+      }
+
+      this.coordinator.broadcast("export", "progress", { status: data.status });
+      this.updateProgress(data.status);
+    }
+
+    /**
+     * Handle a message from another tab of this browser
+     *
+     * @param {Object} message Message with job, event and data
+     */
+    handleBroadcast(message) {
+      if (this.isRunning) {
+        return;
+      }
+
+      if (!this.isObserving) {
+        // Another tab has just started a migration
+        if (message.event === "progress" && !this.isCheckingSession) {
+          this.checkExistingSession();
+        }
+        return;
+      }
+
+      this.lastBroadcast = Date.now();
+
+      if (message.job !== "export") {
+        if (message.event === "finished") {
+          this.stopObserving();
+        }
+        return;
+      }
+
+      if (message.event === "progress") {
+        this.$progress.show();
+        this.updateProgress(message.data.status);
+      } else if (message.event === "finished") {
+        this.stopObserving(false);
+
+        if (message.data.state === "success") {
+          this.handleSuccess(message.data.message, message.data.status);
+        } else {
+          this.updateUI(message.data.state, message.data.message);
+        }
+      }
+    }
+
+    /**
+     * Follow a migration run by another tab or admin without driving it
+     *
+     * @param {Object} data Session status or lock error, both with the lock
+     */
+    startObserving(data) {
+      this.isObserving = true;
+      this.updateUI("observing", data.lock ? data.lock.message : data.message);
+      this.observeSession(data);
+    }
+
+    /**
+     * Show the state of the observed migration and check it again later
+     *
+     * Tabs in this browser push their progress, so the status is only
+     * requested while no messages arrive from them.
+     *
+     * @param {Object|null} data Session status, null if it could not be loaded
+     */
+    observeSession(data) {
+      if (!this.isObserving) {
+        return;
+      }
+
+      if (data && !data.lock) {
+        this.stopObserving();
+        return;
+      }
+
+      if (data) {
+        this.$lockNotice.find("p").text(data.lock.message);
+
+        if (data.in_progress && data.lock.type === "export") {
+          this.$progress.show();
+          this.updateProgress(data.status);
+        }
+      }
+
+      this.observeTimer = setTimeout(() => {
+        if (Date.now() - this.lastBroadcast < this.observeDelay) {
+          this.observeSession(null);
+          return;
+        }
+
+        this.requestSessionStatus((next) => this.observeSession(next));
+      }, this.observeDelay);
+    }
+
+    /**
+     * Stop following a migration once its lock is released
+     *
+     * @param {boolean} recheck Whether to look for an export left behind
+     */
+    stopObserving(recheck = true) {
+      this.isObserving = false;
+      clearTimeout(this.observeTimer);
+      this.observeTimer = null;
+
+      this.$lockNotice.hide();
+      this.$progress.hide();
+      this.$button.prop("disabled", false);
+      this.$estimateButton.prop("disabled", this.isEstimating);
+
+      // The lock also ends when its tab is closed, that export can go on here
+      if (recheck) {
+        this.checkExistingSession();
+      }
+    }
+
+    /**
+     * Tune batch sizes and polling from the timing of the last step
+     *
+     * Aims for steps that use about half of the execution time limit, and
+     * polls again right away while steps stay within that budget.
+     *
+     * @param {Object} timing Step timing from the server
+     */
+    applyStepTiming(timing) {
+      // Keep the tuning so far when a response has no timing
+      if (!timing) {
+        this.nextPollDelay = this.pollDelay;
+        return;
+      }
+
+      if (timing.batch_mode !== "auto") {
+        this.autoTune = null;
+        this.nextPollDelay = this.pollDelay;
+        this.$tuning.hide();
+        return;
+      }
+
+      if (!this.autoTune) {
+        this.autoTune = {
+          filesPerStep: timing.files_per_step,
+          dbRowsPerStep: timing.db_rows_per_step,
+        };
+      }
+
+      // No limit means the request timeout is the only ceiling
+      const limit = Math.min(
+        timing.time_limit > 0 ? timing.time_limit : 60,
+        60
+      );
+      const budget = limit / 2;
+      const stepTime = Math.max(timing.step_time, 0.05);
+
+      // Grow or shrink at most by half or double per step to avoid swinging
+      const factor = Math.min(2, Math.max(0.5, budget / stepTime));
+
+      if (timing.step === "archive_files") {
+        this.autoTune.filesPerStep = Math.min(
+          200,
+          Math.max(1, Math.round(timing.files_per_step * factor))
+        );
+      } else if (timing.step === "export_database") {
+        this.autoTune.dbRowsPerStep = Math.min(
+          50000,
+          Math.max(100, Math.round(timing.db_rows_per_step * factor))
+        );
+      }
+
+      this.nextPollDelay = stepTime < budget ? 0 : this.pollDelay;
+
+      this.$tuning
+        .text(
+          sprintf(
+            /* translators: 1: files per step, 2: rows per step, 3: seconds the last step took, 4: time limit in seconds */
+            __(
+              "Auto batch size: %1$s files and %2$s rows per step. Last step took %3$ss of a %4$ss limit.",
+              "wp-easy-migrate"
+            ),
+            this.formatNumber(this.autoTune.filesPerStep),
+            this.formatNumber(this.autoTune.dbRowsPerStep),
+            this.formatNumber(timing.step_time, 1),
+            this.formatNumber(limit)
+          )
+        )
+        .show();
     }
 
     /**
@@ -373,19 +1312,32 @@
       const progress = status.progress || 0;
       const step = status.step || "";
 
-      // Update progress bar
-      this.$progressBar.css("width", progress + "%");
-
       // Update status text
       const stepMessage = this.getStepMessage(step);
-      let statusText = `${stepMessage} (${progress}%)`;
+
+      if (step && step !== this.announcedStep) {
+        this.announcedStep = step;
+        speak(stepMessage);
+      }
+
+      const percent = this.formatPercent(progress);
+      let statusText = sprintf(
+        /* translators: 1: step description, 2: percentage */
+        __("%1$s (%2$s)", "wp-easy-migrate"),
+        stepMessage,
+        percent
+      );
 
       // Add step-specific information
       if (step === "export_database" && status.database_export) {
         const dbInfo = status.database_export;
-        statusText = `${stepMessage} (${
-          dbInfo.current_table || "Initializing"
-        }, ${progress}%)`;
+        statusText = sprintf(
+          /* translators: 1: step description, 2: table name, 3: percentage */
+          __("%1$s (%2$s, %3$s)", "wp-easy-migrate"),
+          stepMessage,
+          dbInfo.current_table || __("Initializing", "wp-easy-migrate"),
+          percent
+        );
 
         // Update database progress information
         this.updateDatabaseProgress(dbInfo);
@@ -393,23 +1345,60 @@
         const fileInfo = status.file_archiving;
         const batchInfo = status.batch_processing;
         const filesPerStep = batchInfo ? batchInfo.files_per_step : 50;
-        statusText = `${stepMessage} (${fileInfo.current_index}/${fileInfo.total_files} files, ${filesPerStep} per batch, ${progress}%)`;
+        statusText = sprintf(
+          /* translators: 1: step description, 2: files archived, 3: all files, 4: files per batch, 5: percentage */
+          _n(
+            "%1$s (%2$s/%3$s file, %4$s per batch, %5$s)",
+            "%1$s (%2$s/%3$s files, %4$s per batch, %5$s)",
+            fileInfo.total_files,
+            "wp-easy-migrate"
+          ),
+          stepMessage,
+          this.formatNumber(fileInfo.current_index),
+          this.formatNumber(fileInfo.total_files),
+          this.formatNumber(filesPerStep),
+          percent
+        );
 
         // Update file archiving progress information
         this.updateFileArchivingProgress(fileInfo, batchInfo);
       }
 
       this.$status.text(statusText);
+      this.setProgressBar(progress, statusText);
 
       // Update progress text if element exists
-      if (this.$progressText.length) {
-        const totalSteps = 7; // Updated step count
+      const planned = this.getPlannedStep(step);
+
+      if (this.$progressText.length && planned) {
         this.$progressText.text(
-          `Step ${status.step_index + 1} of ${totalSteps}: ${stepMessage}`
+          sprintf(
+            /* translators: 1: step number, 2: number of steps, 3: step name */
+            __("Step %1$s of %2$s: %3$s", "wp-easy-migrate"),
+            this.formatNumber(this.steps.indexOf(planned) + 1),
+            this.formatNumber(this.steps.length),
+            planned.label
+          )
         );
       }
     }
 
+    /**
+     * Move the progress bar
+     *
+     * @param {number} progress Percentage from 0 to 100
+     * @param {string} text Progress as read out by screen readers
+     */
+    setProgressBar(progress, text) {
+      this.$progressBar
+        .css("width", progress + "%")
+        .closest('[role="progressbar"]')
+        .attr({
+          "aria-valuenow": Math.round(progress),
+          "aria-valuetext": text,
+        });
+    }
+
     /**
      * Update database export progress
      *
@@ -418,29 +1407,49 @@
     updateDatabaseProgress(dbInfo) {
       // Update or create database progress elements
       if (!this.$dbProgress) {
-        this.$dbProgress = $('<div class="wp-easy-migrate-db-progress"></div>');
+        this.$dbProgress = $("<div>").addClass("wp-easy-migrate-db-progress");
         this.$progress.append(this.$dbProgress);
       }
 
-      let progressHtml = "";
+      const lines = [];
 
       // Current table being processed
       if (dbInfo.current_table) {
-        progressHtml += `<div class="current-table">Exporting table: ${dbInfo.current_table}</div>`;
+        lines.push([
+          "current-table",
+          sprintf(
+            /* translators: %s: table name */
+            __("Exporting table: %s", "wp-easy-migrate"),
+            dbInfo.current_table
+          ),
+        ]);
       }
 
       // Table progress - use tables_processed for accurate counting
       if (dbInfo.total_tables > 0) {
         const completedTables =
           dbInfo.tables_processed || dbInfo.current_table_index || 0;
-        // Show completed tables count vs total
-        const displayCount = completedTables;
-        progressHtml += `<div class="table-progress">Tables completed: ${displayCount} of ${dbInfo.total_tables}</div>`;
+        lines.push([
+          "table-progress",
+          sprintf(
+            /* translators: 1: tables exported, 2: all tables */
+            __("Tables completed: %1$s of %2$s", "wp-easy-migrate"),
+            this.formatNumber(completedTables),
+            this.formatNumber(dbInfo.total_tables)
+          ),
+        ]);
       }
 
       // Row offset if available
       if (dbInfo.table_offset > 0) {
-        progressHtml += `<div class="row-progress">Rows processed: ${dbInfo.table_offset.toLocaleString()}</div>`;
+        lines.push([
+          "row-progress",
+          sprintf(
+            /* translators: %s: number of rows */
+            __("Rows processed: %s", "wp-easy-migrate"),
+            this.formatNumber(dbInfo.table_offset)
+          ),
+        ]);
       }
 
       // Adaptive mode information
@@ -450,17 +1459,39 @@
 
         // Don't show batch numbers higher than total
         if (currentBatch < dbInfo.total_batches) {
-          progressHtml += `<div class="batch-progress">Batch ${
-            currentBatch + 1
-          } of ${
-            dbInfo.total_batches
-          } (${batchSize} tables in current batch)</div>`;
+          lines.push([
+            "batch-progress",
+            sprintf(
+              /* translators: 1: batch number, 2: number of batches, 3: tables in the batch */
+              _n(
+                "Batch %1$s of %2$s (%3$s table in current batch)",
+                "Batch %1$s of %2$s (%3$s tables in current batch)",
+                batchSize,
+                "wp-easy-migrate"
+              ),
+              this.formatNumber(currentBatch + 1),
+              this.formatNumber(dbInfo.total_batches),
+              this.formatNumber(batchSize)
+            ),
+          ]);
         } else {
-          progressHtml += `<div class="batch-progress">All batches completed (${dbInfo.total_batches} batches processed)</div>`;
+          lines.push([
+            "batch-progress",
+            sprintf(
+              /* translators: %s: number of batches */
+              _n(
+                "All batches completed (%s batch processed)",
+                "All batches completed (%s batches processed)",
+                dbInfo.total_batches,
+                "wp-easy-migrate"
+              ),
+              this.formatNumber(dbInfo.total_batches)
+            ),
+          ]);
         }
       }
 
-      this.$dbProgress.html(progressHtml);
+      this.renderProgressLines(this.$dbProgress, lines);
     }
 
     /**
@@ -472,22 +1503,41 @@
     updateFileArchivingProgress(fileInfo, batchInfo) {
       // Update or create additional progress elements
       if (!this.$fileProgress) {
-        this.$fileProgress = $(
-          '<div class="wp-easy-migrate-file-progress"></div>'
+        this.$fileProgress = $("<div>").addClass(
+          "wp-easy-migrate-file-progress"
         );
         this.$progress.append(this.$fileProgress);
       }
 
-      let progressHtml = "";
+      const lines = [];
 
       // Batch processing info
       if (batchInfo && batchInfo.files_per_step) {
-        progressHtml += `<div class="batch-info">Processing ${batchInfo.files_per_step} files per batch</div>`;
+        lines.push([
+          "batch-info",
+          sprintf(
+            /* translators: %s: number of files */
+            _n(
+              "Processing %s file per batch",
+              "Processing %s files per batch",
+              batchInfo.files_per_step,
+              "wp-easy-migrate"
+            ),
+            this.formatNumber(batchInfo.files_per_step)
+          ),
+        ]);
       }
 
       // Current file being processed
       if (fileInfo.current_file) {
-        progressHtml += `<div class="current-file">Last processed: ${fileInfo.current_file}</div>`;
+        lines.push([
+          "current-file",
+          sprintf(
+            /* translators: %s: file path */
+            __("Last processed: %s", "wp-easy-migrate"),
+            fileInfo.current_file
+          ),
+        ]);
       }
 
       // Estimated size remaining
@@ -496,7 +1546,15 @@
           fileInfo.estimated_size_remaining
         );
         const totalSize = this.formatFileSize(fileInfo.total_size);
-        progressHtml += `<div class="size-progress">Size: ${sizeRemaining} remaining of ${totalSize}</div>`;
+        lines.push([
+          "size-progress",
+          sprintf(
+            /* translators: 1: size left to archive, 2: size of all files */
+            __("Size: %1$s remaining of %2$s", "wp-easy-migrate"),
+            sizeRemaining,
+            totalSize
+          ),
+        ]);
       }
 
       // Estimated time remaining
@@ -504,10 +1562,36 @@
         const timeRemaining = this.formatTime(
           fileInfo.estimated_time_remaining
         );
-        progressHtml += `<div class="time-remaining">Estimated time remaining: ${timeRemaining}</div>`;
+        lines.push([
+          "time-remaining",
+          sprintf(
+            /* translators: %s: duration */
+            __("Estimated time remaining: %s", "wp-easy-migrate"),
+            timeRemaining
+          ),
+        ]);
       }
 
-      this.$fileProgress.html(progressHtml);
+      this.renderProgressLines(this.$fileProgress, lines);
+    }
+
+    /**
+     * Replace the lines of a progress box
+     *
+     * Lines hold file and table names from the site, so they are set as
+     * text and never parsed as HTML.
+     *
+     * @param {jQuery} $container Progress box
+     * @param {Array} lines Class name and text of each line
+     */
+    renderProgressLines($container, lines) {
+      $container
+        .empty()
+        .append(
+          lines.map(([className, text]) =>
+            $("<div>").addClass(className).text(text)
+          )
+        );
     }
 
     /**
@@ -517,32 +1601,127 @@
      * @returns {string} Formatted file size
      */
     formatFileSize(bytes) {
-      if (bytes === 0) return "0 Bytes";
+      bytes = Number(bytes) || 0;
 
-      const k = 1024;
-      const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
+      if (bytes < 1024) {
+        return sprintf(
+          /* translators: %s: number of bytes */
+          _n("%s byte", "%s bytes", bytes, "wp-easy-migrate"),
+          this.formatNumber(bytes)
+        );
+      }
+
+      const units = [
+        _x("KB", "unit symbol", "wp-easy-migrate"),
+        _x("MB", "unit symbol", "wp-easy-migrate"),
+        _x("GB", "unit symbol", "wp-easy-migrate"),
+        _x("TB", "unit symbol", "wp-easy-migrate"),
+      ];
+      const i = Math.min(
+        units.length,
+        Math.floor(Math.log(bytes) / Math.log(1024))
+      );
 
-      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+      return sprintf(
+        /* translators: 1: size, 2: unit symbol */
+        __("%1$s %2$s", "wp-easy-migrate"),
+        this.formatNumber(bytes / Math.pow(1024, i), 2),
+        units[i - 1]
+      );
     }
 
     /**
      * Format time in human readable format
      *
+     * Shows the two largest units, such as hours and minutes.
+     *
      * @param {number} seconds Time in seconds
      * @returns {string} Formatted time
      */
     formatTime(seconds) {
-      if (seconds < 60) {
-        return `${Math.round(seconds)} seconds`;
-      } else if (seconds < 3600) {
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = Math.round(seconds % 60);
-        return `${minutes}:${remainingSeconds.toString().padStart(2, "0")}`;
-      } else {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        return `${hours}:${minutes.toString().padStart(2, "0")}:00`;
+      const total = Math.max(0, Math.round(seconds));
+      const hours = Math.floor(total / 3600);
+      const minutes = Math.floor((total % 3600) / 60);
+      const parts = [];
+
+      if (hours) {
+        parts.push(
+          sprintf(
+            /* translators: %s: number of hours */
+            _n("%s hour", "%s hours", hours, "wp-easy-migrate"),
+            this.formatNumber(hours)
+          )
+        );
+      }
+
+      if (minutes) {
+        parts.push(
+          sprintf(
+            /* translators: %s: number of minutes */
+            _n("%s minute", "%s minutes", minutes, "wp-easy-migrate"),
+            this.formatNumber(minutes)
+          )
+        );
+      }
+
+      if (!hours && (total % 60 || !minutes)) {
+        parts.push(
+          sprintf(
+            /* translators: %s: number of seconds */
+            _n("%s second", "%s seconds", total % 60, "wp-easy-migrate"),
+            this.formatNumber(total % 60)
+          )
+        );
+      }
+
+      return parts.length > 1
+        ? sprintf(
+            /* translators: 1: larger unit, 2: smaller unit, e.g. "2 hours, 5 minutes" */
+            __("%1$s, %2$s", "wp-easy-migrate"),
+            parts[0],
+            parts[1]
+          )
+        : parts[0];
+    }
+
+    /**
+     * Format a number in the admin's locale
+     *
+     * @param {number} value Number
+     * @param {number} decimals Maximum number of decimals
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, decimals = 0) {
+      return this.getNumberFormat({ maximumFractionDigits: decimals }).format(
+        Number(value) || 0
+      );
+    }
+
+    /**
+     * Format a percentage in the admin's locale
+     *
+     * @param {number} value Percentage from 0 to 100
+     * @returns {string} Formatted percentage
+     */
+    formatPercent(value) {
+      return this.getNumberFormat({
+        style: "percent",
+        maximumFractionDigits: 0,
+      }).format((Number(value) || 0) / 100);
+    }
+
+    /**
+     * Get a number format for the admin's locale
+     *
+     * @param {Object} options Intl.NumberFormat options
+     * @returns {Intl.NumberFormat} Number format
+     */
+    getNumberFormat(options) {
+      try {
+        return new Intl.NumberFormat(wpEasyMigrate.locale, options);
+      } catch (e) {
+        // Locales the browser does not know fall back to its own
+        return new Intl.NumberFormat(undefined, options);
       }
     }
 
@@ -553,25 +1732,31 @@
      * @returns {string} Step message
      */
     getStepMessage(step) {
-      const messages = {
-        prepare_export:
-          wpEasyMigrate.strings.preparingExport || "Preparing export...",
-        scan_files: wpEasyMigrate.strings.scanningFiles || "Scanning files...",
-        export_database:
-          wpEasyMigrate.strings.exportingDatabase || "Exporting database...",
-        archive_files:
-          wpEasyMigrate.strings.archivingFiles || "Archiving files...",
-        create_manifest:
-          wpEasyMigrate.strings.creatingManifest || "Creating manifest...",
-        split_archive:
-          wpEasyMigrate.strings.splittingArchive || "Splitting archive...",
-        finalize_export:
-          wpEasyMigrate.strings.finalizingExport || "Finalizing export...",
-      };
+      const planned = this.getPlannedStep(step);
 
-      return (
-        messages[step] || wpEasyMigrate.strings.processing || "Processing..."
-      );
+      return planned ? planned.message : __("Processing...", "wp-easy-migrate");
+    }
+
+    /**
+     * Keep the step plan the server sends once per session
+     *
+     * @param {Object} data Response data, with steps if the plan is new here
+     */
+    setSteps(data) {
+      if (data.steps && data.status) {
+        this.steps = data.steps;
+        this.stepsSession = data.status.session_id;
+      }
+    }
+
+    /**
+     * Get a step of the plan
+     *
+     * @param {string} step Step name
+     * @returns {Object|undefined} Planned step
+     */
+    getPlannedStep(step) {
+      return this.steps.find((planned) => planned.step === step);
     }
 
     /**
@@ -581,66 +1766,231 @@
      * @param {string} message Optional message
      */
     updateUI(state, message = "") {
+      // Keyboard focus must not be lost with the button it was on
+      const buttonFocused = this.$button.is(":focus");
+      const cancelFocused = this.$cancelButton.is(":focus");
+
+      if (state !== "observing") {
+        this.$lockNotice.hide();
+      }
+
       switch (state) {
+        case "observing":
+          this.$button
+            .prop("disabled", true)
+            .text(__("Start Export", "wp-easy-migrate"));
+          this.$estimateButton.prop("disabled", true);
+          this.$cancelButton.hide();
+          this.$progress.hide();
+          this.$result.hide();
+          this.$lockNotice.show().find("p").text(message);
+          break;
+
         case "starting":
           this.$button
             .prop("disabled", true)
-            .text(wpEasyMigrate.strings.exporting || "Exporting...");
+            .text(__("Exporting...", "wp-easy-migrate"));
+          this.$estimateButton.prop("disabled", true);
+          this.$cancelButton
+            .removeClass("disabled")
+            .removeAttr("aria-disabled")
+            .text(__("Cancel", "wp-easy-migrate"))
+            .show();
           this.$progress.show();
           this.$result.hide();
-          this.$status.text(
-            wpEasyMigrate.strings.preparingExport || "Preparing export..."
-          );
-          this.$progressBar.css("width", "0%");
+          this.$status.text(__("Preparing export...", "wp-easy-migrate"));
+          this.setProgressBar(0, this.$status.text());
+          this.$progressText.text("");
+          this.announcedStep = null;
+
+          if (buttonFocused) {
+            this.$cancelButton.trigger("focus");
+          }
           break;
 
         case "success":
           this.$button
             .prop("disabled", false)
-            .text(wpEasyMigrate.strings.startExport || "Start Export");
+            .text(__("Start Export", "wp-easy-migrate"));
+          this.$estimateButton.prop("disabled", this.isEstimating);
+          this.$cancelButton.hide();
           this.$progress.hide();
           this.$result
-            .removeClass("error")
+            .removeClass("error warning")
             .addClass("success")
-            .html(message)
+            .empty()
+            .append(this.getMessageContent(message))
             .show();
+          speak(
+            __(
+              "Export completed. The export can now be downloaded.",
+              "wp-easy-migrate"
+            )
+          );
+          break;
+
+        case "cancelled":
+          this.$button
+            .prop("disabled", false)
+            .text(__("Start Export", "wp-easy-migrate"));
+          this.$estimateButton.prop("disabled", this.isEstimating);
+          this.$cancelButton.hide();
+          this.$progress.hide();
+          this.$result
+            .removeClass("success error")
+            .addClass("warning")
+            .empty()
+            .append(this.getMessageContent(message))
+            .show();
+          speak(message);
           break;
 
         case "error":
           this.$button
             .prop("disabled", false)
-            .text(wpEasyMigrate.strings.startExport || "Start Export");
+            .text(__("Start Export", "wp-easy-migrate"));
+          this.$estimateButton.prop("disabled", this.isEstimating);
+          this.$cancelButton.hide();
           this.$progress.hide();
           this.$result
-            .removeClass("success")
+            .removeClass("success warning")
             .addClass("error")
-            .html(
-              `<strong>${
-                wpEasyMigrate.strings.exportFailed || "Export failed"
-              }:</strong><br>${message}`
+            .empty()
+            .append(
+              $("<strong>").text(__("Export failed:", "wp-easy-migrate")),
+              $("<br>"),
+              this.getMessageContent(message)
             )
             .show();
+          speak(
+            sprintf(
+              /* translators: %s: error message */
+              __("Export failed: %s", "wp-easy-migrate"),
+              message
+            )
+          );
           break;
       }
+
+      // The result, with the download buttons, takes over from Cancel
+      if (cancelFocused && ["success", "cancelled", "error"].includes(state)) {
+        this.$result.attr("tabindex", "-1").trigger("focus");
+      }
+    }
+
+    /**
+     * Get the nodes that show a result message
+     *
+     * Messages come from the server or another tab and are shown as text,
+     * with their line breaks. Elements built by this class are used as
+     * they are.
+     *
+     * @param {string|jQuery} message Message text or elements
+     * @returns {jQuery|Array} Elements or text nodes and line breaks
+     */
+    getMessageContent(message) {
+      if (message instanceof $) {
+        return message;
+      }
+
+      const nodes = [];
+
+      String(message).split("\n").forEach((line, index) => {
+        if (index) {
+          nodes.push(document.createElement("br"));
+        }
+
+        nodes.push(document.createTextNode(line));
+      });
+
+      return nodes;
     }
 
     /**
      * Stop export process
+     *
+     * Stops polling, waits for a step request that is still running and then
+     * has the server abort the session and delete its partial files.
      */
     stopExport() {
-      if (!this.isRunning) {
+      if (!this.isRunning || this.isCancelling) {
         return;
       }
 
       this.isRunning = false;
+      this.isCancelling = true;
       this.clearPollInterval();
-      this.updateUI(
-        "error",
-        wpEasyMigrate.strings.exportCancelled || "Export was cancelled."
-      );
+      this.stream.stop();
+
+      this.$cancelButton
+        .addClass("disabled")
+        .attr("aria-disabled", "true")
+        .text(__("Cancelling...", "wp-easy-migrate"));
+
+      if (this.currentRequest && this.currentRequest.state() === "pending") {
+        this.currentRequest.always(() => this.sendCancelRequest());
+      } else {
+        this.sendCancelRequest();
+      }
+    }
+
+    /**
+     * Ask the server to cancel the export
+     */
+    sendCancelRequest() {
+      $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_export_cancel",
+          nonce: wpEasyMigrate.nonce,
+          lock_token: this.coordinator.token,
+        },
+        timeout: 60000,
+        success: (response) => {
+          if (!response.success && response.data && response.data.retry) {
+            setTimeout(() => this.sendCancelRequest(), this.pollDelay);
+            return;
+          }
+
+          this.isCancelling = false;
+
+          if (!response.success) {
+            this.updateUI("error", response.data.message);
+            return;
+          }
+
+          let message = __("Export cancelled", "wp-easy-migrate");
+
+          if (response.data.cleaned && response.data.cleaned.length) {
+            message +=
+              "\n" +
+              sprintf(
+                /* translators: %s: removed files */
+                __("Removed: %s", "wp-easy-migrate"),
+                response.data.cleaned.join(", ")
+              );
+          }
+
+          this.coordinator.broadcast("export", "finished", {
+            state: "cancelled",
+            message: message,
+          });
+          this.updateUI("cancelled", message);
+        },
+        error: (xhr, status, error) => {
+          this.isCancelling = false;
+          this.updateUI(
+            "error",
+            error || __("An error occurred.", "wp-easy-migrate")
+          );
+        },
+      });
     }
   }
 
+  window.WPEasyMigrateExportManager = ExportManager;
+
   /**
    * Initialize when document is ready
    */
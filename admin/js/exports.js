@@ -0,0 +1,720 @@
+/**
+ * WP Easy Migrate Export History JavaScript
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Export History Class
+   */
+  class ExportHistory {
+    constructor() {
+      this.$container = $("#wp-easy-migrate-export-history");
+      this.$notice = $("#wp-easy-migrate-export-history-notice");
+      this.$retentionForm = $("#wp-easy-migrate-retention-form");
+      this.$backups = $("#wp-easy-migrate-backups");
+      this.strings = wpEasyMigrate.strings || {};
+
+      this.exports = [];
+      this.backups = [];
+
+      // Download queues of split exports, by export ID
+      this.downloads = {};
+
+      this.init();
+    }
+
+    /**
+     * Initialize the export history
+     */
+    init() {
+      this.bindEvents();
+      this.load();
+      this.loadBackups();
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
+      this.$container.on("click", "[data-export-action]", (e) => {
+        e.preventDefault();
+
+        const $button = $(e.currentTarget);
+        const exportId = $button.closest("tr").attr("data-export");
+        const exportData = this.exports.find((item) => item.id === exportId);
+
+        if (!exportData) {
+          return;
+        }
+
+        switch ($button.attr("data-export-action")) {
+          case "download":
+            this.download(exportData, $button);
+            break;
+          case "verify":
+            this.verify(exportData, $button);
+            break;
+          case "import":
+            this.importExport(exportData);
+            break;
+          case "delete":
+            this.deleteExport(exportData, $button);
+            break;
+        }
+      });
+
+      this.$backups.on("click", "[data-backup-action]", (e) => {
+        e.preventDefault();
+
+        const $button = $(e.currentTarget);
+        const name = $button.closest("tr").attr("data-backup");
+
+        if ($button.attr("data-backup-action") === "restore") {
+          window.location.href =
+            wpEasyMigrate.importUrl + "&restore=" + encodeURIComponent(name);
+        } else {
+          this.discardBackup(name, $button);
+        }
+      });
+
+      this.$retentionForm.on("submit", (e) => {
+        e.preventDefault();
+        this.saveRetention();
+      });
+    }
+
+    /**
+     * Load the list of exports
+     */
+    load() {
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_export_history",
+        nonce: wpEasyMigrate.nonce,
+      })
+        .done((response) => {
+          if (!response.success) {
+            this.showNotice("error", this.getErrorMessage(response));
+            return;
+          }
+
+          this.exports = response.data.exports;
+          this.render();
+        })
+        .fail(() => {
+          this.showNotice(
+            "error",
+            this.strings.exportsLoadFailed || "Could not load the exports."
+          );
+        });
+    }
+
+    /**
+     * Render the export table
+     */
+    render() {
+      this.$container.empty();
+
+      if (!this.exports.length) {
+        this.$container.append(
+          $("<p>").text(
+            this.strings.noExports || "No exports found on this server."
+          )
+        );
+        return;
+      }
+
+      const $table = $("<table>").addClass("widefat striped");
+      const $headRow = $("<tr>");
+
+      [
+        ["date", this.strings.exportDate || "Date"],
+        ["size", this.strings.size || "Size"],
+        ["parts", this.strings.estimateParts || "Archive parts"],
+        ["components", this.strings.exportComponents || "Includes"],
+        ["source", this.strings.exportSource || "Source site"],
+        ["actions", this.strings.exportActions || "Actions"],
+      ].forEach(([name, label]) => {
+        $headRow.append(
+          $("<th>")
+            .addClass("column-" + name)
+            .attr("scope", "col")
+            .text(label)
+        );
+      });
+
+      const $body = $("<tbody>");
+
+      this.exports.forEach((exportData) => {
+        $body.append(this.renderRow(exportData));
+        $body.append(
+          $("<tr>")
+            .addClass("wp-easy-migrate-export-details")
+            .attr("data-details", exportData.id)
+            .hide()
+            .append($("<td>").attr("colspan", 6))
+        );
+      });
+
+      $table.append($("<thead>").append($headRow), $body);
+      this.$container.append($table);
+    }
+
+    /**
+     * Render the row of an export
+     *
+     * @param {Object} exportData Export description
+     * @returns {jQuery} Table row
+     */
+    renderRow(exportData) {
+      const source = exportData.source;
+      const $source = $("<td>").addClass("column-source");
+
+      if (source) {
+        $source.append(document.createTextNode(source.name || source.url));
+
+        if (source.name && source.url) {
+          $source.append($("<br>"), $("<small>").text(source.url));
+        }
+
+        if (exportData.manifest_file) {
+          $source.append(
+            $("<br>"),
+            $("<a>")
+              .attr("href", this.getDownloadUrl(exportData.manifest_file))
+              .text(this.strings.downloadManifest || "Download Manifest")
+          );
+        }
+      } else {
+        $source.text(this.strings.exportNoManifest || "No manifest");
+      }
+
+      const components = exportData.components.map(
+        (component) => this.getComponentLabel(component)
+      );
+
+      const $actions = $("<td>").addClass("column-actions");
+
+      [
+        ["download", this.strings.download || "Download", "button-primary"],
+        ["verify", this.strings.exportVerify || "Verify", ""],
+        ["import", this.strings.exportImport || "Import", ""],
+        ["delete", this.strings.exportDelete || "Delete", "button-link-delete"],
+      ].forEach(([action, label, className]) => {
+        $actions.append(
+          $("<button>")
+            .attr({ type: "button", "data-export-action": action })
+            .addClass("button " + className)
+            .text(label)
+        );
+      });
+
+      return $("<tr>")
+        .attr("data-export", exportData.id)
+        .append(
+          $("<td>")
+            .addClass("column-date")
+            .append(
+              $("<strong>").text(exportData.created_formatted),
+              $("<span>").addClass("export-id").text(exportData.id)
+            ),
+          $("<td>")
+            .addClass("column-size")
+            .text(this.formatFileSize(exportData.size)),
+          $("<td>").addClass("column-parts").text(exportData.part_count),
+          $("<td>")
+            .addClass("column-components")
+            .text(components.length ? components.join(", ") : "—"),
+          $source,
+          $actions
+        );
+    }
+
+    /**
+     * Download an export
+     *
+     * Single archives are saved as a regular download, split exports go
+     * through the download queue so every part is checked.
+     *
+     * @param {Object} exportData Export description
+     * @param {jQuery} $button Download button
+     */
+    download(exportData, $button) {
+      const fileNames = exportData.files.map((file) => file.name);
+
+      if (fileNames.length === 1) {
+        this.downloadFile(fileNames[0]);
+        return;
+      }
+
+      let manager = this.downloads[exportData.id];
+
+      if (!manager || !manager.isRunning) {
+        const $queue = $("<ul>").addClass("wp-easy-migrate-download-queue");
+        this.getDetailsCell(exportData.id).empty().append($queue);
+
+        manager = new WPEasyMigrateDownloadManager($queue, {
+          ajaxUrl: wpEasyMigrate.ajaxUrl,
+          nonce: wpEasyMigrate.nonce,
+          formatSize: (bytes) => this.formatFileSize(bytes),
+          onFinish: () => $button.prop("disabled", false),
+        });
+        this.downloads[exportData.id] = manager;
+      }
+
+      $button.prop("disabled", true);
+      this.showDetails(exportData.id);
+      manager.start(fileNames, exportData.manifest_file);
+    }
+
+    /**
+     * Check the files of an export on the server
+     *
+     * @param {Object} exportData Export description
+     * @param {jQuery} $button Verify button
+     */
+    verify(exportData, $button) {
+      const label = $button.text();
+      const $cell = this.getDetailsCell(exportData.id);
+
+      $button
+        .prop("disabled", true)
+        .text(this.strings.exportVerifying || "Verifying...");
+
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_export_verify",
+        nonce: wpEasyMigrate.nonce,
+        export_id: exportData.id,
+      })
+        .done((response) => {
+          if (!response.success) {
+            $cell.empty().append(
+              $("<p>").addClass("error").text(this.getErrorMessage(response))
+            );
+            return;
+          }
+
+          const $checks = $("<ul>").addClass("wp-easy-migrate-export-checks");
+
+          response.data.checks.forEach((check) => {
+            $checks.append(
+              $("<li>")
+                .addClass(check.passed ? "is-passed" : "is-failed")
+                .append($("<strong>").text(check.label + ": "))
+                .append(document.createTextNode(check.message))
+            );
+          });
+
+          $cell.empty().append(
+            $("<p>").append(
+              $("<strong>").text(
+                response.data.valid
+                  ? this.strings.exportIntact || "The export is intact."
+                  : this.strings.exportDamaged ||
+                      "The export is damaged and cannot be imported."
+              )
+            ),
+            $checks
+          );
+        })
+        .fail(() => {
+          $cell.empty().append(
+            $("<p>").text(
+              this.strings.exportVerifyFailed ||
+                "Could not verify the export."
+            )
+          );
+        })
+        .always(() => {
+          $button.prop("disabled", false).text(label);
+          this.showDetails(exportData.id);
+        });
+    }
+
+    /**
+     * Open the import tab with an export preselected
+     *
+     * @param {Object} exportData Export description
+     */
+    importExport(exportData) {
+      window.location.href =
+        wpEasyMigrate.importUrl +
+        "&export=" +
+        encodeURIComponent(exportData.id);
+    }
+
+    /**
+     * Delete an export
+     *
+     * @param {Object} exportData Export description
+     * @param {jQuery} $button Delete button
+     */
+    deleteExport(exportData, $button) {
+      const message = (
+        this.strings.confirmDeleteExport ||
+        "Delete the export from %s? This cannot be undone."
+      ).replace("%s", exportData.created_formatted);
+
+      if (!confirm(message)) {
+        return;
+      }
+
+      $button.prop("disabled", true);
+
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_export_delete",
+        nonce: wpEasyMigrate.nonce,
+        export_id: exportData.id,
+      })
+        .done((response) => {
+          if (!response.success) {
+            $button.prop("disabled", false);
+            this.showNotice("error", this.getErrorMessage(response));
+            return;
+          }
+
+          this.exports = this.exports.filter(
+            (item) => item.id !== exportData.id
+          );
+          delete this.downloads[exportData.id];
+
+          // Only drop the rows, downloads of other exports keep their queue
+          if (this.exports.length) {
+            this.$container
+              .find(
+                `tr[data-export="${exportData.id}"], ` +
+                  `tr[data-details="${exportData.id}"]`
+              )
+              .remove();
+          } else {
+            this.render();
+          }
+
+          this.showNotice("success", response.data.message);
+        })
+        .fail(() => {
+          $button.prop("disabled", false);
+          this.showNotice(
+            "error",
+            this.strings.exportDeleteFailed || "Could not delete the export."
+          );
+        });
+    }
+
+    /**
+     * Load the list of pre-import backups
+     */
+    loadBackups() {
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_import_backups",
+        nonce: wpEasyMigrate.nonce,
+      })
+        .done((response) => {
+          if (!response.success) {
+            this.showNotice("error", this.getErrorMessage(response));
+            return;
+          }
+
+          this.backups = response.data.backups;
+          this.renderBackups();
+        })
+        .fail(() => {
+          this.$backups
+            .empty()
+            .append(
+              $("<p>").text(
+                this.strings.backupsLoadFailed || "Could not load the backups."
+              )
+            );
+        });
+    }
+
+    /**
+     * Render the backup table
+     */
+    renderBackups() {
+      this.$backups.empty();
+
+      if (!this.backups.length) {
+        this.$backups.append(
+          $("<p>").text(this.strings.noBackups || "No backups kept.")
+        );
+        return;
+      }
+
+      const $headRow = $("<tr>");
+
+      [
+        ["date", this.strings.exportDate || "Date"],
+        ["size", this.strings.size || "Size"],
+        ["components", this.strings.exportComponents || "Includes"],
+        ["actions", this.strings.exportActions || "Actions"],
+      ].forEach(([name, label]) => {
+        $headRow.append(
+          $("<th>")
+            .addClass("column-" + name)
+            .attr("scope", "col")
+            .text(label)
+        );
+      });
+
+      const $body = $("<tbody>");
+
+      this.backups.forEach((backup) => {
+        const $actions = $("<td>").addClass("column-actions");
+
+        [
+          ["restore", this.strings.backupRestore || "Restore", ""],
+          [
+            "discard",
+            this.strings.backupDiscard || "Discard",
+            "button-link-delete",
+          ],
+        ].forEach(([action, label, className]) => {
+          $actions.append(
+            $("<button>")
+              .attr({ type: "button", "data-backup-action": action })
+              .addClass("button " + className)
+              .text(label)
+          );
+        });
+
+        $body.append(
+          $("<tr>")
+            .attr("data-backup", backup.name)
+            .append(
+              $("<td>")
+                .addClass("column-date")
+                .append(
+                  $("<strong>").text(backup.created_formatted),
+                  $("<span>").addClass("export-id").text(backup.name)
+                ),
+              $("<td>")
+                .addClass("column-size")
+                .text(this.formatFileSize(backup.size)),
+              $("<td>")
+                .addClass("column-components")
+                .text(
+                  backup.components
+                    .map((component) => this.getComponentLabel(component))
+                    .join(", ")
+                ),
+              $actions
+            )
+        );
+      });
+
+      this.$backups.append(
+        $("<table>")
+          .addClass("widefat striped")
+          .append($("<thead>").append($headRow), $body)
+      );
+    }
+
+    /**
+     * Delete a pre-import backup
+     *
+     * @param {string} name Backup file name
+     * @param {jQuery} $button Discard button
+     */
+    discardBackup(name, $button) {
+      if (
+        !confirm(
+          this.strings.confirmDiscardBackup ||
+            "Discard the backup? The site can no longer be restored from it."
+        )
+      ) {
+        return;
+      }
+
+      $button.prop("disabled", true);
+
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_import_backup_discard",
+        nonce: wpEasyMigrate.nonce,
+        backup: name,
+      })
+        .done((response) => {
+          if (!response.success) {
+            $button.prop("disabled", false);
+            this.showNotice("error", this.getErrorMessage(response));
+            return;
+          }
+
+          this.backups = this.backups.filter((backup) => backup.name !== name);
+          this.renderBackups();
+          this.showNotice("success", response.data.message);
+        })
+        .fail(() => {
+          $button.prop("disabled", false);
+          this.showNotice(
+            "error",
+            this.strings.backupDiscardFailed || "Could not discard the backup."
+          );
+        });
+    }
+
+    /**
+     * Save the retention policy
+     */
+    saveRetention() {
+      const $submit = this.$retentionForm.find('input[type="submit"]');
+
+      $submit.prop("disabled", true);
+
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_export_retention",
+        nonce: wpEasyMigrate.nonce,
+        max_count: this.$retentionForm.find('[name="max_count"]').val(),
+        max_age_days: this.$retentionForm.find('[name="max_age_days"]').val(),
+      })
+        .done((response) => {
+          if (!response.success) {
+            this.showNotice("error", this.getErrorMessage(response));
+            return;
+          }
+
+          let message = response.data.message;
+
+          if (response.data.deleted.length) {
+            message +=
+              " " +
+              (
+                this.strings.exportsPruned || "%d old export(s) deleted."
+              ).replace("%d", response.data.deleted.length);
+          }
+
+          this.showNotice("success", message);
+          this.load();
+        })
+        .fail(() => {
+          this.showNotice(
+            "error",
+            this.strings.retentionFailed ||
+              "Could not save the retention settings."
+          );
+        })
+        .always(() => {
+          $submit.prop("disabled", false);
+        });
+    }
+
+    /**
+     * Get the details cell below the row of an export
+     *
+     * @param {string} exportId Export ID
+     * @returns {jQuery} Table cell
+     */
+    getDetailsCell(exportId) {
+      return this.$container.find(`tr[data-details="${exportId}"] td`);
+    }
+
+    /**
+     * Show the details row of an export
+     *
+     * @param {string} exportId Export ID
+     */
+    showDetails(exportId) {
+      this.$container.find(`tr[data-details="${exportId}"]`).show();
+    }
+
+    /**
+     * Show a notice above the table
+     *
+     * @param {string} type success or error
+     * @param {string} message Message
+     */
+    showNotice(type, message) {
+      this.$notice
+        .removeClass("notice-success notice-error")
+        .addClass("notice-" + type)
+        .show()
+        .find("p")
+        .text(message);
+    }
+
+    /**
+     * Get the error message of a failed response
+     *
+     * @param {Object} response Server response
+     * @returns {string} Error message
+     */
+    getErrorMessage(response) {
+      return response.data && response.data.message
+        ? response.data.message
+        : this.strings.error || "An error occurred. Please check the logs.";
+    }
+
+    /**
+     * Get the label of an export component
+     *
+     * @param {string} component database, uploads, plugins or themes
+     * @returns {string} Label
+     */
+    getComponentLabel(component) {
+      const labels = {
+        database: this.strings.estimateDatabase || "Database",
+        uploads: this.strings.uploadsFolder || "Uploads",
+        plugins: this.strings.pluginsFolder || "Plugins",
+        themes: this.strings.themesFolder || "Themes",
+      };
+
+      return labels[component] || component;
+    }
+
+    /**
+     * Get the download URL of an export file
+     *
+     * @param {string} fileName File name
+     * @returns {string} URL
+     */
+    getDownloadUrl(fileName) {
+      return (
+        wpEasyMigrate.ajaxUrl +
+        "?action=wp_easy_migrate_download&file=" +
+        encodeURIComponent(fileName) +
+        "&nonce=" +
+        wpEasyMigrate.nonce
+      );
+    }
+
+    /**
+     * Download a single file
+     *
+     * @param {string} fileName File name to download
+     */
+    downloadFile(fileName) {
+      const link = document.createElement("a");
+      link.href = this.getDownloadUrl(fileName);
+      link.download = fileName;
+      link.style.display = "none";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+
+    /**
+     * Format file size in human readable format
+     *
+     * @param {number} bytes File size in bytes
+     * @returns {string} Formatted file size
+     */
+    formatFileSize(bytes) {
+      if (bytes === 0) return "0 Bytes";
+
+      const k = 1024;
+      const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
+      const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+    }
+  }
+
+  // Initialize when document is ready
+  $(document).ready(function () {
+    if ($("#wp-easy-migrate-export-history").length) {
+      new ExportHistory();
+    }
+  });
+})(jQuery);
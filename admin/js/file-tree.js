@@ -0,0 +1,397 @@
+/**
+ * WP Easy Migrate File Tree
+ *
+ * Lazily loaded folder tree for picking folders to leave out of an export
+ */
+
+(function ($, window) {
+  "use strict";
+
+  /**
+   * File Tree Class
+   */
+  class FileTree {
+    /**
+     * @param {jQuery} $container Element to render the tree into
+     * @param {Object} options ajaxUrl, nonce, strings, roots ({path, label}),
+     *   formatSize(bytes) and onChange()
+     */
+    constructor($container, options) {
+      this.$container = $container;
+      this.options = options;
+      this.strings = options.strings || {};
+
+      this.render();
+      this.bindEvents();
+    }
+
+    /**
+     * Render the top-level folders
+     */
+    render() {
+      const $list = $('<ul class="wp-easy-migrate-tree" role="tree"></ul>');
+
+      this.options.roots.forEach((root) => {
+        $list.append(
+          this.createNode(
+            { path: root.path, name: root.label, has_children: true },
+            true
+          )
+        );
+      });
+
+      this.$container.empty().append($list);
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
+      this.$container.on("click", ".wp-easy-migrate-tree-toggle", (e) => {
+        e.preventDefault();
+        this.toggleNode($(e.currentTarget).closest("li"));
+      });
+
+      this.$container.on("change", "input[type=checkbox]", (e) => {
+        const $checkbox = $(e.target);
+        const checked = $checkbox.is(":checked");
+
+        // Subfolders follow their parent and cannot be picked while it is excluded
+        $checkbox
+          .closest("li")
+          .find("ul input[type=checkbox]")
+          .prop("checked", checked)
+          .prop("disabled", !checked);
+
+        if (this.options.onChange) {
+          this.options.onChange();
+        }
+      });
+    }
+
+    /**
+     * Create a tree node
+     *
+     * @param {Object} folder Folder with path, name and has_children
+     * @param {boolean} isRoot Whether this is a top-level folder
+     * @returns {jQuery} Node element
+     */
+    createNode(folder, isRoot = false) {
+      const $node = $('<li role="treeitem" aria-expanded="false"></li>').attr(
+        "data-path",
+        folder.path
+      );
+      const $row = $('<div class="wp-easy-migrate-tree-row"></div>');
+
+      if (folder.has_children) {
+        $row.append(
+          $(
+            '<button type="button" class="wp-easy-migrate-tree-toggle"></button>'
+          )
+            .attr("aria-label", this.strings.expandFolder || "Show subfolders")
+            .text("▸")
+        );
+      } else {
+        $row.append('<span class="wp-easy-migrate-tree-spacer"></span>');
+      }
+
+      const $name = $("<span></span>").text(folder.name);
+
+      if (isRoot) {
+        $row.append($("<strong></strong>").append($name));
+      } else {
+        $row.append(
+          $("<label></label>")
+            .append(
+              $('<input type="checkbox" checked>').attr("value", folder.path)
+            )
+            .append(" ")
+            .append($name)
+        );
+      }
+
+      $node.append(
+        $row.append('<span class="wp-easy-migrate-tree-size"></span>')
+      );
+
+      if (isRoot) {
+        $node.addClass("is-root");
+      }
+
+      return $node;
+    }
+
+    /**
+     * Expand or collapse a node, loading its subfolders the first time
+     *
+     * @param {jQuery} $node Node element
+     */
+    toggleNode($node) {
+      const expanded = $node.attr("aria-expanded") === "true";
+      const $toggle = $node.children(".wp-easy-migrate-tree-row").find(
+        ".wp-easy-migrate-tree-toggle"
+      );
+
+      $node.attr("aria-expanded", expanded ? "false" : "true");
+      $toggle
+        .text(expanded ? "▸" : "▾")
+        .attr(
+          "aria-label",
+          expanded
+            ? this.strings.expandFolder || "Show subfolders"
+            : this.strings.collapseFolder || "Hide subfolders"
+        );
+
+      const $children = $node.children("ul");
+
+      if ($children.length) {
+        $children.toggle(!expanded);
+        return;
+      }
+
+      if (!expanded) {
+        this.loadChildren($node);
+      }
+    }
+
+    /**
+     * Load and render the subfolders of a node
+     *
+     * @param {jQuery} $node Node element
+     */
+    loadChildren($node) {
+      const $children = $('<ul role="group"></ul>').append(
+        $('<li class="wp-easy-migrate-tree-message"></li>').text(
+          this.strings.loadingFolders || "Loading folders..."
+        )
+      );
+
+      $node.append($children);
+
+      $.ajax({
+        url: this.options.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_export_tree",
+          nonce: this.options.nonce,
+          path: $node.attr("data-path"),
+        },
+        timeout: 60000,
+        success: (response) => {
+          if (!response.success) {
+            this.showLoadError($node, $children);
+            return;
+          }
+
+          this.renderChildren($node, $children, response.data);
+        },
+        error: () => {
+          this.showLoadError($node, $children);
+        },
+      });
+    }
+
+    /**
+     * Render loaded subfolders
+     *
+     * @param {jQuery} $node Parent node
+     * @param {jQuery} $children Subfolder list
+     * @param {Object} data Listing with directories, file_count and file_size
+     */
+    renderChildren($node, $children, data) {
+      const $parentCheckbox = $node
+        .children(".wp-easy-migrate-tree-row")
+        .find("input[type=checkbox]");
+      const parentExcluded =
+        $parentCheckbox.length > 0 && !$parentCheckbox.is(":checked");
+
+      $children.empty();
+
+      if (!data.directories.length) {
+        $children.append(
+          $('<li class="wp-easy-migrate-tree-message"></li>').text(
+            this.strings.noSubfolders || "No subfolders"
+          )
+        );
+      }
+
+      data.directories.forEach((folder) => {
+        const $child = this.createNode(folder);
+
+        if (parentExcluded) {
+          $child
+            .find("input[type=checkbox]")
+            .prop("checked", false)
+            .prop("disabled", true);
+        }
+
+        $children.append($child);
+      });
+
+      this.loadSizes(
+        $node,
+        $children,
+        data.directories.map((folder) => folder.path),
+        {
+          size: data.file_size,
+          files: data.file_count,
+          complete: true,
+        }
+      );
+    }
+
+    /**
+     * Measure subfolders, a few at a time
+     *
+     * The server measures for a few seconds per request and leaves out the
+     * folders it did not get to, which are asked for again.
+     *
+     * @param {jQuery} $node Parent node
+     * @param {jQuery} $children Subfolder list
+     * @param {string[]} paths Subfolders still to measure
+     * @param {Object} total Size, files and complete of what was measured
+     */
+    loadSizes($node, $children, paths, total) {
+      if (!paths.length) {
+        // Top-level folders know their size once all subfolders are measured
+        if ($node.hasClass("is-root")) {
+          this.showSize($node, total);
+        }
+        return;
+      }
+
+      $.ajax({
+        url: this.options.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_export_tree_sizes",
+          nonce: this.options.nonce,
+          paths: paths,
+        },
+        timeout: 60000,
+        success: (response) => {
+          if (!response.success) {
+            return;
+          }
+
+          const sizes = response.data.sizes;
+
+          $children.children("li[data-path]").each((index, child) => {
+            const size = sizes[$(child).attr("data-path")];
+
+            if (size) {
+              this.showSize($(child), size);
+              total.size += size.size;
+              total.files += size.files;
+              total.complete = total.complete && size.complete;
+            }
+          });
+
+          const remaining = paths.filter((path) => !sizes[path]);
+
+          // Folders that cannot be read never come back
+          if (remaining.length < paths.length) {
+            this.loadSizes($node, $children, remaining, total);
+          }
+        },
+      });
+    }
+
+    /**
+     * Show the size of a folder
+     *
+     * @param {jQuery} $node Node element
+     * @param {Object} size Size, files and whether the whole folder was measured
+     */
+    showSize($node, size) {
+      let text = this.describeSize(size.size, size.files);
+
+      if (!size.complete) {
+        text = (this.strings.sizeAtLeast || "over %s").replace("%s", text);
+      }
+
+      $node
+        .children(".wp-easy-migrate-tree-row")
+        .find(".wp-easy-migrate-tree-size")
+        .text(text);
+    }
+
+    /**
+     * Show that subfolders could not be loaded and allow another attempt
+     *
+     * @param {jQuery} $node Parent node
+     * @param {jQuery} $children Subfolder list
+     */
+    showLoadError($node, $children) {
+      $children.remove();
+      $node.attr("aria-expanded", "false");
+      $node
+        .children(".wp-easy-migrate-tree-row")
+        .find(".wp-easy-migrate-tree-toggle")
+        .text("▸")
+        .attr("aria-label", this.strings.expandFolder || "Show subfolders")
+        .after(
+          $('<span class="wp-easy-migrate-tree-error"></span>').text(
+            this.strings.foldersLoadFailed || "Could not load folders."
+          )
+        );
+
+      setTimeout(() => {
+        $node.find(".wp-easy-migrate-tree-error").remove();
+      }, 5000);
+    }
+
+    /**
+     * Format the size column of a folder
+     *
+     * @param {number} size Total size in bytes
+     * @param {number} files Number of files
+     * @returns {string} Size description
+     */
+    describeSize(size, files) {
+      const count = (this.strings.filesCount || "%d files").replace(
+        "%d",
+        Number(files).toLocaleString()
+      );
+
+      return `${this.options.formatSize(size)} (${count})`;
+    }
+
+    /**
+     * Show or hide a top-level folder
+     *
+     * @param {string} path Top-level folder path
+     * @param {boolean} visible Whether the folder is part of the export
+     */
+    setRootVisible(path, visible) {
+      this.$container
+        .find("li.is-root")
+        .filter((index, node) => $(node).attr("data-path") === path)
+        .toggleClass("is-hidden", !visible);
+    }
+
+    /**
+     * Get the folders to leave out of the export
+     *
+     * Only the topmost excluded folder of each branch is returned, and
+     * folders under hidden top-level folders are ignored.
+     *
+     * @returns {string[]} Folder paths such as "uploads/cache"
+     */
+    getExcludedPaths() {
+      const paths = [];
+
+      this.$container
+        .find(
+          "li.is-root:not(.is-hidden) input[type=checkbox]:not(:checked):not(:disabled)"
+        )
+        .each((index, checkbox) => {
+          paths.push($(checkbox).val());
+        });
+
+      return paths;
+    }
+  }
+
+  window.WPEasyMigrateFileTree = FileTree;
+})(jQuery, window);
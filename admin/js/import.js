@@ -5,6 +5,9 @@
 (function ($) {
   "use strict";
 
+  const { __, _n, _x, sprintf } = wp.i18n;
+  const { speak } = wp.a11y;
+
   /**
    * Import Manager Class
    */
@@ -12,15 +15,98 @@
     constructor() {
       this.$form = $("#wp-easy-migrate-import-form");
       this.$submitBtn = this.$form.find('input[type="submit"]');
+      this.$cancelBtn = $("#wp-easy-migrate-cancel-import");
       this.$progress = $("#wp-easy-migrate-import-progress");
+      this.$progressBar = this.$progress.find(".wp-easy-migrate-progress-fill");
+      this.$steps = this.$progress.find(".import-steps");
       this.$status = $("#wp-easy-migrate-import-status");
       this.$logs = $("#wp-easy-migrate-logs");
+      this.$fileInput = this.$form.find('input[type="file"]');
+      this.$dropzone = $("#wp-easy-migrate-dropzone");
+      this.$fileList = $("#wp-easy-migrate-import-files");
+      this.$selection = $("#wp-easy-migrate-import-selection");
+      this.$preview = $("#wp-easy-migrate-import-preview");
+      this.$uploadProgress = $("#wp-easy-migrate-upload-progress");
+      this.$uploadBar = this.$uploadProgress.find(
+        ".wp-easy-migrate-progress-fill"
+      );
+      this.$uploadText = $("#wp-easy-migrate-upload-text");
+      this.$lockNotice = $("#wp-easy-migrate-import-lock-notice");
+      this.$sourceExport = $("#wp-easy-migrate-source-export");
+      this.$sourceInputs = this.$form.find('input[name="import_source"]');
+      this.$serverArchive = $("#wp-easy-migrate-server-archive");
+      this.$remoteUrls = $("#wp-easy-migrate-remote-urls");
+      this.$rollback = $("#wp-easy-migrate-rollback");
+      this.$confirm = $("#wp-easy-migrate-import-confirm");
+      this.$confirmText = $("#wp-easy-migrate-confirm-text");
+      this.$confirmBtn = $("#wp-easy-migrate-confirm-import");
+      this.$replacePairs = this.$confirm.find(
+        ".wp-easy-migrate-replace-pairs tbody"
+      );
+      this.$replaceReport = $("#wp-easy-migrate-replace-report");
+      this.$acknowledge = $("#wp-easy-migrate-acknowledge-warnings");
+      this.$components = this.$confirm.find(
+        ".wp-easy-migrate-import-components"
+      );
 
       this.isRunning = false;
+      this.isCancelling = false;
+      this.currentRequest = null;
       this.pollInterval = null;
       this.maxRetries = 3;
       this.currentRetries = 0;
       this.retryDelay = 2000;
+      this.announcedStep = null; // Step state last announced to screen readers
+
+      // Steps of the import in order, as planned by the server
+      this.steps = [];
+      this.stepsSession = null;
+
+      // Selected files and the result of checking them
+      this.selectedFiles = [];
+      this.selection = null;
+
+      // Export picked on the Exports tab, preselected as server archive
+      this.sourceExport =
+        this.$form.find('input[name="source_export"]').val() || null;
+
+      // Server archive or URLs sent with the first step instead of uploads
+      this.importParams = {};
+
+      // Last status the server reported, it names the pre-import backup
+      this.lastStatus = null;
+
+      // What the import replaces, shown until the admin confirms it
+      this.preview = null;
+      this.compatibility = null;
+
+      // Chunked upload state
+      this.chunkSize = wpEasyMigrate.uploadChunkSize || 2097152;
+      this.uploadQueue = [];
+      this.uploadIndex = 0;
+      this.uploadIds = [];
+      this.uploadId = null;
+      this.uploadOffset = 0;
+      this.uploadedBytes = 0;
+      this.uploadTotal = 0;
+      this.uploadInterrupted = false;
+      this.sessionStarted = false;
+
+      // Following a migration that another tab or admin runs
+      this.coordinator = window.WPEasyMigrateCoordinator;
+      this.isObserving = false;
+      this.isCheckingSession = false;
+      this.observeTimer = null;
+      this.observeDelay = 5000;
+      this.lastBroadcast = 0;
+
+      this.stream = new WPEasyMigrateProgressStream({
+        ajaxUrl: wpEasyMigrate.ajaxUrl,
+        nonce: wpEasyMigrate.nonce,
+        action: "wpem_import_stream",
+        enabled: wpEasyMigrate.progressStream,
+        onProgress: (data) => this.handleStreamProgress(data),
+      });
 
       this.init();
     }
@@ -30,17 +116,193 @@
      */
     init() {
       this.bindEvents();
-      this.updateUI("ready", "Ready to import");
+      this.updateUI("ready", __("Ready to import", "wp-easy-migrate"));
       this.initializeSteps();
+
+      if (this.getSource() === "server") {
+        this.loadServerArchives();
+      }
+      this.coordinator.subscribe((message) => this.handleBroadcast(message));
+      this.coordinator.ready().then(() => this.checkExistingSession());
+    }
+
+    /**
+     * Reattach to an import that is still running on the server
+     *
+     * Only imports past the upload are known to the server. An interrupted
+     * upload is resumed by selecting the same files again.
+     */
+    checkExistingSession() {
+      this.isCheckingSession = true;
+
+      this.requestSessionStatus((data) => {
+        this.isCheckingSession = false;
+
+        if (this.isRunning || this.isObserving || !data) {
+          return;
+        }
+
+        // Another tab or admin runs a migration, follow it instead
+        if (data.lock && !data.lock.owned) {
+          this.startObserving(data);
+          return;
+        }
+
+        if (!data.in_progress) {
+          return;
+        }
+
+        this.isRunning = true;
+        this.sessionStarted = true;
+        this.currentRetries = 0;
+        this.$progress.show();
+        this.resumeSession(data);
+      });
+    }
+
+    /**
+     * Continue polling a reattached import
+     *
+     * @param {Object|null} data Session status, null if it could not be loaded
+     */
+    resumeSession(data) {
+      if (!this.isRunning) {
+        return;
+      }
+
+      if (data && !data.in_progress) {
+        // Finished while we were waiting, the step request reports the outcome
+        this.makeImportRequest(false);
+        return;
+      }
+
+      if (data) {
+        this.updateImportStatus(data.status, data.message);
+      }
+
+      // A step from before the reload is still being processed
+      if (!data || data.step_running) {
+        this.updateUI(
+          "running",
+          __("Waiting for the current step to finish...", "wp-easy-migrate")
+        );
+        setTimeout(() => {
+          this.requestSessionStatus((next) => this.resumeSession(next));
+        }, this.retryDelay);
+        return;
+      }
+
+      this.makeImportRequest(false);
+    }
+
+    /**
+     * Request the state of the current import session
+     *
+     * @param {Function} callback Receives the status data, or null on failure
+     */
+    requestSessionStatus(callback) {
+      $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_import_status",
+          nonce: wpEasyMigrate.nonce,
+          lock_token: this.coordinator.token,
+          steps_session: this.stepsSession || "",
+        },
+        timeout: 30000,
+        success: (response) => {
+          if (response.success) {
+            this.setSteps(response.data);
+          }
+
+          callback(response.success ? response.data : null);
+        },
+        error: () => {
+          callback(null);
+        },
+      });
     }
 
     /**
      * Initialize all steps as waiting
      */
     initializeSteps() {
-      $(".import-step")
-        .removeClass("waiting running completed failed")
-        .addClass("waiting");
+      $(".import-step").each((index, element) => {
+        this.updateStepStatus($(element), "waiting");
+      });
+      $(".import-step .compatibility-results").remove();
+      this.announcedStep = null;
+      this.setProgressBar(0);
+    }
+
+    /**
+     * Keep the step plan the server sends once per session
+     *
+     * @param {Object} data Response data, with steps if the plan is new here
+     */
+    setSteps(data) {
+      if (data.steps && data.status) {
+        this.stepsSession = data.status.session_id;
+        this.renderSteps(data.steps);
+      }
+    }
+
+    /**
+     * Build the step checklist from the server's step plan
+     *
+     * @param {Array} steps Steps with step, label, description and message
+     */
+    renderSteps(steps) {
+      this.steps = steps;
+      this.$steps.empty();
+
+      steps.forEach((planned) => {
+        const $step = $("<div>")
+          .addClass("import-step")
+          .attr({ "data-step": planned.step, role: "listitem" })
+          .append(
+            $("<div>")
+              .addClass("step-icon")
+              .attr("aria-hidden", "true")
+              .append($("<span>").addClass("dashicons")),
+            $("<div>")
+              .addClass("step-content")
+              .append(
+                $("<div>").addClass("step-title").text(planned.label),
+                $("<span>").addClass("screen-reader-text step-state"),
+                $("<div>").addClass("step-description")
+              )
+          );
+
+        this.$steps.append($step);
+        this.updateStepStatus($step, "waiting");
+      });
+    }
+
+    /**
+     * Get a step of the plan
+     *
+     * @param {string} step Step name
+     * @returns {Object|undefined} Planned step
+     */
+    getPlannedStep(step) {
+      return this.steps.find((planned) => planned.step === step);
+    }
+
+    /**
+     * Move the overall progress bar
+     *
+     * @param {number} progress Percentage from 0 to 100
+     */
+    setProgressBar(progress) {
+      this.$progressBar
+        .css("width", progress + "%")
+        .closest('[role="progressbar"]')
+        .attr({
+          "aria-valuenow": Math.round(progress),
+          "aria-valuetext": this.formatPercent(progress),
+        });
     }
 
     /**
@@ -52,101 +314,2110 @@
         this.startImport();
       });
 
+      this.$cancelBtn.on("click", (e) => {
+        e.preventDefault();
+
+        // Stays focusable while cancelling, so it is only marked disabled
+        if (this.isCancelling) {
+          return;
+        }
+
+        if (
+          confirm(
+            __(
+              "Cancel the import and delete its uploaded files?",
+              "wp-easy-migrate"
+            )
+          )
+        ) {
+          this.stopImport();
+        }
+      });
+
+      this.$sourceInputs.on("change", () => this.selectSource());
+
+      this.$confirmText.add(this.$acknowledge).on("input change", () => {
+        this.$confirmBtn.prop("disabled", !this.canConfirm());
+      });
+
+      this.$confirmText.on("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          this.confirmImport();
+        }
+      });
+
+      this.$confirmBtn.on("click", (e) => {
+        e.preventDefault();
+        this.confirmImport();
+      });
+
+      $("#wp-easy-migrate-add-replace-pair").on("click", (e) => {
+        e.preventDefault();
+        this.addReplacePair("", "").find("input").first().trigger("focus");
+      });
+
+      this.$replacePairs.on("click", ".wp-easy-migrate-remove-pair", (e) => {
+        e.preventDefault();
+        $(e.currentTarget).closest("tr").remove();
+      });
+
+      $("#wp-easy-migrate-reject-import").on("click", (e) => {
+        e.preventDefault();
+
+        if (
+          confirm(
+            __(
+              "Cancel the import and delete its uploaded files?",
+              "wp-easy-migrate"
+            )
+          )
+        ) {
+          this.stopImport();
+        }
+      });
+
+      $("#wp-easy-migrate-restore-backup").on("click", (e) => {
+        e.preventDefault();
+        this.startRollback(this.$rollback.attr("data-backup"));
+      });
+
+      $("#wp-easy-migrate-refresh-server-archives").on("click", (e) => {
+        e.preventDefault();
+        this.loadServerArchives();
+      });
+
+      this.$fileInput.on("change", () => {
+        this.selectFiles(Array.from(this.$fileInput[0].files));
+      });
+
+      // Drag and drop of archives and parts
+      this.$dropzone.on("dragenter dragover", (e) => {
+        e.preventDefault();
+        this.$dropzone.addClass("is-dragover");
+      });
+
+      this.$dropzone.on("dragleave drop", (e) => {
+        e.preventDefault();
+        this.$dropzone.removeClass("is-dragover");
+      });
+
+      this.$dropzone.on("drop", (e) => {
+        const dataTransfer = e.originalEvent.dataTransfer;
+        if (!this.isRunning && dataTransfer && dataTransfer.files.length) {
+          this.selectFiles(Array.from(dataTransfer.files));
+        }
+      });
+
       // Prevent page navigation during import
       $(window).on("beforeunload", (e) => {
         if (this.isRunning) {
-          const message =
-            wpEasyMigrate.strings.importInProgress ||
-            "Import is in progress. Are you sure you want to leave?";
+          const message = __(
+            "Import is in progress. Are you sure you want to leave?",
+            "wp-easy-migrate"
+          );
           e.returnValue = message;
           return message;
         }
       });
+
+      // Pick up an interrupted upload as soon as the connection is back
+      $(window).on("online", () => {
+        if (this.uploadInterrupted && !this.isRunning) {
+          this.resumeUpload();
+        }
+      });
     }
 
     /**
      * Start the import process
      */
     startImport() {
-      if (this.isRunning) {
+      if (this.isRunning || this.isObserving) {
+        return;
+      }
+
+      const source = this.getSource();
+
+      if (source === "server") {
+        this.startServerImport();
+        return;
+      }
+
+      if (source === "url") {
+        this.startRemoteImport();
         return;
       }
 
       // Validate file upload
-      const fileInput = this.$form.find('input[type="file"]')[0];
-      if (!fileInput.files.length) {
-        alert("Please select a file to import.");
+      if (!this.selectedFiles.length) {
+        alert(__("Please select a file to import.", "wp-easy-migrate"));
+        return;
+      }
+
+      if (!this.selection) {
+        alert(
+          __(
+            "The selected files are still being checked. Please try again.",
+            "wp-easy-migrate"
+          )
+        );
+        return;
+      }
+
+      if (this.selection.errors.length) {
+        this.updateUI(
+          "error",
+          __(
+            "Please fix the file selection before importing.",
+            "wp-easy-migrate"
+          )
+        );
         return;
       }
 
       this.isRunning = true;
       this.currentRetries = 0;
-      this.updateUI("running", "Starting import...");
+      this.sessionStarted = false;
+      this.uploadInterrupted = false;
+      this.importParams = {};
+      this.lastStatus = null;
+      this.$rollback.hide();
+      this.updateUI("running", __("Starting import...", "wp-easy-migrate"));
 
-      // Show progress container and initialize steps
-      this.$progress.show();
-      this.initializeSteps();
+      // The checklist is built from the plan the first step sends
+      this.$progress.hide();
+      this.renderSteps([]);
+
+      this.startUpload(this.selection.files);
+    }
+
+    /**
+     * Get the selected archive source
+     *
+     * @returns {string} upload, server or url
+     */
+    getSource() {
+      return this.$sourceInputs.filter(":checked").val() || "upload";
+    }
+
+    /**
+     * Show the fields of the selected archive source
+     */
+    selectSource() {
+      const source = this.getSource();
+
+      this.$form
+        .find(".wp-easy-migrate-import-source-row")
+        .each((index, row) => {
+          $(row).toggle($(row).attr("data-source") === source);
+        });
+
+      if (source !== "server") {
+        this.$sourceExport.hide();
+      } else if (!this.$serverArchive.data("loaded")) {
+        this.loadServerArchives();
+      }
+    }
+
+    /**
+     * List the archives that can be imported without an upload
+     */
+    loadServerArchives() {
+      const $select = this.$serverArchive;
+      const current = $select.val() || `export:${this.sourceExport || ""}`;
+
+      $select.prop("disabled", true);
+
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wpem_import_server_archives",
+        nonce: wpEasyMigrate.nonce,
+      })
+        .done((response) => {
+          if (!response.success) {
+            $select
+              .empty()
+              .append($("<option>").val("").text(response.data.message));
+            return;
+          }
+
+          $select.empty().data("loaded", true);
+
+          const { archives, exports } = response.data;
+          const describe = (item, date) =>
+            item.part_count > 1
+              ? sprintf(
+                  /* translators: 1: date, 2: size, 3: number of parts */
+                  _n(
+                    "%1$s – %2$s, %3$s part",
+                    "%1$s – %2$s, %3$s parts",
+                    item.part_count,
+                    "wp-easy-migrate"
+                  ),
+                  date,
+                  this.formatFileSize(item.size),
+                  this.formatNumber(item.part_count)
+                )
+              : sprintf(
+                  /* translators: 1: date, 2: size */
+                  __("%1$s – %2$s", "wp-easy-migrate"),
+                  date,
+                  this.formatFileSize(item.size)
+                );
+
+          if (!archives.length && !exports.length) {
+            $select.append(
+              $("<option>")
+                .val("")
+                .text(__("No archives found", "wp-easy-migrate"))
+            );
+            return;
+          }
+
+          $select.append(
+            $("<option>")
+              .val("")
+              .text(__("Choose an archive", "wp-easy-migrate"))
+          );
+
+          if (exports.length) {
+            const $group = $("<optgroup>").attr(
+              "label",
+              __("Exports", "wp-easy-migrate")
+            );
+            exports.forEach((item) => {
+              const details = describe(item, item.created_formatted);
+              $group.append(
+                $("<option>")
+                  .val(`export:${item.id}`)
+                  .text(
+                    sprintf(
+                      /* translators: 1: export name, 2: date and size */
+                      __("%1$s (%2$s)", "wp-easy-migrate"),
+                      item.id,
+                      details
+                    )
+                  )
+              );
+            });
+            $select.append($group);
+          }
+
+          if (archives.length) {
+            const $group = $("<optgroup>").attr(
+              "label",
+              sprintf(
+                /* translators: %s: directory path */
+                __("Copied to %s", "wp-easy-migrate"),
+                response.data.imports_dir
+              )
+            );
+            archives.forEach((item) => {
+              let details = describe(item, item.modified_formatted);
+              if (item.part_count > 1 && !item.has_manifest) {
+                details = sprintf(
+                  /* translators: %s: date, size and number of parts */
+                  __("%s, no manifest", "wp-easy-migrate"),
+                  details
+                );
+              }
+              $group.append(
+                $("<option>")
+                  .val(`archive:${item.name}`)
+                  .text(
+                    sprintf(
+                      /* translators: 1: file name, 2: date and size */
+                      __("%1$s (%2$s)", "wp-easy-migrate"),
+                      item.name,
+                      details
+                    )
+                  )
+              );
+            });
+            $select.append($group);
+          }
+
+          if ($select.find(`option[value="${current}"]`).length) {
+            $select.val(current);
+          }
+        })
+        .fail(() => {
+          $select
+            .empty()
+            .append(
+              $("<option>")
+                .val("")
+                .text(
+                  __("Could not load the server archives", "wp-easy-migrate")
+                )
+            );
+        })
+        .always(() => {
+          $select.prop("disabled", false);
+        });
+    }
+
+    /**
+     * Import an archive that is already on the server
+     */
+    startServerImport() {
+      const value = this.$serverArchive.val() || "";
+      const separator = value.indexOf(":");
+
+      if (separator < 0) {
+        alert(__("Please choose an archive on the server.", "wp-easy-migrate"));
+        return;
+      }
+
+      const type = value.slice(0, separator);
+      const name = value.slice(separator + 1);
+
+      this.startWithoutUpload(
+        type === "export" ? { export_id: name } : { server_archive: name },
+        sprintf(
+          /* translators: %s: archive or export name */
+          __("Using %s", "wp-easy-migrate"),
+          name
+        )
+      );
+    }
+
+    /**
+     * Import an archive the server downloads from URLs
+     */
+    startRemoteImport() {
+      const urls = this.$remoteUrls
+        .val()
+        .split(/\r?\n/)
+        .map((url) => url.trim())
+        .filter((url) => url !== "");
+
+      if (!urls.length) {
+        alert(__("Please enter the URL of the archive.", "wp-easy-migrate"));
+        return;
+      }
+
+      const invalid = urls.find((url) => !/^https?:\/\/[^\s]+$/i.test(url));
+      if (invalid) {
+        alert(
+          sprintf(
+            /* translators: %s: URL */
+            __("Not a valid http or https URL: %s", "wp-easy-migrate"),
+            invalid
+          )
+        );
+        return;
+      }
+
+      this.startWithoutUpload(
+        { remote_urls: urls },
+        __("Downloading archive...", "wp-easy-migrate")
+      );
+    }
+
+    /**
+     * Restore the site from a pre-import backup
+     *
+     * Runs as an import of the backup, which skips taking a backup itself
+     * and leaves the backup in place.
+     *
+     * @param {string} backup Backup file name
+     */
+    startRollback(backup) {
+      if (!backup || this.isRunning || this.isObserving) {
+        return;
+      }
+
+      if (
+        !confirm(
+          __(
+            "Restore the previous site from the backup? Everything the import replaced is overwritten with the backed up copy.",
+            "wp-easy-migrate"
+          )
+        )
+      ) {
+        return;
+      }
+
+      this.startWithoutUpload(
+        { rollback_backup: backup },
+        sprintf(
+          /* translators: %s: backup file name */
+          __("Using backup %s", "wp-easy-migrate"),
+          backup
+        )
+      );
+    }
+
+    /**
+     * Offer to restore the site from the backup of the last import
+     *
+     * @param {string|null} backup Backup file name
+     * @param {string} text Explanation shown above the button
+     */
+    offerRollback(backup, text) {
+      if (!backup) {
+        return;
+      }
+
+      this.$rollback
+        .attr("data-backup", backup)
+        .show()
+        .find(".wp-easy-migrate-rollback-text")
+        .text(text);
+    }
+
+    /**
+     * Start an import whose archive needs no upload from the browser
+     *
+     * @param {Object} params Archive source sent with the first step
+     * @param {string} description Status shown until the first step answers
+     */
+    startWithoutUpload(params, description) {
+      this.isRunning = true;
+      this.currentRetries = 0;
+      this.sessionStarted = false;
+      this.uploadIds = [];
+      this.importParams = params;
+      this.lastStatus = null;
+      this.$rollback.hide();
+      this.updateUI("running", description);
+
+      // The checklist is built from the plan the first step sends
+      this.$progress.hide();
+      this.renderSteps([]);
 
       this.makeImportRequest(true);
     }
 
     /**
-     * Make AJAX request for import step
+     * Select files for import and check them
      *
-     * @param {boolean} startImport Whether this is the initial import request
+     * @param {File[]} files Selected files
      */
-    makeImportRequest(startImport = false) {
-      const formData = new FormData();
-      formData.append("action", "wpem_import_step");
-      formData.append("nonce", wpEasyMigrate.nonce);
+    selectFiles(files) {
+      this.selectedFiles = files;
+      this.selection = null;
+
+      this.renderSelection({ files: files, errors: [], warnings: [] });
+
+      this.validateSelection(files)
+        .then((selection) => this.verifyChecksums(selection, files))
+        .then((selection) => {
+          // Ignore results for a selection that has since been replaced
+          if (this.selectedFiles !== files) {
+            return;
+          }
+
+          this.selection = selection;
+          this.renderSelection(selection);
+
+          if (selection.errors.length) {
+            this.$preview.hide().empty();
+          } else {
+            this.previewArchive(selection, files);
+          }
+        });
+    }
+
+    /**
+     * Check selected files before uploading
+     *
+     * A split export needs every part exactly once. When the standalone
+     * manifest is selected too, parts are checked against its parts list,
+     * otherwise only gaps in the part numbers can be detected.
+     *
+     * @param {File[]} files Selected files
+     * @returns {Promise<Object>} Upload order, errors and warnings
+     */
+    validateSelection(files) {
+      const errors = [];
+      const warnings = [];
+
+      const manifests = files.filter((file) => /\.json$/i.test(file.name));
+      const archives = files.filter((file) => /\.zip$/i.test(file.name));
+      const unsupported = files.filter(
+        (file) => !manifests.includes(file) && !archives.includes(file)
+      );
+
+      if (unsupported.length) {
+        errors.push(
+          sprintf(
+            /* translators: %s: file names */
+            __("Unsupported files: %s", "wp-easy-migrate"),
+            unsupported.map((file) => file.name).join(", ")
+          )
+        );
+      }
+
+      if (manifests.length > 1) {
+        errors.push(__("Select only one manifest file.", "wp-easy-migrate"));
+      }
+
+      if (!archives.length) {
+        errors.push(
+          __("Select the archive file (.zip) to import.", "wp-easy-migrate")
+        );
+      }
+
+      const parts = archives.map((file) => this.parsePartName(file));
+      const numbered = parts.filter((part) => part.number !== null);
+
+      if (archives.length > 1 && numbered.length !== archives.length) {
+        errors.push(
+          __(
+            "Select either a single archive or all parts of one split archive.",
+            "wp-easy-migrate"
+          )
+        );
+      }
+
+      if (new Set(numbered.map((part) => part.base)).size > 1) {
+        errors.push(
+          __(
+            "The selected parts belong to different exports.",
+            "wp-easy-migrate"
+          )
+        );
+      }
+
+      const seen = new Set();
+      numbered.forEach((part) => {
+        if (seen.has(part.number)) {
+          errors.push(
+            sprintf(
+              /* translators: %s: part number */
+              __("Part %s is selected more than once.", "wp-easy-migrate"),
+              this.formatNumber(part.number)
+            )
+          );
+        }
+        seen.add(part.number);
+      });
+
+      const outOfOrder = numbered.some(
+        (part, index) => index > 0 && part.number < numbered[index - 1].number
+      );
+      numbered.sort((a, b) => a.number - b.number);
+
+      if (outOfOrder) {
+        warnings.push(
+          __(
+            "The parts were selected out of order and will be uploaded in part order.",
+            "wp-easy-migrate"
+          )
+        );
+      }
+
+      const manifestFile = manifests.length === 1 ? manifests[0] : null;
+
+      return this.readManifest(manifestFile).then((manifest) => {
+        if (manifestFile && !manifest) {
+          errors.push(
+            sprintf(
+              /* translators: %s: file name */
+              __("%s is not a valid export manifest.", "wp-easy-migrate"),
+              manifestFile.name
+            )
+          );
+        }
+
+        const expected =
+          manifest && manifest.archive_parts && manifest.archive_parts.parts
+            ? manifest.archive_parts.parts
+            : null;
+
+        if (
+          manifest &&
+          manifest.export_id &&
+          parts.some((part) => part.base !== `wp-export-${manifest.export_id}`)
+        ) {
+          errors.push(
+            __("The manifest belongs to a different export.", "wp-easy-migrate")
+          );
+        }
+
+        if (numbered.length && expected) {
+          const missing = [];
+
+          expected.forEach((info) => {
+            const match = numbered.find((part) => part.file.name === info.filename);
+
+            if (!match) {
+              missing.push(info.filename);
+            } else if (match.file.size !== info.size) {
+              errors.push(
+                sprintf(
+                  /* translators: 1: file name, 2: size of the file, 3: size listed in the manifest */
+                  __("%1$s is incomplete (%2$s of %3$s).", "wp-easy-migrate"),
+                  info.filename,
+                  this.formatFileSize(match.file.size),
+                  this.formatFileSize(info.size)
+                )
+              );
+            }
+          });
+
+          const unexpected = numbered.filter(
+            (part) => !expected.some((info) => info.filename === part.file.name)
+          );
+
+          if (missing.length) {
+            errors.push(
+              sprintf(
+                /* translators: %s: part file names */
+                __("Missing parts: %s", "wp-easy-migrate"),
+                missing.join(", ")
+              )
+            );
+          }
+
+          if (unexpected.length) {
+            errors.push(
+              sprintf(
+                /* translators: %s: file names */
+                __("Not listed in the manifest: %s", "wp-easy-migrate"),
+                unexpected.map((part) => part.file.name).join(", ")
+              )
+            );
+          }
+        } else if (numbered.length) {
+          const highest = numbered[numbered.length - 1].number;
+          const missing = [];
+
+          for (let number = 1; number <= highest; number++) {
+            if (!seen.has(number)) {
+              missing.push(
+                sprintf(
+                  /* translators: %s: part number */
+                  __("part %s", "wp-easy-migrate"),
+                  this.formatNumber(number)
+                )
+              );
+            }
+          }
+
+          if (missing.length) {
+            errors.push(
+              sprintf(
+                /* translators: %s: part numbers */
+                __("Missing parts: %s", "wp-easy-migrate"),
+                missing.join(", ")
+              )
+            );
+          }
+
+          warnings.push(
+            manifest
+              ? __(
+                  "The manifest does not list the archive parts, so missing trailing parts cannot be detected.",
+                  "wp-easy-migrate"
+                )
+              : __(
+                  "Add the export manifest (.json) to check that no parts are missing.",
+                  "wp-easy-migrate"
+                )
+          );
+        } else if (expected && archives.length) {
+          errors.push(
+            sprintf(
+              /* translators: %s: number of parts */
+              _n(
+                "The manifest describes a split archive of %s part. Select all parts.",
+                "The manifest describes a split archive of %s parts. Select all parts.",
+                expected.length,
+                "wp-easy-migrate"
+              ),
+              this.formatNumber(expected.length)
+            )
+          );
+        }
+
+        // The manifest goes first so the server has it when the parts arrive
+        const ordered = numbered.length
+          ? numbered.map((part) => part.file)
+          : archives;
+
+        return {
+          files: (manifestFile ? [manifestFile] : []).concat(ordered),
+          archives: ordered,
+          manifest: manifest,
+          errors: errors,
+          warnings: warnings,
+        };
+      });
+    }
+
+    /**
+     * Hash each selected part and compare it with the manifest
+     *
+     * Parts are hashed one at a time with Web Crypto. Parts that cannot be
+     * hashed here are still verified by the server after reassembly.
+     *
+     * @param {Object} selection Result of validateSelection()
+     * @param {File[]} files Selected files the selection was made from
+     * @returns {Promise<Object>} Selection with checksum errors added
+     */
+    verifyChecksums(selection, files) {
+      const expected =
+        selection.manifest && selection.manifest.archive_parts
+          ? selection.manifest.archive_parts.parts || []
+          : [];
+      const parts = selection.archives.filter((file) =>
+        expected.some((info) => info.filename === file.name && info.sha256)
+      );
+
+      if (selection.errors.length || !selection.archives.length) {
+        return Promise.resolve(selection);
+      }
+
+      if (expected.length && !parts.length) {
+        selection.warnings.push(
+          __(
+            "The manifest has no SHA-256 checksums. The parts will be verified on the server.",
+            "wp-easy-migrate"
+          )
+        );
+        return Promise.resolve(selection);
+      }
+
+      if (!parts.length) {
+        return Promise.resolve(selection);
+      }
+
+      let chain = Promise.resolve();
+
+      parts.forEach((file, index) => {
+        chain = chain.then(() => {
+          if (this.selectedFiles !== files) {
+            return;
+          }
+
+          this.$selection
+            .empty()
+            .append(
+              $("<p>").text(
+                sprintf(
+                  /* translators: 1: file name, 2: part number, 3: number of parts */
+                  __(
+                    "Verifying checksums: %1$s (%2$s/%3$s)...",
+                    "wp-easy-migrate"
+                  ),
+                  file.name,
+                  this.formatNumber(index + 1),
+                  this.formatNumber(parts.length)
+                )
+              )
+            );
+
+          const info = expected.find((item) => item.filename === file.name);
+
+          return this.hashFile(file)
+            .then((hash) => {
+              if (hash !== info.sha256) {
+                selection.errors.push(
+                  sprintf(
+                    /* translators: %s: file name */
+                    __(
+                      "%s is corrupted (SHA-256 checksum mismatch). Download this part again.",
+                      "wp-easy-migrate"
+                    ),
+                    file.name
+                  )
+                );
+              }
+            })
+            .catch((error) => {
+              selection.warnings.push(
+                sprintf(
+                  /* translators: 1: file name, 2: error message */
+                  __(
+                    "%1$s could not be hashed in the browser (%2$s). It will be verified on the server.",
+                    "wp-easy-migrate"
+                  ),
+                  file.name,
+                  error.message
+                )
+              );
+            });
+        });
+      });
+
+      return chain.then(() => selection);
+    }
+
+    /**
+     * Calculate the SHA-256 hash of a file
+     *
+     * Parts can be up to the split size of 1000 MB, so they are read a slice
+     * at a time rather than whole.
+     *
+     * @param {File} file File to hash
+     * @returns {Promise<string>} Hex encoded hash
+     */
+    hashFile(file) {
+      return window.WPEasyMigrateSha256.hashBlob(file);
+    }
+
+    /**
+     * Split an archive file name into export name and part number
+     *
+     * @param {File} file Archive file
+     * @returns {Object} File, base name and part number (null if not a part)
+     */
+    parsePartName(file) {
+      const match = file.name.match(/^(.+)\.part(\d+)\.zip$/i);
+
+      return {
+        file: file,
+        base: match ? match[1] : file.name.replace(/\.zip$/i, ""),
+        number: match ? parseInt(match[2], 10) : null,
+      };
+    }
+
+    /**
+     * Read and parse a manifest file
+     *
+     * @param {File|null} file Manifest file
+     * @returns {Promise<Object|null>} Parsed manifest or null
+     */
+    readManifest(file) {
+      if (!file) {
+        return Promise.resolve(null);
+      }
+
+      return file
+        .text()
+        .then((text) => JSON.parse(text))
+        .catch(() => null);
+    }
+
+    /**
+     * Show the checked file selection
+     *
+     * @param {Object} selection Result of validateSelection()
+     */
+    renderSelection(selection) {
+      this.$fileList.empty();
+      this.$selection.empty();
+
+      selection.files.forEach((file) => {
+        this.$fileList.append(
+          $("<li>")
+            .text(file.name)
+            .append(
+              $('<span class="file-size">').text(this.formatFileSize(file.size))
+            )
+        );
+      });
+
+      selection.errors.forEach((error) => {
+        this.$selection.append(
+          $('<p class="wp-easy-migrate-import-selection-errors">').text(error)
+        );
+      });
+
+      selection.warnings.forEach((warning) => {
+        this.$selection.append(
+          $('<p class="wp-easy-migrate-import-selection-warnings">').text(warning)
+        );
+      });
+    }
+
+    /**
+     * Show what is inside the selected archive before uploading it
+     *
+     * Reads manifest.json straight from the ZIP central directory. Split
+     * parts are joined into one Blob, which does not copy any data.
+     *
+     * @param {Object} selection Result of validateSelection()
+     * @param {File[]} files Selected files the selection was made from
+     */
+    previewArchive(selection, files) {
+      const archive =
+        selection.archives.length === 1
+          ? selection.archives[0]
+          : new Blob(selection.archives);
+      const reader = new window.WPEasyMigrateZipReader(archive);
+
+      this.$preview
+        .show()
+        .empty()
+        .append($("<p>").text(__("Reading archive...", "wp-easy-migrate")));
+
+      reader
+        .getEntries()
+        .then((entries) =>
+          reader.readJson("manifest.json").then((manifest) => {
+            if (this.selectedFiles !== files) {
+              return;
+            }
+
+            if (!manifest || manifest.generator !== "WP Easy Migrate") {
+              this.rejectSelection(
+                __(
+                  "This archive was not created by WP Easy Migrate (no manifest.json found).",
+                  "wp-easy-migrate"
+                )
+              );
+              return;
+            }
+
+            this.renderPreview(manifest, archive.size, entries);
+          })
+        )
+        .catch((error) => {
+          if (this.selectedFiles !== files) {
+            return;
+          }
+
+          // The standalone manifest describes the same export
+          if (selection.manifest) {
+            this.renderPreview(selection.manifest, archive.size, null);
+            return;
+          }
+
+          this.$preview
+            .empty()
+            .append(
+              $('<p class="wp-easy-migrate-import-selection-warnings">').text(
+                sprintf(
+                  /* translators: %s: error message */
+                  __("Could not preview the archive: %s", "wp-easy-migrate"),
+                  error.message
+                )
+              )
+            );
+        });
+    }
+
+    /**
+     * Block the current selection with an error found after checking it
+     *
+     * @param {string} error Error message
+     */
+    rejectSelection(error) {
+      this.selection.errors.push(error);
+      this.renderSelection(this.selection);
+      this.$preview.hide().empty();
+    }
+
+    /**
+     * Render archive preview
+     *
+     * @param {Object} manifest Export manifest
+     * @param {number} archiveSize Archive size in bytes
+     * @param {Object[]|null} entries Archive entries, if the archive was readable
+     */
+    renderPreview(manifest, archiveSize, entries) {
+      const siteInfo = manifest.site_info || {};
+      const exportInfo = manifest.export_info || {};
+      const options = exportInfo.options || {};
+
+      const components = [
+        ["include_database", __("Database", "wp-easy-migrate")],
+        ["include_uploads", __("Uploads", "wp-easy-migrate")],
+        ["include_plugins", __("Plugins", "wp-easy-migrate")],
+        ["include_themes", __("Themes", "wp-easy-migrate")],
+      ]
+        .filter(([option]) => options[option])
+        .map(([, label]) => label);
+
+      const rows = [
+        [__("Source site", "wp-easy-migrate"), siteInfo.url],
+        [__("Site name", "wp-easy-migrate"), siteInfo.name],
+        [__("WordPress version", "wp-easy-migrate"), siteInfo.wp_version],
+        [__("PHP version", "wp-easy-migrate"), siteInfo.php_version],
+        [__("MySQL version", "wp-easy-migrate"), siteInfo.mysql_version],
+        [__("Export date", "wp-easy-migrate"), exportInfo.date],
+        [
+          __("Included components", "wp-easy-migrate"),
+          components.join(", ") || __("None", "wp-easy-migrate"),
+        ],
+        [__("Files", "wp-easy-migrate"), exportInfo.file_count],
+        [
+          __("Files size", "wp-easy-migrate"),
+          this.formatFileSize(exportInfo.total_size || 0),
+        ],
+        [
+          __("Archive size", "wp-easy-migrate"),
+          this.formatFileSize(archiveSize),
+        ],
+      ];
+
+      if (entries) {
+        const contentSize = entries.reduce((total, entry) => total + entry.size, 0);
+        rows.push([
+          __("Uncompressed size", "wp-easy-migrate"),
+          this.formatFileSize(contentSize),
+        ]);
+      }
+
+      const $table = $("<table>");
+      rows.forEach(([label, value]) => {
+        $table.append(
+          $("<tr>").append(
+            $("<th>").text(label),
+            $("<td>").text(value === undefined || value === null ? "-" : value)
+          )
+        );
+      });
+
+      this.$preview
+        .empty()
+        .append(
+          $("<h4>").text(__("Archive Contents", "wp-easy-migrate")),
+          $table
+        )
+        .show();
+
+      if (!entries) {
+        this.$preview.append(
+          $('<p class="description">').text(
+            __(
+              "Shown from the manifest file, the archive itself could not be read in this browser.",
+              "wp-easy-migrate"
+            )
+          )
+        );
+      }
+    }
+
+    /**
+     * Start uploading the selected files in chunks
+     *
+     * @param {File[]} files Files in upload order
+     */
+    startUpload(files) {
+      this.uploadQueue = files;
+      this.uploadIndex = 0;
+      this.uploadIds = [];
+      this.uploadId = null;
+      this.uploadOffset = 0;
+      this.uploadedBytes = 0;
+      this.uploadTotal = files.reduce((total, file) => total + file.size, 0);
+
+      this.$uploadProgress.show();
+      this.updateUploadProgress(0, this.uploadTotal);
+
+      this.requestUploadStatus();
+    }
+
+    /**
+     * Resume an interrupted upload
+     */
+    resumeUpload() {
+      this.isRunning = true;
+      this.uploadInterrupted = false;
+      this.currentRetries = 0;
+      this.updateUI(
+        "running",
+        __("Connection restored. Resuming upload...", "wp-easy-migrate")
+      );
+
+      this.requestUploadStatus();
+    }
+
+    /**
+     * Ask the server how much of the archive it already has
+     *
+     * The server derives the upload ID from the file's name, size and
+     * modification time, so selecting the same file again resumes it.
+     */
+    requestUploadStatus() {
+      const file = this.uploadQueue[this.uploadIndex];
+
+      this.currentRequest = $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_import_upload_status",
+          nonce: wpEasyMigrate.nonce,
+          lock_token: this.coordinator.token,
+          file_name: file.name,
+          file_size: file.size,
+          last_modified: file.lastModified,
+        },
+        timeout: 30000,
+        success: (response) => {
+          if (!this.isRunning) {
+            return;
+          }
+
+          if (!response.success && response.data.locked) {
+            this.handleLocked(response.data);
+            return;
+          }
+
+          if (!response.success) {
+            this.handleUploadError(null, null, response.data.message);
+            return;
+          }
+
+          this.uploadId = response.data.upload_id;
+          this.uploadOffset = response.data.received;
+          this.chunkSize = response.data.chunk_size || this.chunkSize;
+
+          if (this.uploadOffset > 0 && !response.data.completed) {
+            this.updateUI(
+              "running",
+              sprintf(
+                /* translators: 1: file name, 2: size already uploaded */
+                __("Resuming upload of %1$s from %2$s...", "wp-easy-migrate"),
+                file.name,
+                this.formatFileSize(this.uploadOffset)
+              )
+            );
+          }
+
+          this.uploadNextChunk();
+        },
+        error: (xhr, status, error) => {
+          this.handleUploadError(xhr, status, error);
+        },
+      });
+    }
+
+    /**
+     * Upload the next chunk of the current file
+     */
+    uploadNextChunk() {
+      if (!this.isRunning) {
+        return;
+      }
+
+      const file = this.uploadQueue[this.uploadIndex];
+
+      this.updateUploadProgress(
+        this.uploadedBytes + this.uploadOffset,
+        this.uploadTotal
+      );
+
+      if (this.uploadOffset >= file.size) {
+        this.finishFileUpload();
+        return;
+      }
+
+      const chunk = file.slice(
+        this.uploadOffset,
+        this.uploadOffset + this.chunkSize
+      );
+
+      const formData = new FormData();
+      formData.append("action", "wpem_import_upload_chunk");
+      formData.append("nonce", wpEasyMigrate.nonce);
+      formData.append("upload_id", this.uploadId);
+      formData.append("offset", this.uploadOffset);
+      formData.append("chunk", chunk, file.name);
+
+      this.currentRequest = $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: formData,
+        processData: false,
+        contentType: false,
+        timeout: 120000, // 2 minute timeout per chunk
+        success: (response) => {
+          if (!response.success) {
+            this.handleUploadError(null, null, response.data.message);
+            return;
+          }
+
+          this.currentRetries = 0;
+          this.uploadOffset = response.data.received;
+          this.uploadNextChunk();
+        },
+        error: (xhr, status, error) => {
+          this.handleUploadError(xhr, status, error);
+        },
+      });
+    }
+
+    /**
+     * Move on to the next file once the current one is on the server
+     */
+    finishFileUpload() {
+      this.uploadIds.push(this.uploadId);
+      this.uploadedBytes += this.uploadQueue[this.uploadIndex].size;
+      this.uploadIndex++;
+      this.uploadId = null;
+      this.uploadOffset = 0;
+
+      if (this.uploadIndex < this.uploadQueue.length) {
+        this.requestUploadStatus();
+        return;
+      }
+
+      this.finishUpload();
+    }
+
+    /**
+     * Start the import once all files are on the server
+     */
+    finishUpload() {
+      this.$uploadText.text(
+        sprintf(
+          /* translators: %s: uploaded size */
+          __("Upload complete (%s)", "wp-easy-migrate"),
+          this.formatFileSize(this.uploadTotal)
+        )
+      );
+      this.makeImportRequest(true);
+    }
+
+    /**
+     * Handle upload errors
+     *
+     * Retries re-query the upload status first, so the next chunk is always
+     * sent from the offset the server actually has.
+     *
+     * @param {Object} xhr XMLHttpRequest object
+     * @param {string} status Status text
+     * @param {string} error Error message
+     */
+    handleUploadError(xhr, status, error) {
+      if (!this.isRunning) {
+        return;
+      }
+
+      if (this.currentRetries < this.maxRetries && status !== "abort") {
+        this.currentRetries++;
+        this.updateUI(
+          "warning",
+          sprintf(
+            /* translators: 1: attempt number, 2: maximum number of attempts */
+            __(
+              "Upload interrupted. Retrying (%1$s/%2$s)...",
+              "wp-easy-migrate"
+            ),
+            this.formatNumber(this.currentRetries),
+            this.formatNumber(this.maxRetries)
+          )
+        );
+
+        setTimeout(() => {
+          this.requestUploadStatus();
+        }, this.retryDelay * this.currentRetries);
+        return;
+      }
+
+      this.isRunning = false;
+      this.uploadInterrupted = true;
+
+      let errorMessage = error;
+      if (xhr && xhr.responseJSON && xhr.responseJSON.data) {
+        errorMessage = xhr.responseJSON.data.message || xhr.responseJSON.data;
+      }
+
+      this.updateUI(
+        "error",
+        sprintf(
+          /* translators: %s: error message */
+          __(
+            "Upload failed: %s. Start the import again with the same file to resume the upload.",
+            "wp-easy-migrate"
+          ),
+          errorMessage || __("Connection lost", "wp-easy-migrate")
+        )
+      );
+    }
+
+    /**
+     * Update upload progress bar
+     *
+     * @param {number} received Bytes received by the server
+     * @param {number} total Total file size in bytes
+     */
+    updateUploadProgress(received, total) {
+      const percentage = total > 0 ? Math.floor((received / total) * 100) : 0;
+      let text = sprintf(
+        /* translators: 1: uploaded size, 2: total size, 3: percentage */
+        __("%1$s of %2$s uploaded (%3$s)", "wp-easy-migrate"),
+        this.formatFileSize(received),
+        this.formatFileSize(total),
+        this.formatPercent(percentage)
+      );
+
+      if (this.uploadQueue.length > 1 && this.uploadIndex < this.uploadQueue.length) {
+        text = sprintf(
+          /* translators: 1: file name, 2: part number, 3: number of parts, 4: upload progress */
+          __("%1$s (%2$s/%3$s): %4$s", "wp-easy-migrate"),
+          this.uploadQueue[this.uploadIndex].name,
+          this.formatNumber(this.uploadIndex + 1),
+          this.formatNumber(this.uploadQueue.length),
+          text
+        );
+      }
+
+      this.$uploadBar
+        .css("width", `${percentage}%`)
+        .closest('[role="progressbar"]')
+        .attr({ "aria-valuenow": percentage, "aria-valuetext": text });
+      this.$uploadText.text(text);
+    }
+
+    /**
+     * Make AJAX request for import step
+     *
+     * @param {boolean} startImport Whether this is the initial import request
+     */
+    makeImportRequest(startImport = false) {
+      if (!this.isRunning) {
+        return;
+      }
+
+      const formData = new FormData();
+      formData.append("action", "wpem_import_step");
+      formData.append("nonce", wpEasyMigrate.nonce);
+      formData.append("lock_token", this.coordinator.token);
+      formData.append("steps_session", this.stepsSession || "");
+
+      // Point the new session at the uploaded archive
+      if (startImport) {
+        formData.append("start_import", "1");
+        this.uploadIds.forEach((uploadId) => {
+          formData.append("upload_ids[]", uploadId);
+        });
+
+        Object.keys(this.importParams).forEach((key) => {
+          const value = this.importParams[key];
+
+          if (Array.isArray(value)) {
+            value.forEach((item) => formData.append(`${key}[]`, item));
+          } else {
+            formData.append(key, value);
+          }
+        });
+      }
+
+      this.currentRequest = $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: formData,
+        processData: false,
+        contentType: false,
+        timeout: 120000, // 2 minute timeout per step
+        success: (response) => {
+          this.currentRetries = 0; // Reset retry counter on success
+          this.handleResponse(response);
+        },
+        error: (xhr, status, error) => {
+          this.handleError(xhr, status, error);
+        },
+      });
+    }
+
+    /**
+     * Handle AJAX response
+     *
+     * @param {Object} response Server response
+     */
+    handleResponse(response) {
+      // Cancelled while the request was running
+      if (!this.isRunning) {
+        return;
+      }
+
+      if (response.success) {
+        this.sessionStarted = true;
+
+        const status = response.data.status;
+        const message = response.data.message;
+
+        this.lastStatus = status;
+        this.setSteps(response.data);
+        this.$progress.show();
+        this.updateImportStatus(status, message);
+
+        if (status.completed) {
+          this.coordinator.broadcast("import", "finished", {
+            state: "success",
+            message: message,
+            status: status,
+          });
+          this.handleSuccess(message, status);
+        } else if (status.awaiting_confirmation) {
+          this.coordinator.broadcast("import", "progress", {
+            status: status,
+            message: message,
+          });
+
+          // Steps continue once the preview is confirmed
+          this.showConfirmation(status.preview, status.compatibility);
+        } else {
+          this.coordinator.broadcast("import", "progress", {
+            status: status,
+            message: message,
+          });
+
+          // Progress arrives over the stream from now on, if the host allows it
+          if (!this.stream.source) {
+            this.stream.start();
+          }
+
+          // Continue with next step
+          this.scheduleNextRequest();
+        }
+      } else if (response.data && response.data.locked) {
+        this.handleLocked(response.data);
+      } else {
+        if (response.data && response.data.status) {
+          this.lastStatus = response.data.status;
+          this.updateCompatibility(response.data.status.compatibility);
+
+          // The import failed for good, retrying cannot help
+          if (response.data.status.error) {
+            this.currentRetries = this.maxRetries;
+          }
+        }
+        this.handleError(null, null, response.data.message);
+      }
+    }
+
+    /**
+     * Show what the import replaces and wait for the typed confirmation
+     *
+     * @param {Object} preview Tables, files and search/replace pairs
+     * @param {Object|null} compatibility Compatibility check results
+     */
+    showConfirmation(preview, compatibility) {
+      this.clearPollInterval();
+      this.stream.stop();
+
+      const firstShown = !this.$confirm.is(":visible");
+      this.preview = preview;
+      this.compatibility = compatibility;
+
+      const $details = this.$confirm
+        .find(".wp-easy-migrate-import-confirm-details")
+        .empty();
+      const $table = $("<table>");
+
+      this.getConfirmationRows(preview).forEach(([label, $value]) => {
+        $table.append(
+          $("<tr>").append($("<th>").text(label), $("<td>").append($value))
+        );
+      });
+
+      $details.append($table);
+      this.$confirm.find(".wp-easy-migrate-import-confirm-error").hide();
+      this.$confirm
+        .find(".wp-easy-migrate-import-warnings")
+        .toggle(this.hasWarnings(compatibility));
+      this.$confirmBtn.prop("disabled", !this.canConfirm());
+      this.$confirm.show();
+
+      if (firstShown) {
+        this.$acknowledge.prop("checked", false);
+        this.renderComponents(preview.components);
+        this.$replacePairs.empty();
+        preview.replacements.forEach((pair) => {
+          this.addReplacePair(pair.search, pair.replace);
+        });
+        this.$confirmText.val("").trigger("focus");
+      }
+    }
+
+    /**
+     * Render a checkbox for each component in the archive, all checked
+     *
+     * @param {string[]} components Components found in the archive
+     */
+    renderComponents(components) {
+      const labels = {
+        database: __("Database", "wp-easy-migrate"),
+        uploads: __("Uploads", "wp-easy-migrate"),
+        plugins: __("Plugins", "wp-easy-migrate"),
+        themes: __("Themes", "wp-easy-migrate"),
+      };
+
+      this.$components.empty();
+
+      if (!components.length) {
+        this.$components.text(
+          __("The archive contains no components.", "wp-easy-migrate")
+        );
+        return;
+      }
+
+      components.forEach((component) => {
+        this.$components.append(
+          $("<label>").append(
+            $('<input type="checkbox" name="import_components[]">')
+              .val(component)
+              .prop("checked", true),
+            " ",
+            labels[component] || component
+          )
+        );
+      });
+    }
+
+    /**
+     * Get the components checked in the confirmation panel
+     *
+     * @returns {string[]} Components to restore
+     */
+    getSelectedComponents() {
+      return this.$components
+        .find("input:checked")
+        .toArray()
+        .map((input) => input.value);
+    }
+
+    /**
+     * Add an editable search/replace pair to the confirmation panel
+     *
+     * @param {string} search Text to search for
+     * @param {string} replace Replacement
+     * @returns {jQuery} Pair row
+     */
+    addReplacePair(search, replace) {
+      const $row = $("<tr>").append(
+        $("<td>").append(
+          $('<input type="text" class="code" data-field="search">').val(search)
+        ),
+        $("<td>").append(
+          $('<input type="text" class="code" data-field="replace">').val(
+            replace
+          )
+        ),
+        $("<td>").append(
+          $('<button type="button">')
+            .addClass("button-link button-link-delete")
+            .addClass("wp-easy-migrate-remove-pair")
+            .text(__("Remove", "wp-easy-migrate"))
+        )
+      );
+
+      this.$replacePairs.append($row);
+
+      return $row;
+    }
+
+    /**
+     * Get the search/replace pairs from the confirmation panel
+     *
+     * @returns {Object[]} Pairs with search and replace, without empty ones
+     */
+    getReplacePairs() {
+      return this.$replacePairs
+        .find("tr")
+        .toArray()
+        .map((row) => ({
+          search: $(row).find('[data-field="search"]').val(),
+          replace: $(row).find('[data-field="replace"]').val(),
+        }))
+        .filter((pair) => pair.search !== "");
+    }
+
+    /**
+     * Show the replacements per table
+     *
+     * @param {Object|null} report Counts per table, skipped tables and
+     *   damaged serialized values, null before the replacements start
+     */
+    updateReplaceReport(report) {
+      if (!report) {
+        this.$replaceReport.hide();
+        return;
+      }
+
+      const $body = this.$replaceReport.find("tbody").empty();
+      const tables = Object.keys(report.counts).sort(
+        (a, b) => report.counts[b] - report.counts[a]
+      );
+      const total = tables.reduce(
+        (sum, table) => sum + report.counts[table],
+        0
+      );
+
+      tables.forEach((table) => {
+        $body.append(
+          $("<tr>").append(
+            $("<td>").append($("<code>").text(table)),
+            $("<td>")
+              .addClass("column-count")
+              .text(this.formatNumber(report.counts[table]))
+          )
+        );
+      });
+
+      if (!tables.length) {
+        $body.append(
+          $("<tr>").append(
+            $('<td colspan="2">').text(
+              report.done
+                ? __("Nothing was replaced.", "wp-easy-migrate")
+                : __("No replacements yet.", "wp-easy-migrate")
+            )
+          )
+        );
+      }
+
+      const replacements = sprintf(
+        /* translators: %s: number of replacements */
+        _n("%s replacement", "%s replacements", total, "wp-easy-migrate"),
+        this.formatNumber(total)
+      );
+      const notes = [
+        report.done
+          ? sprintf(
+              /* translators: 1: number of replacements, 2: number of tables */
+              _n(
+                "%1$s in %2$s table.",
+                "%1$s in %2$s tables.",
+                tables.length,
+                "wp-easy-migrate"
+              ),
+              replacements,
+              this.formatNumber(tables.length)
+            )
+          : sprintf(
+              /* translators: %s: number of replacements */
+              __("%s so far.", "wp-easy-migrate"),
+              replacements
+            ),
+      ];
+
+      Object.keys(report.skipped).forEach((table) => {
+        notes.push(
+          sprintf(
+            /* translators: 1: table name, 2: reason */
+            __("%1$s was skipped: %2$s.", "wp-easy-migrate"),
+            table,
+            report.skipped[table]
+          )
+        );
+      });
+
+      if (report.unparsed) {
+        notes.push(
+          sprintf(
+            /* translators: %s: number of values */
+            _n(
+              "%s damaged serialized value was left unchanged.",
+              "%s damaged serialized values were left unchanged.",
+              report.unparsed,
+              "wp-easy-migrate"
+            ),
+            this.formatNumber(report.unparsed)
+          )
+        );
+      }
+
+      this.$replaceReport.find(".description").text(notes.join(" "));
+      this.$replaceReport.show();
+    }
+
+    /**
+     * Describe the preview as table rows
+     *
+     * @param {Object} preview Import preview
+     * @returns {Array[]} Label and jQuery cell content per row
+     */
+    getConfirmationRows(preview) {
+      const describeSite = (site) =>
+        site.name
+          ? sprintf(
+              /* translators: 1: site name, 2: site URL */
+              __("%1$s (%2$s)", "wp-easy-migrate"),
+              site.name,
+              site.url
+            )
+          : site.url || "-";
+      const componentLabels = {
+        uploads: __("Uploads", "wp-easy-migrate"),
+        plugins: __("Plugins", "wp-easy-migrate"),
+        themes: __("Themes", "wp-easy-migrate"),
+      };
+
+      const rows = [
+        [
+          __("Source site", "wp-easy-migrate"),
+          $("<span>").text(describeSite(preview.source)),
+        ],
+        [
+          __("This site", "wp-easy-migrate"),
+          $("<span>").text(describeSite(preview.target)),
+        ],
+      ];
+
+      const database = preview.database;
+      const $database = $("<div>");
+
+      if (!database) {
+        $database.text(
+          __(
+            "Not in the archive, the database is left as it is.",
+            "wp-easy-migrate"
+          )
+        );
+      } else {
+        $database.append(
+          $("<div>").text(
+            sprintf(
+              /* translators: %s: size of the SQL dump */
+              __(
+                "%s SQL dump. Its tables are dropped and created again.",
+                "wp-easy-migrate"
+              ),
+              this.formatFileSize(database.size)
+            )
+          ),
+          this.renderTableList(
+            /* translators: %s: number of tables */
+            _n(
+              "%s table replaced",
+              "%s tables replaced",
+              database.replaced.length,
+              "wp-easy-migrate"
+            ),
+            database.replaced
+          ),
+          this.renderTableList(
+            /* translators: %s: number of tables */
+            _n(
+              "%s table added",
+              "%s tables added",
+              database.added.length,
+              "wp-easy-migrate"
+            ),
+            database.added
+          ),
+          this.renderTableList(
+            /* translators: %s: number of tables */
+            _n(
+              "%s table imported without rows",
+              "%s tables imported without rows",
+              (database.structure_only || []).length,
+              "wp-easy-migrate"
+            ),
+            database.structure_only
+          )
+        );
+
+        if (database.kept.length) {
+          $database.append(
+            $("<div>").text(
+              sprintf(
+                /* translators: %s: number of tables */
+                _n(
+                  "%s other table is left as it is.",
+                  "%s other tables are left as they are.",
+                  database.kept.length,
+                  "wp-easy-migrate"
+                ),
+                this.formatNumber(database.kept.length)
+              )
+            )
+          );
+        }
+      }
+
+      rows.push([__("Database", "wp-easy-migrate"), $database]);
+
+      const $files = $("<div>");
+
+      if (!preview.files.length) {
+        $files.text(
+          __("Not in the archive, no files are replaced.", "wp-easy-migrate")
+        );
+      }
+
+      preview.files.forEach((file) => {
+        const count =
+          file.count === null
+            ? __("An unknown number of files", "wp-easy-migrate")
+            : sprintf(
+                /* translators: %s: number of files */
+                _n("%s file", "%s files", file.count, "wp-easy-migrate"),
+                this.formatNumber(file.count)
+              );
+
+        $files.append(
+          $("<div>").append(
+            $("<strong>").text(
+              sprintf(
+                /* translators: %s: component name */
+                __("%s:", "wp-easy-migrate"),
+                componentLabels[file.component]
+              ) + " "
+            ),
+            document.createTextNode(
+              sprintf(
+                /* translators: 1: number of files, 2: archive size */
+                __("%1$s (%2$s) extracted into", "wp-easy-migrate"),
+                count,
+                this.formatFileSize(file.size)
+              ) + " "
+            ),
+            $("<code>").text(file.target)
+          )
+        );
+      });
+
+      rows.push([__("Files", "wp-easy-migrate"), $files]);
+
+      return rows;
+    }
+
+    /**
+     * Render a collapsed list of names
+     *
+     * @param {string} label Summary with a %s placeholder for the number
+     * @param {string[]} names Table names
+     * @returns {jQuery|null} Details element, null for no names
+     */
+    renderTableList(label, names) {
+      if (!names || !names.length) {
+        return null;
+      }
+
+      return $("<details>").append(
+        $("<summary>").text(sprintf(label, this.formatNumber(names.length))),
+        names.map((name) => $("<code>").text(name))
+      );
+    }
+
+    /**
+     * Hide the confirmation panel
+     */
+    hideConfirmation() {
+      this.preview = null;
+      this.compatibility = null;
+      this.$confirm.hide();
+      this.$confirmText.val("");
+    }
+
+    /**
+     * Check whether the typed text confirms the import
+     *
+     * @returns {boolean} True if it names this site
+     */
+    isConfirmationTyped() {
+      return (
+        !!this.preview &&
+        this.$confirmText.val().trim().toLowerCase() ===
+          this.preview.confirmation.toLowerCase()
+      );
+    }
+
+    /**
+     * Check whether the import can be confirmed
+     *
+     * @returns {boolean} True once the domain is typed and any warnings are
+     *   acknowledged
+     */
+    canConfirm() {
+      return (
+        this.isConfirmationTyped() &&
+        (!this.hasWarnings(this.compatibility) ||
+          this.$acknowledge.is(":checked"))
+      );
+    }
+
+    /**
+     * Check whether compatibility checks warned about anything
+     *
+     * @param {Object|null} compatibility Compatibility check results
+     * @returns {boolean} True if there are warnings to acknowledge
+     */
+    hasWarnings(compatibility) {
+      return !!compatibility && compatibility.warnings.length > 0;
+    }
+
+    /**
+     * Show the compatibility check results in the checklist
+     *
+     * Blocking failures stop the import, warnings are acknowledged before
+     * it continues.
+     *
+     * @param {Object|null} compatibility Compatibility check results
+     */
+    updateCompatibility(compatibility) {
+      const $content = $(
+        '.import-step[data-step="validate_manifest"] .step-content'
+      );
+
+      $content.find(".compatibility-results").remove();
+
+      if (!compatibility) {
+        return;
+      }
+
+      const checks = Object.keys(compatibility.checks).map(
+        (key) => compatibility.checks[key]
+      );
+      const groups = [
+        [
+          __("Blocking problems", "wp-easy-migrate"),
+          "is-blocking",
+          "dismiss",
+          checks.filter((check) => !check.passed && check.blocking),
+        ],
+        [
+          __("Warnings", "wp-easy-migrate"),
+          "is-warning",
+          "warning",
+          checks.filter((check) => !check.passed && !check.blocking),
+        ],
+        [
+          __("Passed", "wp-easy-migrate"),
+          "is-passed",
+          "yes",
+          checks.filter((check) => check.passed),
+        ],
+      ];
+
+      const $results = $("<div>").addClass("compatibility-results");
+
+      groups.forEach(([title, className, icon, groupChecks]) => {
+        if (!groupChecks.length) {
+          return;
+        }
+
+        const $list = $("<ul>");
+
+        groupChecks.forEach((check) => {
+          $list.append(
+            $("<li>")
+              .addClass(className)
+              .append(
+                $("<span>").addClass(`dashicons dashicons-${icon}`),
+                " ",
+                $("<strong>").text(
+                  sprintf(
+                    /* translators: %s: check name */
+                    __("%s:", "wp-easy-migrate"),
+                    check.name
+                  ) + " "
+                ),
+                document.createTextNode(check.message)
+              )
+          );
+        });
+
+        // Passed checks are only of interest on request
+        if (className === "is-passed") {
+          $results.append(
+            $("<details>").append(
+              $("<summary>").text(
+                sprintf(
+                  /* translators: %s: number of checks */
+                  _n(
+                    "%s check passed",
+                    "%s checks passed",
+                    groupChecks.length,
+                    "wp-easy-migrate"
+                  ),
+                  this.formatNumber(groupChecks.length)
+                )
+              ),
+              $list
+            )
+          );
+        } else {
+          $results.append($("<h5>").text(title), $list);
+        }
+      });
+
+      $content.append($results);
+    }
+
+    /**
+     * Send the typed confirmation and continue the import
+     */
+    confirmImport() {
+      if (!this.isRunning || !this.canConfirm()) {
+        return;
+      }
 
-      // Add file data for initial request
-      if (startImport) {
-        formData.append("start_import", "1");
-        const fileInput = this.$form.find('input[type="file"]')[0];
-        if (fileInput.files.length) {
-          formData.append("import_file", fileInput.files[0]);
+      const $error = this.$confirm.find(
+        ".wp-easy-migrate-import-confirm-error"
+      );
+
+      const data = {
+        action: "wpem_import_confirm",
+        nonce: wpEasyMigrate.nonce,
+        lock_token: this.coordinator.token,
+        confirmation: this.$confirmText.val(),
+        replacements: JSON.stringify(this.getReplacePairs()),
+        acknowledge_warnings: this.$acknowledge.is(":checked") ? 1 : 0,
+      };
+
+      if (this.preview.components.length) {
+        data.components = this.getSelectedComponents();
+
+        if (!data.components.length) {
+          $error
+            .text(
+              __("Choose at least one component to restore.", "wp-easy-migrate")
+            )
+            .show();
+          return;
         }
       }
 
+      this.$confirmBtn.prop("disabled", true);
+      $error.hide();
+
       $.ajax({
         url: wpEasyMigrate.ajaxUrl,
         type: "POST",
-        data: formData,
-        processData: false,
-        contentType: false,
-        timeout: 120000, // 2 minute timeout for file upload
+        data: data,
+        timeout: 30000,
         success: (response) => {
-          this.currentRetries = 0; // Reset retry counter on success
-          this.handleResponse(response);
+          if (!this.isRunning) {
+            return;
+          }
+
+          if (response.success) {
+            this.hideConfirmation();
+            this.updateImportStatus(
+              response.data.status,
+              response.data.message
+            );
+            this.makeImportRequest(false);
+            return;
+          }
+
+          if (response.data && response.data.locked) {
+            this.hideConfirmation();
+            this.handleLocked(response.data);
+            return;
+          }
+
+          this.$confirmBtn.prop("disabled", false);
+          $error.text(response.data.message).show();
         },
-        error: (xhr, status, error) => {
-          this.handleError(xhr, status, error);
+        error: () => {
+          this.$confirmBtn.prop("disabled", false);
+          $error
+            .text(
+              __(
+                "Could not confirm the import. Please try again.",
+                "wp-easy-migrate"
+              )
+            )
+            .show();
         },
       });
     }
 
     /**
-     * Handle AJAX response
+     * Give up a start that another tab or admin got to first
      *
-     * @param {Object} response Server response
+     * @param {Object} data Lock error with message and lock
      */
-    handleResponse(response) {
-      if (response.success) {
-        const status = response.data.status;
-        const message = response.data.message;
-
-        this.updateImportStatus(status, message);
-
-        if (status.completed) {
-          this.handleSuccess(message, status);
-        } else {
-          // Continue with next step
-          this.scheduleNextRequest();
-        }
-      } else {
-        this.handleError(null, null, response.data.message);
-      }
+    handleLocked(data) {
+      this.isRunning = false;
+      this.clearPollInterval();
+      this.stream.stop();
+      this.$uploadProgress.hide();
+      this.$progress.hide();
+      this.initializeSteps();
+      this.startObserving(data);
     }
 
     /**
@@ -158,11 +2429,13 @@
     handleSuccess(message, status) {
       this.isRunning = false;
       this.clearPollInterval();
+      this.stream.stop();
 
       // Mark all steps as completed
       $(".import-step")
         .removeClass("waiting running failed")
         .addClass("completed");
+      this.setProgressBar(100);
 
       // Restore original descriptions
       $(".import-step").each((index, element) => {
@@ -171,18 +2444,37 @@
       });
 
       let successMessage =
-        message ||
-        wpEasyMigrate.strings.success ||
-        "Import completed successfully!";
+        message || __("Import completed successfully!", "wp-easy-migrate");
+
+      if (status.rollback) {
+        successMessage = __(
+          "The previous site was restored. The backup is kept until you discard it on the Exports tab.",
+          "wp-easy-migrate"
+        );
+      }
 
       // Add imported files info
       if (status.files_imported && status.files_imported.length > 0) {
-        successMessage += `<br><strong>Imported:</strong> ${status.files_imported.join(
-          ", "
-        )}`;
+        successMessage +=
+          "\n" +
+          sprintf(
+            /* translators: %s: imported components */
+            __("Imported: %s", "wp-easy-migrate"),
+            status.files_imported.join(", ")
+          );
       }
 
       this.updateUI("success", successMessage);
+
+      if (!status.rollback) {
+        this.offerRollback(
+          status.backup,
+          __(
+            "If the imported site does not look right, restore the site as it was before the import.",
+            "wp-easy-migrate"
+          )
+        );
+      }
       this.loadLogs(); // Refresh logs on completion
     }
 
@@ -194,46 +2486,251 @@
      * @param {string} error Error message
      */
     handleError(xhr, status, error) {
+      if (!this.isRunning) {
+        return;
+      }
+
       if (this.currentRetries < this.maxRetries && status !== "abort") {
         this.currentRetries++;
         this.updateUI(
           "warning",
-          `Connection error. Retrying (${this.currentRetries}/${this.maxRetries})...`
+          sprintf(
+            /* translators: 1: attempt number, 2: maximum number of attempts */
+            __("Connection error. Retrying (%1$s/%2$s)...", "wp-easy-migrate"),
+            this.formatNumber(this.currentRetries),
+            this.formatNumber(this.maxRetries)
+          )
         );
 
         setTimeout(() => {
-          this.makeImportRequest(false);
+          if (this.sessionStarted) {
+            this.makeImportRequest(false);
+          } else {
+            this.retryStart();
+          }
         }, this.retryDelay);
         return;
       }
 
       this.isRunning = false;
       this.clearPollInterval();
+      this.stream.stop();
+      this.hideConfirmation();
 
       // Mark current running step as failed
       $(".import-step.running").removeClass("running").addClass("failed");
-      $(".import-step.failed .step-description").text("Operation failed");
+      $(".import-step.failed .step-description").text(
+        __("Operation failed", "wp-easy-migrate")
+      );
 
       let errorMessage = error;
       if (xhr && xhr.responseJSON && xhr.responseJSON.data) {
         errorMessage = xhr.responseJSON.data.message || xhr.responseJSON.data;
       }
 
-      this.updateUI(
-        "error",
-        `Import failed: ${errorMessage || "Unknown error occurred"}`
+      const failedMessage = sprintf(
+        /* translators: %s: error message */
+        __("Import failed: %s", "wp-easy-migrate"),
+        errorMessage || __("Unknown error occurred", "wp-easy-migrate")
       );
+
+      this.coordinator.broadcast("import", "finished", {
+        state: "error",
+        message: failedMessage,
+      });
+      this.updateUI("error", failedMessage);
+
+      if (this.lastStatus && !this.lastStatus.rollback) {
+        this.offerRollback(
+          this.lastStatus.backup,
+          __(
+            "The site may be partly imported. Restore the site as it was before the import from its backup.",
+            "wp-easy-migrate"
+          )
+        );
+      }
       this.loadLogs(); // Show logs on error
     }
 
+    /**
+     * Send the start request again, unless the first one started the import
+     *
+     * A start request whose response was lost may have gone through. Sending
+     * it again would start a new session, so the server is asked first.
+     */
+    retryStart() {
+      this.requestSessionStatus((data) => {
+        if (!this.isRunning) {
+          return;
+        }
+
+        if (!data) {
+          this.handleError(
+            null,
+            "error",
+            __("Connection lost", "wp-easy-migrate")
+          );
+          return;
+        }
+
+        if (data.in_progress && data.lock && data.lock.owned) {
+          this.sessionStarted = true;
+          this.resumeSession(data);
+          return;
+        }
+
+        this.makeImportRequest(true);
+      });
+    }
+
     /**
      * Schedule next request
      */
     scheduleNextRequest() {
       this.clearPollInterval();
-      this.pollInterval = setTimeout(() => {
-        this.makeImportRequest(false);
-      }, 1000); // 1 second delay between steps
+      this.pollInterval = setTimeout(
+        () => {
+          this.makeImportRequest(false);
+        },
+        // 1 second delay between steps, none while the stream shows progress
+        this.stream.isLive ? 0 : 1000
+      );
+    }
+
+    /**
+     * Show progress pushed over the stream
+     *
+     * @param {Object} data Session status and message
+     */
+    handleStreamProgress(data) {
+      if (!this.isRunning || !data.in_progress) {
+        return;
+      }
+
+      this.coordinator.broadcast("import", "progress", {
+        status: data.status,
+        message: data.message,
+      });
+      this.updateImportStatus(data.status, data.message);
+    }
+
+    /**
+     * Handle a message from another tab of this browser
+     *
+     * @param {Object} message Message with job, event and data
+     */
+    handleBroadcast(message) {
+      if (this.isRunning) {
+        return;
+      }
+
+      if (!this.isObserving) {
+        // Another tab has just started a migration
+        if (message.event === "progress" && !this.isCheckingSession) {
+          this.checkExistingSession();
+        }
+        return;
+      }
+
+      this.lastBroadcast = Date.now();
+
+      if (message.job !== "import") {
+        if (message.event === "finished") {
+          this.stopObserving();
+        }
+        return;
+      }
+
+      if (message.event === "progress") {
+        this.$progress.show();
+        this.updateImportStatus(message.data.status, message.data.message);
+      } else if (message.event === "finished") {
+        this.stopObserving(false);
+
+        if (message.data.state === "success") {
+          this.handleSuccess(message.data.message, message.data.status);
+        } else {
+          this.updateUI(
+            message.data.state === "cancelled" ? "warning" : "error",
+            message.data.message
+          );
+        }
+      }
+    }
+
+    /**
+     * Follow a migration run by another tab or admin without driving it
+     *
+     * @param {Object} data Session status or lock error, both with the lock
+     */
+    startObserving(data) {
+      this.isObserving = true;
+      this.$submitBtn.prop("disabled", true);
+      this.$cancelBtn.hide();
+      this.$status.hide();
+      this.$lockNotice
+        .show()
+        .find("p")
+        .text(data.lock ? data.lock.message : data.message);
+      this.observeSession(data);
+    }
+
+    /**
+     * Show the state of the observed migration and check it again later
+     *
+     * Tabs in this browser push their progress, so the status is only
+     * requested while no messages arrive from them.
+     *
+     * @param {Object|null} data Session status, null if it could not be loaded
+     */
+    observeSession(data) {
+      if (!this.isObserving) {
+        return;
+      }
+
+      if (data && !data.lock) {
+        this.stopObserving();
+        return;
+      }
+
+      if (data) {
+        this.$lockNotice.find("p").text(data.lock.message);
+
+        if (data.in_progress && data.lock.type === "import") {
+          this.$progress.show();
+          this.updateImportStatus(data.status, data.message);
+        }
+      }
+
+      this.observeTimer = setTimeout(() => {
+        if (Date.now() - this.lastBroadcast < this.observeDelay) {
+          this.observeSession(null);
+          return;
+        }
+
+        this.requestSessionStatus((next) => this.observeSession(next));
+      }, this.observeDelay);
+    }
+
+    /**
+     * Stop following a migration once its lock is released
+     *
+     * @param {boolean} recheck Whether to look for an import left behind
+     */
+    stopObserving(recheck = true) {
+      this.isObserving = false;
+      clearTimeout(this.observeTimer);
+      this.observeTimer = null;
+
+      this.$lockNotice.hide();
+      this.$progress.hide();
+      this.initializeSteps();
+      this.updateUI("ready", __("Ready to import", "wp-easy-migrate"));
+
+      // The lock also ends when its tab is closed, that import can go on here
+      if (recheck) {
+        this.checkExistingSession();
+      }
     }
 
     /**
@@ -255,6 +2752,8 @@
     updateImportStatus(status, message) {
       // Update step checklist
       this.updateStepChecklist(status);
+      this.updateCompatibility(status.compatibility);
+      this.updateReplaceReport(status.replacements);
 
       // Update overall status message
       this.updateUI("running", message);
@@ -269,18 +2768,9 @@
       const currentStep = status.step;
       const isError = status.error || status.failed;
 
-      // Get all steps in order
-      const steps = [
-        "upload_file",
-        "extract_archive",
-        "validate_manifest",
-        "backup_current_site",
-        "import_database",
-        "import_files",
-        "update_urls",
-        "cleanup",
-      ];
+      this.setProgressBar(status.progress || 0);
 
+      const steps = this.steps.map((planned) => planned.step);
       const currentStepIndex = steps.indexOf(currentStep);
 
       steps.forEach((step, index) => {
@@ -291,11 +2781,18 @@
           this.updateStepStatus($step, "completed");
         } else if (index === currentStepIndex) {
           // Current step
-          if (isError) {
+          if (status.awaiting_confirmation) {
+            this.updateStepStatus(
+              $step,
+              "waiting",
+              __("Waiting for confirmation", "wp-easy-migrate")
+            );
+          } else if (isError) {
             this.updateStepStatus(
               $step,
               "failed",
-              status.current_operation || "Operation failed"
+              status.current_operation ||
+                __("Operation failed", "wp-easy-migrate")
             );
           } else {
             this.updateStepStatus(
@@ -319,29 +2816,67 @@
      * @param {string} description Optional description override
      */
     updateStepStatus($step, status, description = null) {
+      const state = this.getStepStateLabel(status);
+
       $step.removeClass("waiting running completed failed").addClass(status);
+      $step.find(".step-state").text(state);
+
+      if (status === "running") {
+        $step.attr("aria-current", "step");
+      } else {
+        $step.removeAttr("aria-current");
+      }
+
+      // Announce each step as it starts or fails, not on every poll
+      const announcement = $step.data("step") + ":" + status;
+
+      if (
+        (status === "running" || status === "failed") &&
+        announcement !== this.announcedStep
+      ) {
+        this.announcedStep = announcement;
+        speak(
+          sprintf(
+            /* translators: 1: step title, 2: step state */
+            __("%1$s: %2$s", "wp-easy-migrate"),
+            $step.find(".step-title").text().trim(),
+            state
+          )
+        );
+      }
 
       if (description) {
         $step.find(".step-description").text(description);
       } else {
-        // Restore original description if no override
-        const step = $step.data("step");
-        const originalDescriptions = {
-          upload_file: "Processing uploaded archive file",
-          extract_archive: "Extracting files from archive",
-          validate_manifest: "Checking import compatibility",
-          backup_current_site: "Creating safety backup",
-          import_database: "Restoring database content",
-          import_files: "Restoring media and files",
-          update_urls: "Updating site URLs",
-          cleanup: "Cleaning up temporary files",
-        };
+        // Restore the planned description if no override
+        const planned = this.getPlannedStep($step.data("step"));
         $step
           .find(".step-description")
-          .text(originalDescriptions[step] || "Processing...");
+          .text(
+            planned
+              ? planned.description
+              : __("Processing...", "wp-easy-migrate")
+          );
       }
     }
 
+    /**
+     * Get the text that tells a step's state
+     *
+     * @param {string} status Status (waiting, running, completed, failed)
+     * @returns {string} State label
+     */
+    getStepStateLabel(status) {
+      const labels = {
+        waiting: __("Waiting", "wp-easy-migrate"),
+        running: __("In progress", "wp-easy-migrate"),
+        completed: __("Completed", "wp-easy-migrate"),
+        failed: __("Failed", "wp-easy-migrate"),
+      };
+
+      return labels[status] || "";
+    }
+
     /**
      * Update UI state
      *
@@ -349,21 +2884,69 @@
      * @param {string} message Status message
      */
     updateUI(state, message) {
+      // Keyboard focus must not be lost with the button it was on
+      const submitFocused = this.$submitBtn.is(":focus");
+      const cancelFocused = this.$cancelBtn.is(":focus");
+
       // Update button state
-      this.$submitBtn.prop("disabled", state === "running");
+      this.$submitBtn.prop(
+        "disabled",
+        state === "running" || this.isObserving
+      );
 
       if (state === "running") {
-        this.$submitBtn.val(wpEasyMigrate.strings.importing || "Importing...");
+        this.$submitBtn.val(__("Importing...", "wp-easy-migrate"));
       } else {
-        this.$submitBtn.val("Start Import");
+        this.$submitBtn.val(__("Start Import", "wp-easy-migrate"));
       }
 
+      // Interrupted uploads can be cancelled too, to drop what was uploaded
+      const canCancel =
+        this.isRunning || this.isCancelling || this.uploadInterrupted;
+
+      this.$cancelBtn.toggle(canCancel);
+
       // Update status message
       this.$status
         .removeClass("notice-info notice-success notice-error notice-warning")
         .addClass(`notice-${this.getNoticeClass(state)}`)
-        .html(`<p>${message}</p>`)
+        .empty()
+        .append($("<p>").append(this.getMessageContent(message)))
         .show();
+
+      // Running messages change with every step and are left to the checklist
+      if (state === "success" || state === "error" || state === "warning") {
+        speak(message);
+      }
+
+      if (submitFocused && canCancel) {
+        this.$cancelBtn.trigger("focus");
+      } else if (cancelFocused && !canCancel) {
+        this.$status.attr("tabindex", "-1").trigger("focus");
+      }
+    }
+
+    /**
+     * Get the nodes that show a status message
+     *
+     * Messages hold file names and server or other tabs' text, so they are
+     * shown as text, with their line breaks, and never parsed as HTML.
+     *
+     * @param {string} message Message text
+     * @returns {Array} Text nodes and line breaks
+     */
+    getMessageContent(message) {
+      const nodes = [];
+
+      String(message).split("\n").forEach((line, index) => {
+        if (index) {
+          nodes.push(document.createElement("br"));
+        }
+
+        nodes.push(document.createTextNode(line));
+      });
+
+      return nodes;
     }
 
     /**
@@ -383,6 +2966,83 @@
       return classes[state] || "info";
     }
 
+    /**
+     * Format file size in human readable format
+     *
+     * @param {number} bytes File size in bytes
+     * @returns {string} Formatted file size
+     */
+    formatFileSize(bytes) {
+      bytes = Number(bytes) || 0;
+
+      if (bytes < 1024) {
+        return sprintf(
+          /* translators: %s: number of bytes */
+          _n("%s byte", "%s bytes", bytes, "wp-easy-migrate"),
+          this.formatNumber(bytes)
+        );
+      }
+
+      const units = [
+        _x("KB", "unit symbol", "wp-easy-migrate"),
+        _x("MB", "unit symbol", "wp-easy-migrate"),
+        _x("GB", "unit symbol", "wp-easy-migrate"),
+        _x("TB", "unit symbol", "wp-easy-migrate"),
+      ];
+      const i = Math.min(
+        units.length,
+        Math.floor(Math.log(bytes) / Math.log(1024))
+      );
+
+      return sprintf(
+        /* translators: 1: size, 2: unit symbol */
+        __("%1$s %2$s", "wp-easy-migrate"),
+        this.formatNumber(bytes / Math.pow(1024, i), 2),
+        units[i - 1]
+      );
+    }
+
+    /**
+     * Format a number in the admin's locale
+     *
+     * @param {number} value Number
+     * @param {number} decimals Maximum number of decimals
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, decimals = 0) {
+      return this.getNumberFormat({ maximumFractionDigits: decimals }).format(
+        Number(value) || 0
+      );
+    }
+
+    /**
+     * Format a percentage in the admin's locale
+     *
+     * @param {number} value Percentage from 0 to 100
+     * @returns {string} Formatted percentage
+     */
+    formatPercent(value) {
+      return this.getNumberFormat({
+        style: "percent",
+        maximumFractionDigits: 0,
+      }).format((Number(value) || 0) / 100);
+    }
+
+    /**
+     * Get a number format for the admin's locale
+     *
+     * @param {Object} options Intl.NumberFormat options
+     * @returns {Intl.NumberFormat} Number format
+     */
+    getNumberFormat(options) {
+      try {
+        return new Intl.NumberFormat(wpEasyMigrate.locale, options);
+      } catch (e) {
+        // Locales the browser does not know fall back to its own
+        return new Intl.NumberFormat(undefined, options);
+      }
+    }
+
     /**
      * Get user-friendly step message
      *
@@ -390,18 +3050,9 @@
      * @returns {string} Step message
      */
     getStepMessage(step) {
-      const messages = {
-        upload_file: "Uploading file...",
-        extract_archive: "Extracting archive...",
-        validate_manifest: "Validating manifest...",
-        backup_current_site: "Creating backup...",
-        import_database: "Importing database...",
-        import_files: "Importing files...",
-        update_urls: "Updating URLs...",
-        cleanup: "Cleaning up...",
-      };
+      const planned = this.getPlannedStep(step);
 
-      return messages[step] || "Processing...";
+      return planned ? planned.message : __("Processing...", "wp-easy-migrate");
     }
 
     /**
@@ -433,41 +3084,170 @@
      * @param {Array} logs Array of log entries
      */
     displayLogs(logs) {
+      this.$logs.empty();
+
       if (!logs.length) {
-        this.$logs.html("<p>No logs available.</p>");
+        this.$logs.append(
+          $("<p>").text(__("No logs available.", "wp-easy-migrate"))
+        );
         return;
       }
 
-      let logsHtml = '<div class="wp-easy-migrate-log-entries">';
+      const $entries = $("<div>").addClass("wp-easy-migrate-log-entries");
+
       logs.forEach((log) => {
-        const timestamp = new Date(log.timestamp).toLocaleString();
-        logsHtml += `
-                    <div class="log-entry log-${log.level}">
-                        <span class="log-timestamp">${timestamp}</span>
-                        <span class="log-level">[${log.level.toUpperCase()}]</span>
-                        <span class="log-message">${log.message}</span>
-                    </div>
-                `;
+        const level = String(log.level).toLowerCase();
+
+        $entries.append(
+          $("<div>")
+            .addClass("log-entry log-" + level.replace(/[^a-z]/g, ""))
+            .append(
+              $("<span>")
+                .addClass("log-timestamp")
+                .text(new Date(log.timestamp).toLocaleString()),
+              " ",
+              $("<span>")
+                .addClass("log-level")
+                .text(`[${level.toUpperCase()}]`),
+              " ",
+              $("<span>").addClass("log-message").text(log.message)
+            )
+        );
       });
-      logsHtml += "</div>";
 
-      this.$logs.html(logsHtml);
+      this.$logs.append($entries);
     }
 
     /**
-     * Stop import (for future use)
+     * Stop import
+     *
+     * Stops polling, waits for a request that is still running and then has
+     * the server delete the uploaded and extracted files.
      */
     stopImport() {
-      if (!this.isRunning) {
+      if ((!this.isRunning && !this.uploadInterrupted) || this.isCancelling) {
         return;
       }
 
       this.isRunning = false;
+      this.isCancelling = true;
+      this.uploadInterrupted = false;
       this.clearPollInterval();
-      this.updateUI("warning", "Import cancelled by user");
+      this.stream.stop();
+      this.hideConfirmation();
+
+      this.$cancelBtn
+        .addClass("disabled")
+        .attr("aria-disabled", "true")
+        .text(__("Cancelling...", "wp-easy-migrate"));
+
+      if (this.currentRequest && this.currentRequest.state() === "pending") {
+        this.currentRequest.always(() => this.sendCancelRequest());
+      } else {
+        this.sendCancelRequest();
+      }
+    }
+
+    /**
+     * Ask the server to cancel the import
+     */
+    sendCancelRequest() {
+      const uploadIds = this.uploadIds.slice();
+      if (this.uploadId && !uploadIds.includes(this.uploadId)) {
+        uploadIds.push(this.uploadId);
+      }
+
+      $.ajax({
+        url: wpEasyMigrate.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "wpem_import_cancel",
+          nonce: wpEasyMigrate.nonce,
+          lock_token: this.coordinator.token,
+          cancel_session: this.sessionStarted ? 1 : 0,
+          upload_ids: uploadIds,
+        },
+        timeout: 60000,
+        success: (response) => {
+          if (!response.success && response.data && response.data.retry) {
+            setTimeout(() => this.sendCancelRequest(), this.retryDelay);
+            return;
+          }
+
+          this.isCancelling = false;
+          this.$cancelBtn
+            .removeClass("disabled")
+            .removeAttr("aria-disabled")
+            .text(__("Cancel", "wp-easy-migrate"));
+
+          if (!response.success) {
+            this.updateUI("error", response.data.message);
+            return;
+          }
+
+          this.sessionStarted = false;
+          this.uploadIds = [];
+          this.uploadId = null;
+          this.initializeSteps();
+          this.$progress.hide();
+          this.$uploadProgress.hide();
+
+          let message = response.data.message;
+
+          if (response.data.cleaned && response.data.cleaned.length) {
+            message +=
+              "\n" +
+              sprintf(
+                /* translators: %s: removed files */
+                __("Removed: %s", "wp-easy-migrate"),
+                response.data.cleaned.join(", ")
+              );
+          }
+
+          if (response.data.backup) {
+            message +=
+              "\n" +
+              sprintf(
+                /* translators: %s: backup name */
+                __("Backup kept: %s", "wp-easy-migrate"),
+                response.data.backup
+              );
+          }
+
+          this.coordinator.broadcast("import", "finished", {
+            state: "cancelled",
+            message: message,
+          });
+          this.updateUI("warning", message);
+          this.offerRollback(
+            response.data.backup,
+            __(
+              "Restore the site as it was before the cancelled import.",
+              "wp-easy-migrate"
+            )
+          );
+        },
+        error: (xhr, status, error) => {
+          this.isCancelling = false;
+          this.$cancelBtn
+            .removeClass("disabled")
+            .removeAttr("aria-disabled")
+            .text(__("Cancel", "wp-easy-migrate"));
+          this.updateUI(
+            "error",
+            sprintf(
+              /* translators: %s: error message */
+              __("Cancel failed: %s", "wp-easy-migrate"),
+              error || __("Unknown error", "wp-easy-migrate")
+            )
+          );
+        },
+      });
     }
   }
 
+  window.WPEasyMigrateImportManager = ImportManager;
+
   // Initialize when document is ready
   $(document).ready(function () {
     if ($("#wp-easy-migrate-import-form").length) {
@@ -0,0 +1,309 @@
+/**
+ * WP Easy Migrate Log Viewer JavaScript
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Log Viewer Class
+   */
+  class LogViewer {
+    constructor() {
+      this.$container = $("#logs-container");
+      this.$filters = $("#wp-easy-migrate-log-filters");
+      this.$level = $("#wp-easy-migrate-log-level");
+      this.$search = $("#wp-easy-migrate-log-search");
+      this.$tail = $("#wp-easy-migrate-log-tail");
+      this.$size = $(".wp-easy-migrate-log-size");
+      this.$tailing = $(".wp-easy-migrate-log-tailing");
+      this.strings = wpEasyMigrate.strings || {};
+
+      // Entries shown at once
+      this.limit = 200;
+
+      // Milliseconds between reloads while a migration runs, and otherwise
+      this.tailInterval = 3000;
+      this.idleInterval = 15000;
+
+      this.request = null;
+      this.timer = null;
+      this.searchTimer = null;
+
+      this.init();
+    }
+
+    /**
+     * Initialize the log viewer
+     */
+    init() {
+      this.bindEvents();
+      this.load();
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
+      this.$filters.on("submit", (e) => {
+        e.preventDefault();
+        this.load();
+      });
+
+      this.$level.on("change", () => this.load());
+
+      // Wait for a pause in typing before searching
+      this.$search.on("input", () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.load(), 300);
+      });
+
+      this.$tail.on("change", () => this.schedule(null));
+
+      $("#refresh-logs").on("click", () => this.load());
+      $("#download-logs").on("click", () => this.download());
+      $("#clear-logs").on("click", () => this.clear());
+    }
+
+    /**
+     * Get the current filters
+     *
+     * @returns {Object} level and search
+     */
+    getFilters() {
+      return {
+        level: this.$level.val(),
+        search: $.trim(this.$search.val()),
+      };
+    }
+
+    /**
+     * Load the entries matching the filters
+     */
+    load() {
+      clearTimeout(this.timer);
+
+      if (this.request) {
+        this.request.abort();
+      }
+
+      this.request = $.post(
+        wpEasyMigrate.ajaxUrl,
+        $.extend(
+          {
+            action: "wp_easy_migrate_get_logs",
+            nonce: wpEasyMigrate.nonce,
+            limit: this.limit,
+          },
+          this.getFilters()
+        )
+      )
+        .done((response) => {
+          if (!response.success) {
+            this.showMessage(
+              this.strings.logsLoadFailed || "Could not load the logs."
+            );
+            this.schedule(null);
+            return;
+          }
+
+          this.render(response.data.logs);
+          this.$size.text(
+            (this.strings.logFileSize || "Log file size: %s").replace(
+              "%s",
+              response.data.size
+            )
+          );
+          this.schedule(response.data.running);
+        })
+        .fail((xhr, status) => {
+          if (status === "abort") {
+            return;
+          }
+
+          this.showMessage(
+            this.strings.logsLoadFailed || "Could not load the logs."
+          );
+          this.schedule(null);
+        })
+        .always(() => {
+          this.request = null;
+        });
+    }
+
+    /**
+     * Schedule the next reload
+     *
+     * While an export or import runs the log is tailed closely, otherwise
+     * it is checked now and then so a migration started elsewhere is
+     * noticed.
+     *
+     * @param {string|null} running export or import, null if none runs
+     */
+    schedule(running) {
+      clearTimeout(this.timer);
+
+      const tail = this.$tail.is(":checked");
+
+      this.$tailing
+        .text(
+          this.strings.logsTailing ||
+            "A migration is running. New entries appear automatically."
+        )
+        .toggle(Boolean(running) && tail);
+
+      if (!tail) {
+        return;
+      }
+
+      this.timer = setTimeout(
+        () => this.load(),
+        running ? this.tailInterval : this.idleInterval
+      );
+    }
+
+    /**
+     * Render log entries, most recent first
+     *
+     * @param {Array} logs Log entries
+     */
+    render(logs) {
+      const open = this.getOpenContexts();
+
+      // Keep the reader's place while new entries come in
+      const scrollTop = this.$container.scrollTop();
+
+      this.$container.empty();
+
+      if (!logs.length) {
+        this.showMessage(this.strings.noLogs || "No logs available.");
+        return;
+      }
+
+      logs.forEach((log) => {
+        this.$container.append(this.renderEntry(log, open));
+      });
+
+      this.$container.scrollTop(scrollTop);
+    }
+
+    /**
+     * Render a log entry
+     *
+     * @param {Object} log Log entry
+     * @param {Array} open Raw lines of the entries whose context is expanded
+     * @returns {jQuery} Entry element
+     */
+    renderEntry(log, open) {
+      const level = String(log.level).toLowerCase();
+      const $entry = $("<div>")
+        .addClass("log-entry log-level-" + level.replace(/[^a-z]/g, ""))
+        .attr("data-raw", log.raw)
+        .append(
+          $("<span>")
+            .addClass("log-timestamp")
+            .text("[" + log.timestamp + "] "),
+          $("<span>")
+            .addClass("log-level")
+            .text("[" + log.level + "] "),
+          $("<span>").addClass("log-message").text(log.message)
+        );
+
+      if (log.context && !$.isEmptyObject(log.context)) {
+        $entry.append(
+          $("<details>")
+            .prop("open", open.includes(log.raw))
+            .append(
+              $("<summary>").text(this.strings.logContext || "Context"),
+              $("<pre>").text(JSON.stringify(log.context, null, 2))
+            )
+        );
+      }
+
+      return $entry;
+    }
+
+    /**
+     * Get the entries whose context is expanded
+     *
+     * @returns {Array} Raw log lines
+     */
+    getOpenContexts() {
+      return this.$container
+        .find("details[open]")
+        .closest(".log-entry")
+        .map((index, entry) => $(entry).attr("data-raw"))
+        .get();
+    }
+
+    /**
+     * Replace the entries with a message
+     *
+     * @param {string} message Message
+     */
+    showMessage(message) {
+      this.$container.empty().append($("<p>").text(message));
+    }
+
+    /**
+     * Download the entries matching the filters as a text file
+     */
+    download() {
+      const link = document.createElement("a");
+      link.href =
+        wpEasyMigrate.ajaxUrl +
+        "?" +
+        $.param(
+          $.extend(
+            {
+              action: "wp_easy_migrate_download_logs",
+              nonce: wpEasyMigrate.nonce,
+            },
+            this.getFilters()
+          )
+        );
+      link.style.display = "none";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+
+    /**
+     * Clear the log file
+     */
+    clear() {
+      if (
+        !confirm(
+          this.strings.confirmClearLogs ||
+            "Are you sure you want to clear all logs?"
+        )
+      ) {
+        return;
+      }
+
+      $.post(wpEasyMigrate.ajaxUrl, {
+        action: "wp_easy_migrate_clear_logs",
+        nonce: wpEasyMigrate.nonce,
+      })
+        .done((response) => {
+          if (!response.success) {
+            alert(this.strings.clearLogsFailed || "Failed to clear logs.");
+            return;
+          }
+
+          alert(this.strings.logsCleared || "Logs cleared successfully.");
+          this.load();
+        })
+        .fail(() => {
+          alert(this.strings.clearLogsFailed || "Failed to clear logs.");
+        });
+    }
+  }
+
+  // Initialize when document is ready
+  $(document).ready(function () {
+    if ($("#logs-container").length) {
+      new LogViewer();
+    }
+  });
+})(jQuery);
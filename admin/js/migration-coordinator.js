@@ -0,0 +1,152 @@
+/**
+ * WP Easy Migrate Migration Coordinator
+ *
+ * Identifies this tab to the server's migration lock and shares progress
+ * with the other tabs of this browser, so they can follow a running export
+ * or import instead of starting their own.
+ */
+
+(function (window) {
+  "use strict";
+
+  const CHANNEL_NAME = "wp-easy-migrate";
+
+  const TOKEN_KEY = "wpEasyMigrateLockToken";
+
+  // Time to wait for another tab to object to our token
+  const CLAIM_TIMEOUT = 200;
+
+  /**
+   * Migration Coordinator Class
+   */
+  class MigrationCoordinator {
+    constructor() {
+      this.token = this.loadToken();
+      this.listeners = [];
+      this.channel =
+        typeof window.BroadcastChannel === "undefined"
+          ? null
+          : new window.BroadcastChannel(CHANNEL_NAME);
+
+      if (this.channel) {
+        this.channel.onmessage = (e) => this.receive(e.data);
+
+        // A duplicated tab inherits session storage, and with it our token
+        this.channel.postMessage({ event: "claim", token: this.token });
+      }
+
+      this.readyPromise = new Promise((resolve) => {
+        setTimeout(resolve, this.channel ? CLAIM_TIMEOUT : 0);
+      });
+    }
+
+    /**
+     * Wait until the token of this tab is settled
+     *
+     * @returns {Promise} Resolves once requests may use the token
+     */
+    ready() {
+      return this.readyPromise;
+    }
+
+    /**
+     * Get the lock token of this tab
+     *
+     * Kept in session storage, so the tab still owns its migration after a
+     * reload, while every other tab gets a token of its own.
+     *
+     * @returns {string} Token
+     */
+    loadToken() {
+      let token = null;
+
+      try {
+        token = window.sessionStorage.getItem(TOKEN_KEY);
+      } catch (e) {
+        // Storage can be disabled, the token then lasts for this page view
+      }
+
+      return token || this.createToken();
+    }
+
+    /**
+     * Create and remember a new token
+     *
+     * @returns {string} Token
+     */
+    createToken() {
+      const bytes = new Uint8Array(16);
+
+      if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+      } else {
+        bytes.forEach((value, index) => {
+          bytes[index] = Math.floor(Math.random() * 256);
+        });
+      }
+
+      const token = Array.from(bytes)
+        .map((value) => value.toString(16).padStart(2, "0"))
+        .join("");
+
+      try {
+        window.sessionStorage.setItem(TOKEN_KEY, token);
+      } catch (e) {
+        // See loadToken()
+      }
+
+      return token;
+    }
+
+    /**
+     * Handle a message from another tab
+     *
+     * @param {Object} message Message with event, and job and data or token
+     */
+    receive(message) {
+      if (!message || !message.event) {
+        return;
+      }
+
+      if (message.event === "claim") {
+        if (message.token === this.token) {
+          this.channel.postMessage({ event: "taken", token: this.token });
+        }
+        return;
+      }
+
+      if (message.event === "taken") {
+        if (message.token === this.token) {
+          this.token = this.createToken();
+        }
+        return;
+      }
+
+      this.listeners.forEach((listener) => listener(message));
+    }
+
+    /**
+     * Tell the other tabs about the migration this tab runs
+     *
+     * @param {string} job export or import
+     * @param {string} event progress or finished
+     * @param {Object} data Progress status, or outcome with state and message
+     */
+    broadcast(job, event, data) {
+      if (this.channel) {
+        this.channel.postMessage({ job: job, event: event, data: data });
+      }
+    }
+
+    /**
+     * Listen to migrations run by other tabs
+     *
+     * @param {Function} listener Receives messages with job, event and data
+     */
+    subscribe(listener) {
+      this.listeners.push(listener);
+    }
+  }
+
+  window.WPEasyMigrateCoordinator = new MigrationCoordinator();
+})(window);
@@ -0,0 +1,143 @@
+/**
+ * WP Easy Migrate Progress Stream
+ *
+ * Receives export/import progress as Server-Sent Events. Reports when the
+ * stream cannot be used so the caller can keep polling instead.
+ */
+
+(function (window) {
+  "use strict";
+
+  // Time to wait for the first event before assuming the host buffers output
+  const FIRST_EVENT_TIMEOUT = 5000;
+
+  // Connection errors in a row before giving up on the stream
+  const MAX_FAILURES = 3;
+
+  /**
+   * Progress Stream Class
+   */
+  class ProgressStream {
+    /**
+     * @param {Object} options ajaxUrl, nonce, action, onProgress(data),
+     *   onDone(data) and onFallback()
+     */
+    constructor(options) {
+      this.options = options;
+      this.source = null;
+      this.isLive = false;
+      this.failures = 0;
+      this.firstEventTimer = null;
+      this.unavailable =
+        typeof window.EventSource === "undefined" ||
+        options.enabled === false;
+    }
+
+    /**
+     * Open the stream
+     *
+     * @returns {boolean} Whether streaming was started
+     */
+    start() {
+      if (this.unavailable) {
+        return false;
+      }
+
+      this.stop();
+
+      const url =
+        this.options.ajaxUrl +
+        (this.options.ajaxUrl.indexOf("?") === -1 ? "?" : "&") +
+        new URLSearchParams({
+          action: this.options.action,
+          nonce: this.options.nonce,
+        }).toString();
+
+      this.source = new EventSource(url);
+
+      this.firstEventTimer = setTimeout(() => {
+        this.fallback();
+      }, FIRST_EVENT_TIMEOUT);
+
+      this.source.addEventListener("progress", (e) => {
+        this.receive(e, this.options.onProgress);
+      });
+
+      this.source.addEventListener("done", (e) => {
+        this.receive(e, this.options.onDone);
+        this.stop();
+      });
+
+      // The server closes each connection after a while, open the next one
+      this.source.addEventListener("reconnect", () => {
+        this.start();
+      });
+
+      this.source.addEventListener("error", () => {
+        this.isLive = false;
+        this.failures++;
+
+        if (
+          this.failures >= MAX_FAILURES ||
+          (this.source && this.source.readyState === EventSource.CLOSED)
+        ) {
+          this.fallback();
+        }
+      });
+
+      return true;
+    }
+
+    /**
+     * Handle an event with a JSON payload
+     *
+     * @param {MessageEvent} e Event
+     * @param {Function} callback Receives the parsed payload
+     */
+    receive(e, callback) {
+      clearTimeout(this.firstEventTimer);
+      this.isLive = true;
+      this.failures = 0;
+
+      let data;
+      try {
+        data = JSON.parse(e.data);
+      } catch (error) {
+        return;
+      }
+
+      if (callback) {
+        callback(data);
+      }
+    }
+
+    /**
+     * Give up on streaming for the rest of the page view
+     */
+    fallback() {
+      const wasOpen = this.source !== null;
+
+      this.stop();
+      this.unavailable = true;
+
+      if (wasOpen && this.options.onFallback) {
+        this.options.onFallback();
+      }
+    }
+
+    /**
+     * Close the stream
+     */
+    stop() {
+      clearTimeout(this.firstEventTimer);
+      this.isLive = false;
+
+      if (this.source) {
+        this.source.close();
+        this.source = null;
+      }
+    }
+  }
+
+  window.WPEasyMigrateProgressStream = ProgressStream;
+})(window);
@@ -0,0 +1,282 @@
+/**
+ * WP Easy Migrate ZIP Reader
+ *
+ * Reads entries from a ZIP archive in the browser without loading the whole
+ * file, so an archive can be inspected before it is uploaded.
+ */
+
+(function (window) {
+  "use strict";
+
+  const EOCD_SIGNATURE = 0x06054b50;
+  const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+  const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+  const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+  const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+  // End of central directory record plus the longest possible comment
+  const EOCD_MAX_LENGTH = 22 + 0xffff;
+
+  /**
+   * ZIP Reader Class
+   */
+  class ZipReader {
+    /**
+     * @param {Blob} blob ZIP archive (a File, or a Blob joining split parts)
+     */
+    constructor(blob) {
+      this.blob = blob;
+      this.entries = null;
+    }
+
+    /**
+     * Read a byte range of the archive
+     *
+     * @param {number} start Start offset
+     * @param {number} end End offset (exclusive)
+     * @returns {Promise<DataView>} Bytes in the range
+     */
+    readBytes(start, end) {
+      return this.blob
+        .slice(start, end)
+        .arrayBuffer()
+        .then((buffer) => new DataView(buffer));
+    }
+
+    /**
+     * Read all entries from the central directory
+     *
+     * @returns {Promise<Object[]>} Entries with name, sizes, method and offset
+     */
+    getEntries() {
+      if (this.entries) {
+        return Promise.resolve(this.entries);
+      }
+
+      return this.readEndOfCentralDirectory()
+        .then((eocd) =>
+          this.readBytes(eocd.offset, eocd.offset + eocd.size).then((view) =>
+            this.parseCentralDirectory(view, eocd.count)
+          )
+        )
+        .then((entries) => {
+          this.entries = entries;
+          return entries;
+        });
+    }
+
+    /**
+     * Find an entry by name
+     *
+     * @param {string} name Entry name
+     * @returns {Promise<Object|null>} Entry or null if not found
+     */
+    findEntry(name) {
+      return this.getEntries().then(
+        (entries) => entries.find((entry) => entry.name === name) || null
+      );
+    }
+
+    /**
+     * Read an entry as text
+     *
+     * @param {Object} entry Entry from getEntries()
+     * @returns {Promise<string>} Entry contents
+     */
+    readText(entry) {
+      return this.readBytes(entry.localOffset, entry.localOffset + 30).then(
+        (header) => {
+          if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Invalid local header for ${entry.name}`);
+          }
+
+          const dataStart =
+            entry.localOffset +
+            30 +
+            header.getUint16(26, true) +
+            header.getUint16(28, true);
+          const data = this.blob.slice(
+            dataStart,
+            dataStart + entry.compressedSize
+          );
+
+          if (entry.method === 0) {
+            return data.text();
+          }
+
+          if (entry.method === 8) {
+            if (typeof DecompressionStream === "undefined") {
+              throw new Error("This browser cannot decompress ZIP entries");
+            }
+
+            return new Response(
+              data.stream().pipeThrough(new DecompressionStream("deflate-raw"))
+            ).text();
+          }
+
+          throw new Error(
+            `Unsupported compression method ${entry.method} for ${entry.name}`
+          );
+        }
+      );
+    }
+
+    /**
+     * Read and parse a JSON entry
+     *
+     * @param {string} name Entry name
+     * @returns {Promise<Object|null>} Parsed contents or null if not found
+     */
+    readJson(name) {
+      return this.findEntry(name).then((entry) =>
+        entry ? this.readText(entry).then((text) => JSON.parse(text)) : null
+      );
+    }
+
+    /**
+     * Locate the central directory
+     *
+     * @returns {Promise<Object>} Central directory offset, size and entry count
+     */
+    readEndOfCentralDirectory() {
+      const tailStart = Math.max(0, this.blob.size - EOCD_MAX_LENGTH);
+
+      return this.readBytes(tailStart, this.blob.size).then((view) => {
+        let position = -1;
+
+        for (let i = view.byteLength - 22; i >= 0; i--) {
+          if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+            position = i;
+            break;
+          }
+        }
+
+        if (position === -1) {
+          throw new Error("Not a ZIP archive, or the archive is incomplete");
+        }
+
+        const eocd = {
+          count: view.getUint16(position + 10, true),
+          size: view.getUint32(position + 12, true),
+          offset: view.getUint32(position + 16, true),
+        };
+
+        const isZip64 =
+          eocd.count === 0xffff ||
+          eocd.size === 0xffffffff ||
+          eocd.offset === 0xffffffff;
+
+        if (!isZip64) {
+          return eocd;
+        }
+
+        // Archives over 4GB keep the real values in the ZIP64 record
+        const locator = position - 20;
+        if (
+          locator < 0 ||
+          view.getUint32(locator, true) !== ZIP64_EOCD_LOCATOR_SIGNATURE
+        ) {
+          throw new Error("ZIP64 end of central directory locator not found");
+        }
+
+        const recordOffset = Number(view.getBigUint64(locator + 8, true));
+
+        return this.readBytes(recordOffset, recordOffset + 56).then((record) => {
+          if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+            throw new Error("Invalid ZIP64 end of central directory record");
+          }
+
+          return {
+            count: Number(record.getBigUint64(32, true)),
+            size: Number(record.getBigUint64(40, true)),
+            offset: Number(record.getBigUint64(48, true)),
+          };
+        });
+      });
+    }
+
+    /**
+     * Parse central directory records
+     *
+     * @param {DataView} view Central directory bytes
+     * @param {number} count Number of entries
+     * @returns {Object[]} Entries
+     */
+    parseCentralDirectory(view, count) {
+      const decoder = new TextDecoder();
+      const entries = [];
+      let position = 0;
+
+      for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+          throw new Error("Invalid central directory record");
+        }
+
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const nameStart = position + 46;
+
+        const entry = {
+          name: decoder.decode(
+            new Uint8Array(
+              view.buffer,
+              view.byteOffset + nameStart,
+              nameLength
+            )
+          ),
+          method: view.getUint16(position + 10, true),
+          compressedSize: view.getUint32(position + 20, true),
+          size: view.getUint32(position + 24, true),
+          localOffset: view.getUint32(position + 42, true),
+        };
+
+        this.applyZip64Extra(
+          entry,
+          view,
+          nameStart + nameLength,
+          extraLength
+        );
+
+        entries.push(entry);
+        position = nameStart + nameLength + extraLength + commentLength;
+      }
+
+      return entries;
+    }
+
+    /**
+     * Replace 32-bit placeholders with values from the ZIP64 extra field
+     *
+     * @param {Object} entry Entry to update
+     * @param {DataView} view Central directory bytes
+     * @param {number} start Start of the extra field
+     * @param {number} length Length of the extra field
+     */
+    applyZip64Extra(entry, view, start, length) {
+      let position = start;
+
+      while (position + 4 <= start + length) {
+        const id = view.getUint16(position, true);
+        const size = view.getUint16(position + 2, true);
+
+        if (id === 0x0001) {
+          let field = position + 4;
+
+          // Only the values that overflowed are present, in this order
+          ["size", "compressedSize", "localOffset"].forEach((key) => {
+            if (entry[key] === 0xffffffff) {
+              entry[key] = Number(view.getBigUint64(field, true));
+              field += 8;
+            }
+          });
+          return;
+        }
+
+        position += 4 + size;
+      }
+    }
+  }
+
+  window.WPEasyMigrateZipReader = ZipReader;
+})(window);
@@ -2,6 +2,8 @@
 
 namespace WPEasyMigrate;
 
+use Exception;
+
 /**
  * Archiver Class
  * 
@@ -203,7 +205,8 @@ class Archiver {
                 'number' => $index + 1,
                 'filename' => basename($part_path),
                 'size' => filesize($part_path),
-                'checksum' => md5_file($part_path)
+                'checksum' => md5_file($part_path),
+                'sha256' => hash_file('sha256', $part_path)
             ];
         }
         
@@ -227,23 +230,40 @@ class Archiver {
         $this->logger->log("Verifying " . count($parts) . " archive parts", 'info');
         
         // Look for manifest file
-        $first_part = $parts[0];
-        $base_name = preg_replace('/\.part\d+\.zip$/', '', basename($first_part));
-        $manifest_path = dirname($first_part) . '/' . $base_name . '.parts.json';
+        $manifest_path = $this->get_parts_manifest_path($parts);
         
         if (!file_exists($manifest_path)) {
             $this->logger->log("Parts manifest not found: {$manifest_path}", 'warning');
             return $this->verify_parts_without_manifest($parts);
         }
         
-        $manifest_content = file_get_contents($manifest_path);
-        $manifest = json_decode($manifest_content, true);
+        $manifest = $this->read_parts_manifest($parts);
         
         if (!$manifest) {
             $this->logger->log("Invalid parts manifest", 'error');
             return false;
         }
         
+        return $this->verify_parts_with_manifest($parts, $manifest);
+    }
+    
+    /**
+     * Verify archive parts against parts manifest data
+     * 
+     * Parts are looked up by the manifest filenames in the directory of the
+     * first given part.
+     * 
+     * @param array $parts Array of part file paths
+     * @param array $manifest Parts manifest data
+     * @return bool True if all parts are valid
+     */
+    public function verify_parts_with_manifest(array $parts, array $manifest): bool {
+        if (empty($parts) || empty($manifest['parts'])) {
+            return false;
+        }
+        
+        $first_part = $parts[0];
+        
         // Verify part count
         if (count($parts) !== $manifest['parts_count']) {
             $this->logger->log("Part count mismatch. Expected: {$manifest['parts_count']}, Found: " . count($parts), 'error');
@@ -252,7 +272,7 @@ class Archiver {
         
         // Verify each part
         foreach ($manifest['parts'] as $part_info) {
-            $part_path = dirname($first_part) . '/' . $part_info['filename'];
+            $part_path = dirname($first_part) . '/' . basename($part_info['filename']);
             
             if (!file_exists($part_path)) {
                 $this->logger->log("Part file missing: {$part_path}", 'error');
@@ -274,6 +294,185 @@ class Archiver {
         return true;
     }
     
+    /**
+     * Check archive parts against parts manifest data before combining
+     * 
+     * Only presence and sizes are checked here, contents are verified by
+     * verify_combined_archive() once the parts are joined.
+     * 
+     * @param array $parts Array of part file paths
+     * @param array $manifest Parts manifest data
+     * @return array Error messages, empty if the parts match
+     */
+    public function get_part_errors(array $parts, array $manifest): array {
+        $errors = [];
+        $parts_by_name = [];
+        
+        foreach ($parts as $part_path) {
+            $parts_by_name[basename($part_path)] = $part_path;
+        }
+        
+        foreach ($manifest['parts'] ?? [] as $part_info) {
+            $filename = basename($part_info['filename']);
+            
+            if (!isset($parts_by_name[$filename])) {
+                $errors[] = "Part {$part_info['number']} ({$filename}) is missing";
+                continue;
+            }
+            
+            $size = filesize($parts_by_name[$filename]);
+            if ($size !== $part_info['size']) {
+                $errors[] = "Part {$part_info['number']} ({$filename}) has {$size} bytes, expected {$part_info['size']}";
+            }
+            
+            unset($parts_by_name[$filename]);
+        }
+        
+        foreach (array_keys($parts_by_name) as $filename) {
+            $errors[] = "{$filename} is not listed in the manifest";
+        }
+        
+        return $errors;
+    }
+    
+    /**
+     * Check the checksums of archive parts against parts manifest data
+     * 
+     * Expects the parts to have passed get_part_errors(). SHA-256 is used
+     * when the manifest has it, MD5 for manifests of older exports.
+     * 
+     * @param array $parts Array of part file paths
+     * @param array $manifest Parts manifest data
+     * @return array Error messages, empty if every part is intact
+     */
+    public function get_part_checksum_errors(array $parts, array $manifest): array {
+        $errors = [];
+        $parts_by_name = [];
+        
+        foreach ($parts as $part_path) {
+            $parts_by_name[basename($part_path)] = $part_path;
+        }
+        
+        foreach ($manifest['parts'] ?? [] as $part_info) {
+            $filename = basename($part_info['filename']);
+            
+            if (!isset($parts_by_name[$filename])) {
+                continue;
+            }
+            
+            $algorithm = isset($part_info['sha256']) ? 'sha256' : 'md5';
+            $expected_hash = $algorithm === 'sha256' ? $part_info['sha256'] : $part_info['checksum'];
+            
+            if (hash_file($algorithm, $parts_by_name[$filename]) !== $expected_hash) {
+                $errors[] = sprintf(
+                    'Part %d (%s) failed %s verification, the file is corrupted',
+                    $part_info['number'],
+                    $filename,
+                    strtoupper($algorithm)
+                );
+            }
+        }
+        
+        return $errors;
+    }
+    
+    /**
+     * Verify a combined archive part by part
+     * 
+     * Hashes the byte range of every part inside the combined file, so the
+     * file that gets extracted is exactly what was exported. SHA-256 is used
+     * when the manifest has it, MD5 for manifests of older exports.
+     * 
+     * @param string $archive_path Combined archive path
+     * @param array $manifest Parts manifest data
+     * @return array Error messages, empty if the archive is intact
+     */
+    public function verify_combined_archive(string $archive_path, array $manifest): array {
+        $errors = [];
+        $expected_size = array_sum(array_column($manifest['parts'], 'size'));
+        $actual_size = filesize($archive_path);
+        
+        if ($actual_size !== $expected_size) {
+            return ["Combined archive has {$actual_size} bytes, expected {$expected_size}"];
+        }
+        
+        $handle = fopen($archive_path, 'rb');
+        if (!$handle) {
+            return ["Cannot open combined archive: {$archive_path}"];
+        }
+        
+        try {
+            foreach ($manifest['parts'] as $part_info) {
+                $algorithm = isset($part_info['sha256']) ? 'sha256' : 'md5';
+                $expected_hash = $algorithm === 'sha256' ? $part_info['sha256'] : $part_info['checksum'];
+                $context = hash_init($algorithm);
+                $remaining = $part_info['size'];
+                
+                while ($remaining > 0 && !feof($handle)) {
+                    $data = fread($handle, min(1048576, $remaining));
+                    if ($data === false || $data === '') {
+                        break;
+                    }
+                    
+                    hash_update($context, $data);
+                    $remaining -= strlen($data);
+                }
+                
+                if (hash_final($context) !== $expected_hash) {
+                    $errors[] = sprintf(
+                        'Part %d (%s) failed %s verification, the file is corrupted',
+                        $part_info['number'],
+                        basename($part_info['filename']),
+                        strtoupper($algorithm)
+                    );
+                }
+            }
+        } finally {
+            fclose($handle);
+        }
+        
+        if (empty($errors)) {
+            $this->logger->log("Combined archive verified against " . count($manifest['parts']) . " part checksums", 'info');
+        }
+        
+        return $errors;
+    }
+    
+    /**
+     * Read the parts manifest that belongs to a set of archive parts
+     * 
+     * @param array $parts Array of part file paths
+     * @return array|null Parts manifest data or null if not available
+     */
+    public function read_parts_manifest(array $parts): ?array {
+        if (empty($parts)) {
+            return null;
+        }
+        
+        $manifest_path = $this->get_parts_manifest_path($parts);
+        
+        if (!file_exists($manifest_path)) {
+            return null;
+        }
+        
+        $manifest = json_decode(file_get_contents($manifest_path), true);
+        
+        return is_array($manifest) ? $manifest : null;
+    }
+    
+    /**
+     * Get parts manifest path for a set of archive parts
+     * 
+     * @param array $parts Array of part file paths
+     * @return string Parts manifest path
+     */
+    private function get_parts_manifest_path(array $parts): string {
+        $first_part = $parts[0];
+        $base_name = preg_replace('/\.part\d+\.zip$/', '', basename($first_part));
+        
+        return dirname($first_part) . '/' . $base_name . '.parts.json';
+    }
+    
     /**
      * Verify parts without manifest (basic verification)
      * 
@@ -9,6 +9,11 @@ namespace WPEasyMigrate;
  */
 class CompatibilityChecker {
     
+    /**
+     * Checks whose failure makes a site incompatible, the others only warn
+     */
+    const BLOCKING_CHECKS = ['php', 'wordpress', 'extensions', 'permissions'];
+    
     /**
      * Logger instance
      */
@@ -101,6 +106,10 @@ class CompatibilityChecker {
             }
         }
         
+        foreach ($results['checks'] as $key => $check) {
+            $results['checks'][$key]['blocking'] = in_array($key, self::BLOCKING_CHECKS, true);
+        }
+        
         // Log results
         if ($results['compatible']) {
             $this->logger->log('Compatibility check passed', 'info');
@@ -254,23 +263,25 @@ class CompatibilityChecker {
     /**
      * Check available disk space
      * 
+     * @param int $required_bytes Space needed, 1GB by default
      * @return array Check result
      */
-    private function check_disk_space(): array {
+    public function check_disk_space(int $required_bytes = 1073741824): array {
         $upload_dir = wp_upload_dir()['basedir'];
         $free_bytes = disk_free_space($upload_dir);
-        $required_bytes = 1024 * 1024 * 1024; // 1GB
         
-        $passed = $free_bytes >= $required_bytes;
+        $passed = $free_bytes !== false && $free_bytes >= $required_bytes;
         
         return [
             'name' => 'Disk Space',
             'passed' => $passed,
             'available' => size_format($free_bytes),
-            'recommended' => '1GB',
+            'available_bytes' => $free_bytes === false ? null : (int) $free_bytes,
+            'recommended' => size_format($required_bytes),
+            'required_bytes' => $required_bytes,
             'message' => $passed 
                 ? "Available disk space (" . size_format($free_bytes) . ") is sufficient"
-                : "Low disk space. Available: " . size_format($free_bytes) . ", Recommended: 1GB+"
+                : "Low disk space. Available: " . size_format($free_bytes) . ", Recommended: " . size_format($required_bytes) . "+"
         ];
     }
     
@@ -6,12 +6,58 @@ class DatabaseExporter
 {
     private $logger;
     private $use_mysqldump = null;
+    private $excluded_tables = [];
+    private $structure_only_tables = [];
 
     public function __construct($logger)
     {
         $this->logger = $logger;
     }
 
+    /**
+     * Set tables to skip entirely and tables to export without rows
+     */
+    public function setTableSelection(array $excluded_tables, array $structure_only_tables): void
+    {
+        $this->excluded_tables = array_values($excluded_tables);
+        $this->structure_only_tables = array_values(array_diff($structure_only_tables, $excluded_tables));
+    }
+
+    /**
+     * List database tables with approximate row counts and sizes
+     */
+    public function getTables(): array
+    {
+        global $wpdb;
+
+        $tables = [];
+        $status = $wpdb->get_results("SHOW TABLE STATUS", ARRAY_A);
+
+        foreach ((array) $status as $table) {
+            $tables[] = [
+                'name' => $table['Name'],
+                'rows' => (int) $table['Rows'],
+                'size' => (int) $table['Data_length'] + (int) $table['Index_length'],
+                'data_size' => (int) $table['Data_length'],
+                'engine' => $table['Engine'],
+            ];
+        }
+
+        return $tables;
+    }
+
+    /**
+     * Get the tables that will be part of the export
+     */
+    public function getExportedTables(): array
+    {
+        global $wpdb;
+
+        $tables = $wpdb->get_col("SHOW TABLES");
+
+        return array_values(array_diff($tables, $this->excluded_tables));
+    }
+
     /**
      * Check if mysqldump is available
      */
@@ -74,16 +120,38 @@ class DatabaseExporter
             list($host, $port) = explode(':', $host, 2);
         }
 
-        $command = sprintf(
-            'mysqldump --host=%s --port=%s --user=%s --password=%s --single-transaction --routines --triggers --add-drop-table %s > %s',
+        $connection = sprintf(
+            '--host=%s --port=%s --user=%s --password=%s',
             escapeshellarg($host),
             escapeshellarg($port),
             escapeshellarg($user),
-            escapeshellarg($password),
+            escapeshellarg($password)
+        );
+
+        // Structure-only tables are skipped here and dumped without rows below
+        $ignored = '';
+        foreach (array_merge($this->excluded_tables, $this->structure_only_tables) as $table) {
+            $ignored .= ' --ignore-table=' . escapeshellarg($database . '.' . $table);
+        }
+
+        $command = sprintf(
+            'mysqldump %s --single-transaction --routines --triggers --add-drop-table%s %s > %s',
+            $connection,
+            $ignored,
             escapeshellarg($database),
             escapeshellarg($db_file)
         );
 
+        if (!empty($this->structure_only_tables)) {
+            $command .= sprintf(
+                ' && mysqldump %s --single-transaction --no-data --add-drop-table %s %s >> %s',
+                $connection,
+                escapeshellarg($database),
+                implode(' ', array_map('escapeshellarg', $this->structure_only_tables)),
+                escapeshellarg($db_file)
+            );
+        }
+
         $output = [];
         $return_code = 0;
         exec($command . ' 2>&1', $output, $return_code);
@@ -108,102 +176,163 @@ class DatabaseExporter
      */
     private function exportWithPHP(string $export_dir): string
     {
-        global $wpdb;
-
         $db_file = $export_dir . 'database.sql';
 
-        // Start with SQL header
+        $this->writeSql($db_file, $this->getSqlHeader(), 'SQL header', false);
+
+        foreach ($this->getExportedTables() as $table_name) {
+            $this->writeSql($db_file, $this->getTableStructure($table_name), 'table structure');
+
+            if (in_array($table_name, $this->structure_only_tables, true)) {
+                continue;
+            }
+
+            // Export data in batches
+            for ($offset = 0; ($rows = $this->getRows($table_name, $offset, 1000)); $offset += count($rows)) {
+                $this->writeSql($db_file, $this->getInserts($table_name, $rows), 'INSERT statements');
+            }
+        }
+
+        $this->writeSql($db_file, "SET FOREIGN_KEY_CHECKS=1;\n", 'SQL footer');
+
+        $this->logger->log('Database exported with PHP: ' . size_format(filesize($db_file)), 'info');
+        return $db_file;
+    }
+
+    /**
+     * Get the statements that start a dump
+     */
+    private function getSqlHeader(): string
+    {
         $sql_content = "-- WordPress Database Export\n";
         $sql_content .= "-- Generated by WP Easy Migrate\n";
         $sql_content .= "-- Date: " . current_time('mysql') . "\n\n";
         $sql_content .= "SET FOREIGN_KEY_CHECKS=0;\n";
         $sql_content .= "SET SQL_MODE='NO_AUTO_VALUE_ON_ZERO';\n\n";
 
-        if (file_put_contents($db_file, $sql_content) === false) {
-            $this->logger->log('Failed to write SQL header to database export file', 'error');
-            throw new \RuntimeException('Failed to write SQL header to database export file: ' . $db_file);
+        return $sql_content;
+    }
+
+    /**
+     * Get the statements that recreate a table
+     */
+    private function getTableStructure(string $table_name): string
+    {
+        global $wpdb;
+
+        $create_table = $wpdb->get_row("SHOW CREATE TABLE `{$table_name}`", ARRAY_N);
+        if (!$create_table) {
+            return '';
         }
 
-        // Get all tables
-        $tables = $wpdb->get_results("SHOW TABLES", ARRAY_N);
+        $table_sql = "\n-- Table: {$table_name}\n";
+        $table_sql .= "DROP TABLE IF EXISTS `{$table_name}`;\n";
+        $table_sql .= $create_table[1] . ";\n\n";
 
-        foreach ($tables as $table) {
-            $table_name = $table[0];
+        return $table_sql;
+    }
 
-            // Get table structure
-            $create_table = $wpdb->get_row($wpdb->prepare("SHOW CREATE TABLE `%s`", $table_name), ARRAY_N);
-            if ($create_table) {
-                $table_sql = "\n-- Table: {$table_name}\n";
-                $table_sql .= "DROP TABLE IF EXISTS `{$table_name}`;\n";
-                $table_sql .= $create_table[1] . ";\n\n";
-                if (file_put_contents($db_file, $table_sql, FILE_APPEND) === false) {
-                    $this->logger->log('Failed to write table structure to database export file', 'error');
-                    throw new \RuntimeException('Failed to write table structure to database export file: ' . $db_file);
-                }
-            }
+    /**
+     * Read rows of a table
+     */
+    private function getRows(string $table_name, int $offset, int $limit): array
+    {
+        global $wpdb;
 
-            // Export data in batches
-            $row_count = (int) $wpdb->get_var($wpdb->prepare("SELECT COUNT(*) FROM `{$table_name}`"));
-            $batch_size = 1000;
-            for ($offset = 0; $offset < $row_count; $offset += $batch_size) {
-                $rows = $wpdb->get_results($wpdb->prepare(
-                    "SELECT * FROM `{$table_name}` LIMIT %d OFFSET %d",
-                    $batch_size,
-                    $offset
-                ), ARRAY_A);
-                if (!empty($rows)) {
-                    $columns = array_keys($rows[0]);
-                    $escaped_columns = array_map(function ($col) {
-                        return "`{$col}`";
-                    }, $columns);
-                    foreach ($rows as $row) {
-                        $placeholders = array_fill(0, count($columns), '%s');
-                        $sql = $wpdb->prepare(
-                            "INSERT INTO `{$table_name}` (" . implode(',', $escaped_columns) . ") VALUES (" . implode(',', $placeholders) . ");\n",
-                            ...array_values($row)
-                        );
-                        if (file_put_contents($db_file, $sql, FILE_APPEND) === false) {
-                            $this->logger->log('Failed to write INSERT statement to database export file', 'error');
-                            throw new \RuntimeException('Failed to write INSERT statement to database export file: ' . $db_file);
-                        }
-                    }
-                    if (file_put_contents($db_file, "\n", FILE_APPEND) === false) {
-                        $this->logger->log('Failed to write newline to database export file', 'error');
-                        throw new \RuntimeException('Failed to write newline to database export file: ' . $db_file);
-                    }
-                }
-            }
-        }
+        return (array) $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM `{$table_name}` LIMIT %d OFFSET %d",
+            $limit,
+            $offset
+        ), ARRAY_A);
+    }
+
+    /**
+     * Get INSERT statements for rows of a table
+     */
+    private function getInserts(string $table_name, array $rows): string
+    {
+        global $wpdb;
+
+        $columns = array_keys($rows[0]);
+        $escaped_columns = array_map(function ($col) {
+            return "`{$col}`";
+        }, $columns);
+        $placeholders = array_fill(0, count($columns), '%s');
 
-        // Add footer
-        $sql_footer = "SET FOREIGN_KEY_CHECKS=1;\n";
-        if (file_put_contents($db_file, $sql_footer, FILE_APPEND) === false) {
-            $this->logger->log('Failed to write SQL footer to database export file', 'error');
-            throw new \RuntimeException('Failed to write SQL footer to database export file: ' . $db_file);
+        $sql = '';
+        foreach ($rows as $row) {
+            $sql .= $wpdb->prepare(
+                "INSERT INTO `{$table_name}` (" . implode(',', $escaped_columns) . ") VALUES (" . implode(',', $placeholders) . ");\n",
+                ...array_values($row)
+            );
         }
 
-        $this->logger->log('Database exported with PHP: ' . size_format(filesize($db_file)), 'info');
-        return $db_file;
+        return $sql . "\n";
+    }
+
+    /**
+     * Write to the dump file
+     */
+    private function writeSql(string $db_file, string $sql, string $what, bool $append = true): void
+    {
+        if (file_put_contents($db_file, $sql, $append ? FILE_APPEND : 0) === false) {
+            $this->logger->log("Failed to write {$what} to database export file", 'error');
+            throw new \RuntimeException("Failed to write {$what} to database export file: " . $db_file);
+        }
     }
 
     /**
-     * Export database chunk (for compatibility)
+     * Export the next rows of the database
+     * 
+     * Writes up to the session's rows per step, starting where the last call
+     * stopped. Large tables take several calls, small tables share one.
      */
     public function exportChunk(\WPEasyMigrate\ExportSession $session): array
     {
+        $options = $session->get_options();
+        $this->setTableSelection(
+            $options['db_excluded_tables'] ?? [],
+            $options['db_structure_only_tables'] ?? []
+        );
+
         if (!$session->get_db_export_path()) {
-            $export_dir = $session->get_export_dir();
-            $db_file = $this->export($export_dir);
-            $session->set_db_export_path($db_file);
-
-            // Mark completion
-            global $wpdb;
-            $tables = $wpdb->get_results("SHOW TABLES", ARRAY_N);
-            foreach ($tables as $table) {
-                $session->mark_table_completed($table[0]);
+            $session->init_database_export($this->getExportedTables());
+            $this->writeSql($session->get_db_export_path(), $this->getSqlHeader(), 'SQL header', false);
+        }
+
+        $db_file = $session->get_db_export_path();
+        $rows_left = $session->get_db_rows_per_step();
+
+        while ($rows_left > 0 && ($table_name = $session->get_current_table()) !== null) {
+            $offset = $session->get_table_offset();
+
+            if ($offset === 0) {
+                $this->writeSql($db_file, $this->getTableStructure($table_name), 'table structure');
+            }
+
+            $limit = min(1000, $rows_left);
+            $rows = in_array($table_name, $this->structure_only_tables, true) ? [] : $this->getRows($table_name, $offset, $limit);
+
+            if ($rows) {
+                $this->writeSql($db_file, $this->getInserts($table_name, $rows), 'INSERT statements');
+                $rows_left -= count($rows);
             }
+
+            if (count($rows) < $limit) {
+                $session->mark_table_completed($table_name);
+                $session->next_table();
+            } else {
+                $session->update_table_offset($offset + count($rows));
+            }
+        }
+
+        if ($session->get_current_table() !== null) {
+            return ['message' => sprintf(__('Exporting database... (table %d of %d)', 'wp-easy-migrate'), count($session->get_completed_tables()) + 1, count($session->get_db_tables()))];
         }
 
+        $this->writeSql($db_file, "SET FOREIGN_KEY_CHECKS=1;\n", 'SQL footer');
+        $this->logger->log('Database exported with PHP: ' . size_format(filesize($db_file)), 'info');
+
         return ['message' => __('Database export completed', 'wp-easy-migrate')];
     }
 }
\ No newline at end of file
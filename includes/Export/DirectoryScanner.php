@@ -36,4 +36,76 @@ class DirectoryScanner
         }
         return ['files' => $files, 'sizes' => $sizes];
     }
+
+    /**
+     * List the subdirectories of a directory
+     *
+     * Only one level is read so a large tree can be browsed lazily, folder
+     * sizes come from measureDirectory().
+     */
+    public function listDirectories(string $directory): array
+    {
+        $directories = [];
+        $file_count = 0;
+        $file_size = 0;
+        if (!is_dir($directory)) {
+            return ['directories' => $directories, 'file_count' => $file_count, 'file_size' => $file_size];
+        }
+        foreach (new \FilesystemIterator($directory, \FilesystemIterator::SKIP_DOTS) as $entry) {
+            if ($entry->isFile()) {
+                $file_count++;
+                $file_size += $entry->getSize();
+                continue;
+            }
+            if (!$entry->isDir() || $entry->isLink()) {
+                continue;
+            }
+            $directories[] = [
+                'name' => $entry->getFilename(),
+                'has_children' => $this->hasSubdirectories($entry->getPathname()),
+            ];
+        }
+        usort($directories, function ($a, $b) {
+            return strnatcasecmp($a['name'], $b['name']);
+        });
+        return ['directories' => $directories, 'file_count' => $file_count, 'file_size' => $file_size];
+    }
+
+    /**
+     * Add up the files of a directory tree until a deadline
+     *
+     * Returns the size and file count, and whether the whole tree was read
+     * before the deadline.
+     */
+    public function measureDirectory(string $directory, float $deadline): array
+    {
+        $size = 0;
+        $files = 0;
+        $iterator = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator($directory, \RecursiveDirectoryIterator::SKIP_DOTS)
+        );
+        foreach ($iterator as $file) {
+            if (microtime(true) > $deadline) {
+                return ['size' => $size, 'files' => $files, 'complete' => false];
+            }
+            if ($file->isFile()) {
+                $size += $file->getSize();
+                $files++;
+            }
+        }
+        return ['size' => $size, 'files' => $files, 'complete' => true];
+    }
+
+    /**
+     * Check whether a directory has subdirectories
+     */
+    private function hasSubdirectories(string $directory): bool
+    {
+        foreach (new \FilesystemIterator($directory, \FilesystemIterator::SKIP_DOTS) as $entry) {
+            if ($entry->isDir() && !$entry->isLink()) {
+                return true;
+            }
+        }
+        return false;
+    }
 }
@@ -19,9 +19,9 @@ class FileArchiver
             return null;
         }
         $uploads_archive = $export_dir . 'uploads.zip';
-        return $this->createFilteredArchive($uploads_dir, $uploads_archive, $exclude_patterns);
+        return $this->createFilteredArchive($uploads_dir, $uploads_archive, $exclude_patterns, 'uploads');
     }
-    public function archivePlugins(string $export_dir): ?string
+    public function archivePlugins(string $export_dir, array $exclude_patterns = []): ?string
     {
         $plugins_dir = WP_PLUGIN_DIR;
         if (!is_dir($plugins_dir)) {
@@ -29,9 +29,9 @@ class FileArchiver
             return null;
         }
         $plugins_archive = $export_dir . 'plugins.zip';
-        return $this->createArchive($plugins_dir, $plugins_archive);
+        return $this->createFilteredArchive($plugins_dir, $plugins_archive, $exclude_patterns, 'plugins');
     }
-    public function archiveThemes(string $export_dir): ?string
+    public function archiveThemes(string $export_dir, array $exclude_patterns = []): ?string
     {
         $themes_dir = get_theme_root();
         if (!is_dir($themes_dir)) {
@@ -39,7 +39,7 @@ class FileArchiver
             return null;
         }
         $themes_archive = $export_dir . 'themes.zip';
-        return $this->createArchive($themes_dir, $themes_archive);
+        return $this->createFilteredArchive($themes_dir, $themes_archive, $exclude_patterns, 'themes');
     }
     public function archiveExport(string $current_export_dir, string $export_dir, string $export_id): string
     {
@@ -76,7 +76,7 @@ class FileArchiver
         }
         return $archive_path;
     }
-    private function createFilteredArchive(string $source_dir, string $archive_path, array $exclude_patterns = []): string
+    private function createFilteredArchive(string $source_dir, string $archive_path, array $exclude_patterns = [], string $path_prefix = ''): string
     {
         if (!class_exists('ZipArchive')) {
             throw new \Exception('ZipArchive class is not available. Please ensure the PHP zip extension is installed.');
@@ -92,9 +92,11 @@ class FileArchiver
         foreach ($iterator as $file) {
             $file_path = $file->getRealPath();
             $relative_path = substr($file_path, strlen($source_dir) + 1);
+            // Folder picker patterns are prefixed with the top-level folder, e.g. "uploads/cache/*"
+            $prefixed_path = $path_prefix !== '' ? $path_prefix . '/' . str_replace(DIRECTORY_SEPARATOR, '/', $relative_path) : $relative_path;
             $should_exclude = false;
             foreach ($exclude_patterns as $pattern) {
-                if (fnmatch($pattern, $relative_path) || fnmatch($pattern, basename($file_path))) {
+                if (fnmatch($pattern, $relative_path) || fnmatch($pattern, $prefixed_path) || fnmatch($pattern, basename($file_path))) {
                     $should_exclude = true;
                     break;
                 }
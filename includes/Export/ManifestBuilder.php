@@ -12,6 +12,11 @@ class ManifestBuilder
             'export_id' => $info['export_id'],
             'site_info' => [
                 'url' => $info['site_url'],
+                'home_url' => get_home_url(),
+                'paths' => [
+                    'abspath' => ABSPATH,
+                    'content' => WP_CONTENT_DIR,
+                ],
                 'name' => get_bloginfo('name'),
                 'description' => get_bloginfo('description'),
                 'wp_version' => $info['wp_version'],
@@ -24,6 +29,7 @@ class ManifestBuilder
                 'files' => $info['files'] ?? [],
                 'file_count' => $info['file_count'] ?? 0,
                 'total_size' => $info['total_size'] ?? 0,
+                'database' => $info['database'] ?? null,
             ],
             'requirements' => [
                 'min_wp_version' => '5.0',
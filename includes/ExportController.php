@@ -3,6 +3,7 @@
 namespace WPEasyMigrate;
 
 use WP_Easy_Migrate\Export\DatabaseExporter;
+use WP_Easy_Migrate\Export\DirectoryScanner;
 use WP_Easy_Migrate\Export\FileArchiver;
 use WP_Easy_Migrate\Export\ManifestBuilder;
 
@@ -44,6 +45,25 @@ class ExportController
      */
     private $manifestBuilder;
 
+    /**
+     * Directory scanner instance
+     */
+    private $directoryScanner;
+
+    /**
+     * Seconds a folder picker request may spend measuring folder sizes
+     */
+    const TREE_SIZE_SECONDS = 5;
+
+    /**
+     * Default file exclusion patterns
+     */
+    const DEFAULT_EXCLUDE_PATTERNS = [
+        '*.log',
+        '*/cache/*',
+        '*/wp-easy-migrate/*'
+    ];
+
     /**
      * Constructor
      */
@@ -55,6 +75,7 @@ class ExportController
         $this->databaseExporter = new DatabaseExporter($this->logger);
         $this->fileArchiver = new FileArchiver($this->logger);
         $this->manifestBuilder = new ManifestBuilder();
+        $this->directoryScanner = new DirectoryScanner();
     }
 
     /**
@@ -73,9 +94,16 @@ class ExportController
 
         try {
             $session = new ExportSession();
+            $lock = new MigrationLock();
+            $lock_token = MigrationLock::get_request_token();
 
             // Check if this is a new export request
             if (isset($_POST['start_export']) && $_POST['start_export']) {
+                if (!$lock->acquire('export', $lock_token)) {
+                    wp_send_json_error($lock->get_error_data($lock_token));
+                    return;
+                }
+
                 $validated_post = $this->validate_post_data($_POST);
                 $options = $this->parse_export_options($validated_post);
                 $session->start($options);
@@ -92,6 +120,8 @@ class ExportController
             $this->logger->log("Session loaded - DB export path: " . $session->get_db_export_path(), 'debug');
 
             if (!$session->is_active()) {
+                $lock->release($lock_token);
+
                 if ($session->has_error()) {
                     wp_send_json_error([
                         'message' => $session->get_error(),
@@ -108,14 +138,48 @@ class ExportController
                 return;
             }
 
+            // Only the tab that started the export may run its steps
+            if (!$lock->check('export', $lock_token, $session->get_session_id())) {
+                wp_send_json_error($lock->get_error_data($lock_token));
+                return;
+            }
+
+            // In auto mode the client tunes batch sizes between steps
+            if ($session->is_auto_batch_mode() && empty($_POST['start_export'])) {
+                if (isset($_POST['files_per_step'])) {
+                    $session->set_files_per_step((int) $_POST['files_per_step']);
+                }
+                if (isset($_POST['db_rows_per_step'])) {
+                    $session->set_db_rows_per_step((int) $_POST['db_rows_per_step']);
+                }
+            }
+
             // Execute current step
-            $this->execute_step($session);
+            $step = $session->get_current_step();
+            $step_start = microtime(true);
+
+            $session->mark_step_running();
+            $result = $this->execute_step($session);
+
+            $runtime = microtime(true) - $step_start;
+            $session->add_request_time($runtime);
+
+            // Batch steps take several requests, their time counts once they finish
+            if ($result['step_completed']) {
+                $session->add_step_time($step, $session->get_step_runtime());
+            }
+
+            if (!$session->is_active()) {
+                $lock->release($lock_token);
+
+                if ($session->is_completed()) {
+                    (new ExportHistory())->apply_retention();
+                }
+            }
 
             // Return updated status
-            wp_send_json_success([
-                'message' => $this->get_step_message($session->get_current_step()),
-                'status' => $session->get_status()
-            ]);
+            $result['timing'] = $this->get_step_timing($session, $step, $runtime);
+            wp_send_json_success($this->add_step_plan($result, $session));
         } catch (\Exception $e) {
             $this->logger->log('Export step error: ' . $e->getMessage(), 'error');
 
@@ -124,6 +188,10 @@ class ExportController
                 $session->set_error($e->getMessage());
             }
 
+            if (isset($lock)) {
+                $lock->release($lock_token);
+            }
+
             wp_send_json_error([
                 'message' => $e->getMessage(),
                 'status' => isset($session) ? $session->get_status() : null
@@ -131,13 +199,584 @@ class ExportController
         }
     }
 
+    /**
+     * Describe how long a step took relative to the execution time limit
+     * 
+     * @param ExportSession $session Export session
+     * @param string $step Step that was executed
+     * @param float $runtime Step runtime in seconds
+     * @return array Timing data
+     */
+    private function get_step_timing(ExportSession $session, string $step, float $runtime): array
+    {
+        return [
+            'step' => $step,
+            'step_time' => round($runtime, 3),
+            'time_limit' => (int) ini_get('max_execution_time'),
+            'batch_mode' => $session->is_auto_batch_mode() ? 'auto' : 'fixed',
+            'files_per_step' => $session->get_files_per_step(),
+            'db_rows_per_step' => $session->get_db_rows_per_step()
+        ];
+    }
+
+    /**
+     * Add the step plan to a response for a screen that does not have it yet
+     * 
+     * Screens send the ID of the session whose plan they have, so the plan
+     * goes out once per session: with the first step, or to a screen that
+     * picks the export up later.
+     * 
+     * @param array $data Response data
+     * @param ExportSession $session Export session
+     * @return array Response data, with steps if the screen needs them
+     */
+    private function add_step_plan(array $data, ExportSession $session): array
+    {
+        $known = isset($_POST['steps_session']) ? sanitize_text_field(wp_unslash($_POST['steps_session'])) : '';
+
+        if ($known !== $session->get_session_id()) {
+            $data['steps'] = $session->get_step_plan();
+        }
+
+        return $data;
+    }
+
+    /**
+     * Handle export status AJAX request
+     * 
+     * Lets the export screen pick up an export that is still running after
+     * the page was reloaded.
+     */
+    public function handle_export_status(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        $session = new ExportSession();
+        $lock = (new MigrationLock())->describe(MigrationLock::get_request_token());
+
+        if (!$session->is_in_progress()) {
+            wp_send_json_success([
+                'in_progress' => false,
+                'lock' => $lock
+            ]);
+            return;
+        }
+
+        wp_send_json_success($this->add_step_plan([
+            'in_progress' => true,
+            'step_running' => $session->is_step_running(),
+            'message' => $session->get_step_message(),
+            'status' => $session->get_enhanced_status_with_db(),
+            'lock' => $lock
+        ], $session));
+    }
+
+    /**
+     * Handle export tables AJAX request
+     * 
+     * Lists database tables with row counts and sizes for the table picker.
+     */
+    public function handle_export_tables(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        global $wpdb;
+
+        try {
+            wp_send_json_success([
+                'tables' => $this->databaseExporter->getTables(),
+                'prefix' => $wpdb->prefix
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log('Export tables error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle export tree AJAX request
+     * 
+     * Lists one level of the uploads, plugins or themes directory for the
+     * folder picker, so large trees are only read as they are expanded.
+     */
+    public function handle_export_tree(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        $path = $this->validate_tree_path(wp_unslash($_POST['path'] ?? ''));
+        if ($path === null) {
+            wp_send_json_error(['message' => __('Invalid folder', 'wp-easy-migrate')]);
+            return;
+        }
+
+        $directory = $this->resolve_tree_path($path);
+        if ($directory === null) {
+            wp_send_json_error(['message' => __('Invalid folder', 'wp-easy-migrate')]);
+            return;
+        }
+
+        try {
+            $listing = $this->directoryScanner->listDirectories($directory);
+
+            foreach ($listing['directories'] as &$entry) {
+                $entry['path'] = $path . '/' . $entry['name'];
+            }
+            unset($entry);
+
+            wp_send_json_success(array_merge(['path' => $path], $listing));
+        } catch (\Exception $e) {
+            $this->logger->log('Export tree error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle export tree sizes AJAX request
+      
+     * Measures folders of the folder picker for a few seconds per request.
+     * Folders not reached are left out, so the client asks for them again.
+     * A folder too large to measure in time comes back as incomplete, and
+     * complete sizes are cached for a while.
+     */
+    public function handle_export_tree_sizes(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        $paths = isset($_POST['paths']) && is_array($_POST['paths']) ? wp_unslash($_POST['paths']) : [];
+        $deadline = microtime(true) + self::TREE_SIZE_SECONDS;
+        $sizes = [];
+
+        foreach ($paths as $path) {
+            $path = $this->validate_tree_path($path);
+            $directory = $path === null ? null : $this->resolve_tree_path($path);
+
+            if ($directory === null) {
+                continue;
+            }
+
+            $cache_key = 'wp_easy_migrate_tree_size_' . md5($directory);
+            $size = get_transient($cache_key);
+
+            if (!is_array($size)) {
+                if (microtime(true) > $deadline) {
+                    break;
+                }
+
+                $size = $this->directoryScanner->measureDirectory($directory, $deadline);
+
+                if ($size['complete']) {
+                    set_transient($cache_key, $size, 10 * MINUTE_IN_SECONDS);
+                }
+            }
+
+            $sizes[$path] = $size;
+        }
+
+        wp_send_json_success(['sizes' => $sizes]);
+    }
+
+    /**
+     * Handle export estimate AJAX request
+     * 
+     * Dry run of an export with the submitted options: scans the selected
+     * files and tables without writing anything.
+     */
+    public function handle_export_estimate(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        try {
+            $validated_post = $this->validate_post_data($_POST);
+            $options = $this->parse_export_options($validated_post);
+
+            wp_send_json_success($this->estimate_export($options));
+        } catch (\Exception $e) {
+            $this->logger->log('Export estimate error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Estimate the size of an export
+     * 
+     * Archive size is approximate: already compressed media is counted at
+     * full size, other files and the SQL dump at typical deflate ratios.
+     * 
+     * @param array $options Export options
+     * @return array Estimate
+     */
+    private function estimate_export(array $options): array
+    {
+        $compressed_extensions = [
+            'jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'mp3', 'mp4', 'm4a', 'm4v', 'mov',
+            'webm', 'ogg', 'ogv', 'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'pdf', 'woff', 'woff2'
+        ];
+
+        $file_count = 0;
+        $files_size = 0;
+        $archive_size = 0;
+
+        if ($options['include_uploads'] || $options['include_plugins'] || $options['include_themes']) {
+            $scan = $this->collect_files($options);
+
+            foreach ($scan['files'] as $index => $file_path) {
+                $size = $scan['sizes'][$index];
+                $ext = strtolower(pathinfo($file_path, PATHINFO_EXTENSION));
+
+                $file_count++;
+                $files_size += $size;
+                $archive_size += in_array($ext, $compressed_extensions, true) ? $size : $size * 0.6;
+            }
+        }
+
+        $database_size = 0;
+        $table_count = 0;
+
+        if ($options['include_database']) {
+            foreach ($this->databaseExporter->getTables() as $table) {
+                if (in_array($table['name'], $options['db_excluded_tables'], true)) {
+                    continue;
+                }
+
+                $table_count++;
+
+                if (!in_array($table['name'], $options['db_structure_only_tables'], true)) {
+                    $database_size += $table['data_size'];
+                }
+            }
+
+            $archive_size += $database_size * 0.3;
+        }
+
+        $archive_size = (int) ceil($archive_size);
+        $split_size_bytes = (int) $options['split_size'] * 1024 * 1024;
+        $part_count = $split_size_bytes > 0 && $archive_size > $split_size_bytes
+            ? (int) ceil($archive_size / $split_size_bytes)
+            : 1;
+
+        // The SQL dump and the archive exist side by side, and splitting
+        // writes the parts before the original archive is removed
+        $required_space = $database_size + $archive_size * ($part_count > 1 ? 2 : 1);
+
+        $checker = new CompatibilityChecker();
+        $disk_space = $checker->check_disk_space($required_space);
+
+        $this->logger->log("Export estimate: {$file_count} files (" . size_format($files_size) . "), {$table_count} tables (" . size_format($database_size) . "), archive ~" . size_format($archive_size) . " in {$part_count} part(s)", 'info');
+
+        return [
+            'file_count' => $file_count,
+            'files_size' => $files_size,
+            'table_count' => $table_count,
+            'database_size' => $database_size,
+            'archive_size' => $archive_size,
+            'split_size' => (int) $options['split_size'],
+            'part_count' => $part_count,
+            'required_space' => $required_space,
+            'disk_space' => $disk_space
+        ];
+    }
+
+    /**
+     * Handle export progress stream request
+     * 
+     * Server-Sent Events alternative to polling for progress; steps are
+     * still driven by wpem_export_step requests.
+     */
+    public function handle_export_stream(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')], 403);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')], 403);
+        }
+
+        $stream = new ProgressStream();
+        $stream->run(ExportSession::OPTION_KEY, function () {
+            $session = new ExportSession();
+
+            if (!$session->is_in_progress()) {
+                return [
+                    'data' => ['in_progress' => false],
+                    'done' => true
+                ];
+            }
+
+            return [
+                'data' => [
+                    'in_progress' => true,
+                    'step_running' => $session->is_step_running(),
+                    'message' => $session->get_step_message(),
+                    'status' => $session->get_enhanced_status_with_db()
+                ],
+                'done' => false
+            ];
+        });
+    }
+
+    /**
+     * Handle export cancel AJAX request
+     * 
+     * Aborts the current export and removes everything it has written so far.
+     */
+    public function handle_export_cancel(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        $session = new ExportSession();
+
+        if (!$session->is_in_progress()) {
+            wp_send_json_error(['message' => __('No export in progress', 'wp-easy-migrate')]);
+            return;
+        }
+
+        // Files are still being written by a running step, cleaning up now would race it
+        if ($session->is_step_running()) {
+            wp_send_json_error([
+                'message' => __('Waiting for the current step to finish...', 'wp-easy-migrate'),
+                'retry' => true
+            ]);
+            return;
+        }
+
+        try {
+            $cleaned = $this->cleanup_export_files($session);
+            $export_id = $session->get_export_id();
+            $session_id = $session->get_session_id();
+
+            // The export may run in another tab or for another admin
+            $session->reset();
+            (new MigrationLock())->release_session($session_id);
+
+            $this->logger->log("Export cancelled: {$export_id}, removed " . count($cleaned) . " item(s)", 'info');
+
+            wp_send_json_success([
+                'message' => __('Export cancelled', 'wp-easy-migrate'),
+                'cleaned' => $cleaned
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log('Export cancel error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle export history AJAX request
+     * 
+     * Lists the finished exports together with the retention policy.
+     */
+    public function handle_export_history(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        try {
+            $history = new ExportHistory();
+
+            wp_send_json_success([
+                'exports' => $history->get_exports(),
+                'retention' => $history->get_retention()
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log('Export history error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle export delete AJAX request
+     */
+    public function handle_export_delete(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        $export_id = $this->validate_export_id($_POST['export_id'] ?? '');
+        if ($export_id === null) {
+            wp_send_json_error(['message' => __('Invalid export', 'wp-easy-migrate')]);
+            return;
+        }
+
+        try {
+            $removed = (new ExportHistory())->delete_export($export_id);
+
+            wp_send_json_success([
+                'message' => __('Export deleted', 'wp-easy-migrate'),
+                'removed' => $removed
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log('Export delete error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle export verify AJAX request
+     * 
+     * Checks the archives of a finished export against its parts manifest,
+     * or the structure of a single archive.
+     */
+    public function handle_export_verify(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        $export_id = $this->validate_export_id($_POST['export_id'] ?? '');
+        if ($export_id === null) {
+            wp_send_json_error(['message' => __('Invalid export', 'wp-easy-migrate')]);
+            return;
+        }
+
+        // Hashing large parts takes a while
+        if (function_exists('set_time_limit')) {
+            set_time_limit(0);
+        }
+
+        try {
+            wp_send_json_success((new ExportHistory())->verify_export($export_id));
+        } catch (\Exception $e) {
+            $this->logger->log('Export verify error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle export retention AJAX request
+     * 
+     * Saves the retention policy and prunes the exports it no longer keeps.
+     */
+    public function handle_export_retention(): void
+    {
+        if (!check_ajax_referer('wp_easy_migrate_nonce', 'nonce', false)) {
+            wp_send_json_error(['message' => __('Security check failed', 'wp-easy-migrate')]);
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'wp-easy-migrate')]);
+        }
+
+        try {
+            $history = new ExportHistory();
+            $history->set_retention(
+                absint($_POST['max_count'] ?? 0),
+                absint($_POST['max_age_days'] ?? 0)
+            );
+
+            wp_send_json_success([
+                'message' => __('Retention settings saved', 'wp-easy-migrate'),
+                'retention' => $history->get_retention(),
+                'deleted' => $history->apply_retention()
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log('Export retention error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Delete the temporary directory and archives of an export
+     * 
+     * @param ExportSession $session Export session
+     * @return array Names of the removed files and directories
+     */
+    private function cleanup_export_files(ExportSession $session): array
+    {
+        $cleaned = [];
+        $export_dir = $session->get_export_dir();
+
+        if ($export_dir && is_dir($export_dir)) {
+            $this->cleanup_directory($export_dir);
+            $cleaned[] = basename($export_dir) . '/';
+        }
+
+        $status = $session->get_status();
+        $parts = $status['archive_parts'] ?? [];
+        $existing_parts = array_filter($parts, 'file_exists');
+
+        if ($parts) {
+            $this->archiver->cleanup_parts($parts, true);
+            $cleaned = array_merge($cleaned, array_map('basename', $existing_parts));
+        }
+
+        $files = [
+            $session->get_archive_path(),
+            WP_EASY_MIGRATE_UPLOADS_DIR . "exports/wp-export-{$session->get_export_id()}.zip",
+            WP_EASY_MIGRATE_UPLOADS_DIR . "exports/wp-export-{$session->get_export_id()}-manifest.json"
+        ];
+
+        foreach (array_unique(array_filter($files)) as $file) {
+            if (file_exists($file)) {
+                unlink($file);
+                $cleaned[] = basename($file);
+            }
+        }
+
+        return $cleaned;
+    }
+
     /**
      * Execute current export step
      * 
+     * The database and file archiving steps run in batches and stay current
+     * until their last batch is done.
+     * 
      * @param ExportSession $session Export session
+     * @return array Message, status and whether the step finished
      * @throws \Exception
      */
-    private function execute_step(ExportSession $session): void
+    private function execute_step(ExportSession $session): array
     {
         $step = $session->get_current_step();
         $this->logger->log("Executing export step: {$step}", 'info');
@@ -194,19 +833,18 @@ class ExportController
                             $session->next_step();
 
                             // Return completion message to frontend
-                            wp_send_json_success([
+                            return [
                                 'message' => __('Database export completed! Moving to file archiving...', 'wp-easy-migrate'),
                                 'status' => $session->get_enhanced_status_with_db(),
                                 'step_completed' => true
-                            ]);
-                            return;
+                            ];
                         } else {
-                            // Return immediately for database export step without moving to next step
-                            wp_send_json_success([
+                            // Stay on the database export step for the next batch
+                            return [
                                 'message' => $result['message'],
-                                'status' => $session->get_enhanced_status_with_db()
-                            ]);
-                            return;
+                                'status' => $session->get_enhanced_status_with_db(),
+                                'step_completed' => false
+                            ];
                         }
                     } else {
                         // Database export is complete, verify the file exists
@@ -228,12 +866,12 @@ class ExportController
                 if (!$session->is_archiving_complete()) {
                     $result = Exporter::archive_next_batch($session);
 
-                    // Return immediately for file archiving step without moving to next step
-                    wp_send_json_success([
+                    // Stay on the file archiving step for the next batch
+                    return [
                         'message' => $result['message'],
-                        'status' => $session->get_enhanced_status_with_db()
-                    ]);
-                    return;
+                        'status' => $session->get_enhanced_status_with_db(),
+                        'step_completed' => false
+                    ];
                 } else {
                     // File archiving is complete, ensure archive exists
                     $archive_path = $session->get_archive_path();
@@ -284,6 +922,12 @@ class ExportController
         // Move to next step
         // export_database and archive_files only skip progression when they return early
         $session->next_step();
+
+        return [
+            'message' => $session->get_step_message(),
+            'status' => $session->get_status(),
+            'step_completed' => true
+        ];
     }
 
     /**
@@ -336,6 +980,34 @@ class ExportController
             return;
         }
 
+        $scan = $this->collect_files($options);
+        $fileList = $scan['files'];
+        $fileSizes = $scan['sizes'];
+        $relativePaths = $scan['relative_paths'];
+
+        $session->set_file_list($fileList, $fileSizes, $relativePaths);
+
+        if (isset($options['files_per_step'])) {
+            $session->set_files_per_step($options['files_per_step']);
+        }
+
+        $included_types = [];
+        if ($options['include_uploads']) $included_types[] = 'uploads';
+        if ($options['include_plugins']) $included_types[] = 'plugins';
+        if ($options['include_themes']) $included_types[] = 'themes';
+
+        $types_text = !empty($included_types) ? '(' . implode(', ', $included_types) . ')' : '(no folders selected)';
+        $this->logger->log("File scan completed: " . count($fileList) . " files, " . size_format(array_sum($fileSizes)) . " " . $types_text, 'info');
+    }
+
+    /**
+     * Collect the files an export with the given options would archive
+     * 
+     * @param array $options Export options
+     * @return array Absolute paths, sizes and archive-relative paths
+     */
+    private function collect_files(array $options): array
+    {
         $fileList = [];
         $fileSizes = [];
         $relativePaths = [];
@@ -443,19 +1115,11 @@ class ExportController
             }
         }
 
-        $session->set_file_list($fileList, $fileSizes, $relativePaths);
-
-        if (isset($options['files_per_step'])) {
-            $session->set_files_per_step($options['files_per_step']);
-        }
-
-        $included_types = [];
-        if ($options['include_uploads']) $included_types[] = 'uploads';
-        if ($options['include_plugins']) $included_types[] = 'plugins';
-        if ($options['include_themes']) $included_types[] = 'themes';
-
-        $types_text = !empty($included_types) ? '(' . implode(', ', $included_types) . ')' : '(no folders selected)';
-        $this->logger->log("File scan completed: " . count($fileList) . " files, " . size_format(array_sum($fileSizes)) . " " . $types_text, 'info');
+        return [
+            'files' => $fileList,
+            'sizes' => $fileSizes,
+            'relative_paths' => $relativePaths
+        ];
     }
 
     /**
@@ -477,7 +1141,10 @@ class ExportController
                     'filename' => 'database.sql',
                     'size' => filesize($db_file_path),
                     'tables_exported' => count($session->get_db_tables()),
-                    'export_method' => 'chunked_export'
+                    'export_method' => 'chunked_export',
+                    'tables' => $session->get_completed_tables(),
+                    'excluded_tables' => $options['db_excluded_tables'] ?? [],
+                    'structure_only_tables' => $options['db_structure_only_tables'] ?? []
                 ];
                 $this->logger->log("Database info for manifest: " . size_format($database_info['size']) . ", {$database_info['tables_exported']} tables", 'info');
             } else {
@@ -623,9 +1290,47 @@ class ExportController
         $session->set_archive_path($parts[0]);
         $session->set_step_data('archive_parts', $parts);
 
+        $this->add_parts_to_standalone_manifest($session, $parts);
+
         $this->logger->log("Archive split into " . count($parts) . " parts", 'info');
     }
 
+    /**
+     * Record archive parts in the standalone manifest
+     * 
+     * The importer uses this to check that all parts are present and intact
+     * before reassembling them.
+     * 
+     * @param ExportSession $session Export session
+     * @param array $parts Archive part paths
+     */
+    private function add_parts_to_standalone_manifest(ExportSession $session, array $parts): void
+    {
+        $export_id = $session->get_export_id();
+        $standalone_manifest_path = WP_EASY_MIGRATE_UPLOADS_DIR . "exports/wp-export-{$export_id}-manifest.json";
+        $parts_manifest = $this->archiver->read_parts_manifest($parts);
+
+        if (!$parts_manifest || !file_exists($standalone_manifest_path)) {
+            $this->logger->log('Standalone manifest not updated with archive parts', 'warning');
+            return;
+        }
+
+        $manifest = json_decode(file_get_contents($standalone_manifest_path), true);
+
+        if (!is_array($manifest)) {
+            $this->logger->log("Invalid standalone manifest: {$standalone_manifest_path}", 'warning');
+            return;
+        }
+
+        $manifest['archive_parts'] = $parts_manifest;
+
+        if (file_put_contents($standalone_manifest_path, wp_json_encode($manifest, JSON_PRETTY_PRINT)) === false) {
+            throw new \Exception("Failed to update standalone manifest file: {$standalone_manifest_path}");
+        }
+
+        $this->logger->log("Standalone manifest updated with " . count($parts) . " archive parts", 'info');
+    }
+
     /**
      * Finalize export process
      * 
@@ -766,35 +1471,105 @@ class ExportController
             'include_database' => isset($_POST['include_database']) ? (bool) $_POST['include_database'] : false,
             'split_size' => isset($_POST['split_size']) ? (int) $_POST['split_size'] : 100,
             'files_per_step' => isset($_POST['files_per_step']) ? (int) $_POST['files_per_step'] : 50,
+            'batch_mode' => $validated_post['batch_mode'],
             'db_export_mode' => isset($_POST['db_export_mode']) ? sanitize_text_field($_POST['db_export_mode']) : 'optimized',
             'db_rows_per_step' => isset($_POST['db_rows_per_step']) ? (int) $_POST['db_rows_per_step'] : 5000,
-            'exclude_patterns' => [
-                '*.log',
-                '*/cache/*',
-                '*/wp-easy-migrate/*'
-            ]
+            'db_excluded_tables' => $validated_post['db_excluded_tables'],
+            'db_structure_only_tables' => array_values(array_diff(
+                $validated_post['db_structure_only_tables'],
+                $validated_post['db_excluded_tables']
+            )),
+            'exclude_paths' => $validated_post['exclude_paths'],
+            'exclude_patterns' => array_values(array_unique(array_merge(
+                self::DEFAULT_EXCLUDE_PATTERNS,
+                $validated_post['exclude_patterns'],
+                array_map(function ($path) {
+                    return $path . '/*';
+                }, $validated_post['exclude_paths'])
+            )))
         ];
     }
 
     /**
-     * Get step message for UI
+     * Get the directory behind a top-level folder of the folder picker
      * 
-     * @param string $step Step name
-     * @return string Step message
-     */
-    private function get_step_message(string $step): string
-    {
-        $messages = [
-            'prepare_export' => __('Preparing export...', 'wp-easy-migrate'),
-            'scan_files' => __('Scanning files...', 'wp-easy-migrate'),
-            'export_database' => __('Exporting database...', 'wp-easy-migrate'),
-            'archive_files' => __('Archiving files...', 'wp-easy-migrate'),
-            'create_manifest' => __('Creating manifest...', 'wp-easy-migrate'),
-            'split_archive' => __('Splitting archive...', 'wp-easy-migrate'),
-            'finalize_export' => __('Finalizing export...', 'wp-easy-migrate')
-        ];
+     * @param string $type uploads, plugins or themes
+     * @return string Directory path, empty if the type is unknown
+     */
+    private function get_tree_root(string $type): string
+    {
+        switch ($type) {
+            case 'uploads':
+                return wp_upload_dir()['basedir'];
+            case 'plugins':
+                return WP_PLUGIN_DIR;
+            case 'themes':
+                return get_theme_root();
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the directory behind a folder picker path
+      
+     * @param string $path Normalized path such as "uploads/2024"
+     * @return string|null Directory, null if it resolves outside its top-level folder
+     */
+    private function resolve_tree_path(string $path): ?string
+    {
+        list($type, $sub_path) = array_pad(explode('/', $path, 2), 2, '');
+        $root_dir = realpath($this->get_tree_root($type));
+        $directory = realpath($root_dir . '/' . $sub_path);
 
-        return $messages[$step] ?? __('Processing...', 'wp-easy-migrate');
+        // Reject anything that resolves outside the root, e.g. through a symlink
+        if (!$root_dir || !$directory || strpos($directory . '/', $root_dir . '/') !== 0) {
+            return null;
+        }
+
+        return $directory;
+    }
+
+    /**
+     * Normalize a folder picker path such as "uploads/2024/cache"
+     * 
+     * @param mixed $path Path from the request
+     * @return string|null Normalized path, null if it is not allowed
+     */
+    private function validate_tree_path($path): ?string
+    {
+        if (!is_string($path)) {
+            return null;
+        }
+
+        $segments = array_values(array_filter(explode('/', str_replace('\\', '/', $path)), 'strlen'));
+
+        if (empty($segments) || !in_array($segments[0], ['uploads', 'plugins', 'themes'], true)) {
+            return null;
+        }
+
+        foreach ($segments as $segment) {
+            if ($segment === '.' || $segment === '..' || preg_match('/[\x00-\x1F\x7F]/', $segment)) {
+                return null;
+            }
+        }
+
+        return implode('/', $segments);
+    }
+
+    /**
+     * Validate an export ID from the request
+     * 
+     * @param mixed $export_id Export ID
+     * @return string|null Export ID, null if invalid
+     */
+    private function validate_export_id($export_id): ?string
+    {
+        if (!is_string($export_id) || !preg_match('/^[a-zA-Z0-9_-]+$/', $export_id)) {
+            return null;
+        }
+
+        return $export_id;
     }
 
     /**
@@ -905,16 +1680,35 @@ class ExportController
             'include_database'  => isset($post['include_database']) ? (bool) $post['include_database'] : false,
             'split_size'        => isset($post['split_size']) ? (int) $post['split_size'] : 100,
             'files_per_step'    => isset($post['files_per_step']) ? (int) $post['files_per_step'] : 50,
+            'batch_mode'        => isset($post['batch_mode']) && $post['batch_mode'] === 'auto' ? 'auto' : 'fixed',
             'db_export_mode'    => isset($post['db_export_mode']) ? sanitize_text_field($post['db_export_mode']) : 'optimized',
             'db_rows_per_step'  => isset($post['db_rows_per_step']) ? (int) $post['db_rows_per_step'] : 5000,
-            'exclude_patterns'  => isset($post['exclude_patterns']) && is_array($post['exclude_patterns']) ? array_map('sanitize_text_field', $post['exclude_patterns']) : [
-                '*.log',
-                '*/cache/*',
-                '*/wp-easy-migrate/*'
-            ]
+            'db_excluded_tables' => $this->validate_table_names($post['db_excluded_tables'] ?? []),
+            'db_structure_only_tables' => $this->validate_table_names($post['db_structure_only_tables'] ?? []),
+            'exclude_paths'     => isset($post['exclude_paths']) && is_array($post['exclude_paths']) ? array_values(array_filter(array_map([$this, 'validate_tree_path'], wp_unslash($post['exclude_paths'])))) : [],
+            'exclude_patterns'  => isset($post['exclude_patterns']) && is_array($post['exclude_patterns']) ? array_values(array_filter(array_map('sanitize_text_field', wp_unslash($post['exclude_patterns'])), 'strlen')) : []
         ];
     }
 
+    /**
+     * Keep only names of tables that exist in the database
+     *
+     * @param mixed $tables Table names from the request
+     * @return array Existing table names
+     */
+    private function validate_table_names($tables): array
+    {
+        global $wpdb;
+
+        if (!is_array($tables) || empty($tables)) {
+            return [];
+        }
+
+        $tables = array_map('sanitize_text_field', wp_unslash($tables));
+
+        return array_values(array_intersect($wpdb->get_col("SHOW TABLES"), $tables));
+    }
+
     /**
      * Helper methods
      */
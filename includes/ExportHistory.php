@@ -0,0 +1,412 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * ExportHistory Class
+ *
+ * Lists the finished exports in the plugin's export directory, and deletes,
+ * verifies and prunes them. An export is the group of files that share its
+ * export ID: the archive or its parts, the parts manifest and the standalone
+ * manifest.
+ */
+class ExportHistory
+{
+
+    /**
+     * Option key for the retention policy
+     */
+    const RETENTION_OPTION = 'wp_easy_migrate_export_retention';
+
+    /**
+     * Files that belong to an export, the first group is the export ID
+     */
+    const FILE_PATTERN = '/^wp-export-([a-zA-Z0-9_-]+?)(\.part(\d+)\.zip|\.zip|-manifest\.json|\.parts\.json)$/';
+
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * Archiver instance
+     */
+    private $archiver;
+
+    /**
+     * Export directory
+     */
+    private $exports_dir;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        $this->logger = new Logger();
+        $this->archiver = new Archiver();
+        $this->exports_dir = WP_EASY_MIGRATE_UPLOADS_DIR . 'exports/';
+    }
+
+    /**
+     * Get all finished exports, newest first
+     *
+     * @return array Export descriptions
+     */
+    public function get_exports(): array
+    {
+        $exports = [];
+
+        foreach ($this->scan() as $export_id => $files) {
+            $exports[] = $this->describe($export_id, $files);
+        }
+
+        usort($exports, function ($a, $b) {
+            return $b['created'] <=> $a['created'];
+        });
+
+        return $exports;
+    }
+
+    /**
+     * Get a finished export
+     *
+     * @param string $export_id Export ID
+     * @return array|null Export description, null if not found
+     */
+    public function get_export(string $export_id): ?array
+    {
+        $groups = $this->scan();
+
+        return isset($groups[$export_id]) ? $this->describe($export_id, $groups[$export_id]) : null;
+    }
+
+    /**
+     * Get the paths of the archive files of an export, in part order
+     *
+     * @param string $export_id Export ID
+     * @return array Archive paths, empty if not found
+     */
+    public function get_archive_paths(string $export_id): array
+    {
+        $export = $this->get_export($export_id);
+
+        if (!$export) {
+            return [];
+        }
+
+        return array_map(function ($file) {
+            return $this->exports_dir . $file['name'];
+        }, $export['files']);
+    }
+
+    /**
+     * Delete an export
+     *
+     * @param string $export_id Export ID
+     * @return array Names of the removed files
+     * @throws \Exception If the export does not exist or a file cannot be deleted
+     */
+    public function delete_export(string $export_id): array
+    {
+        $groups = $this->scan();
+
+        if (!isset($groups[$export_id])) {
+            throw new \Exception(__('Export not found', 'wp-easy-migrate'));
+        }
+
+        $removed = [];
+        $errors = [];
+
+        foreach ($groups[$export_id] as $file_name) {
+            if (unlink($this->exports_dir . $file_name)) {
+                $removed[] = $file_name;
+            } else {
+                $error = error_get_last();
+                $errors[] = $file_name . ': ' . ($error['message'] ?? __('unknown error', 'wp-easy-migrate'));
+            }
+        }
+
+        $this->logger->log("Export deleted: {$export_id}, removed " . count($removed) . " file(s)", 'info');
+
+        if ($errors) {
+            throw new \Exception(sprintf(__('Some files of the export could not be deleted: %s', 'wp-easy-migrate'), implode('; ', $errors)));
+        }
+
+        return $removed;
+    }
+
+    /**
+     * Check that the files of an export are intact
+     *
+     * @param string $export_id Export ID
+     * @return array Result with valid and a list of checks (label, passed, message)
+     * @throws \Exception If the export does not exist
+     */
+    public function verify_export(string $export_id): array
+    {
+        $export = $this->get_export($export_id);
+
+        if (!$export) {
+            throw new \Exception(__('Export not found', 'wp-easy-migrate'));
+        }
+
+        $checks = [];
+        $paths = $this->get_archive_paths($export_id);
+
+        if (empty($paths)) {
+            $checks[] = $this->check(__('Archive', 'wp-easy-migrate'), false, __('No archive files found', 'wp-easy-migrate'));
+        } elseif (count($paths) > 1) {
+            $parts_manifest = $this->archiver->read_parts_manifest($paths);
+            $manifest = $this->read_manifest($export_id);
+
+            if (!$parts_manifest && $manifest && !empty($manifest['archive_parts'])) {
+                $parts_manifest = $manifest['archive_parts'];
+            }
+
+            if (!$parts_manifest) {
+                $checks[] = $this->check(__('Checksums', 'wp-easy-migrate'), false, __('No parts manifest found, the parts cannot be verified', 'wp-easy-migrate'));
+            } else {
+                $errors = $this->archiver->get_part_errors($paths, $parts_manifest);
+
+                $checks[] = $this->check(
+                    __('Parts', 'wp-easy-migrate'),
+                    empty($errors),
+                    $errors ? implode('; ', $errors) : sprintf(__('All %d parts present with the expected sizes', 'wp-easy-migrate'), count($paths))
+                );
+
+                if (empty($errors)) {
+                    $errors = $this->archiver->get_part_checksum_errors($paths, $parts_manifest);
+
+                    $checks[] = $this->check(
+                        __('Checksums', 'wp-easy-migrate'),
+                        empty($errors),
+                        $errors ? implode('; ', $errors) : __('All part checksums match', 'wp-easy-migrate')
+                    );
+                }
+            }
+        } else {
+            $zip = new \ZipArchive();
+            $result = $zip->open($paths[0], \ZipArchive::CHECKCONS);
+
+            if ($result !== true) {
+                $checks[] = $this->check(__('Archive', 'wp-easy-migrate'), false, sprintf(__('The archive is damaged (error %d)', 'wp-easy-migrate'), $result));
+            } else {
+                $checks[] = $this->check(__('Archive', 'wp-easy-migrate'), true, sprintf(__('%d entries, structure intact', 'wp-easy-migrate'), $zip->numFiles));
+
+                $has_manifest = $zip->locateName('manifest.json') !== false;
+                $checks[] = $this->check(
+                    __('Manifest', 'wp-easy-migrate'),
+                    $has_manifest,
+                    $has_manifest ? __('manifest.json found in the archive', 'wp-easy-migrate') : __('manifest.json is missing from the archive', 'wp-easy-migrate')
+                );
+
+                $zip->close();
+            }
+        }
+
+        $valid = !in_array(false, array_column($checks, 'passed'), true);
+
+        $this->logger->log("Export verified: {$export_id} - " . ($valid ? 'intact' : 'problems found'), $valid ? 'info' : 'warning');
+
+        return [
+            'valid' => $valid,
+            'checks' => $checks
+        ];
+    }
+
+    /**
+     * Get the retention policy
+     *
+     * @return array max_count and max_age_days, 0 means no limit
+     */
+    public function get_retention(): array
+    {
+        $retention = get_option(self::RETENTION_OPTION, []);
+
+        return [
+            'max_count' => max(0, (int) ($retention['max_count'] ?? 0)),
+            'max_age_days' => max(0, (int) ($retention['max_age_days'] ?? 0))
+        ];
+    }
+
+    /**
+     * Save the retention policy
+     *
+     * @param int $max_count Number of exports to keep, 0 for no limit
+     * @param int $max_age_days Days to keep exports, 0 for no limit
+     */
+    public function set_retention(int $max_count, int $max_age_days): void
+    {
+        update_option(self::RETENTION_OPTION, [
+            'max_count' => max(0, $max_count),
+            'max_age_days' => max(0, $max_age_days)
+        ], false);
+    }
+
+    /**
+     * Delete exports the retention policy no longer keeps
+     *
+     * @return array IDs of the deleted exports
+     */
+    public function apply_retention(): array
+    {
+        $retention = $this->get_retention();
+
+        if (!$retention['max_count'] && !$retention['max_age_days']) {
+            return [];
+        }
+
+        $cutoff = $retention['max_age_days'] ? time() - $retention['max_age_days'] * DAY_IN_SECONDS : 0;
+        $deleted = [];
+
+        foreach ($this->get_exports() as $index => $export) {
+            $too_many = $retention['max_count'] && $index >= $retention['max_count'];
+            $too_old = $cutoff && $export['created'] < $cutoff;
+
+            if (!$too_many && !$too_old) {
+                continue;
+            }
+
+            try {
+                $this->delete_export($export['id']);
+                $deleted[] = $export['id'];
+            } catch (\Exception $e) {
+                $this->logger->log("Retention could not delete export {$export['id']}: " . $e->getMessage(), 'warning');
+            }
+        }
+
+        if ($deleted) {
+            $this->logger->log('Export retention removed ' . count($deleted) . ' export(s): ' . implode(', ', $deleted), 'info');
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Group the files in the export directory by export ID
+     *
+     * The export that is still running is left out, its files are incomplete.
+     *
+     * @return array File names by export ID
+     */
+    private function scan(): array
+    {
+        $groups = [];
+
+        if (!is_dir($this->exports_dir)) {
+            return $groups;
+        }
+
+        $session = new ExportSession();
+        $running_id = $session->is_in_progress() ? $session->get_export_id() : null;
+
+        foreach (scandir($this->exports_dir) as $file_name) {
+            if (!preg_match(self::FILE_PATTERN, $file_name, $matches) || !is_file($this->exports_dir . $file_name)) {
+                continue;
+            }
+
+            if ($matches[1] === $running_id) {
+                continue;
+            }
+
+            $groups[$matches[1]][] = $file_name;
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Describe an export for the history list
+     *
+     * @param string $export_id Export ID
+     * @param array $files File names of the export
+     * @return array Export description
+     */
+    private function describe(string $export_id, array $files): array
+    {
+        $archives = [];
+        $manifest_file = null;
+
+        foreach ($files as $file_name) {
+            preg_match(self::FILE_PATTERN, $file_name, $matches);
+
+            if ($matches[2] === '-manifest.json') {
+                $manifest_file = $file_name;
+            } elseif ($matches[2] !== '.parts.json') {
+                $archives[(int) ($matches[3] ?? 0)] = [
+                    'name' => $file_name,
+                    'size' => (int) filesize($this->exports_dir . $file_name)
+                ];
+            }
+        }
+
+        ksort($archives);
+        $archives = array_values($archives);
+
+        $manifest = $this->read_manifest($export_id);
+        $options = $manifest['export_info']['options'] ?? [];
+        $components = [];
+
+        foreach (['database', 'uploads', 'plugins', 'themes'] as $component) {
+            if (!empty($options['include_' . $component])) {
+                $components[] = $component;
+            }
+        }
+
+        $created_file = $manifest_file ?: ($archives[0]['name'] ?? $files[0]);
+        $created = (int) filemtime($this->exports_dir . $created_file);
+
+        return [
+            'id' => $export_id,
+            'created' => $created,
+            'created_formatted' => wp_date(get_option('date_format') . ' ' . get_option('time_format'), $created),
+            'size' => array_sum(array_column($archives, 'size')),
+            'part_count' => count($archives),
+            'files' => $archives,
+            'manifest_file' => $manifest_file,
+            'components' => $components,
+            'source' => $manifest ? [
+                'url' => $manifest['site_info']['url'] ?? '',
+                'name' => $manifest['site_info']['name'] ?? '',
+                'wp_version' => $manifest['site_info']['wp_version'] ?? ''
+            ] : null
+        ];
+    }
+
+    /**
+     * Read the standalone manifest of an export
+     *
+     * @param string $export_id Export ID
+     * @return array|null Manifest data, null if missing or invalid
+     */
+    private function read_manifest(string $export_id): ?array
+    {
+        $path = $this->exports_dir . "wp-export-{$export_id}-manifest.json";
+
+        if (!file_exists($path)) {
+            return null;
+        }
+
+        $manifest = json_decode(file_get_contents($path), true);
+
+        return is_array($manifest) ? $manifest : null;
+    }
+
+    /**
+     * Build a verification check result
+     *
+     * @param string $label What was checked
+     * @param bool $passed Whether the check passed
+     * @param string $message Details
+     * @return array Check result
+     */
+    private function check(string $label, bool $passed, string $message): array
+    {
+        return [
+            'label' => $label,
+            'passed' => $passed,
+            'message' => $message
+        ];
+    }
+}
@@ -15,6 +15,11 @@ class ExportSession
      */
     const OPTION_KEY = 'wp_easy_migrate_export_session';
 
+    /**
+     * Transient key set while a step request is being processed
+     */
+    const STEP_RUNNING_KEY = 'wp_easy_migrate_export_step_running';
+
     /**
      * Export steps
      */
@@ -28,6 +33,19 @@ class ExportSession
         'finalize_export'
     ];
 
+    /**
+     * Seconds each step is assumed to take until exports on this site were timed
+     */
+    const DEFAULT_STEP_TIMES = [
+        'prepare_export' => 1,
+        'scan_files' => 5,
+        'export_database' => 30,
+        'archive_files' => 90,
+        'create_manifest' => 1,
+        'split_archive' => 10,
+        'finalize_export' => 1
+    ];
+
     /**
      * Session data
      */
@@ -102,6 +120,11 @@ class ExportSession
             'started_at' => current_time('mysql'),
             'last_updated' => current_time('mysql'),
             'step_data' => [],
+            // Seconds each step took so far, and the seconds it was expected to take
+            'step_times' => [],
+            'step_weights' => [],
+            // Seconds the requests of the current step took so far
+            'step_runtime' => 0,
             // File-by-file archiving data
             'file_list' => [],
             'file_sizes' => [],
@@ -146,6 +169,7 @@ class ExportSession
 
         $this->data['export_id'] = $export_id;
         $this->data['export_dir'] = $export_dir;
+        $this->data['step_weights'] = (new StepTimes('export'))->get_weights(self::DEFAULT_STEP_TIMES);
         $this->data['options'] = wp_parse_args($options, [
             'include_uploads' => true,
             'include_plugins' => true,
@@ -153,8 +177,12 @@ class ExportSession
             'include_database' => true,
             'split_size' => 100,
             'files_per_step' => 100,
+            'batch_mode' => 'fixed',
             'db_export_mode' => 'ultra', // Use ultra-optimized by default
             'db_rows_per_step' => 15000,
+            'db_excluded_tables' => [],
+            'db_structure_only_tables' => [],
+            'exclude_paths' => [],
             'exclude_patterns' => [
                 '*.log',
                 '*/cache/*',
@@ -200,13 +228,135 @@ class ExportSession
     }
 
     /**
-     * Update progress based on current step
+     * Update progress from the weights of the finished steps
+     * 
+     * @param float $step_progress Share of the current step that is done, from 0 to 1
      */
-    private function update_progress(): void
+    private function update_progress(float $step_progress = 0): void
     {
-        $total_steps = count(self::STEPS);
-        $current_index = $this->data['step_index'];
-        $this->data['progress'] = round(($current_index / $total_steps) * 100);
+        $plan = $this->get_step_plan();
+        $total = array_sum(array_column($plan, 'weight'));
+        $done = 0;
+
+        foreach ($plan as $index => $step) {
+            if ($index < $this->data['step_index']) {
+                $done += $step['weight'];
+            } elseif ($index === $this->data['step_index']) {
+                $done += $step['weight'] * max(0, min(1, $step_progress));
+            }
+        }
+
+        $this->data['progress'] = $total > 0 ? (int) floor($done / $total * 100) : 0;
+    }
+
+    /**
+     * Add the time a request took to the current step
+     * 
+     * @param float $seconds Runtime of the request
+     */
+    public function add_request_time(float $seconds): void
+    {
+        $this->data['step_runtime'] = ($this->data['step_runtime'] ?? 0) + $seconds;
+        $this->save();
+    }
+
+    /**
+     * Get the time the requests of the current step took so far
+     * 
+     * @return float Seconds
+     */
+    public function get_step_runtime(): float
+    {
+        return $this->data['step_runtime'] ?? 0;
+    }
+
+    /**
+     * Record the time a finished step took
+     * 
+     * Once the export has finished, the step times go into the averages that
+     * later exports are weighted by.
+     * 
+     * @param string $step Step that finished
+     * @param float $seconds Runtime of all its requests
+     */
+    public function add_step_time(string $step, float $seconds): void
+    {
+        $this->data['step_times'][$step] = ($this->data['step_times'][$step] ?? 0) + $seconds;
+        $this->data['step_runtime'] = 0;
+
+        if ($this->data['completed'] && empty($this->data['error'])) {
+            (new StepTimes('export'))->record(array_diff_key($this->data['step_times'], array_filter($this->get_skipped_steps())));
+        }
+
+        $this->save();
+    }
+
+    /**
+     * Get the steps that have nothing to do for the chosen options
+     * 
+     * @return array Whether each step is skipped, by step
+     */
+    private function get_skipped_steps(): array
+    {
+        $options = $this->data['options'];
+        $includes_files = ($options['include_uploads'] ?? true) || ($options['include_plugins'] ?? true) || ($options['include_themes'] ?? true);
+
+        return [
+            'scan_files' => !$includes_files,
+            'export_database' => !($options['include_database'] ?? true),
+            'split_archive' => (int) ($options['split_size'] ?? 100) <= 0
+        ];
+    }
+
+    /**
+     * Get the steps of this export in order
+     * 
+     * Each step weighs the seconds it took on average in earlier exports.
+     * Steps that have nothing to do for the chosen options keep their place
+     * but weigh nothing.
+     * 
+     * @return array Steps with step, label, message and weight
+     */
+    public function get_step_plan(): array
+    {
+        $skipped = $this->get_skipped_steps();
+        $labels = [
+            'prepare_export' => [__('Prepare Export', 'wp-easy-migrate'), __('Preparing export...', 'wp-easy-migrate')],
+            'scan_files' => [__('Scan Files', 'wp-easy-migrate'), __('Scanning files...', 'wp-easy-migrate')],
+            'export_database' => [__('Export Database', 'wp-easy-migrate'), __('Exporting database...', 'wp-easy-migrate')],
+            'archive_files' => [__('Archive Files', 'wp-easy-migrate'), __('Archiving files...', 'wp-easy-migrate')],
+            'create_manifest' => [__('Create Manifest', 'wp-easy-migrate'), __('Creating manifest...', 'wp-easy-migrate')],
+            'split_archive' => [__('Split Archive', 'wp-easy-migrate'), __('Splitting archive...', 'wp-easy-migrate')],
+            'finalize_export' => [__('Finalize Export', 'wp-easy-migrate'), __('Finalizing export...', 'wp-easy-migrate')]
+        ];
+        $plan = [];
+
+        foreach (self::STEPS as $step) {
+            $plan[] = [
+                'step' => $step,
+                'label' => $labels[$step][0],
+                'message' => $labels[$step][1],
+                'weight' => empty($skipped[$step]) ? (float) ($this->data['step_weights'][$step] ?? self::DEFAULT_STEP_TIMES[$step]) : 0
+            ];
+        }
+
+        return $plan;
+    }
+
+    /**
+     * Get the message for the current step
+     * 
+     * @return string Step message
+     */
+    public function get_step_message(): string
+    {
+        foreach ($this->get_step_plan() as $step) {
+            if ($step['step'] === $this->data['current_step']) {
+                return $step['message'];
+            }
+        }
+
+        return __('Processing...', 'wp-easy-migrate');
     }
 
     /**
@@ -242,6 +392,42 @@ class ExportSession
         return $this->data['completed'];
     }
 
+    /**
+     * Check if an export has been started and is still running
+     * 
+     * @return bool True if an export is in progress
+     */
+    public function is_in_progress(): bool
+    {
+        return !empty($this->data['export_id']) && $this->is_active();
+    }
+
+    /**
+     * Flag that a step request is being processed
+     * 
+     * The flag is cleared when the request ends, including when it dies or
+     * times out, and expires on its own as a fallback.
+     */
+    public function mark_step_running(): void
+    {
+        $max_execution_time = (int) ini_get('max_execution_time');
+        set_transient(self::STEP_RUNNING_KEY, time(), $max_execution_time > 0 ? $max_execution_time + 30 : 300);
+
+        register_shutdown_function(function () {
+            delete_transient(self::STEP_RUNNING_KEY);
+        });
+    }
+
+    /**
+     * Check if a step request is currently being processed
+     * 
+     * @return bool True if a step is running
+     */
+    public function is_step_running(): bool
+    {
+        return (bool) get_transient(self::STEP_RUNNING_KEY);
+    }
+
     /**
      * Check if session has error
      * 
@@ -252,6 +438,16 @@ class ExportSession
         return !empty($this->data['error']);
     }
 
+    /**
+     * Get session ID
+     * 
+     * @return string Session ID
+     */
+    public function get_session_id(): string
+    {
+        return $this->data['session_id'];
+    }
+
     /**
      * Get current step
      * 
@@ -548,7 +744,7 @@ class ExportSession
 
         // Update progress
         if ($this->data['total_files'] > 0) {
-            $this->data['progress'] = round(($this->data['current_index'] / $this->data['total_files']) * 100);
+            $this->update_progress($this->data['current_index'] / $this->data['total_files']);
         }
 
         // Update estimated size remaining
@@ -957,6 +1153,7 @@ class ExportSession
             $this->next_table();
         }
 
+        $this->update_progress($this->get_database_export_progress() / 100);
         $this->save();
     }
 
@@ -979,6 +1176,7 @@ class ExportSession
             $this->data['current_table'] = null;
         }
 
+        $this->update_progress($this->get_database_export_progress() / 100);
         $this->save();
     }
 
@@ -1093,6 +1291,16 @@ class ExportSession
         $this->save();
     }
 
+    /**
+     * Check if batch sizes are tuned from step timings
+     * 
+     * @return bool True in auto batch mode
+     */
+    public function is_auto_batch_mode(): bool
+    {
+        return ($this->data['options']['batch_mode'] ?? 'fixed') === 'auto';
+    }
+
     /**
      * Increment current index by batch size and update progress
      * 
@@ -1113,7 +1321,7 @@ class ExportSession
 
         // Update progress
         if ($this->data['total_files'] > 0) {
-            $this->data['progress'] = round(($this->data['current_index'] / $this->data['total_files']) * 100);
+            $this->update_progress($this->data['current_index'] / $this->data['total_files']);
         }
 
         // Update estimated size remaining
@@ -1135,6 +1343,11 @@ class ExportSession
         $start_index = $this->data['current_index'];
         $base_batch_size = $this->data['files_per_step'];
 
+        // Auto mode sizes batches from measured step times instead
+        if ($this->is_auto_batch_mode()) {
+            return array_slice($this->data['file_list'], $start_index, $base_batch_size);
+        }
+
         // Adaptive batch sizing based on file sizes
         $adaptive_batch_size = $this->get_adaptive_batch_size($start_index, $base_batch_size);
 
@@ -1230,6 +1443,7 @@ class ExportSession
 
         // Add batch processing info
         $status['batch_processing'] = [
+            'batch_mode' => $this->is_auto_batch_mode() ? 'auto' : 'fixed',
             'files_per_step' => $this->data['files_per_step'] ?? 50,
             'db_rows_per_step' => $this->data['db_rows_per_step'] ?? 5000
         ];
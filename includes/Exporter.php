@@ -120,7 +120,7 @@ class Exporter
             }
 
             if ($options['include_plugins']) {
-                $plugins_file = $this->fileArchiver->archivePlugins($current_export_dir);
+                $plugins_file = $this->fileArchiver->archivePlugins($current_export_dir, $options['exclude_patterns']);
                 if ($plugins_file) {
                     $files_exported['plugins'] = $plugins_file;
                     $this->logger->log("Plugins exported: {$plugins_file}", 'info');
@@ -128,7 +128,7 @@ class Exporter
             }
 
             if ($options['include_themes']) {
-                $themes_file = $this->fileArchiver->archiveThemes($current_export_dir);
+                $themes_file = $this->fileArchiver->archiveThemes($current_export_dir, $options['exclude_patterns']);
                 if ($themes_file) {
                     $files_exported['themes'] = $themes_file;
                     $this->logger->log("Themes exported: {$themes_file}", 'info');
@@ -14,7 +14,7 @@ class HybridDatabaseImporter
     /**
      * Import database using best available method
      */
-    public function import(string $db_file): bool
+    public function import(string $db_file, array $database_info = []): bool
     {
         if (!file_exists($db_file)) {
             throw new \Exception("Database file not found: {$db_file}");
@@ -22,9 +22,41 @@ class HybridDatabaseImporter
 
         // Check if mysql command is available for fast import
         if ($this->isMysqlAvailable()) {
-            return $this->importWithMysql($db_file);
+            $result = $this->importWithMysql($db_file);
         } else {
-            return $this->importWithPHP($db_file);
+            $result = $this->importWithPHP($db_file);
+        }
+
+        if ($result && !empty($database_info)) {
+            $this->verifyTables($database_info);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Check the imported tables against the table selection in the manifest
+     */
+    private function verifyTables(array $database_info): void
+    {
+        global $wpdb;
+
+        if (!empty($database_info['excluded_tables'])) {
+            $this->logger->log('Tables excluded from export, left as they were: ' . implode(', ', $database_info['excluded_tables']), 'info');
+        }
+
+        if (!empty($database_info['structure_only_tables'])) {
+            $this->logger->log('Tables exported without rows: ' . implode(', ', $database_info['structure_only_tables']), 'info');
+        }
+
+        if (empty($database_info['tables'])) {
+            return;
+        }
+
+        $missing = array_diff($database_info['tables'], $wpdb->get_col("SHOW TABLES"));
+
+        if (!empty($missing)) {
+            throw new \Exception('Tables missing after database import: ' . implode(', ', $missing));
         }
     }
 
@@ -9,169 +9,1518 @@ namespace WPEasyMigrate;
  */
 class ImportController
 {
+    /**
+     * Maximum size of a single upload chunk in bytes (2MB)
+     */
+    const UPLOAD_CHUNK_SIZE = 2097152;
+
+    /**
+     * Most search/replace pairs an import accepts
+     */
+    const MAX_REPLACE_PAIRS = 20;
+
     /**
      * Logger instance
      */
     private $logger;
 
-    /**
-     * Importer instance
-     */
-    private $importer;
+    /**
+     * Importer instance
+     */
+    private $importer;
+
+    /**
+     * Archiver instance
+     */
+    private $archiver;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        $this->logger = new Logger();
+        $this->importer = new Importer();
+        $this->archiver = new Archiver();
+    }
+
+    /**
+     * Handle import step AJAX request
+     */
+    public function handle_import_step(): void
+    {
+        // Verify nonce and permissions
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        try {
+            $session = new ImportSession();
+            $lock = new MigrationLock();
+            $lock_token = MigrationLock::get_request_token();
+
+            // Check if this is a new import
+            if (isset($_POST['start_import'])) {
+                // Check the URLs before anything is locked or reset
+                $remote_download = null;
+                if (!empty($_POST['remote_urls']) && is_array($_POST['remote_urls'])) {
+                    $remote_download = $this->prepare_remote_download(wp_unslash($_POST['remote_urls']));
+                }
+
+                if (!$lock->acquire('import', $lock_token)) {
+                    wp_send_json_error($lock->get_error_data($lock_token));
+                    return;
+                }
+
+                $session->start();
+
+                if (!empty($_POST['upload_ids']) && is_array($_POST['upload_ids'])) {
+                    $upload_ids = array_filter(array_map([$this, 'sanitize_upload_id'], $_POST['upload_ids']));
+                    $session->set_upload_ids($upload_ids);
+                }
+
+                // Import of an export that is still in the export directory
+                if (!empty($_POST['export_id'])) {
+                    $session->set_source_export_id(preg_replace('/[^a-zA-Z0-9_-]/', '', wp_unslash($_POST['export_id'])));
+                }
+
+                // Import of an archive copied to the imports directory
+                if (!empty($_POST['server_archive'])) {
+                    $session->set_server_archive((string) wp_unslash($_POST['server_archive']));
+                }
+
+                // Import of an archive the server downloads first
+                if ($remote_download) {
+                    $session->set_remote_download($remote_download);
+                }
+
+                // Restore of the site as it was before an earlier import
+                if (!empty($_POST['rollback_backup'])) {
+                    $session->set_rollback_backup(sanitize_file_name(wp_unslash($_POST['rollback_backup'])));
+                }
+
+                $this->logger->log('New import session started', 'info');
+            }
+
+            // Check for current session state
+            if ($session->is_completed()) {
+                $lock->release($lock_token);
+                wp_send_json_success([
+                    'message' => __('Import completed successfully!', 'wp-easy-migrate'),
+                    'status' => $session->get_status(),
+                    'completed' => true
+                ]);
+                return;
+            }
+
+            if ($session->get_error()) {
+                $lock->release($lock_token);
+                wp_send_json_error([
+                    'message' => $session->get_error(),
+                    'status' => $session->get_status()
+                ]);
+                return;
+            }
+
+            // Only the tab that started the import may run its steps
+            if (!$lock->check('import', $lock_token, $session->get_session_id())) {
+                wp_send_json_error($lock->get_error_data($lock_token));
+                return;
+            }
+
+            // Nothing is replaced until the preview has been confirmed
+            if ($session->is_awaiting_confirmation()) {
+                wp_send_json_success($this->add_step_plan([
+                    'message' => $this->get_session_message($session),
+                    'status' => $session->get_status()
+                ], $session));
+                return;
+            }
+
+            // Execute current step
+            $step = $session->get_current_step();
+            $step_start = microtime(true);
+
+            $session->mark_step_running();
+            $this->execute_step($session);
+            $session->add_step_time($step, microtime(true) - $step_start);
+
+            if ($session->is_completed() || $session->get_error()) {
+                $lock->release($lock_token);
+            }
+
+            // Return status
+            wp_send_json_success($this->add_step_plan([
+                'message' => $this->get_session_message($session),
+                'status' => $session->get_status()
+            ], $session));
+        } catch (\Exception $e) {
+            $this->logger->log("Import step error: " . $e->getMessage(), 'error');
+
+            $data = ['message' => $e->getMessage()];
+
+            // Failures recorded in the session are final, retrying cannot help
+            if (isset($session) && $session->get_error()) {
+                $data['status'] = $session->get_status();
+                $lock->release($lock_token);
+            }
+
+            wp_send_json_error($data);
+        }
+    }
+
+    /**
+     * Execute current import step
+     * 
+     * @param ImportSession $session Import session
+     * @throws \Exception
+     */
+    private function execute_step(ImportSession $session): void
+    {
+        $step = $session->get_current_step();
+        $this->logger->log("Executing import step: {$step}", 'info');
+
+        switch ($step) {
+            case 'upload_file':
+                // Downloads from URLs stay on this step until every file is in
+                if (!$this->handle_file_upload($session)) {
+                    return;
+                }
+                break;
+
+            case 'assemble_archive':
+                $this->assemble_archive($session);
+                break;
+
+            case 'extract_archive':
+                $this->extract_archive($session);
+                break;
+
+            case 'validate_manifest':
+                $this->validate_manifest($session);
+                break;
+
+            case 'backup_current_site':
+                $this->backup_current_site($session);
+                break;
+
+            case 'import_database':
+                $this->import_database($session);
+                break;
+
+            case 'import_files':
+                $this->import_files($session);
+                break;
+
+            case 'update_urls':
+                // Large databases take several steps
+                if (!$this->update_urls($session)) {
+                    return;
+                }
+                break;
+
+            case 'cleanup':
+                $this->cleanup($session);
+                break;
+
+            default:
+                throw new \Exception("Unknown import step: {$step}");
+        }
+
+        // Move to next step
+        $session->next_step();
+    }
+
+    /**
+     * Handle file upload
+     * 
+     * @param ImportSession $session Import session
+     * @return bool True once the archive is in place
+     * @throws \Exception
+     */
+    private function handle_file_upload(ImportSession $session): bool
+    {
+        // Archives sent in chunks are already on disk, only move them into place
+        if ($session->get_upload_ids()) {
+            $this->finalize_chunked_uploads($session);
+            return true;
+        }
+
+        if ($session->get_source_export_id()) {
+            $this->use_existing_export($session);
+            return true;
+        }
+
+        if ($session->get_server_archive()) {
+            $this->use_server_archive($session);
+            return true;
+        }
+
+        if ($session->get_rollback_backup()) {
+            $this->use_rollback_backup($session);
+            return true;
+        }
+
+        if ($session->get_remote_download()) {
+            return $this->download_remote_files($session);
+        }
+
+        if (!isset($_FILES['import_file'])) {
+            throw new \Exception(__('No file uploaded', 'wp-easy-migrate'));
+        }
+
+        $file_data = $_FILES['import_file'];
+
+        if (!isset($file_data['tmp_name']) || !is_uploaded_file($file_data['tmp_name'])) {
+            throw new \Exception(__('Invalid file upload', 'wp-easy-migrate'));
+        }
+
+        if ($file_data['error'] !== UPLOAD_ERR_OK) {
+            throw new \Exception(__('File upload error: ', 'wp-easy-migrate') . $file_data['error']);
+        }
+
+        $upload_dir = wp_upload_dir();
+        $target_dir = $upload_dir['basedir'] . '/wp-easy-migrate/imports/';
+        wp_mkdir_p($target_dir);
+
+        $filename = sanitize_file_name($file_data['name']);
+        $target_path = $target_dir . $filename;
+
+        if (!move_uploaded_file($file_data['tmp_name'], $target_path)) {
+            throw new \Exception(__('Failed to move uploaded file', 'wp-easy-migrate'));
+        }
+
+        $session->set_archive_path($target_path);
+        $session->set_current_operation("Uploaded: {$filename}");
+
+        $this->logger->log("File uploaded: {$target_path}", 'info');
+
+        return true;
+    }
+
+    /**
+     * Handle import status AJAX request
+     *
+     * Lets the import screen pick up an import that is still running after
+     * the page was reloaded.
+     */
+    public function handle_import_status(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        $session = new ImportSession();
+        $lock = (new MigrationLock())->describe(MigrationLock::get_request_token());
+
+        if (!$session->is_in_progress()) {
+            wp_send_json_success([
+                'in_progress' => false,
+                'lock' => $lock
+            ]);
+            return;
+        }
+
+        wp_send_json_success($this->add_step_plan([
+            'in_progress' => true,
+            'step_running' => $session->is_step_running(),
+            'message' => $this->get_session_message($session),
+            'status' => $session->get_status(),
+            'lock' => $lock
+        ], $session));
+    }
+
+    /**
+     * Add the step plan to a response for a screen that does not have it yet
+     * 
+     * Screens send the ID of the session whose plan they have, so the plan
+     * goes out once per session: with the first step, or to a screen that
+     * picks the import up later.
+     * 
+     * @param array $data Response data
+     * @param ImportSession $session Import session
+     * @return array Response data, with steps if the screen needs them
+     */
+    private function add_step_plan(array $data, ImportSession $session): array
+    {
+        $known = isset($_POST['steps_session']) ? sanitize_text_field(wp_unslash($_POST['steps_session'])) : '';
+
+        if ($known !== $session->get_session_id()) {
+            $data['steps'] = $session->get_step_plan();
+        }
+
+        return $data;
+    }
+
+    /**
+     * Handle import progress stream request
+     *
+     * Server-Sent Events alternative to polling for progress; steps are
+     * still driven by wpem_import_step requests.
+     */
+    public function handle_import_stream(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'), 403);
+        }
+
+        $stream = new ProgressStream();
+        $stream->run(ImportSession::OPTION_KEY, function () {
+            $session = new ImportSession();
+
+            if (!$session->is_in_progress()) {
+                return [
+                    'data' => ['in_progress' => false],
+                    'done' => true
+                ];
+            }
+
+            return [
+                'data' => [
+                    'in_progress' => true,
+                    'step_running' => $session->is_step_running(),
+                    'message' => $this->get_session_message($session),
+                    'status' => $session->get_status()
+                ],
+                'done' => false
+            ];
+        });
+    }
+
+    /**
+     * Handle import confirm AJAX request
+     *
+     * Lets an import continue past its preview once the domain of this site
+     * was typed in.
+     */
+    public function handle_import_confirm(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        $session = new ImportSession();
+        $lock = new MigrationLock();
+        $lock_token = MigrationLock::get_request_token();
+
+        if (!$session->is_in_progress() || !$session->is_awaiting_confirmation()) {
+            wp_send_json_error(['message' => __('No import is waiting for confirmation', 'wp-easy-migrate')]);
+            return;
+        }
+
+        // Only the tab that runs the import may confirm it
+        if (!$lock->check('import', $lock_token, $session->get_session_id())) {
+            wp_send_json_error($lock->get_error_data($lock_token));
+            return;
+        }
+
+        $confirmation = sanitize_text_field(wp_unslash($_POST['confirmation'] ?? ''));
+
+        if (!ImportPreview::is_confirmed($confirmation)) {
+            wp_send_json_error([
+                'message' => sprintf(__('Type %s to confirm the import', 'wp-easy-migrate'), ImportPreview::get_confirmation_text())
+            ]);
+            return;
+        }
+
+        $compatibility = $session->get_compatibility();
+
+        if (!empty($compatibility['warnings'])) {
+            if (empty($_POST['acknowledge_warnings'])) {
+                wp_send_json_error(['message' => __('Acknowledge the compatibility warnings to continue', 'wp-easy-migrate')]);
+                return;
+            }
+
+            $this->logger->log('Compatibility warnings acknowledged: ' . implode('; ', $compatibility['warnings']), 'warning');
+        }
+
+        // Components left unchecked in the preview are not restored
+        if (isset($_POST['components'])) {
+            $preview = $session->get_preview();
+            $components = array_values(array_intersect($preview['components'], array_map('sanitize_key', (array) wp_unslash($_POST['components']))));
+
+            if (empty($components)) {
+                wp_send_json_error(['message' => __('Choose at least one component to restore', 'wp-easy-migrate')]);
+                return;
+            }
+
+            $session->set_components($components);
+            $this->logger->log('Components chosen for restore: ' . implode(', ', $components), 'info');
+        }
+
+        if (isset($_POST['replacements'])) {
+            $this->set_replace_pairs($session, json_decode(wp_unslash($_POST['replacements']), true));
+        }
+
+        $session->confirm_preview();
+        $session->set_current_operation('Import confirmed');
+        $this->logger->log('Import confirmed by ' . wp_get_current_user()->user_login, 'info');
+
+        wp_send_json_success([
+            'message' => $this->get_session_message($session),
+            'status' => $session->get_status()
+        ]);
+    }
+
+    /**
+     * Use the search/replace pairs edited in the preview
+     *
+     * @param ImportSession $session Import session
+     * @param mixed $pairs Pairs with search and replace
+     */
+    private function set_replace_pairs(ImportSession $session, $pairs): void
+    {
+        $state = $session->get_search_replace();
+
+        if (!$state || !is_array($pairs)) {
+            return;
+        }
+
+        $state['pairs'] = [];
+
+        foreach (array_slice($pairs, 0, self::MAX_REPLACE_PAIRS) as $pair) {
+            $search = is_array($pair) && is_string($pair['search'] ?? null) ? $pair['search'] : '';
+            $replace = is_array($pair) && is_string($pair['replace'] ?? null) ? $pair['replace'] : '';
+
+            if ($search !== '' && $search !== $replace) {
+                $state['pairs'][] = ['search' => $search, 'replace' => $replace];
+            }
+        }
+
+        $session->set_search_replace($state);
+    }
+
+    /**
+     * Handle import cancel AJAX request
+     *
+     * Aborts the current import and removes its uploaded and extracted files.
+     * Uploads that were still in progress are passed in by the client, since
+     * the session only knows about them once the import has started.
+     * A pre-import backup is kept, since the site may already be changed.
+     */
+    public function handle_import_cancel(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        $upload_ids = isset($_POST['upload_ids']) && is_array($_POST['upload_ids'])
+            ? array_filter(array_map([$this, 'sanitize_upload_id'], $_POST['upload_ids']))
+            : [];
+
+        if (empty($_POST['cancel_session'])) {
+            $cleaned = $this->delete_chunked_uploads($upload_ids);
+            $this->logger->log("Import upload cancelled, removed " . count($cleaned) . " item(s)", 'info');
+
+            wp_send_json_success([
+                'message' => __('Import cancelled', 'wp-easy-migrate'),
+                'cleaned' => $cleaned,
+                'backup' => null
+            ]);
+            return;
+        }
+
+        $session = new ImportSession();
+
+        if (!$session->is_in_progress()) {
+            wp_send_json_error(['message' => __('No import in progress', 'wp-easy-migrate')]);
+            return;
+        }
+
+        // Files are still being written by a running step, cleaning up now would race it
+        if ($session->is_step_running()) {
+            wp_send_json_error([
+                'message' => __('Waiting for the current step to finish...', 'wp-easy-migrate'),
+                'retry' => true
+            ]);
+            return;
+        }
+
+        try {
+            $site_changed = array_search($session->get_current_step(), ImportSession::STEPS) > array_search('import_database', ImportSession::STEPS);
+            $kept_backup = $session->get_status()['backup'];
+            $cleaned = $this->cleanup_import_files($session);
+            $import_id = $session->get_import_id();
+            $session_id = $session->get_session_id();
+
+            // The import may run in another tab or for another admin
+            $session->reset();
+            (new MigrationLock())->release_session($session_id);
+
+            $this->logger->log("Import cancelled: {$import_id}, removed " . count($cleaned) . " item(s)", 'info');
+
+            $message = __('Import cancelled', 'wp-easy-migrate');
+            if ($site_changed) {
+                $message .= '. ' . __('The database was already replaced. Restore the previous site from the kept backup.', 'wp-easy-migrate');
+            }
+
+            wp_send_json_success([
+                'message' => $message,
+                'cleaned' => $cleaned,
+                'backup' => $kept_backup
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log("Import cancel error: " . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Delete the uploaded archive, pending uploads and extracted files of an import
+     *
+     * @param ImportSession $session Import session
+     * @return array Names of the removed files and directories
+     */
+    private function cleanup_import_files(ImportSession $session): array
+    {
+        $cleaned = [];
+        $import_dir = $session->get_import_dir();
+
+        if ($import_dir && is_dir($import_dir)) {
+            $this->cleanup_directory($import_dir);
+            $cleaned[] = basename($import_dir) . '/';
+        }
+
+        // Archives uploaded in one request are stored outside the import directory
+        $archive_path = $session->get_archive_path();
+        if ($archive_path && file_exists($archive_path)) {
+            unlink($archive_path);
+            $cleaned[] = basename($archive_path);
+        }
+
+        return array_merge($cleaned, $this->delete_chunked_uploads($session->get_upload_ids()));
+    }
+
+    /**
+     * Delete chunked uploads and their metadata
+     *
+     * @param array $upload_ids Upload IDs
+     * @return array Names of the removed files
+     */
+    private function delete_chunked_uploads(array $upload_ids): array
+    {
+        $cleaned = [];
+
+        foreach ($upload_ids as $upload_id) {
+            foreach ($this->get_chunked_upload_paths($upload_id) as $path) {
+                if (file_exists($path)) {
+                    unlink($path);
+                    $cleaned[] = basename($path);
+                }
+            }
+        }
+
+        return $cleaned;
+    }
+
+    /**
+     * Handle backups AJAX request
+     *
+     * Lists the kept pre-import backups.
+     */
+    public function handle_backups(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        try {
+            wp_send_json_success(['backups' => (new SiteBackups())->get_backups()]);
+        } catch (\Exception $e) {
+            $this->logger->log('Backups error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle backup discard AJAX request
+     */
+    public function handle_backup_discard(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        // A running restore reads the backup
+        $session = new ImportSession();
+        $name = sanitize_file_name(wp_unslash($_POST['backup'] ?? ''));
+
+        if ($session->is_in_progress() && $session->get_rollback_backup() === $name) {
+            wp_send_json_error(['message' => __('The backup is being restored and cannot be discarded now', 'wp-easy-migrate')]);
+            return;
+        }
+
+        try {
+            (new SiteBackups())->discard($name);
+
+            wp_send_json_success(['message' => __('Backup discarded', 'wp-easy-migrate')]);
+        } catch (\Exception $e) {
+            $this->logger->log('Backup discard error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle server archives AJAX request
+     *
+     * Lists the archives that can be imported without an upload: finished
+     * exports and archives copied to the imports directory.
+     */
+    public function handle_server_archives(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        try {
+            $date_format = get_option('date_format') . ' ' . get_option('time_format');
+            $archives = [];
+
+            foreach ($this->get_server_archives() as $name => $archive) {
+                $archives[] = [
+                    'name' => $name,
+                    'size' => $archive['size'],
+                    'part_count' => $archive['part_count'],
+                    'has_manifest' => (bool) $archive['manifest_file'],
+                    'modified_formatted' => wp_date($date_format, $archive['modified'])
+                ];
+            }
+
+            $exports = array_map(function ($export) {
+                return [
+                    'id' => $export['id'],
+                    'size' => $export['size'],
+                    'part_count' => $export['part_count'],
+                    'created_formatted' => $export['created_formatted']
+                ];
+            }, (new ExportHistory())->get_exports());
+
+            wp_send_json_success([
+                'archives' => $archives,
+                'exports' => $exports,
+                'imports_dir' => str_replace(ABSPATH, '', WP_EASY_MIGRATE_UPLOADS_DIR . 'imports/')
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log('Server archives error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Handle chunked upload status AJAX request
+     *
+     * Registers an upload for the given file and reports how many bytes the
+     * server already holds, so an interrupted upload can continue from there.
+     */
+    public function handle_upload_status(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        // Uploading while another migration runs would only fail at the first step
+        $lock = new MigrationLock();
+        $lock_token = MigrationLock::get_request_token();
+
+        if (!$lock->is_available($lock_token)) {
+            wp_send_json_error($lock->get_error_data($lock_token));
+            return;
+        }
+
+        try {
+            $file_name = isset($_POST['file_name']) ? $this->sanitize_upload_file_name($_POST['file_name']) : '';
+            $file_size = isset($_POST['file_size']) ? (int) $_POST['file_size'] : 0;
+            $last_modified = isset($_POST['last_modified']) ? (int) $_POST['last_modified'] : 0;
+
+            if ($file_name === '' || $file_size <= 0) {
+                throw new \Exception(__('Invalid upload request', 'wp-easy-migrate'));
+            }
+
+            if (!preg_match('/\.(zip|json)$/i', $file_name)) {
+                throw new \Exception(__('Only .zip archives and .json manifests can be uploaded', 'wp-easy-migrate'));
+            }
+
+            // The same file selected again maps to the same upload, which makes it resumable
+            $upload_id = md5(get_current_user_id() . '|' . $file_name . '|' . $file_size . '|' . $last_modified);
+            $paths = $this->get_chunked_upload_paths($upload_id);
+            wp_mkdir_p(dirname($paths['file']));
+
+            // A file that was already moved into an import is uploaded anew
+            $meta = file_exists($paths['meta']) ? json_decode(file_get_contents($paths['meta']), true) : null;
+
+            if (!is_array($meta) || !empty($meta['path'])) {
+                $meta = [
+                    'file_name' => $file_name,
+                    'file_size' => $file_size,
+                    'started_at' => current_time('mysql')
+                ];
+
+                if (file_put_contents($paths['meta'], wp_json_encode($meta)) === false) {
+                    throw new \Exception(__('Failed to prepare upload', 'wp-easy-migrate'));
+                }
+            }
+
+            clearstatcache(true, $paths['file']);
+            $received = file_exists($paths['file']) ? filesize($paths['file']) : 0;
+
+            if ($received > 0) {
+                $this->logger->log("Resuming chunked upload {$upload_id} at {$received} of {$file_size} bytes", 'info');
+            }
+
+            wp_send_json_success([
+                'upload_id' => $upload_id,
+                'received' => $received,
+                'file_size' => $file_size,
+                'chunk_size' => self::get_upload_chunk_size(),
+                'completed' => $received >= $file_size
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log("Upload status error: " . $e->getMessage(), 'error');
+            wp_send_json_error([
+                'message' => $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Handle chunked upload AJAX request
+     *
+     * Writes one slice of the archive at the given offset. Re-sending a chunk
+     * the server already received overwrites it, so retries are safe.
+     */
+    public function handle_upload_chunk(): void
+    {
+        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        }
+
+        try {
+            $upload_id = $this->sanitize_upload_id($_POST['upload_id'] ?? '');
+            $offset = isset($_POST['offset']) ? (int) $_POST['offset'] : -1;
+            $meta = $this->read_chunked_upload_meta($upload_id);
+            $paths = $this->get_chunked_upload_paths($upload_id);
+
+            if (!isset($_FILES['chunk']['tmp_name']) || !is_uploaded_file($_FILES['chunk']['tmp_name'])) {
+                throw new \Exception(__('Invalid chunk upload', 'wp-easy-migrate'));
+            }
+
+            if ($_FILES['chunk']['error'] !== UPLOAD_ERR_OK) {
+                throw new \Exception(__('Chunk upload error: ', 'wp-easy-migrate') . $_FILES['chunk']['error']);
+            }
+
+            clearstatcache(true, $paths['file']);
+            $received = file_exists($paths['file']) ? filesize($paths['file']) : 0;
+
+            // Chunks must arrive in order; tell the client where to continue from
+            if ($offset < 0 || $offset > $received) {
+                wp_send_json_error([
+                    'message' => sprintf(__('Unexpected chunk offset %1$d, expected %2$d', 'wp-easy-migrate'), $offset, $received),
+                    'received' => $received
+                ]);
+                return;
+            }
+
+            $chunk_size = filesize($_FILES['chunk']['tmp_name']);
+
+            if ($offset + $chunk_size > $meta['file_size']) {
+                throw new \Exception(__('Chunk exceeds the declared file size', 'wp-easy-migrate'));
+            }
+
+            $target = fopen($paths['file'], 'c');
+            $source = fopen($_FILES['chunk']['tmp_name'], 'rb');
+
+            if (!$target || !$source) {
+                throw new \Exception(__('Failed to write upload chunk', 'wp-easy-migrate'));
+            }
+
+            try {
+                ftruncate($target, $offset);
+                fseek($target, $offset);
+
+                if (stream_copy_to_stream($source, $target) !== $chunk_size) {
+                    throw new \Exception(__('Failed to write upload chunk', 'wp-easy-migrate'));
+                }
+            } finally {
+                fclose($source);
+                fclose($target);
+            }
+
+            $received = $offset + $chunk_size;
+
+            wp_send_json_success([
+                'upload_id' => $upload_id,
+                'received' => $received,
+                'file_size' => $meta['file_size'],
+                'completed' => $received >= $meta['file_size']
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->log("Upload chunk error: " . $e->getMessage(), 'error');
+            wp_send_json_error([
+                'message' => $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Move completed chunked uploads into the import directory
+     * 
+     * Uploads are sorted into the archive (or its parts) and the optional
+     * standalone manifest. A retry after a partly finished step skips the
+     * files that were already moved.
+     * 
+     * @param ImportSession $session Import session
+     * @throws \Exception
+     */
+    private function finalize_chunked_uploads(ImportSession $session): void
+    {
+        $import_dir = $session->get_import_dir();
+        wp_mkdir_p($import_dir);
+
+        $archives = [];
+
+        foreach ($session->get_upload_ids() as $upload_id) {
+            $file_path = $this->finalize_chunked_upload($upload_id, $import_dir);
+
+            if (preg_match('/\.json$/i', $file_path)) {
+                $manifest_path = $session->get_standalone_manifest_path();
+
+                if ($manifest_path && $manifest_path !== $file_path) {
+                    throw new \Exception(__('Only one manifest file can be imported', 'wp-easy-migrate'));
+                }
+
+                $session->set_standalone_manifest_path($file_path);
+                continue;
+            }
+
+            $archives[] = $file_path;
+        }
+
+        if (empty($archives)) {
+            throw new \Exception(__('No archive file uploaded', 'wp-easy-migrate'));
+        }
+
+        if (count($archives) === 1) {
+            $session->set_archive_path($archives[0]);
+            $session->set_current_operation('Uploaded: ' . basename($archives[0]));
+        } else {
+            $session->set_archive_parts($archives);
+            $session->set_current_operation(sprintf('Uploaded %d archive parts', count($archives)));
+        }
+
+        $this->logger->log("Chunked upload completed: " . count($archives) . " archive file(s)", 'info');
+    }
+
+    /**
+     * Use an export from the export directory as the archive to import
+     * 
+     * @param ImportSession $session Import session
+     * @throws \Exception
+     */
+    private function use_existing_export(ImportSession $session): void
+    {
+        $export_id = $session->get_source_export_id();
+        $export = (new ExportHistory())->get_export($export_id);
+
+        if (!$export || empty($export['files'])) {
+            throw new \Exception(sprintf(__('Export %s not found', 'wp-easy-migrate'), $export_id));
+        }
+
+        $this->place_server_files(
+            $session,
+            WP_EASY_MIGRATE_UPLOADS_DIR . 'exports/',
+            array_column($export['files'], 'name'),
+            $export['manifest_file']
+        );
+
+        $session->set_current_operation(sprintf('Using export %s', $export_id));
+        $this->logger->log("Import uses existing export {$export_id}", 'info');
+    }
+
+    /**
+     * Use an archive copied to the imports directory as the archive to import
+     * 
+     * @param ImportSession $session Import session
+     * @throws \Exception
+     */
+    private function use_server_archive(ImportSession $session): void
+    {
+        $name = $session->get_server_archive();
+        $archives = $this->get_server_archives();
+
+        if (!isset($archives[$name])) {
+            throw new \Exception(sprintf(__('Archive %s not found on the server', 'wp-easy-migrate'), $name));
+        }
+
+        $this->place_server_files(
+            $session,
+            WP_EASY_MIGRATE_UPLOADS_DIR . 'imports/',
+            array_column($archives[$name]['files'], 'name'),
+            $archives[$name]['manifest_file']
+        );
+
+        $session->set_current_operation(sprintf('Using server archive %s', $name));
+        $this->logger->log("Import uses server archive {$name}", 'info');
+    }
+
+    /**
+     * Use a pre-import backup as the archive to import
+     * 
+     * @param ImportSession $session Import session
+     * @throws \Exception
+     */
+    private function use_rollback_backup(ImportSession $session): void
+    {
+        $name = $session->get_rollback_backup();
+        $backups = new SiteBackups();
+
+        if (!$backups->get_backup($name)) {
+            throw new \Exception(sprintf(__('Backup %s not found', 'wp-easy-migrate'), $name));
+        }
+
+        // Linked or copied, so the backup is kept until it is discarded
+        $this->place_server_files($session, $backups->get_backups_dir(), [$name], null);
+
+        $session->set_current_operation(sprintf('Restoring backup %s', $name));
+        $this->logger->log("Restoring pre-import backup {$name}", 'info');
+    }
+
+    /**
+     * Hard link a file, or copy it where a link is not possible
+     * 
+     * Links only work within one filesystem, so they are not attempted
+     * across devices.
+     * 
+     * @param string $source_path Existing file
+     * @param string $target_path New file
+     * @throws \Exception
+     */
+    private function link_or_copy(string $source_path, string $target_path): void
+    {
+        $source = stat($source_path);
+        $target_dir = stat(dirname($target_path));
+
+        if (function_exists('link') && $source && $target_dir && $source['dev'] === $target_dir['dev'] && link($source_path, $target_path)) {
+            return;
+        }
+
+        if (!copy($source_path, $target_path)) {
+            $error = error_get_last();
+
+            throw new \Exception(sprintf(__('Failed to copy %1$s into the import directory: %2$s', 'wp-easy-migrate'), basename($source_path), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+    }
+
+    /**
+     * Place archive files that are already on the server into the import
+     * 
+     * The files are hard linked where the filesystem allows it and copied
+     * otherwise, so cleaning up the import leaves the originals in place.
+     * 
+     * @param ImportSession $session Import session
+     * @param string $source_dir Directory of the files
+     * @param array $archive_names Archive or part file names
+     * @param string|null $manifest_name Standalone manifest file name
+     * @throws \Exception
+     */
+    private function place_server_files(ImportSession $session, string $source_dir, array $archive_names, ?string $manifest_name): void
+    {
+        $import_dir = $session->get_import_dir();
+        wp_mkdir_p($import_dir);
+
+        $file_names = $manifest_name ? array_merge($archive_names, [$manifest_name]) : $archive_names;
+        $archives = [];
+
+        foreach ($file_names as $file_name) {
+            $target_path = trailingslashit($import_dir) . $file_name;
+
+            $this->link_or_copy($source_dir . $file_name, $target_path);
+
+            if ($file_name === $manifest_name) {
+                $session->set_standalone_manifest_path($target_path);
+            } else {
+                $archives[] = $target_path;
+            }
+        }
+
+        if (count($archives) === 1) {
+            $session->set_archive_path($archives[0]);
+        } else {
+            $session->set_archive_parts($archives);
+        }
+    }
+
+    /**
+     * List archives copied to the imports directory, for example over SFTP
+     * 
+     * Parts of a split archive and its standalone manifest are grouped under
+     * the archive name.
+     * 
+     * @return array Archives by name, with files (name, size), size,
+     *               part_count, manifest_file and modified
+     */
+    private function get_server_archives(): array
+    {
+        $imports_dir = WP_EASY_MIGRATE_UPLOADS_DIR . 'imports/';
+        $archives = [];
+
+        if (!is_dir($imports_dir)) {
+            return $archives;
+        }
+
+        foreach (scandir($imports_dir) as $file_name) {
+            $path = $imports_dir . $file_name;
+
+            // Pending chunked uploads are not archives yet
+            if (!is_file($path) || strpos($file_name, 'chunked-') === 0) {
+                continue;
+            }
+
+            if (preg_match('/^(.+?)(?:\.part(\d+))?\.zip$/i', $file_name, $matches)) {
+                $name = $matches[1];
+                $archives[$name]['files'][(int) ($matches[2] ?? 0)] = [
+                    'name' => $file_name,
+                    'size' => (int) filesize($path)
+                ];
+                $archives[$name]['modified'] = max($archives[$name]['modified'] ?? 0, (int) filemtime($path));
+            } elseif (preg_match('/^(.+?)-manifest\.json$/i', $file_name, $matches)) {
+                $archives[$matches[1]]['manifest_file'] = $file_name;
+            }
+        }
+
+        foreach ($archives as $name => &$archive) {
+            // A manifest without its archive
+            if (empty($archive['files'])) {
+                unset($archives[$name]);
+                continue;
+            }
+
+            ksort($archive['files']);
+            $archive['files'] = array_values($archive['files']);
+            $archive['size'] = array_sum(array_column($archive['files'], 'size'));
+            $archive['part_count'] = count($archive['files']);
+            $archive['manifest_file'] = $archive['manifest_file'] ?? null;
+        }
+        unset($archive);
+
+        return $archives;
+    }
+
+    /**
+     * Set up the download of an archive from URLs
+     * 
+     * @param array $urls URLs of the archive, or of its parts and manifest
+     * @return array Download state
+     * @throws \Exception
+     */
+    private function prepare_remote_download(array $urls): array
+    {
+        $files = [];
+
+        foreach (array_filter(array_map('trim', $urls), 'strlen') as $url) {
+            $valid_url = RemoteDownloader::validate_url($url);
+
+            if ($valid_url === null) {
+                throw new \Exception(sprintf(__('Not a valid http or https URL: %s', 'wp-easy-migrate'), $url));
+            }
+
+            $file_name = RemoteDownloader::get_file_name($valid_url);
+
+            if (!preg_match('/\.(zip|json)$/i', $file_name)) {
+                throw new \Exception(sprintf(__('The URL must point to a .zip archive or a .json manifest: %s', 'wp-easy-migrate'), $url));
+            }
+
+            if (in_array($file_name, array_column($files, 'name'), true)) {
+                throw new \Exception(sprintf(__('File selected more than once: %s', 'wp-easy-migrate'), $file_name));
+            }
+
+            $files[] = [
+                'url' => $valid_url,
+                'name' => $file_name,
+                'received' => 0,
+                'size' => null,
+                'validator' => null,
+                'complete' => false
+            ];
+        }
+
+        if (empty($files)) {
+            throw new \Exception(__('No archive URL given', 'wp-easy-migrate'));
+        }
+
+        return [
+            'files' => $files,
+            'index' => 0
+        ];
+    }
+
+    /**
+     * Download the next chunk of an archive from its URLs
+     * 
+     * Files are fetched one after another, one chunk per step, and sorted
+     * like chunked uploads once all of them are complete.
+     * 
+     * @param ImportSession $session Import session
+     * @return bool True once every file is downloaded
+     * @throws \Exception
+     */
+    private function download_remote_files(ImportSession $session): bool
+    {
+        $download = $session->get_remote_download();
+        $import_dir = trailingslashit($session->get_import_dir());
+        wp_mkdir_p($import_dir);
+
+        $index = $download['index'];
+
+        if ($index < count($download['files'])) {
+            $file = &$download['files'][$index];
+            $result = (new RemoteDownloader())->download_chunk($file['url'], $import_dir . $file['name'], $file['validator']);
+
+            $file['received'] = $result['received'];
+            $file['size'] = $result['size'];
+            $file['validator'] = $result['validator'];
+            $file['complete'] = $result['complete'];
+
+            if ($file['complete']) {
+                $this->logger->log("Downloaded {$file['url']}: " . size_format($file['received']), 'info');
+                $download['index']++;
+            }
+
+            $session->set_current_operation($this->get_download_message($file, $index, count($download['files'])));
+            unset($file);
+
+            $session->set_remote_download($download);
+
+            if ($download['index'] < count($download['files'])) {
+                return false;
+            }
+        }
+
+        $archives = [];
+
+        foreach ($download['files'] as $file) {
+            $file_path = $import_dir . $file['name'];
+
+            if (preg_match('/\.json$/i', $file['name'])) {
+                if ($session->get_standalone_manifest_path()) {
+                    throw new \Exception(__('Only one manifest file can be imported', 'wp-easy-migrate'));
+                }
+
+                $session->set_standalone_manifest_path($file_path);
+                continue;
+            }
+
+            $archives[] = $file_path;
+        }
+
+        if (empty($archives)) {
+            throw new \Exception(__('No archive file uploaded', 'wp-easy-migrate'));
+        }
+
+        if (count($archives) === 1) {
+            $session->set_archive_path($archives[0]);
+        } else {
+            $session->set_archive_parts($archives);
+        }
+
+        $session->set_current_operation(sprintf('Downloaded %d file(s)', count($download['files'])));
+
+        return true;
+    }
 
     /**
-     * Constructor
+     * Describe the progress of a download for the step checklist
+     * 
+     * @param array $file Download state of the current file
+     * @param int $index Index of the current file
+     * @param int $count Number of files
+     * @return string Progress message
      */
-    public function __construct()
+    private function get_download_message(array $file, int $index, int $count): string
     {
-        $this->logger = new Logger();
-        $this->importer = new Importer();
+        $progress = $file['size']
+            ? sprintf('%s of %s (%d%%)', size_format($file['received'], 1), size_format($file['size'], 1), floor($file['received'] / $file['size'] * 100))
+            : size_format($file['received'], 1);
+
+        if ($count > 1) {
+            return sprintf('Downloading %s (file %d of %d): %s', $file['name'], $index + 1, $count, $progress);
+        }
+
+        return sprintf('Downloading %s: %s', $file['name'], $progress);
     }
 
     /**
-     * Handle import step AJAX request
+     * Move a single completed chunked upload into a directory
+     * 
+     * The metadata keeps the path the file was moved to until the import is
+     * cleaned up. A step whose response was lost can then be retried, also
+     * by a restarted import, and finds the file where it was put.
+     * 
+     * @param string $upload_id Upload ID
+     * @param string $target_dir Target directory
+     * @return string Path of the uploaded file
+     * @throws \Exception
      */
-    public function handle_import_step(): void
+    private function finalize_chunked_upload(string $upload_id, string $target_dir): string
     {
-        // Verify nonce and permissions
-        check_ajax_referer('wp_easy_migrate_nonce', 'nonce');
+        $meta = $this->read_chunked_upload_meta($upload_id);
+        $paths = $this->get_chunked_upload_paths($upload_id);
+        $source_path = $paths['file'];
 
-        if (!current_user_can('manage_options')) {
-            wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
+        clearstatcache(true, $source_path);
+
+        if (!empty($meta['path']) && !file_exists($source_path)) {
+            $source_path = $meta['path'];
+            clearstatcache(true, $source_path);
         }
 
-        try {
-            $session = new ImportSession();
+        $received = file_exists($source_path) ? filesize($source_path) : 0;
 
-            // Check if this is a new import
-            if (isset($_POST['start_import'])) {
-                $session->start();
-                $this->logger->log('New import session started', 'info');
-            }
+        if ($received !== (int) $meta['file_size']) {
+            throw new \Exception(sprintf(__('Upload of %1$s incomplete: received %2$d of %3$d bytes', 'wp-easy-migrate'), $meta['file_name'], $received, $meta['file_size']));
+        }
 
-            // Check for current session state
-            if ($session->is_completed()) {
-                wp_send_json_success([
-                    'message' => __('Import completed successfully!', 'wp-easy-migrate'),
-                    'status' => $session->get_status(),
-                    'completed' => true
-                ]);
-                return;
-            }
+        $target_path = trailingslashit($target_dir) . $this->sanitize_upload_file_name($meta['file_name']);
 
-            if ($session->get_error()) {
-                wp_send_json_error([
-                    'message' => $session->get_error(),
-                    'status' => $session->get_status()
-                ]);
-                return;
-            }
+        if ($source_path === $target_path) {
+            return $target_path;
+        }
 
-            // Execute current step
-            $this->execute_step($session);
+        if (file_exists($target_path)) {
+            throw new \Exception(sprintf(__('File selected more than once: %s', 'wp-easy-migrate'), $meta['file_name']));
+        }
 
-            // Return status
-            wp_send_json_success([
-                'message' => $this->get_step_message($session->get_current_step()),
-                'status' => $session->get_status()
-            ]);
-        } catch (\Exception $e) {
-            $this->logger->log("Import step error: " . $e->getMessage(), 'error');
-            wp_send_json_error([
-                'message' => $e->getMessage()
-            ]);
+        $meta['path'] = $target_path;
+
+        if (file_put_contents($paths['meta'], wp_json_encode($meta)) === false) {
+            $error = error_get_last();
+            throw new \Exception(sprintf(__('Failed to update the upload metadata: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+
+        if (!rename($source_path, $target_path)) {
+            $error = error_get_last();
+            throw new \Exception(sprintf(__('Failed to move uploaded file: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
         }
+
+        $this->logger->log("Chunked upload moved into place: {$target_path}", 'info');
+
+        return $target_path;
     }
 
     /**
-     * Execute current import step
+     * Reassemble a split archive
+     * 
+     * Parts are checked for gaps and duplicates, and against the checksums
+     * in the standalone manifest when one was uploaded.
      * 
      * @param ImportSession $session Import session
      * @throws \Exception
      */
-    private function execute_step(ImportSession $session): void
+    private function assemble_archive(ImportSession $session): void
     {
-        $step = $session->get_current_step();
-        $this->logger->log("Executing import step: {$step}", 'info');
+        $parts = $session->get_archive_parts();
 
-        switch ($step) {
-            case 'upload_file':
-                $this->handle_file_upload($session);
-                break;
+        if (count($parts) < 2) {
+            $this->logger->log('Single archive uploaded, reassembly skipped', 'info');
+            return;
+        }
 
-            case 'extract_archive':
-                $this->extract_archive($session);
-                break;
+        $session->set_current_operation(sprintf('Verifying %d archive parts...', count($parts)));
 
-            case 'validate_manifest':
-                $this->validate_manifest($session);
-                break;
+        $numbered_parts = [];
+        foreach ($parts as $part_path) {
+            if (!preg_match('/\.part(\d+)\.zip$/', $part_path, $matches)) {
+                throw new \Exception(sprintf(__('Not an archive part: %s. Select either a single archive or all parts of a split archive.', 'wp-easy-migrate'), basename($part_path)));
+            }
 
-            case 'backup_current_site':
-                $this->backup_current_site($session);
-                break;
+            $numbered_parts[(int) $matches[1]] = $part_path;
+        }
 
-            case 'import_database':
-                $this->import_database($session);
-                break;
+        for ($number = 1; $number <= count($parts); $number++) {
+            if (!isset($numbered_parts[$number])) {
+                throw new \Exception(sprintf(__('Archive part %d is missing', 'wp-easy-migrate'), $number));
+            }
+        }
 
-            case 'import_files':
-                $this->import_files($session);
-                break;
+        ksort($numbered_parts);
+        $parts = array_values($numbered_parts);
 
-            case 'update_urls':
-                $this->update_urls($session);
-                break;
+        $parts_manifest = $this->get_uploaded_parts_manifest($session);
 
-            case 'cleanup':
-                $this->cleanup($session);
-                break;
+        if ($parts_manifest) {
+            $this->throw_part_errors($this->archiver->get_part_errors($parts, $parts_manifest));
+        } else {
+            $this->logger->log('No manifest uploaded with the archive parts, checksums not verified', 'warning');
 
-            default:
-                throw new \Exception("Unknown import step: {$step}");
+            if (!$this->archiver->verify_parts($parts)) {
+                throw new \Exception(__('Archive parts verification failed. Check the logs for details.', 'wp-easy-migrate'));
+            }
         }
 
-        // Move to next step
-        $session->next_step();
+        $session->set_current_operation(sprintf('Reassembling %d archive parts...', count($parts)));
+
+        $base_name = preg_replace('/\.part\d+\.zip$/', '', basename($parts[0]));
+        $archive_path = $this->archiver->combine_parts($parts, $session->get_import_dir() . $base_name . '.zip');
+
+        if ($parts_manifest) {
+            $session->set_current_operation('Verifying reassembled archive...');
+
+            $errors = $this->archiver->verify_combined_archive($archive_path, $parts_manifest);
+            if ($errors) {
+                unlink($archive_path);
+                $this->throw_part_errors($errors);
+            }
+        }
+
+        // The parts are no longer needed once the archive is whole again
+        $this->archiver->cleanup_parts($parts, false);
+
+        $session->set_archive_path($archive_path);
+        $session->set_current_operation('Archive reassembled: ' . basename($archive_path));
+
+        $this->logger->log("Archive reassembled from " . count($parts) . " parts: {$archive_path}", 'info');
     }
 
     /**
-     * Handle file upload
+     * Log archive part errors and fail the step with all of them
      * 
-     * @param ImportSession $session Import session
+     * @param array $errors Error messages
      * @throws \Exception
      */
-    private function handle_file_upload(ImportSession $session): void
+    private function throw_part_errors(array $errors): void
     {
-        if (!isset($_FILES['import_file'])) {
-            throw new \Exception(__('No file uploaded', 'wp-easy-migrate'));
+        if (empty($errors)) {
+            return;
         }
 
-        $file_data = $_FILES['import_file'];
+        foreach ($errors as $error) {
+            $this->logger->log("Archive part error: {$error}", 'error');
+        }
 
-        if (!isset($file_data['tmp_name']) || !is_uploaded_file($file_data['tmp_name'])) {
-            throw new \Exception(__('Invalid file upload', 'wp-easy-migrate'));
+        throw new \Exception(__('Archive parts verification failed: ', 'wp-easy-migrate') . implode('; ', $errors));
+    }
+
+    /**
+     * Get archive parts data from the uploaded standalone manifest
+     * 
+     * @param ImportSession $session Import session
+     * @return array|null Parts manifest data or null if not available
+     */
+    private function get_uploaded_parts_manifest(ImportSession $session): ?array
+    {
+        $manifest_path = $session->get_standalone_manifest_path();
+
+        if (!$manifest_path || !file_exists($manifest_path)) {
+            return null;
         }
 
-        if ($file_data['error'] !== UPLOAD_ERR_OK) {
-            throw new \Exception(__('File upload error: ', 'wp-easy-migrate') . $file_data['error']);
+        $manifest = json_decode(file_get_contents($manifest_path), true);
+
+        if (!is_array($manifest) || empty($manifest['archive_parts']['parts'])) {
+            $this->logger->log('Uploaded manifest does not list archive parts', 'warning');
+            return null;
         }
 
-        $upload_dir = wp_upload_dir();
-        $target_dir = $upload_dir['basedir'] . '/wp-easy-migrate/imports/';
-        wp_mkdir_p($target_dir);
+        return $manifest['archive_parts'];
+    }
 
-        $filename = sanitize_file_name($file_data['name']);
-        $target_path = $target_dir . $filename;
+    /**
+     * Get chunk size for uploads, kept below the server's upload limits
+     * 
+     * @return int Chunk size in bytes
+     */
+    public static function get_upload_chunk_size(): int
+    {
+        // Leave room for the other multipart fields in the request
+        $server_limit = (int) wp_max_upload_size() - 65536;
 
-        if (!move_uploaded_file($file_data['tmp_name'], $target_path)) {
-            throw new \Exception(__('Failed to move uploaded file', 'wp-easy-migrate'));
+        return max(65536, min(self::UPLOAD_CHUNK_SIZE, $server_limit));
+    }
+
+    /**
+     * Get file paths for a chunked upload
+     * 
+     * @param string $upload_id Upload ID
+     * @return array Paths of the partial file and its metadata
+     */
+    private function get_chunked_upload_paths(string $upload_id): array
+    {
+        $imports_dir = WP_EASY_MIGRATE_UPLOADS_DIR . 'imports/';
+
+        return [
+            'file' => $imports_dir . "chunked-{$upload_id}.upload",
+            'meta' => $imports_dir . "chunked-{$upload_id}.json"
+        ];
+    }
+
+    /**
+     * Read metadata of a chunked upload
+     * 
+     * @param string $upload_id Upload ID
+     * @return array Upload metadata
+     * @throws \Exception
+     */
+    private function read_chunked_upload_meta(string $upload_id): array
+    {
+        $paths = $this->get_chunked_upload_paths($upload_id);
+
+        if ($upload_id === '' || !file_exists($paths['meta'])) {
+            throw new \Exception(__('Unknown upload, please start the upload again', 'wp-easy-migrate'));
         }
 
-        $session->set_archive_path($target_path);
-        $session->set_current_operation("Uploaded: {$filename}");
+        $meta = json_decode(file_get_contents($paths['meta']), true);
 
-        $this->logger->log("File uploaded: {$target_path}", 'info');
+        if (!is_array($meta) || empty($meta['file_name']) || empty($meta['file_size'])) {
+            throw new \Exception(__('Invalid upload metadata', 'wp-easy-migrate'));
+        }
+
+        return $meta;
+    }
+
+    /**
+     * Sanitize the file name of an upload
+     * 
+     * Unlike sanitize_file_name() this keeps names such as
+     * "wp-export-abc.part1.zip" intact, which the part checks rely on.
+     * 
+     * @param mixed $file_name Raw file name
+     * @return string Sanitized file name
+     */
+    private function sanitize_upload_file_name($file_name): string
+    {
+        $file_name = preg_replace('/[^A-Za-z0-9._-]/', '', basename((string) $file_name));
+
+        return ltrim($file_name, '.');
+    }
+
+    /**
+     * Sanitize an upload ID
+     * 
+     * @param mixed $upload_id Raw upload ID
+     * @return string Sanitized upload ID
+     */
+    private function sanitize_upload_id($upload_id): string
+    {
+        return preg_replace('/[^a-f0-9]/', '', strtolower((string) $upload_id));
     }
 
     /**
@@ -278,10 +1627,32 @@ class ImportController
             throw new \Exception(__('Archive was not created by WP Easy Migrate', 'wp-easy-migrate'));
         }
 
-        $session->set_manifest($manifest);
-        $session->set_current_operation('Manifest validated successfully');
+        // Blocking failures end the import, warnings are acknowledged with the preview
+        $checker = new CompatibilityChecker();
+        $compatibility = $checker->check($manifest);
+        $session->set_compatibility($compatibility);
+
+        if (!$compatibility['compatible']) {
+            $message = sprintf(__('The archive cannot be imported on this server: %s', 'wp-easy-migrate'), implode('; ', $compatibility['errors']));
+            $session->set_error($message);
+            throw new \Exception($message);
+        }
 
+        $session->set_manifest($manifest);
         $this->logger->log('Manifest validation passed', 'info');
+
+        // This site's URLs, the database import replaces the options holding them
+        $pairs = SearchReplace::get_default_pairs($manifest);
+        $session->set_search_replace([
+            'pairs' => $pairs,
+            'home' => get_home_url(),
+            'siteurl' => get_site_url()
+        ]);
+
+        // Pause until the admin has reviewed what the import replaces
+        $preview = new ImportPreview();
+        $session->set_preview($preview->build($extracted_dir, $manifest, $pairs));
+        $session->set_current_operation('Manifest validated successfully');
     }
 
     /**
@@ -292,28 +1663,39 @@ class ImportController
      */
     private function backup_current_site(ImportSession $session): void
     {
+        // Restoring a backup must not replace the backups
+        if ($session->get_rollback_backup()) {
+            $session->set_current_operation('Skipped, restoring a backup');
+            return;
+        }
+
         $session->set_current_operation('Creating backup of current site...');
 
-        try {
-            $exporter = new Exporter();
-            $backup_path = $exporter->export_site([
-                'include_uploads' => false, // Skip uploads for faster backup
-                'include_plugins' => false,
-                'include_themes' => false,
-                'include_database' => true,
-                'split_size' => 0 // Don't split backup
-            ]);
+        // Back up what the import replaces, so all of it can be restored
+        $extracted_dir = $session->get_extracted_dir();
+        $components = [];
+
+        if (file_exists($extracted_dir . '/database.sql') && $session->includes_component('database')) {
+            $components[] = 'database';
+        }
+
+        foreach (array_keys(ImportPreview::find_components($extracted_dir)) as $component) {
+            if ($session->includes_component($component)) {
+                $components[] = $component;
+            }
+        }
 
-            // Move backup to import directory
-            $import_dir = $session->get_import_dir();
-            $backup_filename = 'pre-import-backup-' . date('Y-m-d-H-i-s') . '.zip';
-            $final_backup_path = $import_dir . $backup_filename;
-            rename($backup_path, $final_backup_path);
+        if (empty($components)) {
+            $session->set_current_operation('Nothing to back up, the archive replaces nothing');
+            return;
+        }
 
-            $session->set_backup_path($final_backup_path);
-            $session->set_current_operation('Backup created successfully');
+        try {
+            $backups = new SiteBackups();
+            $backup = $backups->create($session->get_import_id(), $components);
 
-            $this->logger->log("Pre-import backup created: {$final_backup_path}", 'info');
+            $session->set_backup_path($backups->get_backups_dir() . $backup['name']);
+            $session->set_current_operation('Backup created successfully: ' . implode(', ', $components));
         } catch (\Exception $e) {
             $this->logger->log("Failed to create pre-import backup: " . $e->getMessage(), 'warning');
             $session->set_current_operation('Backup creation failed, continuing...');
@@ -337,9 +1719,18 @@ class ImportController
             return;
         }
 
+        if (!$session->includes_component('database')) {
+            $session->set_current_operation('Database not selected, skipping...');
+            $this->logger->log('Database not selected for restore, skipped', 'info');
+            return;
+        }
+
         $session->set_current_operation('Importing database...');
 
-        $result = $this->importer->restore_database($db_file);
+        $manifest = $session->get_manifest();
+        $database_info = $manifest['export_info']['database'] ?? [];
+
+        $result = $this->importer->restore_database($db_file, is_array($database_info) ? $database_info : []);
 
         if ($result) {
             $session->set_current_operation('Database imported successfully');
@@ -357,103 +1748,109 @@ class ImportController
      */
     private function import_files(ImportSession $session): void
     {
-        $extracted_dir = $session->get_extracted_dir();
+        $targets = [
+            'uploads' => wp_upload_dir()['basedir'],
+            'plugins' => WP_PLUGIN_DIR,
+            'themes' => get_theme_root()
+        ];
 
-        // Import uploads
-        if (file_exists($extracted_dir . '/uploads.zip')) {
-            $session->set_current_operation('Importing uploads...');
-            $this->importer->restore_files($extracted_dir . '/uploads.zip', wp_upload_dir()['basedir']);
-            $session->add_imported_file('uploads');
-            $this->logger->log('Uploads imported successfully', 'info');
-        }
+        // Components come as a zip in backups and as a folder in exports
+        foreach (ImportPreview::find_components($session->get_extracted_dir()) as $component => $path) {
+            if (!$session->includes_component($component)) {
+                continue;
+            }
 
-        // Import plugins
-        if (file_exists($extracted_dir . '/plugins.zip')) {
-            $session->set_current_operation('Importing plugins...');
-            $this->importer->restore_files($extracted_dir . '/plugins.zip', WP_PLUGIN_DIR);
-            $session->add_imported_file('plugins');
-            $this->logger->log('Plugins imported successfully', 'info');
-        }
+            $session->set_current_operation("Importing {$component}...");
 
-        // Import themes
-        if (file_exists($extracted_dir . '/themes.zip')) {
-            $session->set_current_operation('Importing themes...');
-            $this->importer->restore_files($extracted_dir . '/themes.zip', get_theme_root());
-            $session->add_imported_file('themes');
-            $this->logger->log('Themes imported successfully', 'info');
+            if (is_dir($path)) {
+                $this->importer->restore_folder($path, $targets[$component]);
+            } else {
+                $this->importer->restore_files($path, $targets[$component]);
+            }
+
+            $session->add_imported_file($component);
+            $this->logger->log(ucfirst($component) . ' imported successfully', 'info');
         }
 
         $imported_files = $session->get_imported_files();
-        $session->set_current_operation('Files imported: ' . implode(', ', $imported_files));
+        $session->set_current_operation($imported_files ? 'Files imported: ' . implode(', ', $imported_files) : 'No files selected, skipping...');
     }
 
     /**
      * Update site URLs
      * 
+     * Points home and siteurl at this site, then applies the search/replace
+     * pairs to every table, a few seconds of batches per step.
+     * 
      * @param ImportSession $session Import session
+     * @return bool True once every table was processed
      * @throws \Exception
      */
-    private function update_urls(ImportSession $session): void
+    private function update_urls(ImportSession $session): bool
     {
-        $manifest = $session->get_manifest();
+        $state = $session->get_search_replace();
 
-        if (!$manifest || !isset($manifest['site_info']['url'])) {
+        if (!$state) {
             $session->set_current_operation('No URL update needed');
-            return;
+            return true;
+        }
+
+        // The current database already has this site's URLs
+        if (!$session->includes_component('database')) {
+            $session->set_current_operation('Database not restored, no URL update needed');
+            return true;
         }
 
-        $session->set_current_operation('Updating site URLs...');
+        global $wpdb;
 
-        $old_url = $manifest['site_info']['url'];
-        $new_url = get_site_url();
+        // First batch of this step
+        if (!isset($state['tables'])) {
+            $wpdb->update($wpdb->options, ['option_value' => $state['home']], ['option_name' => 'home']);
+            $wpdb->update($wpdb->options, ['option_value' => $state['siteurl']], ['option_name' => 'siteurl']);
 
-        if ($old_url === $new_url) {
-            $session->set_current_operation('Site URLs match, no update needed');
-            $this->logger->log('Site URLs match, no update needed', 'info');
-            return;
-        }
+            if (empty($state['pairs'])) {
+                $session->set_current_operation('Site URLs updated, no search/replace pairs');
+                $this->logger->log('Site URLs updated, no search/replace pairs', 'info');
+                return true;
+            }
 
-        $this->logger->log("Updating site URLs: {$old_url} -> {$new_url}", 'info');
+            foreach ($state['pairs'] as $pair) {
+                $this->logger->log("Replacing \"{$pair['search']}\" with \"{$pair['replace']}\"", 'info');
+            }
+        }
 
-        global $wpdb;
+        $max_execution_time = (int) ini_get('max_execution_time');
+        $seconds = $max_execution_time > 0 ? max(5, min(20, (int) ($max_execution_time / 3))) : 20;
 
-        // Update options table
-        $wpdb->update(
-            $wpdb->options,
-            ['option_value' => $new_url],
-            ['option_name' => 'home']
-        );
+        $search_replace = new SearchReplace($state['pairs']);
+        $state = $search_replace->process($state, $seconds);
+        $session->set_search_replace($state);
 
-        $wpdb->update(
-            $wpdb->options,
-            ['option_value' => $new_url],
-            ['option_name' => 'siteurl']
-        );
+        $total = array_sum($state['counts']);
 
-        // Update content URLs
-        $wpdb->query($wpdb->prepare("
-            UPDATE {$wpdb->posts} 
-            SET post_content = REPLACE(post_content, %s, %s)
-        ", $old_url, $new_url));
+        if (!$state['done']) {
+            $session->set_current_operation(sprintf(
+                'Replacing in %s (table %d of %d), %d replacements so far',
+                $state['tables'][$state['table_index']],
+                $state['table_index'] + 1,
+                count($state['tables']),
+                $total
+            ));
+            return false;
+        }
 
-        $wpdb->query($wpdb->prepare("
-            UPDATE {$wpdb->comments} 
-            SET comment_content = REPLACE(comment_content, %s, %s)
-        ", $old_url, $new_url));
+        foreach ($state['counts'] as $table => $count) {
+            $this->logger->log("Search/replace in {$table}: {$count} replacements", 'info');
+        }
 
-        // Update metadata
-        $wpdb->query($wpdb->prepare("
-            UPDATE {$wpdb->postmeta} 
-            SET meta_value = REPLACE(meta_value, %s, %s)
-        ", $old_url, $new_url));
+        if ($state['unparsed']) {
+            $this->logger->log("Search/replace left {$state['unparsed']} damaged serialized value(s) unchanged", 'warning');
+        }
 
-        $wpdb->query($wpdb->prepare("
-            UPDATE {$wpdb->options} 
-            SET option_value = REPLACE(option_value, %s, %s)
-        ", $old_url, $new_url));
+        $session->set_current_operation(sprintf('%d replacements in %d tables', $total, count($state['counts'])));
+        $this->logger->log("Site URLs updated, {$total} replacements", 'info');
 
-        $session->set_current_operation('Site URLs updated successfully');
-        $this->logger->log('Site URLs updated successfully', 'info');
+        return true;
     }
 
     /**
@@ -479,6 +1876,9 @@ class ImportController
             unlink($archive_path);
         }
 
+        // Metadata kept for retries of the upload step
+        $this->delete_chunked_uploads($session->get_upload_ids());
+
         // Clear caches
         if (function_exists('wp_cache_flush')) {
             wp_cache_flush();
@@ -519,24 +1919,17 @@ class ImportController
     }
 
     /**
-     * Get step message for UI
+     * Get the message for the state of a session
      * 
-     * @param string $step Step name
-     * @return string Step message
+     * @param ImportSession $session Import session
+     * @return string Status message
      */
-    private function get_step_message(string $step): string
+    private function get_session_message(ImportSession $session): string
     {
-        $messages = [
-            'upload_file' => __('Uploading file...', 'wp-easy-migrate'),
-            'extract_archive' => __('Extracting archive...', 'wp-easy-migrate'),
-            'validate_manifest' => __('Validating manifest...', 'wp-easy-migrate'),
-            'backup_current_site' => __('Creating backup...', 'wp-easy-migrate'),
-            'import_database' => __('Importing database...', 'wp-easy-migrate'),
-            'import_files' => __('Importing files...', 'wp-easy-migrate'),
-            'update_urls' => __('Updating URLs...', 'wp-easy-migrate'),
-            'cleanup' => __('Cleaning up...', 'wp-easy-migrate')
-        ];
+        if ($session->is_awaiting_confirmation()) {
+            return __('Review the changes below and confirm the import.', 'wp-easy-migrate');
+        }
 
-        return $messages[$step] ?? __('Processing...', 'wp-easy-migrate');
+        return $session->get_step_message();
     }
 }
\ No newline at end of file
@@ -0,0 +1,251 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * ImportPreview Class
+ *
+ * Describes what an extracted import archive is about to change on this
+ * site: the tables that are replaced or added, the files per component and
+ * the search/replace pairs. The import pauses with this preview after the
+ * manifest is validated, until the admin confirms it.
+ */
+class ImportPreview
+{
+
+    /**
+     * Components whose files come in their own archive or folder
+     */
+    const COMPONENTS = ['uploads', 'plugins', 'themes'];
+
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        $this->logger = new Logger();
+    }
+
+    /**
+     * Build the preview of an import
+     *
+     * @param string $extracted_dir Directory the archive was extracted to
+     * @param array $manifest Validated manifest
+     * @param array $replacements Suggested search/replace pairs
+     * @return array Preview with source, target, components, database, files and replacements
+     * @throws \Exception If the database dump cannot be read
+     */
+    public function build(string $extracted_dir, array $manifest, array $replacements): array
+    {
+        $preview = [
+            'source' => [
+                'url' => $manifest['site_info']['url'] ?? '',
+                'name' => $manifest['site_info']['name'] ?? '',
+                'wp_version' => $manifest['site_info']['wp_version'] ?? ''
+            ],
+            'target' => [
+                'url' => get_site_url(),
+                'name' => get_bloginfo('name'),
+                'wp_version' => get_bloginfo('version')
+            ],
+            'confirmation' => self::get_confirmation_text(),
+            'database' => $this->describe_database($extracted_dir, $manifest),
+            'files' => $this->describe_files($extracted_dir),
+            'replacements' => $replacements
+        ];
+
+        $preview['components'] = array_merge(
+            $preview['database'] ? ['database'] : [],
+            array_column($preview['files'], 'component')
+        );
+
+        $this->logger->log(sprintf(
+            'Import preview: %d table(s) replaced, %d added, %d file component(s), %d search/replace pair(s)',
+            count($preview['database']['replaced'] ?? []),
+            count($preview['database']['added'] ?? []),
+            count($preview['files']),
+            count($replacements)
+        ), 'info');
+
+        return $preview;
+    }
+
+    /**
+     * Get the text the admin types to confirm an import
+     *
+     * @return string Domain of this site
+     */
+    public static function get_confirmation_text(): string
+    {
+        $url = get_site_url();
+        $host = (string) wp_parse_url($url, PHP_URL_HOST);
+        $port = wp_parse_url($url, PHP_URL_PORT);
+
+        return $port ? $host . ':' . $port : $host;
+    }
+
+    /**
+     * Check a typed confirmation
+     *
+     * @param string $text Typed text
+     * @return bool True if it names this site
+     */
+    public static function is_confirmed(string $text): bool
+    {
+        return strtolower(trim($text)) === strtolower(self::get_confirmation_text());
+    }
+
+    /**
+     * Describe the tables the database import drops and recreates
+     *
+     * The dump drops every table it contains before creating it again,
+     * tables it does not contain are left as they are.
+     *
+     * @param string $extracted_dir Extracted archive directory
+     * @param array $manifest Manifest
+     * @return array|null replaced, added and kept table names, null without a database
+     * @throws \Exception If the dump cannot be read
+     */
+    private function describe_database(string $extracted_dir, array $manifest): ?array
+    {
+        $db_file = $extracted_dir . '/database.sql';
+
+        if (!file_exists($db_file)) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $tables = $manifest['export_info']['database']['tables'] ?? [];
+
+        // Backups and older exports do not list their tables
+        if (empty($tables)) {
+            $tables = $this->read_dump_tables($db_file);
+        }
+
+        $existing = $wpdb->get_col('SHOW TABLES');
+
+        return [
+            'size' => (int) filesize($db_file),
+            'replaced' => array_values(array_intersect($tables, $existing)),
+            'added' => array_values(array_diff($tables, $existing)),
+            'kept' => array_values(array_diff($existing, $tables)),
+            'structure_only' => $manifest['export_info']['database']['structure_only_tables'] ?? []
+        ];
+    }
+
+    /**
+     * Read the names of the tables a dump creates
+     *
+     * @param string $db_file SQL dump path
+     * @return array Table names
+     * @throws \Exception If the dump cannot be read
+     */
+    private function read_dump_tables(string $db_file): array
+    {
+        $tables = [];
+        $handle = fopen($db_file, 'r');
+
+        // An empty list would show the import as replacing no tables
+        if (!$handle) {
+            $error = error_get_last();
+            throw new \Exception(sprintf(__('Cannot read the database dump: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+
+        while (($line = fgets($handle)) !== false) {
+            if (preg_match('/^CREATE TABLE (?:IF NOT EXISTS )?`?([^`\s(]+)`?/i', $line, $matches)) {
+                $tables[] = $matches[1];
+            }
+        }
+
+        fclose($handle);
+
+        return array_values(array_unique($tables));
+    }
+
+    /**
+     * Find the files of each component in an extracted archive
+     *
+     * Backups hold a zip per component, exports a top-level folder per
+     * component.
+     *
+     * @param string $extracted_dir Extracted archive directory
+     * @return array Path of the component zip or folder, by component
+     */
+    public static function find_components(string $extracted_dir): array
+    {
+        $found = [];
+
+        foreach (self::COMPONENTS as $component) {
+            $path = rtrim($extracted_dir, '/') . '/' . $component;
+
+            if (file_exists($path . '.zip')) {
+                $found[$component] = $path . '.zip';
+            } elseif (is_dir($path)) {
+                $found[$component] = $path;
+            }
+        }
+
+        return $found;
+    }
+
+    /**
+     * Count the files of each component
+     *
+     * @param string $extracted_dir Extracted archive directory
+     * @return array Component, file count, size and target directory per component
+     */
+    private function describe_files(string $extracted_dir): array
+    {
+        $targets = [
+            'uploads' => wp_upload_dir()['basedir'],
+            'plugins' => WP_PLUGIN_DIR,
+            'themes' => get_theme_root()
+        ];
+        $files = [];
+
+        foreach (self::find_components($extracted_dir) as $component => $path) {
+            if (is_dir($path)) {
+                $count = 0;
+                $size = 0;
+                $iterator = new \RecursiveIteratorIterator(new \RecursiveDirectoryIterator($path, \FilesystemIterator::SKIP_DOTS));
+
+                foreach ($iterator as $file) {
+                    $count++;
+                    $size += $file->getSize();
+                }
+            } else {
+                $count = null;
+                $size = (int) filesize($path);
+                $zip = new \ZipArchive();
+
+                if ($zip->open($path) === true) {
+                    $count = 0;
+
+                    // Directory entries are not files
+                    for ($i = 0; $i < $zip->numFiles; $i++) {
+                        if (substr((string) $zip->getNameIndex($i), -1) !== '/') {
+                            $count++;
+                        }
+                    }
+
+                    $zip->close();
+                }
+            }
+
+            $files[] = [
+                'component' => $component,
+                'count' => $count,
+                'size' => $size,
+                'target' => $targets[$component]
+            ];
+        }
+
+        return $files;
+    }
+}
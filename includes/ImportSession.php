@@ -14,11 +14,17 @@ class ImportSession
      */
     const OPTION_KEY = 'wp_easy_migrate_import_session';
 
+    /**
+     * Transient key set while a step request is being processed
+     */
+    const STEP_RUNNING_KEY = 'wp_easy_migrate_import_step_running';
+
     /**
      * Import steps
      */
     const STEPS = [
         'upload_file',
+        'assemble_archive',
         'extract_archive',
         'validate_manifest',
         'backup_current_site',
@@ -28,6 +34,26 @@ class ImportSession
         'cleanup'
     ];
 
+    /**
+     * Seconds each step is assumed to take until imports on this site were timed
+     * 
+     * Browser uploads are finished before the first step, so the upload step
+     * only takes long when the server downloads the archive, which is timed
+     * as remote_download.
+     */
+    const DEFAULT_STEP_TIMES = [
+        'upload_file' => 1,
+        'remote_download' => 30,
+        'assemble_archive' => 10,
+        'extract_archive' => 30,
+        'validate_manifest' => 1,
+        'backup_current_site' => 40,
+        'import_database' => 40,
+        'import_files' => 50,
+        'update_urls' => 20,
+        'cleanup' => 1
+    ];
+
     /**
      * Session data
      */
@@ -97,8 +123,23 @@ class ImportSession
             'import_id' => null,
             'import_dir' => null,
             'archive_path' => null,
+            'upload_ids' => [],
+            'source_export_id' => null,
+            'server_archive' => null,
+            'remote_download' => null,
+            // Seconds each step took so far, and the seconds it was expected to take
+            'step_times' => [],
+            'step_weights' => [],
+            'rollback_backup' => null,
+            'archive_parts' => [],
+            'standalone_manifest_path' => null,
             'extracted_dir' => null,
             'manifest' => null,
+            'preview' => null,
+            'preview_confirmed' => false,
+            'search_replace' => null,
+            'components' => null,
+            'compatibility' => null,
             'backup_path' => null,
             'started_at' => current_time('mysql'),
             'last_updated' => current_time('mysql'),
@@ -121,6 +162,7 @@ class ImportSession
 
         $this->data['import_id'] = $import_id;
         $this->data['import_dir'] = $import_dir;
+        $this->data['step_weights'] = (new StepTimes('import'))->get_weights(self::DEFAULT_STEP_TIMES);
 
         $this->save();
         $this->logger->log("Import session started: {$import_id}", 'info');
@@ -146,13 +188,131 @@ class ImportSession
     }
 
     /**
-     * Update progress based on current step
+     * Update progress from the weights of the finished steps
+     * 
+     * @param float $step_progress Share of the current step that is done, from 0 to 1
      */
-    private function update_progress(): void
+    private function update_progress(float $step_progress = 0): void
     {
-        $total_steps = count(self::STEPS);
-        $current_index = $this->data['step_index'];
-        $this->data['progress'] = round(($current_index / $total_steps) * 100);
+        $plan = $this->get_step_plan();
+        $total = array_sum(array_column($plan, 'weight'));
+        $done = 0;
+
+        foreach ($plan as $index => $step) {
+            if ($index < $this->data['step_index']) {
+                $done += $step['weight'];
+            } elseif ($index === $this->data['step_index']) {
+                $done += $step['weight'] * max(0, min(1, $step_progress));
+            }
+        }
+
+        $this->data['progress'] = $total > 0 ? (int) floor($done / $total * 100) : 0;
+    }
+
+    /**
+     * Add the time a step request took to its step
+     * 
+     * Once the import has finished, the step times go into the averages that
+     * later imports are weighted by.
+     * 
+     * @param string $step Step that was executed
+     * @param float $seconds Runtime of the request
+     */
+    public function add_step_time(string $step, float $seconds): void
+    {
+        $key = $this->get_time_key($step);
+        $this->data['step_times'][$key] = ($this->data['step_times'][$key] ?? 0) + $seconds;
+
+        if ($this->data['completed'] && empty($this->data['error'])) {
+            (new StepTimes('import'))->record(array_diff_key($this->data['step_times'], array_filter($this->get_skipped_steps())));
+        }
+
+        $this->save();
+    }
+
+    /**
+     * Get the name a step is timed under
+     * 
+     * @param string $step Step name
+     * @return string Step name, remote_download for an upload step that downloads
+     */
+    private function get_time_key(string $step): string
+    {
+        return $step === 'upload_file' && $this->get_remote_download() ? 'remote_download' : $step;
+    }
+
+    /**
+     * Get the steps that have nothing to do for this archive and the chosen components
+     * 
+     * @return array Whether each step is skipped, by step
+     */
+    private function get_skipped_steps(): array
+    {
+        $download = $this->get_remote_download();
+        $restores_files = $this->includes_component('uploads') || $this->includes_component('plugins') || $this->includes_component('themes');
+
+        return [
+            // Only split archives are reassembled
+            'assemble_archive' => count($download ? $download['files'] : $this->get_archive_parts()) < 2,
+            'import_database' => !$this->includes_component('database'),
+            'import_files' => !$restores_files,
+            'update_urls' => !$this->includes_component('database')
+        ];
+    }
+
+    /**
+     * Get the steps of this import in order
+     * 
+     * Each step weighs the seconds it took on average in earlier imports.
+     * Steps left out by the archive or the chosen components keep their
+     * place but weigh nothing.
+     * 
+     * @return array Steps with step, label, description, message and weight
+     */
+    public function get_step_plan(): array
+    {
+        $skipped = $this->get_skipped_steps();
+        $labels = [
+            'upload_file' => [__('Upload File', 'wp-easy-migrate'), __('Processing uploaded archive file', 'wp-easy-migrate'), __('Uploading file...', 'wp-easy-migrate')],
+            'assemble_archive' => [__('Reassemble Archive', 'wp-easy-migrate'), __('Verifying and joining archive parts', 'wp-easy-migrate'), __('Reassembling archive...', 'wp-easy-migrate')],
+            'extract_archive' => [__('Extract Archive', 'wp-easy-migrate'), __('Extracting files from archive', 'wp-easy-migrate'), __('Extracting archive...', 'wp-easy-migrate')],
+            'validate_manifest' => [__('Validate Manifest', 'wp-easy-migrate'), __('Checking import compatibility', 'wp-easy-migrate'), __('Validating manifest...', 'wp-easy-migrate')],
+            'backup_current_site' => [__('Backup Current Site', 'wp-easy-migrate'), __('Creating safety backup', 'wp-easy-migrate'), __('Creating backup...', 'wp-easy-migrate')],
+            'import_database' => [__('Import Database', 'wp-easy-migrate'), __('Restoring database content', 'wp-easy-migrate'), __('Importing database...', 'wp-easy-migrate')],
+            'import_files' => [__('Import Files', 'wp-easy-migrate'), __('Restoring media and files', 'wp-easy-migrate'), __('Importing files...', 'wp-easy-migrate')],
+            'update_urls' => [__('Update URLs', 'wp-easy-migrate'), __('Updating site URLs', 'wp-easy-migrate'), __('Updating URLs...', 'wp-easy-migrate')],
+            'cleanup' => [__('Cleanup', 'wp-easy-migrate'), __('Cleaning up temporary files', 'wp-easy-migrate'), __('Cleaning up...', 'wp-easy-migrate')]
+        ];
+        $plan = [];
+
+        foreach (self::STEPS as $step) {
+            $key = $this->get_time_key($step);
+            $plan[] = [
+                'step' => $step,
+                'label' => $labels[$step][0],
+                'description' => $labels[$step][1],
+                'message' => $labels[$step][2],
+                'weight' => empty($skipped[$step]) ? (float) ($this->data['step_weights'][$key] ?? self::DEFAULT_STEP_TIMES[$key]) : 0
+            ];
+        }
+
+        return $plan;
+    }
+
+    /**
+     * Get the message for the current step
+     * 
+     * @return string Step message
+     */
+    public function get_step_message(): string
+    {
+        foreach ($this->get_step_plan() as $step) {
+            if ($step['step'] === $this->data['current_step']) {
+                return $step['message'];
+            }
+        }
+
+        return __('Processing...', 'wp-easy-migrate');
     }
 
     /**
@@ -166,6 +326,41 @@ class ImportSession
         $this->save();
     }
 
+    /**
+     * Check if an import has been started and is still running
+     * 
+     * @return bool True if an import is in progress
+     */
+    public function is_in_progress(): bool
+    {
+        return !empty($this->data['import_id']) && !$this->data['completed'] && empty($this->data['error']);
+    }
+
+    /**
+     * Flag that a step request is being processed
+     * 
+     * Cleared on shutdown, so it also goes away when the request dies.
+     */
+    public function mark_step_running(): void
+    {
+        $max_execution_time = (int) ini_get('max_execution_time');
+        set_transient(self::STEP_RUNNING_KEY, time(), $max_execution_time > 0 ? $max_execution_time + 30 : 300);
+
+        register_shutdown_function(function () {
+            delete_transient(self::STEP_RUNNING_KEY);
+        });
+    }
+
+    /**
+     * Check if a step request is currently being processed
+     * 
+     * @return bool True if a step is running
+     */
+    public function is_step_running(): bool
+    {
+        return (bool) get_transient(self::STEP_RUNNING_KEY);
+    }
+
     // Getters
     public function get_session_id(): string
     {
@@ -213,6 +408,101 @@ class ImportSession
         return $this->data['archive_path'];
     }
 
+    public function set_upload_ids(array $upload_ids): void
+    {
+        $this->data['upload_ids'] = array_values($upload_ids);
+        $this->save();
+    }
+
+    public function get_upload_ids(): array
+    {
+        return $this->data['upload_ids'] ?? [];
+    }
+
+    public function set_source_export_id(string $export_id): void
+    {
+        $this->data['source_export_id'] = $export_id;
+        $this->save();
+    }
+
+    public function get_source_export_id(): ?string
+    {
+        return $this->data['source_export_id'] ?? null;
+    }
+
+    public function set_server_archive(string $name): void
+    {
+        $this->data['server_archive'] = $name;
+        $this->save();
+    }
+
+    public function get_server_archive(): ?string
+    {
+        return $this->data['server_archive'] ?? null;
+    }
+
+    /**
+     * Set the state of a download from URLs
+     * 
+     * @param array $download files (url, path, received, size, validator,
+     *                        complete) and the index of the current file
+     */
+    public function set_remote_download(array $download): void
+    {
+        $this->data['remote_download'] = $download;
+
+        if ($this->data['current_step'] === 'upload_file' && !empty($download['files'])) {
+            $file = $download['files'][$download['index']] ?? null;
+            $received = $file && $file['size'] ? $file['received'] / $file['size'] : 0;
+            $this->update_progress(($download['index'] + $received) / count($download['files']));
+        }
+
+        $this->save();
+    }
+
+    public function get_remote_download(): ?array
+    {
+        return $this->data['remote_download'] ?? null;
+    }
+
+    /**
+     * Mark the import as a restore of a pre-import backup
+     * 
+     * @param string $name Backup file name
+     */
+    public function set_rollback_backup(string $name): void
+    {
+        $this->data['rollback_backup'] = $name;
+        $this->save();
+    }
+
+    public function get_rollback_backup(): ?string
+    {
+        return $this->data['rollback_backup'] ?? null;
+    }
+
+    public function set_archive_parts(array $parts): void
+    {
+        $this->data['archive_parts'] = array_values($parts);
+        $this->save();
+    }
+
+    public function get_archive_parts(): array
+    {
+        return $this->data['archive_parts'] ?? [];
+    }
+
+    public function set_standalone_manifest_path(string $path): void
+    {
+        $this->data['standalone_manifest_path'] = $path;
+        $this->save();
+    }
+
+    public function get_standalone_manifest_path(): ?string
+    {
+        return $this->data['standalone_manifest_path'] ?? null;
+    }
+
     public function set_extracted_dir(string $dir): void
     {
         $this->data['extracted_dir'] = $dir;
@@ -235,6 +525,113 @@ class ImportSession
         return $this->data['manifest'];
     }
 
+    /**
+     * Store the preview the import waits to have confirmed
+     * 
+     * @param array $preview Preview from ImportPreview
+     */
+    public function set_preview(array $preview): void
+    {
+        $this->data['preview'] = $preview;
+        $this->data['preview_confirmed'] = false;
+        $this->save();
+    }
+
+    public function get_preview(): ?array
+    {
+        return $this->data['preview'] ?? null;
+    }
+
+    /**
+     * Let the import continue past the preview
+     */
+    public function confirm_preview(): void
+    {
+        $this->data['preview_confirmed'] = true;
+        $this->save();
+    }
+
+    /**
+     * Check whether the import waits for its preview to be confirmed
+     * 
+     * @return bool True if nothing may be replaced yet
+     */
+    public function is_awaiting_confirmation(): bool
+    {
+        return !empty($this->data['preview']) && empty($this->data['preview_confirmed']) && empty($this->data['error']);
+    }
+
+    /**
+     * Store the search/replace pairs and how far they were applied
+     * 
+     * @param array $state Pairs, this site's URLs and the SearchReplace progress
+     */
+    public function set_search_replace(array $state): void
+    {
+        $this->data['search_replace'] = $state;
+
+        if ($this->data['current_step'] === 'update_urls' && !empty($state['tables'])) {
+            $this->update_progress($state['table_index'] / count($state['tables']));
+        }
+
+        $this->save();
+    }
+
+    public function get_search_replace(): ?array
+    {
+        return $this->data['search_replace'] ?? null;
+    }
+
+    /**
+     * Store the compatibility check results for the archive
+     * 
+     * @param array $compatibility Results of CompatibilityChecker::check()
+     */
+    public function set_compatibility(array $compatibility): void
+    {
+        $this->data['compatibility'] = $compatibility;
+        $this->save();
+    }
+
+    public function get_compatibility(): ?array
+    {
+        return $this->data['compatibility'] ?? null;
+    }
+
+    /**
+     * Restore only some of the components in the archive
+     * 
+     * @param array $components database, uploads, plugins and/or themes
+     */
+    public function set_components(array $components): void
+    {
+        $this->data['components'] = array_values($components);
+        $this->save();
+    }
+
+    /**
+     * Get the components chosen for restore
+     * 
+     * @return array|null Components, null for everything in the archive
+     */
+    public function get_components(): ?array
+    {
+        return $this->data['components'] ?? null;
+    }
+
+    /**
+     * Check whether a component is restored
+     * 
+     * @param string $component database, uploads, plugins or themes
+     * @return bool True if it was chosen, or nothing was chosen
+     */
+    public function includes_component(string $component): bool
+    {
+        $components = $this->get_components();
+
+        return $components === null || in_array($component, $components, true);
+    }
+
     public function set_backup_path(string $path): void
     {
         $this->data['backup_path'] = $path;
@@ -286,8 +683,21 @@ class ImportSession
             'error' => $this->data['error'],
             'import_id' => $this->data['import_id'],
             'archive_path' => $this->data['archive_path'],
+            'archive_parts' => array_map('basename', $this->get_archive_parts()),
             'current_operation' => $this->data['current_operation'],
             'files_imported' => $this->data['files_imported'],
+            'backup' => $this->data['backup_path'] && file_exists($this->data['backup_path']) ? basename($this->data['backup_path']) : null,
+            'rollback' => $this->get_rollback_backup(),
+            'components' => $this->get_components(),
+            'compatibility' => $this->get_compatibility(),
+            'awaiting_confirmation' => $this->is_awaiting_confirmation(),
+            'preview' => $this->is_awaiting_confirmation() ? $this->data['preview'] : null,
+            'replacements' => isset($this->data['search_replace']['counts']) ? [
+                'counts' => $this->data['search_replace']['counts'],
+                'skipped' => $this->data['search_replace']['skipped'],
+                'unparsed' => $this->data['search_replace']['unparsed'],
+                'done' => $this->data['search_replace']['done']
+            ] : null,
             'started_at' => $this->data['started_at'],
             'last_updated' => $this->data['last_updated']
         ];
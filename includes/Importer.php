@@ -291,13 +291,14 @@ class Importer
      * Restore database from SQL file
      * 
      * @param string $db_path Path to database SQL file
+     * @param array $database_info Database section of the export manifest
      * @return bool Success status
      * @throws Exception
      */
-    public function restore_database(string $db_path): bool
+    public function restore_database(string $db_path, array $database_info = []): bool
     {
         $hybrid_importer = new HybridDatabaseImporter($this->logger);
-        return $hybrid_importer->import($db_path);
+        return $hybrid_importer->import($db_path, $database_info);
     }
 
     /**
@@ -340,6 +341,49 @@ class Importer
         return true;
     }
 
+    /**
+     * Restore files from an extracted folder
+     * 
+     * @param string $source_dir Folder with the files
+     * @param string $target_dir Target directory
+     * @return bool Success status
+     * @throws Exception
+     */
+    public function restore_folder(string $source_dir, string $target_dir): bool
+    {
+        if (!is_dir($source_dir)) {
+            throw new Exception("Files folder not found: {$source_dir}");
+        }
+
+        $this->logger->log("Restoring files: {$source_dir} -> {$target_dir}", 'info');
+
+        $iterator = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator($source_dir, \FilesystemIterator::SKIP_DOTS),
+            \RecursiveIteratorIterator::SELF_FIRST
+        );
+
+        // Create target directory if it doesn't exist
+        if (!is_dir($target_dir)) {
+            wp_mkdir_p($target_dir);
+        }
+
+        foreach ($iterator as $item) {
+            $target_path = $target_dir . '/' . $iterator->getSubPathname();
+
+            if ($item->isDir()) {
+                if (!is_dir($target_path) && !wp_mkdir_p($target_path)) {
+                    throw new Exception("Failed to create directory: {$target_path}");
+                }
+            } elseif (!copy($item->getPathname(), $target_path)) {
+                $error = error_get_last();
+                throw new Exception("Failed to restore {$target_path}: " . ($error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+            }
+        }
+
+        $this->logger->log("Files restored successfully to: {$target_dir}", 'info');
+        return true;
+    }
+
     /**
      * Update site URLs after import
      * 
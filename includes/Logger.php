@@ -183,6 +183,27 @@ class Logger {
         return $filtered_logs;
     }
     
+    /**
+     * Get log entries matching the filters of the log viewer
+     * 
+     * @param array $filters level and/or search
+     * @param int $limit Maximum number of entries
+     * @return array Array of log entries, most recent first
+     */
+    public function get_filtered_logs(array $filters = [], int $limit = 100): array {
+        if (!empty($filters['level'])) {
+            $logs = $this->get_logs_by_level($filters['level'], empty($filters['search']) ? $limit : 1000);
+        } else {
+            $logs = $this->get_recent_logs(empty($filters['search']) ? $limit : 1000);
+        }
+        
+        if (!empty($filters['search'])) {
+            $logs = $this->filter_logs($logs, ['search' => $filters['search']]);
+        }
+        
+        return array_slice($logs, 0, $limit);
+    }
+    
     /**
      * Clear log file
      */
@@ -367,8 +388,8 @@ class Logger {
                 $include = false;
             }
             
-            // Filter by message content
-            if (isset($filters['search']) && stripos($log['message'], $filters['search']) === false) {
+            // Filter by message and context content
+            if (isset($filters['search']) && stripos($log['message'] . ' ' . wp_json_encode($log['context']), $filters['search']) === false) {
                 $include = false;
             }
             
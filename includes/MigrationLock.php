@@ -0,0 +1,248 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * MigrationLock Class
+ *
+ * Makes sure only one export or import runs at a time. The lock belongs to
+ * the browser tab that started the job, identified by a token the tab sends
+ * with every request, so other tabs and other admins can only watch. It also
+ * records the session of the job, so cancelling the session from anywhere
+ * frees it.
+ */
+class MigrationLock
+{
+
+    /**
+     * Option key for the lock
+     */
+    const OPTION_KEY = 'wp_easy_migrate_lock';
+
+    /**
+     * Seconds without a step from the holder after which the lock is abandoned
+     */
+    const STALE_AFTER = 300;
+
+    /**
+     * Get the lock token sent with the current request
+     *
+     * @return string Token, empty if none was sent
+     */
+    public static function get_request_token(): string
+    {
+        $token = isset($_REQUEST['lock_token']) ? sanitize_key(wp_unslash($_REQUEST['lock_token'])) : '';
+
+        return substr($token, 0, 64);
+    }
+
+    /**
+     * Take the lock for a new job
+     *
+     * @param string $type export or import
+     * @param string $token Token of the requesting tab
+     * @param string $session_id Session of the job, empty if not started yet
+     * @return bool True if the lock was taken
+     */
+    public function acquire(string $type, string $token, string $session_id = ''): bool
+    {
+        if ($token === '') {
+            return false;
+        }
+
+        $lock = $this->get();
+
+        if ($lock && $lock['token'] !== $token) {
+            return false;
+        }
+
+        // Stale or own lock from an earlier job
+        delete_option(self::OPTION_KEY);
+
+        $now = time();
+        $user = wp_get_current_user();
+
+        // add_option fails if another request took the lock in the meantime
+        return add_option(self::OPTION_KEY, [
+            'type' => $type,
+            'token' => $token,
+            'session_id' => $session_id,
+            'user_id' => $user->ID,
+            'user_name' => $user->display_name,
+            'acquired_at' => $now,
+            'updated_at' => $now
+        ], '', 'no');
+    }
+
+    /**
+     * Check that a tab may run the next step of a job and record its activity
+     *
+     * A free lock is taken over, which also restores it after an import has
+     * replaced the options table.
+     *
+     * @param string $type export or import
+     * @param string $token Token of the requesting tab
+     * @param string $session_id Session of the job
+     * @return bool True if the tab holds the lock
+     */
+    public function check(string $type, string $token, string $session_id = ''): bool
+    {
+        $lock = $this->get();
+
+        if (!$lock) {
+            return $this->acquire($type, $token, $session_id);
+        }
+
+        if ($lock['type'] !== $type || $lock['token'] !== $token) {
+            return false;
+        }
+
+        if ($session_id !== '') {
+            $lock['session_id'] = $session_id;
+        }
+
+        $lock['updated_at'] = time();
+        update_option(self::OPTION_KEY, $lock, 'no');
+
+        return true;
+    }
+
+    /**
+     * Check whether a tab could start a job now
+     *
+     * @param string $token Token of the requesting tab
+     * @return bool True if the lock is free or held by the tab
+     */
+    public function is_available(string $token): bool
+    {
+        $lock = $this->get();
+
+        return !$lock || ($token !== '' && $lock['token'] === $token);
+    }
+
+    /**
+     * Release the lock
+     *
+     * @param string|null $token Only release if held by this token, null to release unconditionally
+     */
+    public function release(?string $token = null): void
+    {
+        $lock = $this->get_raw();
+
+        if ($lock && $token !== null && $lock['token'] !== $token) {
+            return;
+        }
+
+        delete_option(self::OPTION_KEY);
+    }
+
+    /**
+     * Release the lock of a session, whichever tab holds it
+     *
+     * @param string $session_id Session of the job
+     */
+    public function release_session(string $session_id): void
+    {
+        $lock = $this->get_raw();
+
+        if ($lock && $session_id !== '' && ($lock['session_id'] ?? '') === $session_id) {
+            delete_option(self::OPTION_KEY);
+        }
+    }
+
+    /**
+     * Get the active lock
+     *
+     * @return array|null Lock data, null if free or abandoned
+     */
+    public function get(): ?array
+    {
+        $lock = $this->get_raw();
+
+        if (!$lock) {
+            return null;
+        }
+
+        $max_execution_time = (int) ini_get('max_execution_time');
+        $stale_after = max(self::STALE_AFTER, $max_execution_time * 2);
+
+        if (time() - (int) $lock['updated_at'] > $stale_after) {
+            return null;
+        }
+
+        return $lock;
+    }
+
+    /**
+     * Describe the lock for the UI
+     *
+     * @param string $token Token of the requesting tab
+     * @return array|null Holder, start time and message, null if free
+     */
+    public function describe(string $token): ?array
+    {
+        $lock = $this->get();
+
+        if (!$lock) {
+            return null;
+        }
+
+        $since = (int) $lock['acquired_at'];
+        $since_formatted = wp_date(get_option('date_format') . ' ' . get_option('time_format'), $since);
+        $since_human = human_time_diff($since);
+
+        $message = $lock['type'] === 'import'
+            /* translators: 1: user name, 2: date and time, 3: human readable duration */
+            ? __('%1$s started an import on %2$s (%3$s ago).', 'wp-easy-migrate')
+            /* translators: 1: user name, 2: date and time, 3: human readable duration */
+            : __('%1$s started an export on %2$s (%3$s ago).', 'wp-easy-migrate');
+
+        return [
+            'type' => $lock['type'],
+            'user' => $lock['user_name'],
+            'user_id' => (int) $lock['user_id'],
+            'since' => $since,
+            'since_formatted' => $since_formatted,
+            'since_human' => $since_human,
+            'owned' => $token !== '' && $lock['token'] === $token,
+            'message' => sprintf($message, $lock['user_name'], $since_formatted, $since_human)
+        ];
+    }
+
+    /**
+     * Build the error response for a request refused because of the lock
+     *
+     * @param string $token Token of the requesting tab
+     * @return array Error data with message and lock
+     */
+    public function get_error_data(string $token): array
+    {
+        $lock = $this->describe($token);
+        $message = __('Another migration is already running.', 'wp-easy-migrate');
+
+        if ($lock) {
+            $message .= ' ' . $lock['message'];
+        }
+
+        return [
+            'message' => $message,
+            'lock' => $lock,
+            'locked' => true
+        ];
+    }
+
+    /**
+     * Get the stored lock, including abandoned ones
+     *
+     * @return array|null Lock data
+     */
+    private function get_raw(): ?array
+    {
+        // Another request may have changed the lock since this one started
+        wp_cache_delete(self::OPTION_KEY, 'options');
+
+        $lock = get_option(self::OPTION_KEY, null);
+
+        return is_array($lock) && isset($lock['type'], $lock['token'], $lock['updated_at']) ? $lock : null;
+    }
+}
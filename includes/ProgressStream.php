@@ -0,0 +1,147 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * ProgressStream Class
+ *
+ * Pushes export/import progress to the browser as Server-Sent Events while
+ * steps run in other requests. Each connection lasts a limited time and asks
+ * the client to reconnect, so it never runs into the execution time limit.
+ */
+class ProgressStream
+{
+
+    /**
+     * Longest time a single connection stays open, in seconds
+     */
+    const MAX_DURATION = 25;
+
+    /**
+     * Delay between session checks, in microseconds
+     */
+    const CHECK_INTERVAL = 500000;
+
+    /**
+     * Seconds between keep-alive comments
+     */
+    const HEARTBEAT_INTERVAL = 10;
+
+    /**
+     * Stream snapshots until the operation finishes or the connection expires
+     *
+     * @param string $option_key Option the session is stored in
+     * @param callable $snapshot Returns ['data' => array, 'done' => bool]
+     */
+    public function run(string $option_key, callable $snapshot): void
+    {
+        $this->start_stream();
+
+        $max_execution_time = (int) ini_get('max_execution_time');
+        $duration = $max_execution_time > 0
+            ? max(1, min(self::MAX_DURATION, $max_execution_time - 5))
+            : self::MAX_DURATION;
+
+        $started = time();
+        $last_payload = null;
+        $last_sent = time();
+
+        while (time() - $started < $duration) {
+            if (connection_aborted()) {
+                exit;
+            }
+
+            $this->refresh_option($option_key);
+            $result = $snapshot();
+            $payload = wp_json_encode($result['data']);
+
+            if ($payload !== $last_payload) {
+                $this->send('progress', $payload);
+                $last_payload = $payload;
+                $last_sent = time();
+            } elseif (time() - $last_sent >= self::HEARTBEAT_INTERVAL) {
+                $this->send_comment('ping');
+                $last_sent = time();
+            }
+
+            if (!empty($result['done'])) {
+                $this->send('done', $payload);
+                exit;
+            }
+
+            usleep(self::CHECK_INTERVAL);
+        }
+
+        $this->send('reconnect', '{}');
+        exit;
+    }
+
+    /**
+     * Send stream headers and switch off output buffering
+     */
+    private function start_stream(): void
+    {
+        ignore_user_abort(false);
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        if (!headers_sent()) {
+            header('Content-Type: text/event-stream; charset=utf-8');
+            header('Cache-Control: no-cache, no-transform');
+            // Stops nginx from buffering the response
+            header('X-Accel-Buffering: no');
+        }
+
+        echo "retry: 3000\n";
+
+        // Some proxies hold back the first few KB, padding pushes it through
+        $this->send_comment(str_repeat(' ', 2048));
+    }
+
+    /**
+     * Send an event
+     *
+     * @param string $event Event name
+     * @param string $data JSON payload
+     */
+    private function send(string $event, string $data): void
+    {
+        echo "event: {$event}\n";
+        echo "data: {$data}\n\n";
+        flush();
+    }
+
+    /**
+     * Send a comment line, which clients ignore
+     *
+     * @param string $comment Comment text
+     */
+    private function send_comment(string $comment): void
+    {
+        echo ": {$comment}\n\n";
+        flush();
+    }
+
+    /**
+     * Drop the cached session so the next read sees writes from step requests
+     *
+     * @param string $option_key Option name
+     */
+    private function refresh_option(string $option_key): void
+    {
+        // A persistent object cache is updated by the writing request, only
+        // the copy kept in memory for this request is stale
+        if (wp_using_ext_object_cache()) {
+            if (function_exists('wp_cache_flush_runtime')) {
+                wp_cache_flush_runtime();
+            }
+            return;
+        }
+
+        wp_cache_delete($option_key, 'options');
+        wp_cache_delete('alloptions', 'options');
+        wp_cache_delete('notoptions', 'options');
+    }
+}
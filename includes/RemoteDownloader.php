@@ -0,0 +1,292 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * RemoteDownloader Class
+ *
+ * Downloads a file over HTTP in chunks, one chunk per request, so large
+ * archives can be fetched across several import steps. Each chunk is
+ * requested with a Range header and appended to the file. Servers that
+ * ignore ranges can only serve files that fit in a single chunk, since a
+ * step never reads more than one.
+ */
+class RemoteDownloader
+{
+
+    /**
+     * Default bytes fetched per step
+     */
+    const CHUNK_SIZE = 8388608;
+
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        $this->logger = new Logger();
+    }
+
+    /**
+     * Check that a URL can be downloaded from
+     *
+     * Only the scheme is restricted, so archives can also be fetched from
+     * servers on the local network.
+     *
+     * @param mixed $url URL
+     * @return string|null Sanitized URL, null if it is not an http(s) URL
+     */
+    public static function validate_url($url): ?string
+    {
+        if (!is_string($url)) {
+            return null;
+        }
+
+        $url = esc_url_raw(trim($url), ['http', 'https']);
+        $host = wp_parse_url($url, PHP_URL_HOST);
+
+        return $url && $host ? $url : null;
+    }
+
+    /**
+     * Get the file name to save a download under
+     *
+     * @param string $url URL
+     * @return string File name
+     */
+    public static function get_file_name(string $url): string
+    {
+        $file_name = sanitize_file_name(rawurldecode(basename((string) wp_parse_url($url, PHP_URL_PATH))));
+
+        return $file_name !== '' ? $file_name : 'remote-archive.zip';
+    }
+
+    /**
+     * Download the next chunk of a file
+     *
+     * Continues from the size of the file on disk, so a step that died
+     * halfway through a chunk is simply fetched again. Responses are cut off
+     * after one chunk, also when the server ignores the Range header.
+     *
+     * @param string $url URL
+     * @param string $path Local file path
+     * @param string|null $validator ETag or Last-Modified of the earlier chunks
+     * @return array received, size (null while unknown), complete and validator
+     * @throws \Exception
+     */
+    public function download_chunk(string $url, string $path, ?string $validator = null): array
+    {
+        clearstatcache(true, $path);
+        $offset = file_exists($path) ? filesize($path) : 0;
+        $chunk_size = max(1048576, (int) apply_filters('wp_easy_migrate_remote_chunk_size', self::CHUNK_SIZE));
+        $chunk_path = $path . '.chunk';
+
+        $headers = ['Range' => 'bytes=' . $offset . '-' . ($offset + $chunk_size - 1)];
+
+        // Without a match the server sends the whole, changed file again
+        if ($offset > 0 && $validator) {
+            $headers['If-Range'] = $validator;
+        }
+
+        $max_execution_time = (int) ini_get('max_execution_time');
+
+        $response = wp_remote_get($url, [
+            'headers' => $headers,
+            'timeout' => $max_execution_time > 0 ? max(10, $max_execution_time - 10) : 300,
+            'redirection' => 5,
+            'stream' => true,
+            'filename' => $chunk_path,
+            'limit_response_size' => $chunk_size
+        ]);
+
+        if (is_wp_error($response)) {
+            $this->remove_file($chunk_path);
+            throw new \Exception(sprintf(__('Download failed: %s', 'wp-easy-migrate'), $response->get_error_message()));
+        }
+
+        $code = (int) wp_remote_retrieve_response_code($response);
+        $previous_validator = $validator;
+        $validator = wp_remote_retrieve_header($response, 'etag') ?: (wp_remote_retrieve_header($response, 'last-modified') ?: $validator);
+        $range = $this->parse_content_range(wp_remote_retrieve_header($response, 'content-range'));
+
+        // Everything was fetched by an earlier chunk
+        if ($code === 416 && $range && $range['size'] === $offset) {
+            $this->remove_file($chunk_path);
+
+            return $this->result($offset, $offset, true, $validator);
+        }
+
+        if ($code === 206) {
+            if (!$range || $range['start'] !== $offset) {
+                $this->remove_file($chunk_path);
+                throw new \Exception(__('Download failed: the server sent the wrong part of the file', 'wp-easy-migrate'));
+            }
+
+            $this->append_file($chunk_path, $path);
+            clearstatcache(true, $path);
+            $received = filesize($path);
+
+            // Without a total size, a short chunk marks the end of the file
+            $complete = $range['size'] !== null ? $received >= $range['size'] : $received - $offset < $chunk_size;
+
+            return $this->result($received, $range['size'], $complete, $validator);
+        }
+
+        if ($code === 200) {
+            return $this->save_full_response($response, $url, $chunk_path, $path, $offset, $chunk_size, $validator, $previous_validator);
+        }
+
+        $this->remove_file($chunk_path);
+        throw new \Exception(sprintf(__('Download failed: the server responded with HTTP %d', 'wp-easy-migrate'), $code));
+    }
+
+    /**
+     * Save a response that ignored the Range header
+     *
+     * The body starts at the beginning of the file. With If-Range that means
+     * the file changed on the server, so the download starts over from this
+     * chunk. Otherwise the server does not support ranges, and the file can
+     * only be used if it arrived completely.
+     *
+     * @param array $response HTTP response
+     * @param string $url URL
+     * @param string $chunk_path Chunk file path
+     * @param string $path Target file path
+     * @param int $offset Bytes that were on disk before the request
+     * @param int $chunk_size Bytes requested
+     * @param string|null $validator ETag or Last-Modified of the response
+     * @param string|null $previous_validator ETag or Last-Modified of the earlier chunks
+     * @return array Chunk result
+     * @throws \Exception
+     */
+    private function save_full_response(array $response, string $url, string $chunk_path, string $path, int $offset, int $chunk_size, ?string $validator, ?string $previous_validator): array
+    {
+        clearstatcache(true, $chunk_path);
+        $received = file_exists($chunk_path) ? filesize($chunk_path) : 0;
+        $length = wp_remote_retrieve_header($response, 'content-length');
+        $size = is_numeric($length) ? (int) $length : null;
+
+        // Without a length, a body shorter than the limit was not cut off
+        $complete = $size !== null ? $received >= $size : $received < $chunk_size;
+        $changed = $offset > 0 && $previous_validator && $validator !== $previous_validator;
+
+        if (!$complete && !$changed) {
+            $this->remove_file($chunk_path);
+            $this->remove_file($path);
+
+            throw new \Exception(sprintf(__('Download failed: the server of %1$s does not support resuming downloads (HTTP Range requests), so only files up to %2$s can be downloaded from it. Serve the file from a server that supports ranges, or upload it instead.', 'wp-easy-migrate'), $url, size_format($chunk_size)));
+        }
+
+        if ($changed) {
+            $this->logger->log("The file at {$url} changed on the server, its download starts over", 'warning');
+        } elseif ($offset > 0) {
+            $this->logger->log("Server did not resume the download of {$url}, it was fetched again from the start", 'warning');
+        }
+
+        if (!rename($chunk_path, $path)) {
+            $error = error_get_last();
+            $this->remove_file($chunk_path);
+
+            throw new \Exception(sprintf(__('Failed to save the downloaded file: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+
+        return $this->result($received, $size, $complete, $validator);
+    }
+
+    /**
+     * Parse a Content-Range header such as "bytes 0-99/1234"
+     *
+     * @param string|array $header Header value
+     * @return array|null start and size (null if unknown), null if missing
+     */
+    private function parse_content_range($header): ?array
+    {
+        if (is_array($header)) {
+            $header = end($header);
+        }
+
+        if (!is_string($header) || !preg_match('/^bytes\s+(?:(\d+)-\d+|\*)\/(\d+|\*)$/i', trim($header), $matches)) {
+            return null;
+        }
+
+        return [
+            'start' => isset($matches[1]) && $matches[1] !== '' ? (int) $matches[1] : null,
+            'size' => $matches[2] !== '*' ? (int) $matches[2] : null
+        ];
+    }
+
+    /**
+     * Append a downloaded chunk to the file and remove the chunk
+     *
+     * @param string $chunk_path Chunk file path
+     * @param string $path Target file path
+     * @throws \Exception
+     */
+    private function append_file(string $chunk_path, string $path): void
+    {
+        $source = fopen($chunk_path, 'rb');
+        $target = $source ? fopen($path, 'ab') : false;
+
+        if (!$source || !$target) {
+            $error = error_get_last();
+
+            if ($source) {
+                fclose($source);
+            }
+
+            $this->remove_file($chunk_path);
+            throw new \Exception(sprintf(__('Failed to save the downloaded file: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+
+        $copied = stream_copy_to_stream($source, $target);
+        $error = $copied === false ? error_get_last() : null;
+
+        fclose($source);
+        fclose($target);
+        $this->remove_file($chunk_path);
+
+        if ($copied === false) {
+            throw new \Exception(sprintf(__('Failed to save the downloaded file: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+    }
+
+    /**
+     * Remove a chunk or an abandoned download
+     *
+     * A file that cannot be removed is overwritten by the next attempt, so
+     * this only logs the failure.
+     *
+     * @param string $path File path
+     */
+    private function remove_file(string $path): void
+    {
+        if (file_exists($path) && !unlink($path)) {
+            $error = error_get_last();
+            $this->logger->log("Could not remove {$path}: " . ($error['message'] ?? 'unknown error'), 'warning');
+        }
+    }
+
+    /**
+     * Build a chunk result
+     *
+     * @param int $received Bytes on disk
+     * @param int|null $size Total size, null if unknown
+     * @param bool $complete Whether the file is complete
+     * @param string|null $validator ETag or Last-Modified
+     * @return array Chunk result
+     */
+    private function result(int $received, ?int $size, bool $complete, ?string $validator): array
+    {
+        return [
+            'received' => $received,
+            'size' => $size,
+            'complete' => $complete,
+            'validator' => $validator ?: null
+        ];
+    }
+}
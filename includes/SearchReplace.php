@@ -0,0 +1,443 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * SearchReplace Class
+ *
+ * Replaces strings such as the source site's URL and path in every table of
+ * the site, a batch of rows at a time so large databases are processed over
+ * several import steps. Serialized PHP values are rewritten with corrected
+ * string lengths instead of being broken by a plain replace; they are parsed
+ * without unserializing them, so no classes are instantiated.
+ */
+class SearchReplace
+{
+
+    /**
+     * Rows read per query
+     */
+    const ROWS_PER_BATCH = 500;
+
+    /**
+     * Option names left alone, the plugin's own state such as this import's session
+     */
+    const SKIPPED_OPTION_PREFIX = 'wp_easy_migrate_';
+
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * Strings to search for
+     */
+    private $search = [];
+
+    /**
+     * Replacements, in the order of $search
+     */
+    private $replace = [];
+
+    /**
+     * Values that looked serialized but could not be parsed, left unchanged
+     */
+    private $unparsed = 0;
+
+    /**
+     * Constructor
+     *
+     * @param array $pairs Search and replace pairs, applied in order
+     */
+    public function __construct(array $pairs)
+    {
+        $this->logger = new Logger();
+
+        foreach ($pairs as $pair) {
+            $this->search[] = (string) $pair['search'];
+            $this->replace[] = (string) $pair['replace'];
+        }
+    }
+
+    /**
+     * Suggest pairs that move the source site's URLs and paths to this site
+     *
+     * Called before the import, while the options still hold this site's
+     * URLs. Longer strings come first, so a site URL in a subdirectory is
+     * replaced before the home URL it starts with, and pairs the earlier
+     * ones already cover are left out.
+     *
+     * @param array $manifest Import manifest
+     * @return array Pairs with search and replace
+     */
+    public static function get_default_pairs(array $manifest): array
+    {
+        $site_info = $manifest['site_info'] ?? [];
+        $candidates = [
+            [$site_info['url'] ?? '', get_site_url()],
+            [$site_info['home_url'] ?? '', get_home_url()],
+            [$site_info['paths']['abspath'] ?? '', ABSPATH],
+            [$site_info['paths']['content'] ?? '', WP_CONTENT_DIR]
+        ];
+
+        $pairs = [];
+
+        foreach ($candidates as [$search, $replace]) {
+            $search = untrailingslashit((string) $search);
+            $replace = untrailingslashit((string) $replace);
+
+            if ($search === '' || $search === $replace) {
+                continue;
+            }
+
+            $pairs[] = ['search' => $search, 'replace' => $replace];
+
+            // URLs in JSON, such as block attributes, have escaped slashes
+            if (strpos($search, '://') !== false) {
+                $pairs[] = [
+                    'search' => str_replace('/', '\\/', $search),
+                    'replace' => str_replace('/', '\\/', $replace)
+                ];
+            }
+        }
+
+        usort($pairs, function ($a, $b) {
+            return strlen($b['search']) <=> strlen($a['search']);
+        });
+
+        $kept = [];
+
+        foreach ($pairs as $pair) {
+            $covered = new self($kept);
+
+            if ($covered->replace($pair['search']) !== $pair['replace']) {
+                $kept[] = $pair;
+            }
+        }
+
+        return $kept;
+    }
+
+    /**
+     * Get the tables of the site
+     *
+     * @return array Table names
+     */
+    public function get_tables(): array
+    {
+        global $wpdb;
+
+        return $wpdb->get_col($wpdb->prepare('SHOW TABLES LIKE %s', $wpdb->esc_like($wpdb->base_prefix) . '%'));
+    }
+
+    /**
+     * Run batches until the time is up or every table is done
+     *
+     * @param array $state tables, table_index, cursor, counts and skipped from the previous call
+     * @param int $seconds Time to spend
+     * @return array Updated state, with done once every table was processed
+     */
+    public function process(array $state, int $seconds): array
+    {
+        $started = time();
+
+        if (!isset($state['tables'])) {
+            $state = array_merge($state, [
+                'tables' => $this->get_tables(),
+                'table_index' => 0,
+                'cursor' => null,
+                'counts' => [],
+                'skipped' => [],
+                'unparsed' => 0,
+                'done' => false
+            ]);
+        }
+
+        while ($state['table_index'] < count($state['tables'])) {
+            $table = $state['tables'][$state['table_index']];
+            $batch = $this->replace_batch($table, $state['cursor']);
+
+            if ($batch['skipped']) {
+                $state['skipped'][$table] = $batch['skipped'];
+                $this->logger->log("Search/replace skipped table {$table}: {$batch['skipped']}", 'warning');
+            }
+
+            if ($batch['replacements']) {
+                $state['counts'][$table] = ($state['counts'][$table] ?? 0) + $batch['replacements'];
+            }
+
+            $state['cursor'] = $batch['cursor'];
+
+            if ($batch['done']) {
+                $state['table_index']++;
+                $state['cursor'] = null;
+            }
+
+            if (time() - $started >= $seconds) {
+                break;
+            }
+        }
+
+        $state['unparsed'] += $this->unparsed;
+        $this->unparsed = 0;
+        $state['done'] = $state['table_index'] >= count($state['tables']);
+
+        return $state;
+    }
+
+    /**
+     * Replace in the next batch of rows of a table
+     *
+     * Tables with a single-column primary key are read in key order after
+     * the last key of the previous batch, and only rows that contain one of
+     * the search strings are read. Other tables are paged by offset.
+     *
+     * @param string $table Table name
+     * @param mixed $cursor Last key or offset of the previous batch, null to start
+     * @return array cursor, done, replacements and skipped (reason or null)
+     */
+    public function replace_batch(string $table, $cursor): array
+    {
+        global $wpdb;
+
+        $result = [
+            'cursor' => $cursor,
+            'done' => true,
+            'replacements' => 0,
+            'skipped' => null
+        ];
+
+        if (empty($this->search)) {
+            return $result;
+        }
+
+        $primary = [];
+        $text = [];
+
+        foreach ($wpdb->get_results("SHOW COLUMNS FROM `{$table}`", ARRAY_A) as $column) {
+            if ($column['Key'] === 'PRI') {
+                $primary[] = $column['Field'];
+            } elseif (preg_match('/char|text|blob|json/i', $column['Type'])) {
+                $text[] = $column['Field'];
+            }
+        }
+
+        if (empty($primary)) {
+            $result['skipped'] = __('No primary key to update rows by', 'wp-easy-migrate');
+            return $result;
+        }
+
+        if (empty($text)) {
+            return $result;
+        }
+
+        $select = '`' . implode('`, `', array_merge($primary, $text)) . '`';
+        $order = '`' . implode('`, `', $primary) . '`';
+
+        if (count($primary) === 1) {
+            $conditions = [];
+            $values = [];
+
+            foreach ($text as $column) {
+                foreach ($this->search as $search) {
+                    $conditions[] = "`{$column}` LIKE %s";
+                    $values[] = '%' . $wpdb->esc_like($search) . '%';
+                }
+            }
+
+            $where = '(' . implode(' OR ', $conditions) . ')';
+
+            if ($cursor !== null) {
+                $where .= " AND {$order} > %s";
+                $values[] = $cursor;
+            }
+
+            $rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT {$select} FROM `{$table}` WHERE {$where} ORDER BY {$order} LIMIT %d",
+                array_merge($values, [self::ROWS_PER_BATCH])
+            ), ARRAY_A);
+        } else {
+            $rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT {$select} FROM `{$table}` ORDER BY {$order} LIMIT %d, %d",
+                (int) $cursor,
+                self::ROWS_PER_BATCH
+            ), ARRAY_A);
+        }
+
+        foreach ((array) $rows as $row) {
+            if ($table === $wpdb->options && strpos((string) ($row['option_name'] ?? ''), self::SKIPPED_OPTION_PREFIX) === 0) {
+                continue;
+            }
+
+            $update = [];
+
+            foreach ($text as $column) {
+                if ($row[$column] === null) {
+                    continue;
+                }
+
+                $count = 0;
+                $value = $this->replace($row[$column], $count);
+
+                if ($count && $value !== $row[$column]) {
+                    $update[$column] = $value;
+                    $result['replacements'] += $count;
+                }
+            }
+
+            if ($update && $wpdb->update($table, $update, array_intersect_key($row, array_flip($primary))) === false) {
+                $this->logger->log("Search/replace could not update a row of {$table}: {$wpdb->last_error}", 'warning');
+            }
+        }
+
+        $rows = (array) $rows;
+        $result['done'] = count($rows) < self::ROWS_PER_BATCH;
+
+        if (count($primary) === 1) {
+            $result['cursor'] = $rows ? end($rows)[$primary[0]] : $cursor;
+        } else {
+            $result['cursor'] = (int) $cursor + count($rows);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Replace in a value, keeping serialized values intact
+     *
+     * @param string $value Value from the database
+     * @param int $count Incremented by the number of replacements
+     * @return string New value
+     */
+    public function replace(string $value, int &$count = 0): string
+    {
+        if ($value === '' || empty($this->search)) {
+            return $value;
+        }
+
+        if (is_serialized($value, false)) {
+            $pos = 0;
+
+            try {
+                $replaced = $this->replace_serialized($value, $pos, $count, true);
+
+                if ($pos === strlen(rtrim($value))) {
+                    return $replaced;
+                }
+            } catch (\UnexpectedValueException $e) {
+                // Not serialized after all, or damaged
+            }
+
+            // A plain replace would break the string lengths of a damaged value
+            if (preg_match('/^[aOC]:\d+:/', $value)) {
+                $this->unparsed++;
+                return $value;
+            }
+        }
+
+        $replaced = str_replace($this->search, $this->replace, $value, $replacements);
+        $count += $replacements;
+
+        return $replaced;
+    }
+
+    /**
+     * Rebuild a serialized value starting at a position with replaced strings
+     *
+     * @param string $data Serialized data
+     * @param int $pos Position of the value, moved past it
+     * @param int $count Incremented by the number of replacements
+     * @param bool $replace_strings Whether strings are replaced in, false for array keys
+     * @return string Serialized value
+     * @throws \UnexpectedValueException If the data is not valid serialized PHP
+     */
+    private function replace_serialized(string $data, int &$pos, int &$count, bool $replace_strings): string
+    {
+        $type = $data[$pos] ?? '';
+
+        switch ($type) {
+            case 'N':
+                if (substr($data, $pos, 2) !== 'N;') {
+                    break;
+                }
+
+                $pos += 2;
+                return 'N;';
+
+            case 'b':
+            case 'i':
+            case 'd':
+            case 'r':
+            case 'R':
+                if (!preg_match('/\G[bidrR]:[^;]*;/', $data, $matches, 0, $pos)) {
+                    break;
+                }
+
+                $pos += strlen($matches[0]);
+                return $matches[0];
+
+            case 's':
+                if (!preg_match('/\Gs:(\d+):"/', $data, $matches, 0, $pos)) {
+                    break;
+                }
+
+                $start = $pos + strlen($matches[0]);
+                $length = (int) $matches[1];
+
+                if (substr($data, $start + $length, 2) !== '";') {
+                    break;
+                }
+
+                $value = substr($data, $start, $length);
+                $pos = $start + $length + 2;
+
+                // Strings may hold serialized values of their own
+                if ($replace_strings) {
+                    $value = $this->replace($value, $count);
+                }
+
+                return 's:' . strlen($value) . ':"' . $value . '";';
+
+            case 'a':
+            case 'O':
+                if (!preg_match('/\G(?:a|O:\d+:"[^"]*"):(\d+):\{/', $data, $matches, 0, $pos)) {
+                    break;
+                }
+
+                $pos += strlen($matches[0]);
+                $serialized = $matches[0];
+
+                for ($i = 0; $i < (int) $matches[1]; $i++) {
+                    $serialized .= $this->replace_serialized($data, $pos, $count, false);
+                    $serialized .= $this->replace_serialized($data, $pos, $count, true);
+                }
+
+                if (($data[$pos] ?? '') !== '}') {
+                    break;
+                }
+
+                $pos++;
+                return $serialized . '}';
+
+            case 'C':
+            case 'E':
+                // Custom serialization and enums are kept as they are
+                if (!preg_match('/\G(?:C:\d+:"[^"]*":(\d+):\{|E:(\d+):")/', $data, $matches, 0, $pos)) {
+                    break;
+                }
+
+                $length = (int) ($type === 'C' ? $matches[1] : $matches[2]);
+                $end = $pos + strlen($matches[0]) + $length + ($type === 'C' ? 1 : 2);
+
+                if ($end > strlen($data)) {
+                    break;
+                }
+
+                $serialized = substr($data, $pos, $end - $pos);
+                $pos = $end;
+                return $serialized;
+        }
+
+        throw new \UnexpectedValueException("Invalid serialized data at position {$pos}");
+    }
+}
@@ -0,0 +1,203 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * SiteBackups Class
+ *
+ * Keeps the safety backups taken before an import, so the previous site can
+ * be restored from them later. Each backup is an export archive with a JSON
+ * file next to it describing it. Both live on disk rather than in the
+ * database, which the import replaces.
+ */
+class SiteBackups
+{
+
+    /**
+     * Backup archive names
+     */
+    const FILE_PATTERN = '/^pre-import-backup-[a-zA-Z0-9_-]+\.zip$/';
+
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * Backup directory
+     */
+    private $backups_dir;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        $this->logger = new Logger();
+        $this->backups_dir = WP_EASY_MIGRATE_UPLOADS_DIR . 'backups/';
+    }
+
+    /**
+     * Back up the parts of the site an import is about to replace
+     *
+     * @param string $import_id ID of the import the backup is taken for
+     * @param array $components database, uploads, plugins and/or themes
+     * @return array Backup description
+     * @throws \Exception
+     */
+    public function create(string $import_id, array $components): array
+    {
+        wp_mkdir_p($this->backups_dir);
+
+        $exporter = new Exporter();
+        $archive_path = $exporter->export_site([
+            'include_database' => in_array('database', $components, true),
+            'include_uploads' => in_array('uploads', $components, true),
+            'include_plugins' => in_array('plugins', $components, true),
+            'include_themes' => in_array('themes', $components, true),
+            'split_size' => 0 // Don't split backup
+        ]);
+
+        $name = 'pre-import-backup-' . date('Y-m-d-H-i-s') . '.zip';
+        $path = $this->backups_dir . $name;
+
+        if (!rename($archive_path, $path)) {
+            $error = error_get_last();
+
+            if (file_exists($archive_path) && !unlink($archive_path)) {
+                $this->logger->log("Could not remove the backup export {$archive_path}", 'warning');
+            }
+
+            throw new \Exception(sprintf(__('Failed to move the backup into place: %s', 'wp-easy-migrate'), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+        }
+
+        $meta = [
+            'name' => $name,
+            'created' => time(),
+            'import_id' => $import_id,
+            'components' => array_values($components),
+            'site_url' => get_site_url()
+        ];
+
+        file_put_contents($this->get_meta_path($name), wp_json_encode($meta));
+
+        $this->logger->log("Pre-import backup created: {$path} (" . implode(', ', $components) . ")", 'info');
+
+        return $this->describe($name);
+    }
+
+    /**
+     * Get all kept backups, newest first
+     *
+     * @return array Backup descriptions
+     */
+    public function get_backups(): array
+    {
+        $backups = [];
+
+        if (!is_dir($this->backups_dir)) {
+            return $backups;
+        }
+
+        foreach (scandir($this->backups_dir) as $file_name) {
+            if (preg_match(self::FILE_PATTERN, $file_name) && is_file($this->backups_dir . $file_name)) {
+                $backups[] = $this->describe($file_name);
+            }
+        }
+
+        usort($backups, function ($a, $b) {
+            return $b['created'] <=> $a['created'];
+        });
+
+        return $backups;
+    }
+
+    /**
+     * Get a kept backup
+     *
+     * @param string $name Backup file name
+     * @return array|null Backup description, null if not found
+     */
+    public function get_backup(string $name): ?array
+    {
+        if (!preg_match(self::FILE_PATTERN, $name) || !is_file($this->backups_dir . $name)) {
+            return null;
+        }
+
+        return $this->describe($name);
+    }
+
+    /**
+     * Get the directory backups are kept in
+     *
+     * @return string Directory path
+     */
+    public function get_backups_dir(): string
+    {
+        return $this->backups_dir;
+    }
+
+    /**
+     * Delete a backup
+     *
+     * @param string $name Backup file name
+     * @throws \Exception If the backup does not exist or cannot be deleted
+     */
+    public function discard(string $name): void
+    {
+        if (!$this->get_backup($name)) {
+            throw new \Exception(__('Backup not found', 'wp-easy-migrate'));
+        }
+
+        foreach ([$this->backups_dir . $name, $this->get_meta_path($name)] as $path) {
+            if (file_exists($path) && !unlink($path)) {
+                $error = error_get_last();
+                throw new \Exception(sprintf(__('Failed to delete %1$s: %2$s', 'wp-easy-migrate'), basename($path), $error['message'] ?? __('unknown error', 'wp-easy-migrate')));
+            }
+        }
+
+        $this->logger->log("Pre-import backup discarded: {$name}", 'info');
+    }
+
+    /**
+     * Describe a backup
+     *
+     * Backups from before the description file was written only know
+     * their date and size.
+     *
+     * @param string $name Backup file name
+     * @return array Backup description
+     */
+    private function describe(string $name): array
+    {
+        $path = $this->backups_dir . $name;
+        $meta = [];
+
+        if (file_exists($this->get_meta_path($name))) {
+            $meta = json_decode(file_get_contents($this->get_meta_path($name)), true) ?: [];
+        }
+
+        $created = (int) ($meta['created'] ?? filemtime($path));
+
+        return [
+            'name' => $name,
+            'created' => $created,
+            'created_formatted' => wp_date(get_option('date_format') . ' ' . get_option('time_format'), $created),
+            'size' => (int) filesize($path),
+            'import_id' => $meta['import_id'] ?? null,
+            'components' => $meta['components'] ?? ['database'],
+            'site_url' => $meta['site_url'] ?? ''
+        ];
+    }
+
+    /**
+     * Get the path of the description file of a backup
+     *
+     * @param string $name Backup file name
+     * @return string File path
+     */
+    private function get_meta_path(string $name): string
+    {
+        return $this->backups_dir . preg_replace('/\.zip$/', '.json', $name);
+    }
+}
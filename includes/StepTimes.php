@@ -0,0 +1,79 @@
+<?php
+
+namespace WPEasyMigrate;
+
+/**
+ * StepTimes Class
+ *
+ * Keeps a rolling average of how many seconds each step of an export or an
+ * import took on this site, summed over all the requests the step needed.
+ * Sessions weight their progress by these averages, so a step counts for as
+ * much of the progress bar as it usually takes of the migration.
+ */
+class StepTimes
+{
+
+    /**
+     * Option key prefix, followed by export or import
+     */
+    const OPTION_PREFIX = 'wp_easy_migrate_step_times_';
+
+    /**
+     * Share of the latest migration in the average
+     */
+    const SMOOTHING = 0.3;
+
+    /**
+     * export or import
+     */
+    private $type;
+
+    /**
+     * Constructor
+     *
+     * @param string $type export or import
+     */
+    public function __construct(string $type)
+    {
+        $this->type = $type;
+    }
+
+    /**
+     * Get the average seconds per step
+     *
+     * @return array Seconds by step, only for steps that were measured
+     */
+    public function get_averages(): array
+    {
+        return (array) get_option(self::OPTION_PREFIX . $this->type, []);
+    }
+
+    /**
+     * Get the seconds to weight each step by
+     *
+     * @param array $defaults Seconds by step for steps not measured yet
+     * @return array Seconds by step
+     */
+    public function get_weights(array $defaults): array
+    {
+        return array_merge($defaults, array_intersect_key($this->get_averages(), $defaults));
+    }
+
+    /**
+     * Add the step times of a finished migration to the averages
+     *
+     * @param array $times Seconds by step
+     */
+    public function record(array $times): void
+    {
+        $averages = $this->get_averages();
+
+        foreach ($times as $step => $seconds) {
+            $averages[$step] = round(isset($averages[$step])
+                ? $averages[$step] * (1 - self::SMOOTHING) + $seconds * self::SMOOTHING
+                : $seconds, 3);
+        }
+
+        update_option(self::OPTION_PREFIX . $this->type, $averages, false);
+    }
+}
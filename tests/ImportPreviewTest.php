@@ -0,0 +1,138 @@
+<?php
+use PHPUnit\Framework\TestCase;
+
+require_once __DIR__ . '/../includes/ImportPreview.php';
+
+/*
+ * The targets the preview lists for each component
+ */
+if (!function_exists('wp_upload_dir')) {
+    function wp_upload_dir()
+    {
+        return ['basedir' => '/var/www/wp-content/uploads'];
+    }
+}
+
+if (!function_exists('get_theme_root')) {
+    function get_theme_root()
+    {
+        return '/var/www/wp-content/themes';
+    }
+}
+
+if (!defined('WP_PLUGIN_DIR')) {
+    define('WP_PLUGIN_DIR', '/var/www/wp-content/plugins');
+}
+
+class ImportPreviewTest extends TestCase
+{
+    private $dir;
+
+    protected function setUp(): void
+    {
+        $this->dir = sys_get_temp_dir() . '/wp-easy-migrate-preview-' . uniqid();
+        mkdir($this->dir);
+    }
+
+    protected function tearDown(): void
+    {
+        $iterator = new RecursiveIteratorIterator(
+            new RecursiveDirectoryIterator($this->dir, FilesystemIterator::SKIP_DOTS),
+            RecursiveIteratorIterator::CHILD_FIRST
+        );
+
+        foreach ($iterator as $item) {
+            $item->isDir() ? rmdir($item->getPathname()) : unlink($item->getPathname());
+        }
+
+        rmdir($this->dir);
+    }
+
+    /**
+     * Build an archive and extract it the way the import does
+     *
+     * @param array $files Contents by archive path
+     * @return string Extracted directory
+     */
+    private function extract(array $files): string
+    {
+        $archive_path = $this->dir . '/archive.zip';
+        $extracted_dir = $this->dir . '/extracted/';
+
+        $zip = new ZipArchive();
+        $zip->open($archive_path, ZipArchive::CREATE);
+
+        foreach ($files as $name => $contents) {
+            $zip->addFromString($name, $contents);
+        }
+
+        $zip->close();
+
+        $zip->open($archive_path);
+        $zip->extractTo($extracted_dir);
+        $zip->close();
+
+        return $extracted_dir;
+    }
+
+    /**
+     * Describe the files of an extracted archive
+     *
+     * @param string $extracted_dir Extracted directory
+     * @return array Files by component
+     */
+    private function describe(string $extracted_dir): array
+    {
+        $refClass = new ReflectionClass('WPEasyMigrate\ImportPreview');
+        $preview = $refClass->newInstanceWithoutConstructor();
+
+        $method = $refClass->getMethod('describe_files');
+        $method->setAccessible(true);
+
+        return array_column($method->invoke($preview, $extracted_dir), null, 'component');
+    }
+
+    public function testFindsComponentFoldersOfExports()
+    {
+        $extracted_dir = $this->extract([
+            'database.sql' => 'CREATE TABLE `wp_posts` (id int);',
+            'uploads/2024/01/photo.jpg' => str_repeat('a', 300),
+            'uploads/2024/02/scan.pdf' => str_repeat('b', 200),
+            'plugins/hello/hello.php' => '<?php',
+            'wp-easy-migrate-manifest.json' => '{}'
+        ]);
+
+        $this->assertSame(['uploads', 'plugins'], array_keys(WPEasyMigrate\ImportPreview::find_components($extracted_dir)));
+
+        $files = $this->describe($extracted_dir);
+
+        $this->assertSame(['uploads', 'plugins'], array_keys($files));
+        $this->assertSame(2, $files['uploads']['count']);
+        $this->assertSame(500, $files['uploads']['size']);
+        $this->assertSame('/var/www/wp-content/uploads', $files['uploads']['target']);
+        $this->assertSame(1, $files['plugins']['count']);
+        $this->assertSame(WP_PLUGIN_DIR, $files['plugins']['target']);
+    }
+
+    public function testFindsComponentArchivesOfBackups()
+    {
+        $themes_zip = $this->dir . '/themes.zip';
+
+        $zip = new ZipArchive();
+        $zip->open($themes_zip, ZipArchive::CREATE);
+        $zip->addEmptyDir('twentytwenty');
+        $zip->addFromString('twentytwenty/style.css', 'body {}');
+        $zip->addFromString('twentytwenty/index.php', '<?php');
+        $zip->close();
+
+        $extracted_dir = $this->extract(['themes.zip' => file_get_contents($themes_zip)]);
+
+        $this->assertSame(['themes' => $extracted_dir . 'themes.zip'], WPEasyMigrate\ImportPreview::find_components($extracted_dir));
+
+        $files = $this->describe($extracted_dir);
+
+        $this->assertSame(['themes'], array_keys($files));
+        $this->assertSame(2, $files['themes']['count']);
+    }
+}
+?>
@@ -0,0 +1,285 @@
+<?php
+use PHPUnit\Framework\TestCase;
+
+require_once __DIR__ . '/../includes/RemoteDownloader.php';
+
+/*
+ * The parts of the WordPress HTTP API the downloader uses, backed by PHP's
+ * http stream wrapper.
+ */
+if (!function_exists('wp_remote_get')) {
+    function wp_remote_get($url, $args = [])
+    {
+        $headers = [];
+
+        foreach ($args['headers'] ?? [] as $name => $value) {
+            $headers[] = "{$name}: {$value}";
+        }
+
+        $context = stream_context_create(['http' => [
+            'header' => $headers,
+            'ignore_errors' => true,
+            'timeout' => 10
+        ]]);
+
+        $source = fopen($url, 'rb', false, $context);
+        $meta = stream_get_meta_data($source);
+        $target = fopen($args['filename'], 'wb');
+
+        if (isset($args['limit_response_size'])) {
+            stream_copy_to_stream($source, $target, $args['limit_response_size']);
+        } else {
+            stream_copy_to_stream($source, $target);
+        }
+
+        fclose($source);
+        fclose($target);
+
+        $code = 0;
+        $response_headers = [];
+
+        foreach ($meta['wrapper_data'] as $line) {
+            if (preg_match('#^HTTP/\S+\s+(\d+)#', $line, $matches)) {
+                $code = (int) $matches[1];
+                $response_headers = [];
+                continue;
+            }
+
+            list($name, $value) = explode(':', $line, 2) + [1 => ''];
+            $response_headers[strtolower(trim($name))] = trim($value);
+        }
+
+        return ['response' => ['code' => $code], 'headers' => $response_headers];
+    }
+
+    function is_wp_error($thing)
+    {
+        return false;
+    }
+
+    function wp_remote_retrieve_response_code($response)
+    {
+        return $response['response']['code'];
+    }
+
+    function wp_remote_retrieve_header($response, $header)
+    {
+        return $response['headers'][strtolower($header)] ?? '';
+    }
+
+    function apply_filters($hook, $value)
+    {
+        return $hook === 'wp_easy_migrate_remote_chunk_size' ? RemoteDownloaderTest::CHUNK_SIZE : $value;
+    }
+
+    function __($text, $domain = 'default')
+    {
+        return $text;
+    }
+
+    function size_format($bytes)
+    {
+        return $bytes . ' B';
+    }
+}
+
+class RemoteDownloaderTest extends TestCase
+{
+    const CHUNK_SIZE = 1048576;
+
+    private static $server;
+    private static $docroot;
+    private static $base_url;
+
+    private $downloader;
+    private $logger;
+    private $target;
+
+    /**
+     * Serve files from a temporary folder, with Range support unless the URL
+     * has ?ranges=0
+     */
+    public static function setUpBeforeClass(): void
+    {
+        self::$docroot = sys_get_temp_dir() . '/wp-easy-migrate-remote-' . uniqid();
+        mkdir(self::$docroot);
+
+        file_put_contents(self::$docroot . '/router.php', <<<'PHP'
+<?php
+$file = __DIR__ . '/' . basename(parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH));
+
+if (!is_file($file)) {
+    http_response_code(404);
+    return true;
+}
+
+$size = filesize($file);
+$ranges = !isset($_GET['ranges']) || $_GET['ranges'] !== '0';
+header('ETag: "' . md5_file($file) . '"');
+
+if ($ranges && isset($_SERVER['HTTP_RANGE']) && preg_match('/^bytes=(\d+)-(\d*)$/', $_SERVER['HTTP_RANGE'], $matches)) {
+    $start = (int) $matches[1];
+    $end = $matches[2] === '' ? $size - 1 : min((int) $matches[2], $size - 1);
+
+    if ($start >= $size) {
+        http_response_code(416);
+        header("Content-Range: bytes */{$size}");
+        return true;
+    }
+
+    http_response_code(206);
+    header("Content-Range: bytes {$start}-{$end}/{$size}");
+    header('Content-Length: ' . ($end - $start + 1));
+
+    $handle = fopen($file, 'rb');
+    fseek($handle, $start);
+    echo fread($handle, $end - $start + 1);
+    return true;
+}
+
+header('Content-Length: ' . $size);
+readfile($file);
+return true;
+PHP
+        );
+
+        // Let the system pick a free port
+        $socket = stream_socket_server('tcp://127.0.0.1:0');
+        $address = stream_socket_get_name($socket, false);
+        fclose($socket);
+
+        self::$base_url = 'http://' . $address . '/';
+        self::$server = proc_open(
+            'exec ' . escapeshellarg(PHP_BINARY) . ' -S ' . escapeshellarg($address) . ' ' . escapeshellarg(self::$docroot . '/router.php'),
+            [1 => ['file', '/dev/null', 'w'], 2 => ['file', '/dev/null', 'w']],
+            $pipes
+        );
+
+        // Refused connections warn until the server listens
+        set_error_handler(function () {
+            return true;
+        });
+
+        for ($i = 0; $i < 50 && !($connection = stream_socket_client('tcp://' . $address, $errno, $errstr, 1)); $i++) {
+            usleep(100000);
+        }
+
+        restore_error_handler();
+
+        if (!$connection) {
+            self::fail('The test HTTP server did not start');
+        }
+
+        fclose($connection);
+    }
+
+    public static function tearDownAfterClass(): void
+    {
+        if (self::$server) {
+            proc_terminate(self::$server);
+            proc_close(self::$server);
+        }
+
+        array_map('unlink', glob(self::$docroot . '/*'));
+        rmdir(self::$docroot);
+    }
+
+    protected function setUp(): void
+    {
+        $this->target = self::$docroot . '/download-' . uniqid() . '.zip';
+
+        // The logger writes to the uploads folder, record the messages instead
+        $this->logger = new class {
+            public $messages = [];
+
+            public function log(string $message, string $level = 'info', array $context = []): void
+            {
+                $this->messages[] = $message;
+            }
+        };
+
+        $refClass = new ReflectionClass('WPEasyMigrate\RemoteDownloader');
+        $this->downloader = $refClass->newInstanceWithoutConstructor();
+
+        $property = $refClass->getProperty('logger');
+        $property->setAccessible(true);
+        $property->setValue($this->downloader, $this->logger);
+    }
+
+    /**
+     * Put a file of random bytes on the test server
+     *
+     * @param string $name File name
+     * @param int $size File size
+     * @return string File contents
+     */
+    private function serve(string $name, int $size): string
+    {
+        $contents = random_bytes($size);
+        file_put_contents(self::$docroot . '/' . $name, $contents);
+
+        return $contents;
+    }
+
+    public function testResumesWithRangeRequests()
+    {
+        $contents = $this->serve('ranges.zip', 2 * self::CHUNK_SIZE + 5000);
+
+        // An earlier step stopped after the first 1000 bytes
+        file_put_contents($this->target, substr($contents, 0, 1000));
+
+        $received = [];
+        $validator = null;
+
+        do {
+            $result = $this->downloader->download_chunk(self::$base_url . 'ranges.zip', $this->target, $validator);
+            $validator = $result['validator'];
+            $received[] = $result['received'];
+        } while (!$result['complete'] && count($received) < 10);
+
+        $this->assertSame([1000 + self::CHUNK_SIZE, 1000 + 2 * self::CHUNK_SIZE, strlen($contents)], $received);
+        $this->assertSame(strlen($contents), $result['size']);
+        $this->assertSame('"' . md5($contents) . '"', $validator);
+        $this->assertSame(md5($contents), md5_file($this->target));
+        $this->assertFalse(file_exists($this->target . '.chunk'));
+    }
+
+    public function testServerWithoutRangesSendsSmallFileInOneStep()
+    {
+        $contents = $this->serve('small.zip', 500000);
+
+        $result = $this->downloader->download_chunk(self::$base_url . 'small.zip?ranges=0', $this->target);
+
+        $this->assertTrue($result['complete']);
+        $this->assertSame(strlen($contents), $result['received']);
+        $this->assertSame(md5($contents), md5_file($this->target));
+    }
+
+    public function testServerWithoutRangesRestartsInsteadOfAppending()
+    {
+        $contents = $this->serve('restart.zip', 500000);
+        file_put_contents($this->target, substr($contents, 0, 1000));
+
+        $result = $this->downloader->download_chunk(self::$base_url . 'restart.zip?ranges=0', $this->target, '"' . md5($contents) . '"');
+
+        $this->assertTrue($result['complete']);
+        $this->assertSame(md5($contents), md5_file($this->target));
+        $this->assertCount(1, $this->logger->messages);
+    }
+
+    public function testServerWithoutRangesFailsForFilesOverOneChunk()
+    {
+        $this->serve('large.zip', 2 * self::CHUNK_SIZE);
+
+        try {
+            $this->downloader->download_chunk(self::$base_url . 'large.zip?ranges=0', $this->target);
+            $this->fail('The download of a large file without ranges did not fail');
+        } catch (Exception $e) {
+            $this->assertStringContainsString('does not support resuming downloads', $e->getMessage());
+        }
+
+        $this->assertFalse(file_exists($this->target));
+        $this->assertFalse(file_exists($this->target . '.chunk'));
+    }
+}
+?>
@@ -0,0 +1,334 @@
+/**
+ * Rendering tests for the export and import screens
+ *
+ * Feeds hostile file, table and log text through the renderers and checks
+ * it comes out as text, and checks what screen readers are given. Runs with
+ * Node's test runner, jsdom, jQuery 3 and @wordpress/i18n from package.json:
+ *
+ *   npm install
+ *   npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const HOSTILE = '"><img src=x onerror="window.pwned=1">';
+
+/**
+ * Load the admin scripts into a fresh document
+ *
+ * @returns {Window} Window with the manager classes
+ */
+function loadScripts() {
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", {
+    runScripts: "outside-only",
+  });
+  const window = dom.window;
+
+  window.jQuery = require("jquery")(window);
+  window.spoken = [];
+  window.wp = {
+    i18n: require("@wordpress/i18n"),
+    a11y: { speak: (message) => window.spoken.push(message) },
+  };
+  window.wpEasyMigrate = {
+    ajaxUrl: "/admin-ajax.php",
+    nonce: "nonce",
+    locale: "en-US",
+    strings: {},
+  };
+
+  ["export.js", "import.js"].forEach((file) => {
+    window.eval(
+      fs.readFileSync(path.join(__dirname, "../../admin/js", file), "utf8")
+    );
+  });
+
+  return window;
+}
+
+/**
+ * Create an export manager without running its constructor
+ *
+ * @param {Window} window Window with the scripts loaded
+ * @returns {Object} Export manager
+ */
+function createExportManager(window) {
+  const $ = window.jQuery;
+  const manager = Object.create(window.WPEasyMigrateExportManager.prototype);
+
+  manager.$progress = $("<div>").appendTo(window.document.body);
+  manager.$progressBar = $('<div class="wp-easy-migrate-progress-fill">')
+    .appendTo($('<div role="progressbar">').appendTo(manager.$progress));
+  manager.$status = $("<p>").appendTo(manager.$progress);
+  manager.$progressText = $();
+  manager.$result = $("<div>").appendTo(window.document.body);
+  manager.$button = $("<button>");
+  manager.$estimateButton = $("<button>");
+  manager.$cancelButton = $("<button>");
+  manager.$lockNotice = $("<div>");
+  manager.stream = { stop() {} };
+  manager.steps = [];
+
+  return manager;
+}
+
+/**
+ * Create an import manager without running its constructor
+ *
+ * @param {Window} window Window with the scripts loaded
+ * @returns {Object} Import manager
+ */
+function createImportManager(window) {
+  const $ = window.jQuery;
+  const manager = Object.create(window.WPEasyMigrateImportManager.prototype);
+
+  manager.$progress = $("<div>").appendTo(window.document.body);
+  manager.$progressBar = $('<div class="wp-easy-migrate-progress-fill">')
+    .appendTo($('<div role="progressbar">').appendTo(manager.$progress));
+  manager.$steps = $('<div class="import-steps">').appendTo(manager.$progress);
+  manager.$status = $("<div>").appendTo(window.document.body);
+  manager.$logs = $("<div>").appendTo(window.document.body);
+  manager.$submitBtn = $("<input>");
+  manager.$cancelBtn = $("<button>");
+  manager.steps = [];
+
+  return manager;
+}
+
+/**
+ * Check that hostile text was not turned into markup
+ *
+ * @param {Window} window Window the text was rendered in
+ * @param {jQuery} $container Rendered element
+ */
+function assertRenderedAsText(window, $container) {
+  assert.strictEqual($container.find("img").length, 0);
+  assert.strictEqual(window.pwned, undefined);
+  assert.ok($container.text().includes(HOSTILE));
+}
+
+test("file archiving progress shows file names as text", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+
+  manager.updateFileArchivingProgress(
+    {
+      current_file: "wp-content/uploads/" + HOSTILE + ".jpg",
+      estimated_size_remaining: 2048,
+      total_size: 4096,
+      estimated_time_remaining: 30,
+    },
+    { files_per_step: 50 }
+  );
+
+  assertRenderedAsText(window, manager.$fileProgress);
+  assert.strictEqual(
+    manager.$fileProgress.children(".current-file").length,
+    1
+  );
+});
+
+test("database progress shows table names as text", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+
+  manager.updateDatabaseProgress({
+    current_table: "wp_" + HOSTILE,
+    total_tables: 12,
+    tables_processed: 3,
+    table_offset: 1500,
+  });
+
+  assertRenderedAsText(window, manager.$dbProgress);
+  assert.strictEqual(
+    manager.$dbProgress.children(".current-table").length,
+    1
+  );
+});
+
+test("download buttons keep hostile part names as text and attributes", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+  const parts = [
+    "/exports/wp-export-a" + HOSTILE + ".part1.zip",
+    "/exports/wp-export-a" + HOSTILE + ".part2.zip",
+  ];
+
+  const $panel = manager.createDownloadButtons({
+    archive_parts: parts,
+    standalone_manifest_path: "/exports/wp-export-a" + HOSTILE + ".json",
+  });
+
+  assertRenderedAsText(window, $panel);
+
+  const $buttons = $panel.find(".download-part");
+  assert.strictEqual($buttons.length, 2);
+  assert.strictEqual(
+    $buttons.eq(1).attr("data-file"),
+    "wp-export-a" + HOSTILE + ".part2.zip"
+  );
+  assert.strictEqual(
+    $panel.find(".download-manifest").attr("data-file"),
+    "wp-export-a" + HOSTILE + ".json"
+  );
+});
+
+test("single archive download shows the file name as text", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+
+  manager.handleSuccess("Done", {
+    archive_path: "/exports/wp-export-" + HOSTILE + ".zip",
+  });
+
+  assertRenderedAsText(window, manager.$result);
+  assert.strictEqual(manager.$result.find(".download-single").length, 1);
+});
+
+test("export errors from the server are shown as text", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+
+  manager.updateUI("error", "Could not read " + HOSTILE + "\nSecond line");
+
+  assertRenderedAsText(window, manager.$result);
+  assert.strictEqual(manager.$result.find("br").length, 2);
+});
+
+test("import status messages are shown as text", () => {
+  const window = loadScripts();
+  const manager = createImportManager(window);
+
+  manager.updateUI("running", "Resuming upload of " + HOSTILE + ".zip");
+
+  assertRenderedAsText(window, manager.$status);
+});
+
+test("import logs show messages as text", () => {
+  const window = loadScripts();
+  const manager = createImportManager(window);
+
+  manager.displayLogs([
+    {
+      timestamp: "2024-01-01 10:00:00",
+      level: "ERROR" + HOSTILE,
+      message: "Failed to extract " + HOSTILE,
+    },
+  ]);
+
+  assertRenderedAsText(window, manager.$logs);
+  assert.strictEqual(manager.$logs.find(".log-entry").length, 1);
+});
+
+test("sizes and durations are formatted for the admin's locale", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+
+  window.wpEasyMigrate.locale = "de-DE";
+
+  assert.strictEqual(manager.formatFileSize(1536), "1,5 KB");
+  assert.strictEqual(manager.formatFileSize(1), "1 byte");
+  assert.strictEqual(manager.formatTime(3725), "1 hour, 2 minutes");
+  assert.strictEqual(manager.formatTime(45), "45 seconds");
+});
+
+test("export progress is a progressbar and new steps are announced", () => {
+  const window = loadScripts();
+  const manager = createExportManager(window);
+  const status = {
+    step: "export_database",
+    step_index: 2,
+    progress: 42,
+  };
+
+  manager.setSteps({
+    steps: [
+      {
+        step: "export_database",
+        label: "Export Database",
+        message: "Exporting database...",
+        weight: 30,
+      },
+    ],
+    status: { session_id: "s1" },
+  });
+  manager.updateProgress(status);
+  manager.updateProgress(status);
+
+  const $bar = manager.$progress.find('[role="progressbar"]');
+  assert.strictEqual($bar.attr("aria-valuenow"), "42");
+  assert.strictEqual($bar.attr("aria-valuetext"), manager.$status.text());
+  assert.deepStrictEqual(window.spoken, ["Exporting database..."]);
+
+  manager.updateUI("error", "Disk full");
+  assert.strictEqual(window.spoken[1], "Export failed: Disk full");
+});
+
+test("import steps give their state as text", () => {
+  const window = loadScripts();
+  const $ = window.jQuery;
+  const manager = createImportManager(window);
+  const $step = $(
+    '<div class="import-step" data-step="extract_archive">' +
+      '<div class="step-title">Extract Archive</div>' +
+      '<span class="screen-reader-text step-state"></span>' +
+      '<div class="step-description"></div>' +
+      "</div>"
+  ).appendTo(window.document.body);
+
+  manager.updateStepStatus($step, "running", "Extracting");
+  manager.updateStepStatus($step, "running", "Extracting");
+
+  assert.strictEqual($step.find(".step-state").text(), "In progress");
+  assert.strictEqual($step.attr("aria-current"), "step");
+  assert.deepStrictEqual(window.spoken, ["Extract Archive: In progress"]);
+
+  manager.updateStepStatus($step, "completed");
+
+  assert.strictEqual($step.find(".step-state").text(), "Completed");
+  assert.strictEqual($step.attr("aria-current"), undefined);
+});
+
+test("import steps are built from the plan the server sends", () => {
+  const window = loadScripts();
+  const manager = createImportManager(window);
+  const steps = [
+    {
+      step: "extract_archive",
+      label: "Extract " + HOSTILE,
+      description: "Extracting files from archive",
+      message: "Extracting archive...",
+      weight: 30,
+    },
+    {
+      step: "import_database",
+      label: "Import Database",
+      description: "Restoring database content",
+      message: "Importing database...",
+      weight: 40,
+    },
+  ];
+
+  manager.setSteps({ steps: steps, status: { session_id: "s1" } });
+  manager.setSteps({ status: { session_id: "s1" } });
+  manager.updateStepChecklist({ step: "import_database", progress: 43 });
+
+  assertRenderedAsText(window, manager.$steps);
+  assert.strictEqual(manager.stepsSession, "s1");
+
+  const $steps = manager.$steps.children(".import-step");
+  assert.strictEqual($steps.length, 2);
+  assert.ok($steps.eq(0).hasClass("completed"));
+  assert.strictEqual(
+    $steps.eq(1).find(".step-description").text(),
+    "Importing database..."
+  );
+  assert.strictEqual(
+    manager.$progress.find('[role="progressbar"]').attr("aria-valuenow"),
+    "43"
+  );
+});
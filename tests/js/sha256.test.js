@@ -0,0 +1,68 @@
+/**
+ * Tests for the incremental SHA-256 used to check archive parts
+ *
+ * Compares it with Node's crypto for inputs around the block boundaries, fed
+ * in uneven pieces and read from a blob in slices.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+/**
+ * Load the hash script into a fresh window
+ *
+ * @returns {Function} Sha256 class
+ */
+function loadSha256() {
+  const window = new JSDOM("", { runScripts: "outside-only" }).window;
+
+  window.eval(
+    fs.readFileSync(path.join(__dirname, "../../admin/js/sha256.js"), "utf8")
+  );
+
+  return window.WPEasyMigrateSha256;
+}
+
+/**
+ * Hash bytes with Node's crypto
+ *
+ * @param {Uint8Array} bytes Input
+ * @returns {string} Hex encoded hash
+ */
+function expected(bytes) {
+  return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+test("matches Node's SHA-256 around the block boundaries", () => {
+  const Sha256 = loadSha256();
+
+  [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000].forEach((length) => {
+    const bytes = crypto.randomBytes(length);
+
+    assert.strictEqual(new Sha256().update(bytes).digest(), expected(bytes));
+  });
+});
+
+test("gives the same hash however the input is split", () => {
+  const Sha256 = loadSha256();
+  const bytes = crypto.randomBytes(10000);
+  const hash = new Sha256();
+
+  for (let offset = 0, size = 1; offset < bytes.length; size += 7) {
+    hash.update(bytes.subarray(offset, offset + size));
+    offset += size;
+  }
+
+  assert.strictEqual(hash.digest(), expected(bytes));
+});
+
+test("hashes a blob larger than one slice", async () => {
+  const Sha256 = loadSha256();
+  const bytes = crypto.randomBytes(9 * 1024 * 1024 + 3);
+
+  assert.strictEqual(await Sha256.hashBlob(new Blob([bytes])), expected(bytes));
+});
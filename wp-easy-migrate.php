@@ -130,9 +130,33 @@ class WPEasyMigrate
         add_action('wp_ajax_wp_easy_migrate_import', [$this, 'handle_import_ajax']);
         add_action('wp_ajax_wp_easy_migrate_get_logs', [$this, 'handle_get_logs_ajax']);
         add_action('wp_ajax_wp_easy_migrate_clear_logs', [$this, 'handle_clear_logs_ajax']);
+        add_action('wp_ajax_wp_easy_migrate_download_logs', [$this, 'handle_download_logs_ajax']);
         add_action('wp_ajax_wpem_export_step', [$this, 'handle_export_step_ajax']);
+        add_action('wp_ajax_wpem_export_status', [$this, 'handle_export_status_ajax']);
+        add_action('wp_ajax_wpem_export_cancel', [$this, 'handle_export_cancel_ajax']);
+        add_action('wp_ajax_wpem_export_tables', [$this, 'handle_export_tables_ajax']);
+        add_action('wp_ajax_wpem_export_tree', [$this, 'handle_export_tree_ajax']);
+        add_action('wp_ajax_wpem_export_tree_sizes', [$this, 'handle_export_tree_sizes_ajax']);
+        add_action('wp_ajax_wpem_export_estimate', [$this, 'handle_export_estimate_ajax']);
+        add_action('wp_ajax_wpem_export_stream', [$this, 'handle_export_stream_ajax']);
+        add_action('wp_ajax_wpem_export_history', [$this, 'handle_export_history_ajax']);
+        add_action('wp_ajax_wpem_export_delete', [$this, 'handle_export_delete_ajax']);
+        add_action('wp_ajax_wpem_export_verify', [$this, 'handle_export_verify_ajax']);
+        add_action('wp_ajax_wpem_export_retention', [$this, 'handle_export_retention_ajax']);
         add_action('wp_ajax_wpem_import_step', [$this, 'handle_import_step_ajax']);
+        add_action('wp_ajax_wpem_import_status', [$this, 'handle_import_status_ajax']);
+        add_action('wp_ajax_wpem_import_stream', [$this, 'handle_import_stream_ajax']);
+        add_action('wp_ajax_wpem_import_cancel', [$this, 'handle_import_cancel_ajax']);
+        add_action('wp_ajax_wpem_import_upload_status', [$this, 'handle_import_upload_status_ajax']);
+        add_action('wp_ajax_wpem_import_upload_chunk', [$this, 'handle_import_upload_chunk_ajax']);
+        add_action('wp_ajax_wpem_import_server_archives', [$this, 'handle_import_server_archives_ajax']);
+        add_action('wp_ajax_wpem_import_confirm', [$this, 'handle_import_confirm_ajax']);
+        add_action('wp_ajax_wpem_import_backups', [$this, 'handle_import_backups_ajax']);
+        add_action('wp_ajax_wpem_import_backup_discard', [$this, 'handle_import_backup_discard_ajax']);
         add_action('wp_ajax_wp_easy_migrate_download', [$this, 'handle_download_ajax']);
+
+        // Scheduled export retention
+        add_action('wp_easy_migrate_prune_exports', [$this, 'prune_exports']);
     }
 
     /**
@@ -158,6 +182,7 @@ class WPEasyMigrate
             WP_EASY_MIGRATE_LOGS_DIR,
             WP_EASY_MIGRATE_UPLOADS_DIR . 'exports/',
             WP_EASY_MIGRATE_UPLOADS_DIR . 'imports/',
+            WP_EASY_MIGRATE_UPLOADS_DIR . 'backups/',
             WP_EASY_MIGRATE_UPLOADS_DIR . 'temp/'
         ];
 
@@ -178,6 +203,10 @@ class WPEasyMigrate
         $this->create_directories();
         $this->logger->log('WP Easy Migrate plugin activated', 'info');
 
+        if (!wp_next_scheduled('wp_easy_migrate_prune_exports')) {
+            wp_schedule_event(time(), 'daily', 'wp_easy_migrate_prune_exports');
+        }
+
         // Check system requirements
         if (!class_exists('\WPEasyMigrate\CompatibilityChecker')) {
             require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'CompatibilityChecker.php';
@@ -201,6 +230,7 @@ class WPEasyMigrate
      */
     public function deactivate()
     {
+        wp_clear_scheduled_hook('wp_easy_migrate_prune_exports');
         $this->logger->log('WP Easy Migrate plugin deactivated', 'info');
     }
 
@@ -217,12 +247,31 @@ class WPEasyMigrate
      */
     public function admin_init()
     {
+        // Sites that updated without reactivating the plugin miss the schedule
+        if (!wp_next_scheduled('wp_easy_migrate_prune_exports')) {
+            wp_schedule_event(time(), 'daily', 'wp_easy_migrate_prune_exports');
+        }
+
         // Check user capabilities
         if (!current_user_can('manage_options')) {
             return;
         }
     }
 
+    /**
+     * Delete exports the retention policy no longer keeps
+     */
+    public function prune_exports()
+    {
+        // Ensure the ExportHistory class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportHistory')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportHistory.php';
+        }
+
+        $history = new \WPEasyMigrate\ExportHistory();
+        $history->apply_retention();
+    }
+
     /**
      * Add admin menu
      */
@@ -246,11 +295,65 @@ class WPEasyMigrate
             return;
         }
 
+        // Server-Sent Events client for export and import progress
+        wp_enqueue_script(
+            'wp-easy-migrate-progress-stream',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/progress-stream.js',
+            [],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
+        // Migration lock token and progress sharing between browser tabs
+        wp_enqueue_script(
+            'wp-easy-migrate-coordinator',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/migration-coordinator.js',
+            [],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
+        // Folder tree used to exclude folders from exports
+        wp_enqueue_script(
+            'wp-easy-migrate-file-tree',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/file-tree.js',
+            ['jquery'],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
+        // Incremental SHA-256 for checking archive parts in the browser
+        wp_enqueue_script(
+            'wp-easy-migrate-sha256',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/sha256.js',
+            [],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
+        // Sequential, resumable download of split archive parts
+        wp_enqueue_script(
+            'wp-easy-migrate-download-manager',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/download-manager.js',
+            ['jquery', 'wp-i18n', 'wp-easy-migrate-sha256'],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
         // Enqueue export JavaScript
         wp_enqueue_script(
             'wp-easy-migrate-export',
             WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/export.js',
-            ['jquery'],
+            ['jquery', 'wp-i18n', 'wp-a11y', 'wp-easy-migrate-file-tree', 'wp-easy-migrate-progress-stream', 'wp-easy-migrate-coordinator', 'wp-easy-migrate-download-manager'],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
+        // ZIP reader used to preview archives before upload
+        wp_enqueue_script(
+            'wp-easy-migrate-zip-reader',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/zip-reader.js',
+            [],
             WP_EASY_MIGRATE_VERSION,
             true
         );
@@ -259,11 +362,34 @@ class WPEasyMigrate
         wp_enqueue_script(
             'wp-easy-migrate-import',
             WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/import.js',
+            ['jquery', 'wp-i18n', 'wp-a11y', 'wp-easy-migrate-sha256', 'wp-easy-migrate-zip-reader', 'wp-easy-migrate-progress-stream', 'wp-easy-migrate-coordinator'],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
+        // Translations of the export and import screens, from languages/*.json
+        wp_set_script_translations('wp-easy-migrate-download-manager', 'wp-easy-migrate', WP_EASY_MIGRATE_PLUGIN_DIR . 'languages');
+        wp_set_script_translations('wp-easy-migrate-export', 'wp-easy-migrate', WP_EASY_MIGRATE_PLUGIN_DIR . 'languages');
+        wp_set_script_translations('wp-easy-migrate-import', 'wp-easy-migrate', WP_EASY_MIGRATE_PLUGIN_DIR . 'languages');
+
+        // Enqueue log viewer JavaScript
+        wp_enqueue_script(
+            'wp-easy-migrate-logs',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/logs.js',
             ['jquery'],
             WP_EASY_MIGRATE_VERSION,
             true
         );
 
+        // Enqueue export history JavaScript
+        wp_enqueue_script(
+            'wp-easy-migrate-exports',
+            WP_EASY_MIGRATE_PLUGIN_URL . 'admin/js/exports.js',
+            ['jquery', 'wp-easy-migrate-download-manager'],
+            WP_EASY_MIGRATE_VERSION,
+            true
+        );
+
         wp_enqueue_style(
             'wp-easy-migrate-admin',
             WP_EASY_MIGRATE_PLUGIN_URL . 'assets/css/admin.css',
@@ -274,25 +400,64 @@ class WPEasyMigrate
         wp_localize_script('wp-easy-migrate-export', 'wpEasyMigrate', [
             'ajaxUrl' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('wp_easy_migrate_nonce'),
+            'importUrl' => admin_url('tools.php?page=wp-easy-migrate&tab=import'),
+            'uploadChunkSize' => \WPEasyMigrate\ImportController::get_upload_chunk_size(),
+            // Hosts that cannot keep streaming connections open can turn this off
+            'progressStream' => (bool) apply_filters('wp_easy_migrate_progress_stream', true),
+            // Numbers and sizes are formatted for the admin's language
+            'locale' => str_replace('_', '-', get_user_locale()),
             'strings' => [
-                'exporting' => __('Exporting...', 'wp-easy-migrate'),
-                'importing' => __('Importing...', 'wp-easy-migrate'),
-                'success' => __('Operation completed successfully!', 'wp-easy-migrate'),
                 'error' => __('An error occurred. Please check the logs.', 'wp-easy-migrate'),
-                'startExport' => __('Start Export', 'wp-easy-migrate'),
-                'exportFailed' => __('Export failed', 'wp-easy-migrate'),
-                'exportCancelled' => __('Export cancelled', 'wp-easy-migrate'),
-                'exportInProgress' => __('Export is in progress. Are you sure you want to leave?', 'wp-easy-migrate'),
-                'importInProgress' => __('Import is in progress. Are you sure you want to leave?', 'wp-easy-migrate'),
-                'file' => __('File', 'wp-easy-migrate'),
-                'processing' => __('Processing...', 'wp-easy-migrate'),
-                'preparingExport' => __('Preparing export...', 'wp-easy-migrate'),
-                'scanningFiles' => __('Scanning files...', 'wp-easy-migrate'),
-                'exportingDatabase' => __('Exporting database...', 'wp-easy-migrate'),
-                'archivingFiles' => __('Archiving files...', 'wp-easy-migrate'),
-                'creatingManifest' => __('Creating manifest...', 'wp-easy-migrate'),
-                'splittingArchive' => __('Splitting archive...', 'wp-easy-migrate'),
-                'finalizingExport' => __('Finalizing export...', 'wp-easy-migrate'),
+                'size' => __('Size', 'wp-easy-migrate'),
+                'estimateDatabase' => __('Database', 'wp-easy-migrate'),
+                'estimateParts' => __('Archive parts', 'wp-easy-migrate'),
+                'uploadsFolder' => __('Uploads', 'wp-easy-migrate'),
+                'pluginsFolder' => __('Plugins', 'wp-easy-migrate'),
+                'themesFolder' => __('Themes', 'wp-easy-migrate'),
+                'expandFolder' => __('Show subfolders', 'wp-easy-migrate'),
+                'collapseFolder' => __('Hide subfolders', 'wp-easy-migrate'),
+                'loadingFolders' => __('Loading folders...', 'wp-easy-migrate'),
+                'foldersLoadFailed' => __('Could not load folders.', 'wp-easy-migrate'),
+                'noSubfolders' => __('No subfolders', 'wp-easy-migrate'),
+                'filesCount' => __('%d files', 'wp-easy-migrate'),
+                /* translators: %s: folder size and file count measured so far */
+                'sizeAtLeast' => __('over %s', 'wp-easy-migrate'),
+                'noExports' => __('No exports found on this server.', 'wp-easy-migrate'),
+                'exportsLoadFailed' => __('Could not load the exports.', 'wp-easy-migrate'),
+                'exportDate' => __('Date', 'wp-easy-migrate'),
+                'exportComponents' => __('Includes', 'wp-easy-migrate'),
+                'exportSource' => __('Source site', 'wp-easy-migrate'),
+                'exportActions' => __('Actions', 'wp-easy-migrate'),
+                'exportNoManifest' => __('No manifest', 'wp-easy-migrate'),
+                'download' => __('Download', 'wp-easy-migrate'),
+                'downloadManifest' => __('Download Manifest', 'wp-easy-migrate'),
+                'exportVerify' => __('Verify', 'wp-easy-migrate'),
+                'exportVerifying' => __('Verifying...', 'wp-easy-migrate'),
+                'exportIntact' => __('The export is intact.', 'wp-easy-migrate'),
+                'exportDamaged' => __('The export is damaged and cannot be imported.', 'wp-easy-migrate'),
+                'exportVerifyFailed' => __('Could not verify the export.', 'wp-easy-migrate'),
+                'exportImport' => __('Import', 'wp-easy-migrate'),
+                'exportDelete' => __('Delete', 'wp-easy-migrate'),
+                /* translators: %s: export date */
+                'confirmDeleteExport' => __('Delete the export from %s? This cannot be undone.', 'wp-easy-migrate'),
+                'exportDeleteFailed' => __('Could not delete the export.', 'wp-easy-migrate'),
+                'exportsPruned' => __('%d old export(s) deleted.', 'wp-easy-migrate'),
+                'retentionFailed' => __('Could not save the retention settings.', 'wp-easy-migrate'),
+                'noBackups' => __('No backups kept.', 'wp-easy-migrate'),
+                'backupsLoadFailed' => __('Could not load the backups.', 'wp-easy-migrate'),
+                'backupRestore' => __('Restore', 'wp-easy-migrate'),
+                'backupDiscard' => __('Discard', 'wp-easy-migrate'),
+                'confirmDiscardBackup' => __('Discard the backup? The site can no longer be restored from it.', 'wp-easy-migrate'),
+                'backupDiscardFailed' => __('Could not discard the backup.', 'wp-easy-migrate'),
+                'noLogs' => __('No logs available.', 'wp-easy-migrate'),
+                'logsLoadFailed' => __('Could not load the logs.', 'wp-easy-migrate'),
+                'logContext' => __('Context', 'wp-easy-migrate'),
+                /* translators: %s: log file size */
+                'logFileSize' => __('Log file size: %s', 'wp-easy-migrate'),
+                'logsTailing' => __('A migration is running. New entries appear automatically.', 'wp-easy-migrate'),
+                'confirmClearLogs' => __('Are you sure you want to clear all logs?', 'wp-easy-migrate'),
+                'logsCleared' => __('Logs cleared successfully.', 'wp-easy-migrate'),
+                'clearLogsFailed' => __('Failed to clear logs.', 'wp-easy-migrate'),
             ]
         ]);
     }
@@ -394,8 +559,89 @@ class WPEasyMigrate
             wp_die(__('Insufficient permissions', 'wp-easy-migrate'));
         }
 
-        $logs = $this->logger->get_recent_logs(50);
-        wp_send_json_success(['logs' => $logs]);
+        $limit = isset($_POST['limit']) ? min(1000, max(1, absint($_POST['limit']))) : 50;
+        $lock = (new \WPEasyMigrate\MigrationLock())->describe('');
+
+        wp_send_json_success([
+            'logs' => $this->logger->get_filtered_logs($this->get_log_filters(), $limit),
+            'size' => $this->logger->get_log_file_size_formatted(),
+            // The viewer keeps tailing the log while a migration is running
+            'running' => $lock ? $lock['type'] : null
+        ]);
+    }
+
+    /**
+     * Handle log download request
+     *
+     * Writes the entries matching the viewer's filters to a temporary file
+     * with Logger::export_logs and sends it as a download.
+     */
+    public function handle_download_logs_ajax()
+    {
+        if (!isset($_REQUEST['nonce']) || !wp_verify_nonce($_REQUEST['nonce'], 'wp_easy_migrate_nonce')) {
+            wp_die(__('Security check failed', 'wp-easy-migrate'), '', array('response' => 403));
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'wp-easy-migrate'), '', array('response' => 403));
+        }
+
+        wp_mkdir_p(WP_EASY_MIGRATE_UPLOADS_DIR . 'temp/');
+        $export_path = WP_EASY_MIGRATE_UPLOADS_DIR . 'temp/log-export-' . wp_generate_password(12, false) . '.txt';
+
+        if (!$this->logger->export_logs($export_path, $this->get_log_filters())) {
+            wp_die(__('Could not export the logs.', 'wp-easy-migrate'), '', array('response' => 500));
+        }
+
+        if (ob_get_level()) {
+            ob_end_clean();
+        }
+
+        nocache_headers();
+        header('Content-Type: text/plain; charset=utf-8');
+        header('Content-Disposition: attachment; filename="wp-easy-migrate-log-' . current_time('Y-m-d-H-i-s') . '.txt"');
+        header('Content-Length: ' . filesize($export_path));
+
+        readfile($export_path);
+
+        // The download has been sent, a leftover file is only worth a note
+        if (!unlink($export_path)) {
+            $error = error_get_last();
+            $this->logger->log("Could not remove the log export {$export_path}: " . ($error['message'] ?? 'unknown error'), 'warning');
+        }
+
+        exit;
+    }
+
+    /**
+     * Get the log viewer's filters from the request
+     *
+     * @return array level and search, if set
+     */
+    private function get_log_filters(): array
+    {
+        $filters = [];
+        $levels = [
+            \WPEasyMigrate\Logger::LEVEL_DEBUG,
+            \WPEasyMigrate\Logger::LEVEL_INFO,
+            \WPEasyMigrate\Logger::LEVEL_WARNING,
+            \WPEasyMigrate\Logger::LEVEL_ERROR,
+            \WPEasyMigrate\Logger::LEVEL_CRITICAL
+        ];
+
+        $level = isset($_REQUEST['level']) ? sanitize_key(wp_unslash($_REQUEST['level'])) : '';
+
+        if (in_array($level, $levels, true)) {
+            $filters['level'] = $level;
+        }
+
+        $search = isset($_REQUEST['search']) ? sanitize_text_field(wp_unslash($_REQUEST['search'])) : '';
+
+        if ($search !== '') {
+            $filters['search'] = $search;
+        }
+
+        return $filters;
     }
 
     /**
@@ -425,6 +671,160 @@ class WPEasyMigrate
         $controller->handle_export_step();
     }
 
+    /**
+     * Handle export status AJAX request
+     */
+    public function handle_export_status_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_status();
+    }
+
+    /**
+     * Handle export tables AJAX request
+     */
+    public function handle_export_tables_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_tables();
+    }
+
+    /**
+     * Handle export tree AJAX request
+     */
+    public function handle_export_tree_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_tree();
+    }
+
+    /**
+     * Handle export tree sizes AJAX request
+     */
+    public function handle_export_tree_sizes_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_tree_sizes();
+    }
+
+    /**
+     * Handle export estimate AJAX request
+     */
+    public function handle_export_estimate_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_estimate();
+    }
+
+    /**
+     * Handle export progress stream request
+     */
+    public function handle_export_stream_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_stream();
+    }
+
+    /**
+     * Handle export history AJAX request
+     */
+    public function handle_export_history_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_history();
+    }
+
+    /**
+     * Handle export delete AJAX request
+     */
+    public function handle_export_delete_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_delete();
+    }
+
+    /**
+     * Handle export verify AJAX request
+     */
+    public function handle_export_verify_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_verify();
+    }
+
+    /**
+     * Handle export retention AJAX request
+     */
+    public function handle_export_retention_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_retention();
+    }
+
+    /**
+     * Handle export cancel AJAX request
+     */
+    public function handle_export_cancel_ajax()
+    {
+        // Ensure the ExportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ExportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ExportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ExportController();
+        $controller->handle_export_cancel();
+    }
+
     /**
      * Handle import step AJAX request
      */
@@ -439,6 +839,132 @@ class WPEasyMigrate
         $controller->handle_import_step();
     }
 
+    /**
+     * Handle import status AJAX request
+     */
+    public function handle_import_status_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_import_status();
+    }
+
+    /**
+     * Handle import progress stream request
+     */
+    public function handle_import_stream_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_import_stream();
+    }
+
+    /**
+     * Handle import cancel AJAX request
+     */
+    public function handle_import_cancel_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_import_cancel();
+    }
+
+    /**
+     * Handle import upload status AJAX request
+     */
+    public function handle_import_upload_status_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_upload_status();
+    }
+
+    /**
+     * Handle import upload chunk AJAX request
+     */
+    public function handle_import_upload_chunk_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_upload_chunk();
+    }
+
+    /**
+     * Handle import server archives AJAX request
+     */
+    public function handle_import_server_archives_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_server_archives();
+    }
+
+    /**
+     * Handle import confirm AJAX request
+     */
+    public function handle_import_confirm_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_import_confirm();
+    }
+
+    /**
+     * Handle import backups AJAX request
+     */
+    public function handle_import_backups_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_backups();
+    }
+
+    /**
+     * Handle import backup discard AJAX request
+     */
+    public function handle_import_backup_discard_ajax()
+    {
+        // Ensure the ImportController class is loaded
+        if (!class_exists('\WPEasyMigrate\ImportController')) {
+            require_once WP_EASY_MIGRATE_INCLUDES_DIR . 'ImportController.php';
+        }
+
+        $controller = new \WPEasyMigrate\ImportController();
+        $controller->handle_backup_discard();
+    }
+
     /**
      * Handle download AJAX request
      */
@@ -511,22 +1037,64 @@ class WPEasyMigrate
             ob_end_clean();
         }
 
+        // Multi-GB downloads can take longer than the execution time limit
+        if (function_exists('set_time_limit')) {
+            set_time_limit(0);
+        }
+
+        // Disable WordPress's default headers
+        nocache_headers();
+
+        $last_modified = filemtime($real_file_path);
+        $etag = '"' . md5($requested_file . '|' . $file_size . '|' . $last_modified) . '"';
+        $range = $this->get_download_range($file_size, $etag, $last_modified);
+
+        if ($range === false) {
+            status_header(416);
+            header('Content-Range: bytes */' . $file_size);
+            exit;
+        }
+
         // Set download headers
         header('Content-Type: ' . $content_type);
         header('Content-Disposition: attachment; filename="' . $requested_file . '"');
-        header('Content-Length: ' . $file_size);
+        header('Accept-Ranges: bytes');
+        header('ETag: ' . $etag);
+        header('Last-Modified: ' . gmdate('D, d M Y H:i:s', $last_modified) . ' GMT');
         header('Cache-Control: no-cache, must-revalidate');
         header('Expires: 0');
         header('Pragma: public');
 
-        // Disable WordPress's default headers
-        nocache_headers();
+        $start = 0;
+        $length = $file_size;
+
+        if ($range !== null) {
+            [$start, $end] = $range;
+            $length = $end - $start + 1;
+
+            status_header(206);
+            header("Content-Range: bytes {$start}-{$end}/{$file_size}");
+
+            $this->logger->log("Resuming download of {$requested_file} at byte {$start}", 'info');
+        }
+
+        header('Content-Length: ' . $length);
 
         // Stream the file
         $handle = fopen($real_file_path, 'rb');
         if ($handle) {
-            while (!feof($handle)) {
-                echo fread($handle, 8192);
+            fseek($handle, $start);
+
+            while ($length > 0 && !feof($handle)) {
+                $chunk = fread($handle, min(8192, $length));
+
+                if ($chunk === false || $chunk === '') {
+                    break;
+                }
+
+                echo $chunk;
+                $length -= strlen($chunk);
+
                 if (ob_get_level()) {
                     ob_flush();
                 }
@@ -539,6 +1107,57 @@ class WPEasyMigrate
 
         exit;
     }
+
+    /**
+     * Get the byte range requested for a download
+     * 
+     * Only single ranges are supported, which is what download managers and
+     * resuming browsers send. A range for a file that changed since the
+     * client started (If-Range) is ignored, so the whole file is sent again.
+     * 
+     * @param int $file_size File size in bytes
+     * @param string $etag Current ETag of the file
+     * @param int $last_modified Modification time of the file
+     * @return array|null|false [start, end] inclusive, null for the whole file, false if unsatisfiable
+     */
+    private function get_download_range(int $file_size, string $etag, int $last_modified)
+    {
+        if (empty($_SERVER['HTTP_RANGE']) || $file_size === 0) {
+            return null;
+        }
+
+        if (!empty($_SERVER['HTTP_IF_RANGE'])) {
+            $if_range = trim(wp_unslash($_SERVER['HTTP_IF_RANGE']));
+            $unchanged = $if_range === $etag || strtotime($if_range) === $last_modified;
+
+            if (!$unchanged) {
+                return null;
+            }
+        }
+
+        if (!preg_match('/^bytes=(\d*)-(\d*)$/', trim(wp_unslash($_SERVER['HTTP_RANGE'])), $matches)) {
+            return null;
+        }
+
+        if ($matches[1] === '' && $matches[2] === '') {
+            return null;
+        }
+
+        if ($matches[1] === '') {
+            // Suffix range, the last N bytes
+            $start = max(0, $file_size - (int) $matches[2]);
+            $end = $file_size - 1;
+        } else {
+            $start = (int) $matches[1];
+            $end = $matches[2] === '' ? $file_size - 1 : min((int) $matches[2], $file_size - 1);
+        }
+
+        if ($start >= $file_size || $start > $end) {
+            return false;
+        }
+
+        return [$start, $end];
+    }
 }
 
 // Initialize the plugin